@@ -0,0 +1,32 @@
+/**
+ * Transaction Helper
+ * Transactions on the shared pool
+ */
+
+const pool = require('./database');
+
+/**
+ * Run a callback inside a transaction
+ * @param {function} callback - async (client) => result
+ * @returns {Promise<*>} Callback result
+ */
+async function withTransaction(callback) {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    withTransaction
+};
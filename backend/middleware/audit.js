@@ -0,0 +1,253 @@
+/**
+ * Audit Middleware
+ * Records every mutating API call in audit_logs
+ *
+ * captureAudit (mounted in front of all /api routes) writes one entry per
+ * POST, PUT, PATCH or DELETE once the response has been sent: who (user,
+ * acting role, IP address, user agent), what (method, route, entity) and the
+ * outcome (status code), with the request body as new_values. Routes can say
+ * more about the call:
+ *   - auditChanges(entityType, table) loads the entity before the handler
+ *     runs and again after a successful response, and stores only the
+ *     columns that changed as old_values / new_values
+ *   - req.audit = { action, entityType, entityId, tenantId, actorId } names the
+ *     event, e.g. a login, where there is no token to say who it was
+ *   - auditedInService leaves successful calls to the service, which records
+ *     its own domain event (team, platform, role switching); refused calls are
+ *     still recorded here
+ * Passwords, tokens, secrets and codes never reach the log.
+ */
+
+const pool = require('../config/database');
+const { withDataScope } = require('./dataScope');
+const { recordAudit } = require('../services/audit');
+const { clientInfo } = require('../services/sessions');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Token rotation happens every few minutes per user; sessions are tracked in auth_sessions.
+// Reading one's own notifications changes nothing anyone else sees.
+// Presence heartbeats and question locks come every few seconds and expire by themselves.
+const SKIPPED_PATHS = [/\/auth\/refresh$/, /\/notifications(\/|$)/, /\/collaboration(\/|$)/];
+
+const REDACTED_FIELDS = /password|token|secret|recovery|certificate|^code$/i;
+
+// Columns that change on every write and say nothing about the change
+const IGNORED_COLUMNS = ['updated_at', 'version'];
+
+// Entity type of the calls under each mount point, unless the route names it
+const ENTITY_TYPES = {
+    auth: 'user',
+    sso: 'sso_connection',
+    assessments: 'assessment',
+    actions: 'action_item',
+    templates: 'template',
+    questions: 'question',
+    responses: 'response',
+    email: 'email',
+    team: 'user',
+    platform: 'tenant'
+};
+
+const CHANGE_VERBS = {
+    POST: 'created',
+    PUT: 'updated',
+    PATCH: 'updated',
+    DELETE: 'deleted'
+};
+
+function isUuid(value) {
+    return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+/**
+ * Copy of a value with secret fields replaced
+ */
+function redact(value) {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+            key,
+            REDACTED_FIELDS.test(key) ? '[redacted]' : redact(field)
+        ]));
+    }
+
+    return value;
+}
+
+/**
+ * The columns that differ between two versions of a row
+ * A row that did not exist before (or no longer exists) is kept whole
+ * @returns {object} { oldValues, newValues }
+ */
+function diffValues(before, after) {
+    if (!before || !after) {
+        return { oldValues: before || null, newValues: after || null };
+    }
+
+    const oldValues = {};
+    const newValues = {};
+
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+        if (!IGNORED_COLUMNS.includes(key) && JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+            oldValues[key] = before[key] === undefined ? null : before[key];
+            newValues[key] = after[key] === undefined ? null : after[key];
+        }
+    });
+
+    return { oldValues, newValues };
+}
+
+/**
+ * Run a query with the caller's data scope when the route has one (RLS tables)
+ */
+function scoped(req, callback) {
+    return req.dataScope ? withDataScope(req.dataScope, callback) : callback(pool);
+}
+
+/**
+ * ID of the entity a response created: the first nested object with a UUID id
+ */
+function responseEntityId(body) {
+    if (!body || typeof body !== 'object') {
+        return null;
+    }
+
+    const entity = Object.values(body).find(value => value && typeof value === 'object' && isUuid(value.id));
+    return entity ? entity.id : null;
+}
+
+/**
+ * Route pattern of the call, e.g. 'PUT /api/v1/actions/:id'
+ * /api/auth and /api/v1/auth are the same router, so both read /api/v1
+ */
+function routeName(req) {
+    const path = req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0];
+    return `${req.method} ${path.replace(/^\/api\/(?!v1\/)/, '/api/v1/')}`;
+}
+
+async function writeAudit(req, res) {
+    const audit = req.audit || {};
+    const succeeded = res.statusCode < 400;
+
+    if (audit.skip && succeeded) {
+        return;
+    }
+
+    const partner = req.partner || {};
+    const body = res.locals.auditBody;
+    // Logins answer with the user; there is no token yet to say who it was
+    const user = body && body.user && typeof body.user === 'object' ? body.user : {};
+    const mount = (req.baseUrl || '').split('/').pop();
+
+    const entityId = [
+        audit.entityId,
+        audit.changes && audit.changes.id,
+        req.method === 'POST' ? responseEntityId(body) : null,
+        ...Object.values(req.params || {}).reverse()
+    ].find(isUuid) || null;
+
+    let oldValues = null;
+    let newValues = req.body && Object.keys(req.body).length > 0 ? req.body : null;
+
+    if (audit.changes && succeeded) {
+        const after = await audit.changes.load(req, entityId);
+        ({ oldValues, newValues } = diffValues(audit.changes.before, after));
+    }
+
+    await recordAudit(pool, {
+        action: audit.action || routeName(req),
+        entityType: audit.entityType || ENTITY_TYPES[mount] || mount || null,
+        entityId,
+        tenantId: audit.tenantId || partner.tenantId || user.tenantId || null,
+        actorId: audit.actorId || partner.userId || user.id || null,
+        oldValues: redact(oldValues),
+        newValues: redact(newValues),
+        client: clientInfo(req),
+        request: {
+            roleId: partner.roleId || user.role || null,
+            method: req.method,
+            path: req.originalUrl.split('?')[0].slice(0, 500),
+            statusCode: res.statusCode
+        }
+    });
+}
+
+/**
+ * Record mutating calls once their response has been sent
+ * Mounted before the routes, so it sees every /api call
+ */
+function captureAudit(req, res, next) {
+    if (!MUTATING_METHODS.includes(req.method) || SKIPPED_PATHS.some(pattern => pattern.test(req.path))) {
+        return next();
+    }
+
+    const json = res.json;
+    res.json = function (body) {
+        res.locals.auditBody = body;
+        return json.call(this, body);
+    };
+
+    res.on('finish', () => {
+        writeAudit(req, res).catch(error => console.error('Audit log error:', error));
+    });
+
+    next();
+}
+
+/**
+ * Store before/after values of the entity a route changes
+ * @param {string} entityType - e.g. 'assessment'
+ * @param {string} table - Table holding the entity (selected by id)
+ * @param {object} options
+ * @param {string} options.action - Event name (default '<entityType>.created|updated|deleted')
+ * @param {function} options.find - async (db, req) => id of the entity, when the URL has none
+ * @returns {function} Express middleware
+ */
+function auditChanges(entityType, table, { action = null, find = null } = {}) {
+    const load = async (req, id) => {
+        if (!isUuid(id)) {
+            return null;
+        }
+
+        const result = await scoped(req, db => db.query(`SELECT * FROM ${table} WHERE id = $1`, [id]));
+        return result.rows[0] || null;
+    };
+
+    return async (req, res, next) => {
+        try {
+            const id = find ? await scoped(req, db => find(db, req)) : req.params.id;
+
+            req.audit = {
+                ...req.audit,
+                action: action || `${entityType}.${CHANGE_VERBS[req.method]}`,
+                entityType,
+                changes: { id: isUuid(id) ? id : null, load, before: await load(req, id) }
+            };
+        } catch (error) {
+            // The call is still recorded, without the previous values
+            console.error('Audit snapshot error:', error);
+        }
+
+        next();
+    };
+}
+
+/**
+ * For routes whose service records its own audit event
+ */
+function auditedInService(req, res, next) {
+    req.audit = { ...req.audit, skip: true };
+    next();
+}
+
+module.exports = {
+    captureAudit,
+    auditChanges,
+    auditedInService
+};
@@ -0,0 +1,126 @@
+/**
+ * Authentication Middleware
+ * JWT verification and tenant scoping
+ *
+ * Support session tokens (supportSessionId, see services/tenants.js) act in the
+ * viewed tenant. They only work while the support session is open and can only
+ * read: any other method is refused here.
+ */
+
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'CHANGE-THIS-IN-PRODUCTION-12345';
+
+/**
+ * Whether the session behind an access token is still open
+ * Logout and "log out all devices" revoke sessions, which ends their access tokens early
+ * @param {string} sessionId - auth_sessions.id from the token
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId) {
+    const result = await pool.query(
+        'SELECT 1 FROM auth_sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()',
+        [sessionId]
+    );
+
+    return result.rows.length > 0;
+}
+
+// Methods a support session may use
+const SUPPORT_SESSION_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Whether a support session is still open, recording that it was used
+ * @param {string} supportSessionId - support_sessions.id from the token
+ * @returns {Promise<boolean>}
+ */
+async function isSupportSessionActive(supportSessionId) {
+    const result = await pool.query(`
+        UPDATE support_sessions
+        SET last_used_at = NOW()
+        WHERE id = $1 AND ended_at IS NULL AND expires_at > NOW()
+        RETURNING id
+    `, [supportSessionId]);
+
+    return result.rows.length > 0;
+}
+
+function authenticateToken(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            message: 'Access token required'
+        });
+    }
+
+    jwt.verify(token, JWT_SECRET, async (err, partner) => {
+        if (err) {
+            return res.status(403).json({
+                success: false,
+                message: 'Invalid or expired token'
+            });
+        }
+
+        try {
+            if (partner.sessionId && !(await isSessionActive(partner.sessionId))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session has been revoked'
+                });
+            }
+
+            if (partner.supportSessionId) {
+                if (!(await isSupportSessionActive(partner.supportSessionId))) {
+                    return res.status(401).json({
+                        success: false,
+                        message: 'Support session has ended',
+                        supportSessionEnded: true
+                    });
+                }
+
+                if (!SUPPORT_SESSION_METHODS.includes(req.method)) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'Support sessions are read-only'
+                    });
+                }
+            }
+        } catch (error) {
+            console.error('Session check error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Session check failed'
+            });
+        }
+
+        req.partner = partner;
+        next();
+    });
+}
+
+/**
+ * Require the authenticated account to belong to a tenant
+ * Every tenant-scoped resource is filtered by req.partner.tenantId
+ */
+function requireTenant(req, res, next) {
+    if (!req.partner || !req.partner.tenantId) {
+        return res.status(403).json({
+            success: false,
+            message: 'No tenant associated with this account'
+        });
+    }
+
+    next();
+}
+
+module.exports = {
+    JWT_SECRET,
+    isSessionActive,
+    isSupportSessionActive,
+    authenticateToken,
+    requireTenant
+};
@@ -0,0 +1,182 @@
+/**
+ * Data Scope Middleware
+ * Server-side row-level security matching permissions.json data_filters
+ *
+ * Scopes are read from roles.metadata.data_filters, so the database stays the
+ * single source of truth. The same scope is enforced twice:
+ *   1. as an explicit WHERE condition built by scopeCondition()
+ *   2. by PostgreSQL RLS policies (migrations/007_row_level_security.sql, 023), which
+ *      read the app.* settings applied by withDataScope() and allowTransition()
+ */
+
+const pool = require('../config/database');
+
+// Scopes that are confined to the caller's own tenant
+const TENANT_SCOPES = ['own_company', 'all_in_company', 'assigned_domains', 'assigned_only', 'pending_review'];
+
+/**
+ * Resolve the caller's data scope for a resource
+ * Sets req.dataScope = { resource, scope, tenantId, userId, roleId, domains }
+ * @param {string} resource - Resource key in data_filters (e.g. 'assessments')
+ * @returns {function} Express middleware
+ */
+function loadDataScope(resource) {
+    return async (req, res, next) => {
+        try {
+            const { tenantId, userId, roleId } = req.partner;
+            let scope = 'none';
+            let domains = [];
+
+            if (roleId) {
+                const result = await pool.query(`
+                    SELECT
+                        r.metadata->'data_filters'->>$2 AS scope,
+                        ur.scope AS assignment_scope
+                    FROM roles r
+                    LEFT JOIN user_roles ur
+                        ON ur.role_id = r.id
+                       AND ur.user_id::text = $3
+                       AND (ur.tenant_id::text = $4 OR ur.tenant_id IS NULL)
+                    WHERE r.id = $1
+                    LIMIT 1
+                `, [roleId, resource, userId || null, tenantId || null]);
+
+                if (result.rows.length > 0) {
+                    scope = result.rows[0].scope || 'none';
+                    domains = (result.rows[0].assignment_scope && result.rows[0].assignment_scope.domains) || [];
+                }
+            }
+
+            // Tenant-bound scopes are meaningless without a tenant
+            if (TENANT_SCOPES.includes(scope) && !tenantId) {
+                scope = 'none';
+            }
+
+            // A support session sees the tenant it was opened for, not every customer
+            if (req.partner.supportSessionId && scope !== 'none' && !TENANT_SCOPES.includes(scope)) {
+                scope = 'own_company';
+            }
+
+            req.dataScope = { resource, scope, tenantId, userId, roleId, domains };
+            next();
+
+        } catch (error) {
+            console.error('Data scope error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to resolve data access scope'
+            });
+        }
+    };
+}
+
+/**
+ * Build the SQL condition for an assessments query
+ * Appends its parameters to params
+ * @param {object} dataScope - req.dataScope
+ * @param {array} params - Query parameters (mutated)
+ * @param {string} alias - Assessments table alias
+ * @returns {string} SQL condition
+ */
+function scopeCondition(dataScope, params, alias = 'a') {
+    const { scope, tenantId, userId, domains } = dataScope;
+
+    switch (scope) {
+        case 'all':
+        case 'all_customers':
+            return 'TRUE';
+
+        case 'own_company':
+        case 'all_in_company':
+            params.push(tenantId);
+            return `${alias}.tenant_id = $${params.length}`;
+
+        case 'assigned_domains':
+            params.push(tenantId, domains);
+            return `(${alias}.tenant_id = $${params.length - 1} AND EXISTS (
+                SELECT 1 FROM jsonb_array_elements(${alias}.dimensions) d
+                WHERE d->>'id' = ANY($${params.length}::text[])
+            ))`;
+
+        case 'assigned_only':
+            params.push(tenantId, userId);
+            return `(${alias}.tenant_id = $${params.length - 1} AND EXISTS (
+                SELECT 1 FROM assessment_assignments aa
+                WHERE aa.assessment_id = ${alias}.id AND aa.user_id::text = $${params.length}
+            ))`;
+
+        case 'pending_review':
+            params.push(tenantId);
+            return `(${alias}.tenant_id = $${params.length} AND ${alias}.status = 'in_review')`;
+
+        default:
+            return 'FALSE';
+    }
+}
+
+/**
+ * Apply the caller's identity to an open transaction
+ * The app.* settings are transaction-local and drive the RLS policies
+ * @param {object} client - Client inside a transaction
+ * @param {object} dataScope - req.dataScope
+ */
+async function applyDataScope(client, dataScope) {
+    await client.query(`
+        SELECT
+            set_config('app.tenant_id', $1, true),
+            set_config('app.user_id', $2, true),
+            set_config('app.role_id', $3, true),
+            set_config('app.domains', $4, true)
+    `, [
+        dataScope.tenantId || '',
+        dataScope.userId || '',
+        dataScope.roleId || '',
+        (dataScope.domains || []).join(',')
+    ]);
+}
+
+/**
+ * Run queries on a dedicated client with the caller's identity applied
+ * @param {object} dataScope - req.dataScope
+ * @param {function} callback - async (client) => result
+ * @returns {Promise<*>} Callback result
+ */
+async function withDataScope(dataScope, callback) {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        await applyDataScope(client, dataScope);
+
+        const result = await callback(client);
+
+        await client.query('COMMIT');
+        return result;
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Keep an assessment visible for the rest of the transaction while a workflow
+ * transition moves it out of the caller's scope (e.g. a reviewer approving)
+ * Only once the caller has been allowed to make the transition
+ * @param {object} client - Client from withDataScope
+ * @param {string} assessmentId - Assessment being transitioned
+ */
+async function allowTransition(client, assessmentId) {
+    await client.query("SELECT set_config('app.transition_id', $1, true)", [assessmentId]);
+}
+
+module.exports = {
+    TENANT_SCOPES,
+    loadDataScope,
+    scopeCondition,
+    applyDataScope,
+    withDataScope,
+    allowTransition
+};
@@ -0,0 +1,76 @@
+/**
+ * Permission Middleware
+ * Role permission checks backed by role_permissions
+ * Matching mirrors RoleService.hasPermission on the frontend
+ */
+
+const pool = require('../config/database');
+
+/**
+ * Check whether a role grants a permission code
+ * '*' and 'admin:*' grant everything; '<action>:*' grants the action on any resource
+ * @param {string} roleId - Role ID
+ * @param {string} code - Permission code (e.g. 'manage:team')
+ * @param {object} db - Optional client (defaults to the pool)
+ * @returns {Promise<boolean>}
+ */
+async function hasPermission(roleId, code, db = pool) {
+    if (!roleId || !code) {
+        return false;
+    }
+
+    const action = code.split(':')[0];
+
+    const result = await db.query(`
+        SELECT 1
+        FROM role_permissions rp
+        JOIN permissions p ON rp.permission_id = p.id
+        WHERE rp.role_id = $1
+          AND p.code = ANY($2::text[])
+        LIMIT 1
+    `, [roleId, [code, '*', 'admin:*', `${action}:*`]]);
+
+    return result.rows.length > 0;
+}
+
+/**
+ * Require the caller's role to grant at least one of the given permissions
+ * @param {...string} codes - Permission codes
+ * @returns {function} Express middleware
+ */
+function requirePermission(...codes) {
+    return async (req, res, next) => {
+        try {
+            const roleId = req.partner && req.partner.roleId;
+            let granted = false;
+
+            for (const code of codes) {
+                if (await hasPermission(roleId, code)) {
+                    granted = true;
+                    break;
+                }
+            }
+
+            if (!granted) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Permission denied: ${codes.join(' or ')} required`
+                });
+            }
+
+            next();
+
+        } catch (error) {
+            console.error('Permission check error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Permission check failed'
+            });
+        }
+    };
+}
+
+module.exports = {
+    hasPermission,
+    requirePermission
+};
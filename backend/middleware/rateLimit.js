@@ -0,0 +1,151 @@
+/**
+ * Rate Limit Middleware
+ * Fixed-window request limits per client IP or per account
+ *
+ * Counters live in a store: { increment(key, windowMs) -> { count, resetAt }, reset(key) }.
+ * MemoryStore suits a single process and tests; PostgresStore (rate_limits
+ * table) is shared by every API instance. RATE_LIMIT_STORE=postgres picks the
+ * latter for the default store. If the store fails the request is let through.
+ */
+
+const pool = require('../config/database');
+
+class MemoryStore {
+    constructor() {
+        this.hits = new Map();
+
+        // Drop expired windows now and then so the map does not grow forever
+        this.sweeper = setInterval(() => this.prune(), 60 * 1000);
+        this.sweeper.unref();
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let entry = this.hits.get(key);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            this.hits.set(key, entry);
+        }
+
+        entry.count += 1;
+        return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    }
+
+    async reset(key) {
+        this.hits.delete(key);
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [key, entry] of this.hits) {
+            if (entry.resetAt <= now) {
+                this.hits.delete(key);
+            }
+        }
+    }
+}
+
+class PostgresStore {
+    constructor(db = pool) {
+        this.db = db;
+    }
+
+    async increment(key, windowMs) {
+        const result = await this.db.query(`
+            INSERT INTO rate_limits (key, count, reset_at)
+            VALUES ($1, 1, NOW() + ($2 * INTERVAL '1 millisecond'))
+            ON CONFLICT (key) DO UPDATE
+            SET count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+                reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+            RETURNING count, reset_at
+        `, [key, windowMs]);
+
+        // Expired rows are only rewritten by their own key; clear the rest occasionally
+        if (Math.random() < 0.01) {
+            this.db.query('DELETE FROM rate_limits WHERE reset_at < NOW()').catch(() => {});
+        }
+
+        return { count: result.rows[0].count, resetAt: result.rows[0].reset_at };
+    }
+
+    async reset(key) {
+        await this.db.query('DELETE FROM rate_limits WHERE key = $1', [key]);
+    }
+}
+
+let defaultStore = null;
+
+function getDefaultStore() {
+    if (!defaultStore) {
+        defaultStore = process.env.RATE_LIMIT_STORE === 'postgres' ? new PostgresStore() : new MemoryStore();
+    }
+    return defaultStore;
+}
+
+/**
+ * Replace the store used by limiters created without one (tests, custom backends)
+ */
+function setDefaultStore(store) {
+    defaultStore = store;
+}
+
+// Key functions
+const byIp = req => req.ip;
+const byAccount = req => String((req.body && req.body.email) || '').trim().toLowerCase() || null;
+const byUser = req => (req.partner && req.partner.userId) || null;
+
+/**
+ * Limit requests per key
+ * @param {object} options
+ * @param {string} options.name - Limiter name, prefixes the store key
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests allowed per window
+ * @param {function} options.key - req -> key, or null to skip (default: client IP)
+ * @param {object} options.store - Counter store (default: the process-wide store)
+ * @returns {function} Express middleware
+ */
+function rateLimit({ name, windowMs, max, key = byIp, store = null }) {
+    return async (req, res, next) => {
+        const value = key(req);
+
+        if (!value) {
+            return next();
+        }
+
+        let hit;
+        try {
+            hit = await (store || getDefaultStore()).increment(`${name}:${value}`, windowMs);
+        } catch (error) {
+            console.error('Rate limit store error:', error);
+            return next();
+        }
+
+        const retryAfter = Math.max(Math.ceil((new Date(hit.resetAt) - Date.now()) / 1000), 1);
+
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(Math.max(max - hit.count, 0)));
+        res.set('RateLimit-Reset', String(retryAfter));
+
+        if (hit.count > max) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                success: false,
+                message: `Too many requests. Please try again in ${retryAfter} seconds.`,
+                retryAfter
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    MemoryStore,
+    PostgresStore,
+    setDefaultStore,
+    byIp,
+    byAccount,
+    byUser,
+    rateLimit
+};
@@ -0,0 +1,86 @@
+-- ============================================================================
+-- 001: CORE TABLES
+-- Tenants, users and database-driven RBAC (DATABASE_SCHEMA.md tables 1-6)
+-- ============================================================================
+
+-- migrate:up
+
+CREATE TABLE tenants (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    slug VARCHAR(100) UNIQUE,
+    settings JSONB DEFAULT '{}',
+    subscription_tier VARCHAR(50),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email VARCHAR(255) UNIQUE NOT NULL,
+    name VARCHAR(255),
+    password_hash VARCHAR(255),
+    tenant_id UUID REFERENCES tenants(id),
+    default_role_id VARCHAR(100),
+    status VARCHAR(50) DEFAULT 'active',
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    last_login TIMESTAMP
+);
+
+CREATE INDEX idx_users_tenant ON users (tenant_id);
+
+CREATE TABLE roles (
+    id VARCHAR(100) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    type VARCHAR(100),
+    icon VARCHAR(50),
+    description TEXT,
+    is_read_only BOOLEAN DEFAULT false,
+    is_system_role BOOLEAN DEFAULT false,
+    tenant_id UUID REFERENCES tenants(id),
+    color VARCHAR(20),
+    sort_order INTEGER,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE permissions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code VARCHAR(100) UNIQUE NOT NULL,
+    resource VARCHAR(100),
+    action VARCHAR(50),
+    description TEXT,
+    category VARCHAR(100),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE role_permissions (
+    role_id VARCHAR(100) REFERENCES roles(id) ON DELETE CASCADE,
+    permission_id UUID REFERENCES permissions(id) ON DELETE CASCADE,
+    scope VARCHAR(50),
+    conditions JSONB,
+    PRIMARY KEY (role_id, permission_id)
+);
+
+CREATE TABLE user_roles (
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    role_id VARCHAR(100) REFERENCES roles(id),
+    tenant_id UUID REFERENCES tenants(id),
+    scope JSONB,
+    is_primary BOOLEAN DEFAULT false,
+    assigned_at TIMESTAMP DEFAULT NOW(),
+    assigned_by UUID,
+    PRIMARY KEY (user_id, role_id, tenant_id)
+);
+
+CREATE INDEX idx_user_roles_tenant_role ON user_roles (tenant_id, role_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS user_roles;
+DROP TABLE IF EXISTS role_permissions;
+DROP TABLE IF EXISTS permissions;
+DROP TABLE IF EXISTS roles;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS tenants;
@@ -0,0 +1,61 @@
+-- ============================================================================
+-- 002: UI CONFIGURATION
+-- Menus, feature flags and field visibility (DATABASE_SCHEMA.md tables 7-9)
+-- ============================================================================
+
+-- migrate:up
+
+CREATE TABLE ui_menus (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    parent_id UUID REFERENCES ui_menus(id),
+    label VARCHAR(255),
+    icon VARCHAR(100),
+    href VARCHAR(500),
+    menu_type VARCHAR(50),
+    sort_order INTEGER,
+    required_permission VARCHAR(100),
+    visible_for_roles JSONB,
+    tenant_id UUID REFERENCES tenants(id),
+    is_active BOOLEAN DEFAULT true,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE ui_features (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    feature_code VARCHAR(100) UNIQUE,
+    name VARCHAR(255),
+    description TEXT,
+    is_enabled BOOLEAN DEFAULT true,
+    enabled_for_tenants JSONB,
+    enabled_for_roles JSONB,
+    config JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE ui_field_configs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entity_type VARCHAR(100),
+    field_name VARCHAR(100),
+    field_type VARCHAR(50),
+    label VARCHAR(255),
+    is_required BOOLEAN,
+    is_visible BOOLEAN,
+    visible_for_roles JSONB,
+    editable_for_roles JSONB,
+    validation_rules JSONB,
+    display_order INTEGER,
+    group_name VARCHAR(100),
+    help_text TEXT,
+    placeholder VARCHAR(255),
+    default_value TEXT,
+    options JSONB,
+    tenant_id UUID REFERENCES tenants(id),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS ui_field_configs;
+DROP TABLE IF EXISTS ui_features;
+DROP TABLE IF EXISTS ui_menus;
@@ -0,0 +1,51 @@
+-- ============================================================================
+-- 003: WORKFLOWS
+-- Configurable state machines (DATABASE_SCHEMA.md tables 10-12)
+-- ============================================================================
+
+-- migrate:up
+
+CREATE TABLE workflows (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255),
+    entity_type VARCHAR(100),
+    description TEXT,
+    initial_state VARCHAR(100),
+    tenant_id UUID REFERENCES tenants(id),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE workflow_states (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    workflow_id UUID REFERENCES workflows(id) ON DELETE CASCADE,
+    state_code VARCHAR(100),
+    label VARCHAR(255),
+    description TEXT,
+    color VARCHAR(20),
+    icon VARCHAR(50),
+    is_initial BOOLEAN DEFAULT false,
+    is_final BOOLEAN DEFAULT false,
+    sort_order INTEGER,
+    actions JSONB,
+    UNIQUE (workflow_id, state_code)
+);
+
+CREATE TABLE workflow_transitions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    workflow_id UUID REFERENCES workflows(id) ON DELETE CASCADE,
+    from_state VARCHAR(100),
+    to_state VARCHAR(100),
+    action_label VARCHAR(255),
+    required_permission VARCHAR(100),
+    allowed_roles JSONB,
+    conditions JSONB,
+    validation_rules JSONB,
+    post_transition_actions JSONB
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS workflow_transitions;
+DROP TABLE IF EXISTS workflow_states;
+DROP TABLE IF EXISTS workflows;
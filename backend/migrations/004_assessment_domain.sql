@@ -0,0 +1,134 @@
+-- ============================================================================
+-- 004: ASSESSMENT DOMAIN
+-- Templates, versions, assessments and responses (DATABASE_SCHEMA.md tables 13-19)
+-- ============================================================================
+
+-- migrate:up
+
+CREATE TABLE assessment_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255),
+    description TEXT,
+    category VARCHAR(100),
+    version VARCHAR(20) DEFAULT '1.0',
+    tenant_id UUID REFERENCES tenants(id),
+    created_by UUID,
+    is_public BOOLEAN DEFAULT false,
+    is_active BOOLEAN DEFAULT true,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE template_dimensions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    template_id UUID REFERENCES assessment_templates(id),
+    name VARCHAR(255),
+    description TEXT,
+    weight DECIMAL(5,2) DEFAULT 1.0,
+    sort_order INTEGER,
+    color VARCHAR(20),
+    icon VARCHAR(50),
+    key_areas JSONB DEFAULT '[]',
+    archived_at TIMESTAMP
+);
+
+CREATE INDEX idx_template_dimensions_template ON template_dimensions (template_id);
+
+CREATE TABLE questions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    template_id UUID REFERENCES assessment_templates(id),
+    dimension_id UUID REFERENCES template_dimensions(id),
+    question_text TEXT,
+    help_text TEXT,
+    question_type VARCHAR(50),
+    is_required BOOLEAN DEFAULT true,
+    options JSONB,
+    validation_rules JSONB,
+    scoring_rubric JSONB,
+    sort_order INTEGER,
+    tags JSONB,
+    metadata JSONB DEFAULT '{}',
+    archived_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_questions_dimension ON questions (dimension_id);
+CREATE INDEX idx_questions_template ON questions (template_id);
+
+CREATE TABLE template_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    template_id UUID REFERENCES assessment_templates(id),
+    version VARCHAR(20),
+    snapshot JSONB NOT NULL,
+    notes TEXT,
+    created_by UUID,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (template_id, version)
+);
+
+CREATE TABLE assessments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title VARCHAR(255),
+    description TEXT,
+    template_id UUID REFERENCES assessment_templates(id),
+    template_version_id UUID REFERENCES template_versions(id),
+    tenant_id UUID REFERENCES tenants(id),
+    created_by UUID,
+    status VARCHAR(50),
+    progress DECIMAL(5,2) DEFAULT 0,
+    overall_score DECIMAL(5,2),
+    dimensions JSONB DEFAULT '[]',
+    state_timestamps JSONB DEFAULT '{}',
+    started_at TIMESTAMP,
+    due_date TIMESTAMP,
+    completed_at TIMESTAMP,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_assessments_tenant_status ON assessments (tenant_id, status);
+
+CREATE TABLE assessment_responses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    assessment_id UUID REFERENCES assessments(id),
+    question_id UUID REFERENCES questions(id),
+    user_id UUID REFERENCES users(id),
+    response_text TEXT,
+    response_data JSONB,
+    status VARCHAR(50),
+    score DECIMAL(5,2),
+    submitted_at TIMESTAMP,
+    reviewer_comments TEXT,
+    reviewed_by UUID,
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (assessment_id, question_id, user_id)
+);
+
+CREATE TABLE assessment_assignments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    assessment_id UUID REFERENCES assessments(id),
+    user_id UUID REFERENCES users(id),
+    dimension_id UUID,
+    assigned_by UUID,
+    assigned_at TIMESTAMP DEFAULT NOW(),
+    due_date TIMESTAMP,
+    status VARCHAR(50),
+    completed_at TIMESTAMP
+);
+
+CREATE INDEX idx_assessment_assignments_assessment ON assessment_assignments (assessment_id);
+CREATE INDEX idx_assessment_assignments_user ON assessment_assignments (user_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS assessment_assignments;
+DROP TABLE IF EXISTS assessment_responses;
+DROP TABLE IF EXISTS assessments;
+DROP TABLE IF EXISTS template_versions;
+DROP TABLE IF EXISTS questions;
+DROP TABLE IF EXISTS template_dimensions;
+DROP TABLE IF EXISTS assessment_templates;
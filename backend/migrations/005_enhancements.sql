@@ -0,0 +1,87 @@
+-- ============================================================================
+-- 005: ENHANCEMENTS
+-- Scores, action items, notifications and audit (DATABASE_SCHEMA.md tables 20-24)
+-- ============================================================================
+
+-- migrate:up
+
+CREATE TABLE assessment_scores (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    assessment_id UUID REFERENCES assessments(id),
+    dimension_id UUID REFERENCES template_dimensions(id),
+    score DECIMAL(5,2),
+    max_score DECIMAL(5,2),
+    percentage DECIMAL(5,2),
+    calculated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_assessment_scores_assessment ON assessment_scores (assessment_id);
+
+CREATE TABLE action_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    assessment_id UUID REFERENCES assessments(id),
+    dimension_id UUID,
+    title VARCHAR(255),
+    description TEXT,
+    priority VARCHAR(50),
+    status VARCHAR(50),
+    assigned_to UUID,
+    assigned_by UUID,
+    due_date TIMESTAMP,
+    completed_at TIMESTAMP,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_action_items_assessment ON action_items (assessment_id);
+
+CREATE TABLE notification_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    template_code VARCHAR(100) UNIQUE,
+    name VARCHAR(255),
+    subject VARCHAR(500),
+    body_template TEXT,
+    notification_type VARCHAR(50),
+    trigger_event VARCHAR(100),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE notifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id),
+    template_id UUID REFERENCES notification_templates(id),
+    subject VARCHAR(500),
+    body TEXT,
+    notification_type VARCHAR(50),
+    is_read BOOLEAN DEFAULT false,
+    read_at TIMESTAMP,
+    data JSONB,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_notifications_user ON notifications (user_id, is_read);
+
+CREATE TABLE audit_logs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id),
+    tenant_id UUID,
+    entity_type VARCHAR(100),
+    entity_id UUID,
+    action VARCHAR(100),
+    old_values JSONB,
+    new_values JSONB,
+    ip_address VARCHAR(50),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_audit_logs_entity ON audit_logs (entity_type, entity_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS audit_logs;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS notification_templates;
+DROP TABLE IF EXISTS action_items;
+DROP TABLE IF EXISTS assessment_scores;
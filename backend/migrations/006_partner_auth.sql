@@ -0,0 +1,35 @@
+-- ============================================================================
+-- 006: PARTNER AUTHENTICATION
+-- Module 1 account tables used by the /api/auth endpoints in server.js
+-- ============================================================================
+
+-- migrate:up
+
+CREATE TABLE partners (
+    partner_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    partner_name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    company_name VARCHAR(255),
+    phone VARCHAR(50),
+    email_verified BOOLEAN DEFAULT false,
+    is_active BOOLEAN DEFAULT true,
+    is_admin BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_login_at TIMESTAMP
+);
+
+CREATE TABLE verification_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    partner_id UUID REFERENCES partners(partner_id) ON DELETE CASCADE,
+    token VARCHAR(255) UNIQUE NOT NULL,
+    token_type VARCHAR(50) NOT NULL,  -- 'email_verification', 'password_reset'
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS verification_tokens;
+DROP TABLE IF EXISTS partners;
@@ -0,0 +1,79 @@
+-- ============================================================================
+-- 007: ROW-LEVEL SECURITY
+-- Database-enforced data filters matching permissions.json data_filters
+--
+-- The API sets these transaction-local settings before touching scoped tables
+-- (see backend/middleware/dataScope.js -> withDataScope):
+--   app.tenant_id  caller's tenant
+--   app.user_id    caller's user id
+--   app.role_id    caller's active role
+--   app.domains    comma-separated assigned domains (dimension ids)
+--
+-- The scope itself is read from roles.metadata.data_filters, so the API only
+-- asserts who the caller is and the database decides what they may see.
+--
+-- NOTE: superusers and roles with BYPASSRLS ignore these policies. Run the API
+-- as an ordinary login role, e.g.:
+--   CREATE ROLE reabel_app LOGIN PASSWORD '...';
+--   GRANT SELECT, INSERT, UPDATE, DELETE ON ALL TABLES IN SCHEMA public TO reabel_app;
+-- ============================================================================
+
+-- migrate:up
+
+-- Caller's tenant from the session, NULL when unset
+CREATE OR REPLACE FUNCTION app_tenant_id() RETURNS UUID
+LANGUAGE sql STABLE AS $$
+    SELECT NULLIF(current_setting('app.tenant_id', true), '')::uuid
+$$;
+
+-- Data filter configured for the caller's role on a resource
+CREATE OR REPLACE FUNCTION app_data_scope(resource TEXT) RETURNS TEXT
+LANGUAGE sql STABLE AS $$
+    SELECT COALESCE(
+        (SELECT metadata->'data_filters'->>resource
+         FROM roles
+         WHERE id = NULLIF(current_setting('app.role_id', true), '')),
+        'none'
+    )
+$$;
+
+-- ----------------------------------------------------------------------------
+-- assessments
+-- Reads follow the role's data filter; writes stay inside the caller's tenant
+-- ----------------------------------------------------------------------------
+ALTER TABLE assessments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE assessments FORCE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS assessments_data_scope ON assessments;
+CREATE POLICY assessments_data_scope ON assessments
+    USING (
+        CASE app_data_scope('assessments')
+            WHEN 'all' THEN TRUE
+            WHEN 'all_customers' THEN TRUE
+            WHEN 'own_company' THEN tenant_id = app_tenant_id()
+            WHEN 'all_in_company' THEN tenant_id = app_tenant_id()
+            WHEN 'assigned_domains' THEN tenant_id = app_tenant_id() AND EXISTS (
+                SELECT 1 FROM jsonb_array_elements(dimensions) d
+                WHERE d->>'id' = ANY (string_to_array(current_setting('app.domains', true), ','))
+            )
+            WHEN 'assigned_only' THEN tenant_id = app_tenant_id() AND EXISTS (
+                SELECT 1 FROM assessment_assignments aa
+                WHERE aa.assessment_id = assessments.id
+                  AND aa.user_id::text = current_setting('app.user_id', true)
+            )
+            WHEN 'pending_review' THEN tenant_id = app_tenant_id() AND status = 'in_review'
+            ELSE FALSE
+        END
+    )
+    WITH CHECK (
+        app_data_scope('assessments') IN ('all', 'all_customers')
+        OR tenant_id = app_tenant_id()
+    );
+
+-- migrate:down
+
+DROP POLICY IF EXISTS assessments_data_scope ON assessments;
+ALTER TABLE assessments NO FORCE ROW LEVEL SECURITY;
+ALTER TABLE assessments DISABLE ROW LEVEL SECURITY;
+DROP FUNCTION IF EXISTS app_data_scope(TEXT);
+DROP FUNCTION IF EXISTS app_tenant_id();
@@ -0,0 +1,96 @@
+-- ============================================================================
+-- 008: UNIFIED AUTHENTICATION
+-- /api/auth signs in users (tenants + user_roles) instead of partners.
+-- Each partner becomes a user in a tenant of its own, keeping its UUID, and
+-- verification tokens move from partner_id to user_id.
+-- ============================================================================
+
+-- migrate:up
+
+ALTER TABLE users ADD COLUMN email_verified BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN phone VARCHAR(50);
+
+-- Accounts provisioned before self-service signup were created by an admin
+UPDATE users SET email_verified = true;
+
+INSERT INTO tenants (id, name, is_active, created_at)
+SELECT p.partner_id, COALESCE(p.company_name, p.partner_name), true, p.created_at
+FROM partners p
+WHERE NOT EXISTS (SELECT 1 FROM users u WHERE u.email = p.email)
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO users (
+    id, email, name, password_hash, tenant_id, default_role_id, status,
+    email_verified, phone, created_at, last_login
+)
+SELECT
+    p.partner_id, p.email, p.partner_name, p.password_hash, p.partner_id,
+    CASE WHEN p.is_admin THEN 'reabel_superadmin' ELSE 'customer_admin' END,
+    CASE WHEN p.is_active THEN 'active' ELSE 'inactive' END,
+    p.email_verified, p.phone, p.created_at, p.last_login_at
+FROM partners p
+JOIN tenants t ON t.id = p.partner_id
+WHERE NOT EXISTS (SELECT 1 FROM users u WHERE u.email = p.email);
+
+-- Only possible once roles are seeded; otherwise login falls back to default_role_id
+INSERT INTO user_roles (user_id, role_id, tenant_id, scope, is_primary)
+SELECT u.id, u.default_role_id, u.tenant_id, '{}', true
+FROM users u
+JOIN partners p ON p.partner_id = u.id
+JOIN roles r ON r.id = u.default_role_id
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE verification_tokens ADD COLUMN user_id UUID REFERENCES users(id) ON DELETE CASCADE;
+
+UPDATE verification_tokens vt
+SET user_id = u.id
+FROM partners p
+JOIN users u ON u.email = p.email
+WHERE vt.partner_id = p.partner_id;
+
+DELETE FROM verification_tokens WHERE user_id IS NULL;
+
+ALTER TABLE verification_tokens ALTER COLUMN user_id SET NOT NULL;
+ALTER TABLE verification_tokens DROP COLUMN partner_id;
+
+CREATE INDEX idx_verification_tokens_user ON verification_tokens (user_id, token_type);
+
+DROP TABLE partners;
+
+-- migrate:down
+
+CREATE TABLE partners (
+    partner_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    partner_name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    company_name VARCHAR(255),
+    phone VARCHAR(50),
+    email_verified BOOLEAN DEFAULT false,
+    is_active BOOLEAN DEFAULT true,
+    is_admin BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_login_at TIMESTAMP
+);
+
+-- Users without a password never signed in through /api/auth
+INSERT INTO partners (
+    partner_id, partner_name, email, password_hash, company_name, phone,
+    email_verified, is_active, is_admin, created_at, last_login_at
+)
+SELECT
+    u.id, COALESCE(u.name, u.email), u.email, u.password_hash, t.name, u.phone,
+    u.email_verified, u.status = 'active', u.default_role_id = 'reabel_superadmin',
+    u.created_at, u.last_login
+FROM users u
+LEFT JOIN tenants t ON t.id = u.tenant_id
+WHERE u.password_hash IS NOT NULL;
+
+DELETE FROM verification_tokens WHERE user_id NOT IN (SELECT partner_id FROM partners);
+ALTER TABLE verification_tokens ADD COLUMN partner_id UUID REFERENCES partners(partner_id) ON DELETE CASCADE;
+UPDATE verification_tokens SET partner_id = user_id;
+DROP INDEX IF EXISTS idx_verification_tokens_user;
+ALTER TABLE verification_tokens DROP COLUMN user_id;
+
+ALTER TABLE users DROP COLUMN phone;
+ALTER TABLE users DROP COLUMN email_verified;
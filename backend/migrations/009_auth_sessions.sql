@@ -0,0 +1,40 @@
+-- ============================================================================
+-- 009: AUTH SESSIONS
+-- One row per login (a refresh token family). Refresh tokens rotate on every
+-- use and are stored as SHA-256 hashes; presenting a rotated token again
+-- revokes the whole session.
+-- ============================================================================
+
+-- migrate:up
+
+CREATE TABLE auth_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    tenant_id UUID REFERENCES tenants(id),
+    role_id VARCHAR(100),
+    user_agent TEXT,
+    ip_address VARCHAR(50),
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_used_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50)  -- 'logout', 'logout_all', 'revoked', 'token_reuse', 'password_reset', 'account_disabled'
+);
+
+CREATE INDEX idx_auth_sessions_user ON auth_sessions (user_id) WHERE revoked_at IS NULL;
+
+CREATE TABLE refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES auth_sessions(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,  -- Set when rotated; a used token is never valid again
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_refresh_tokens_session ON refresh_tokens (session_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS auth_sessions;
@@ -0,0 +1,57 @@
+-- ============================================================================
+-- 011: OIDC SINGLE SIGN-ON
+-- Per-tenant identity provider connections, the external identities linked to
+-- users, and the short-lived login requests that carry state, nonce and PKCE
+-- verifier through the authorization-code redirect.
+-- ============================================================================
+
+-- migrate:up
+
+CREATE TABLE sso_connections (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    protocol VARCHAR(20) NOT NULL DEFAULT 'oidc',
+    issuer TEXT NOT NULL,
+    client_id VARCHAR(255) NOT NULL,
+    client_secret_encrypted TEXT,                 -- AES-256-GCM (ENCRYPTION_KEY); NULL for public clients
+    scopes VARCHAR(255) DEFAULT 'openid email profile',
+    groups_claim VARCHAR(100) DEFAULT 'groups',
+    role_mapping JSONB DEFAULT '{}',              -- { "IdP group": "role_id" }
+    default_role_id VARCHAR(100) REFERENCES roles(id),
+    is_enabled BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (tenant_id, protocol)
+);
+
+CREATE TABLE user_identities (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    connection_id UUID NOT NULL REFERENCES sso_connections(id) ON DELETE CASCADE,
+    subject VARCHAR(255) NOT NULL,  -- The IdP's stable user id (OIDC "sub")
+    email VARCHAR(255),
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (connection_id, subject)
+);
+
+CREATE INDEX idx_user_identities_user ON user_identities (user_id);
+
+CREATE TABLE sso_login_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    connection_id UUID NOT NULL REFERENCES sso_connections(id) ON DELETE CASCADE,
+    state_hash VARCHAR(64) UNIQUE NOT NULL,
+    nonce VARCHAR(64) NOT NULL,
+    code_verifier VARCHAR(128) NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,  -- Set once the IdP callback succeeds
+    handoff_hash VARCHAR(64) UNIQUE,                      -- Token the login page redeems for a session
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS sso_login_requests;
+DROP TABLE IF EXISTS user_identities;
+DROP TABLE IF EXISTS sso_connections;
@@ -0,0 +1,31 @@
+-- ============================================================================
+-- 012: SAML SINGLE SIGN-ON
+-- SAML 2.0 connections share sso_connections with OIDC (protocol = 'saml').
+-- The IdP entity ID goes in issuer; OIDC-only columns are left empty. Login
+-- requests remember the AuthnRequest ID so responses must answer one we sent.
+-- ============================================================================
+
+-- migrate:up
+
+ALTER TABLE sso_connections ALTER COLUMN client_id DROP NOT NULL;
+ALTER TABLE sso_connections ADD COLUMN sso_url TEXT;                          -- IdP SingleSignOnService (HTTP-Redirect)
+ALTER TABLE sso_connections ADD COLUMN idp_certificate TEXT;                  -- PEM certificate or public key
+ALTER TABLE sso_connections ADD COLUMN attribute_mapping JSONB DEFAULT '{}';  -- { email, name, groups, role, domains } -> attribute names
+
+ALTER TABLE sso_login_requests ALTER COLUMN nonce DROP NOT NULL;
+ALTER TABLE sso_login_requests ALTER COLUMN code_verifier DROP NOT NULL;
+ALTER TABLE sso_login_requests ADD COLUMN request_id VARCHAR(64);  -- SAML AuthnRequest ID (InResponseTo)
+
+-- migrate:down
+
+DELETE FROM sso_connections WHERE protocol = 'saml';
+DELETE FROM sso_login_requests WHERE nonce IS NULL OR code_verifier IS NULL;
+
+ALTER TABLE sso_login_requests DROP COLUMN IF EXISTS request_id;
+ALTER TABLE sso_login_requests ALTER COLUMN code_verifier SET NOT NULL;
+ALTER TABLE sso_login_requests ALTER COLUMN nonce SET NOT NULL;
+
+ALTER TABLE sso_connections DROP COLUMN IF EXISTS attribute_mapping;
+ALTER TABLE sso_connections DROP COLUMN IF EXISTS idp_certificate;
+ALTER TABLE sso_connections DROP COLUMN IF EXISTS sso_url;
+ALTER TABLE sso_connections ALTER COLUMN client_id SET NOT NULL;
@@ -0,0 +1,61 @@
+-- ============================================================================
+-- 013: EMAIL OUTBOX
+-- Transactional outbox for outgoing email. Rows are written in the same
+-- transaction as the change that triggers them and delivered by the email
+-- worker (services/email.js), which renders notification_templates at send
+-- time and retries with backoff. Adds the account email templates.
+-- ============================================================================
+
+-- migrate:up
+
+CREATE TABLE email_outbox (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    template_code VARCHAR(100) NOT NULL,           -- notification_templates.template_code
+    to_address VARCHAR(255) NOT NULL,
+    data JSONB DEFAULT '{}',                       -- Placeholder values; cleared once delivery is final
+    subject VARCHAR(500),                          -- Rendered subject, kept as a record
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending | sending | sent | failed | bounced
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT NOW(),       -- Retry time, or lease expiry while sending
+    last_error TEXT,
+    provider_message_id VARCHAR(255),              -- Message-ID, matched against bounce reports
+    sent_at TIMESTAMP,
+    bounced_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_email_outbox_due ON email_outbox (next_attempt_at) WHERE status IN ('pending', 'sending');
+CREATE INDEX idx_email_outbox_message ON email_outbox (provider_message_id);
+
+INSERT INTO notification_templates (template_code, name, subject, body_template, notification_type, trigger_event, is_active)
+VALUES
+    (
+        'email_verification',
+        'Verify email address',
+        'Verify your REABEL email address',
+        E'Hi {{name}},\n\nPlease confirm your email address to finish setting up your REABEL account:\n\n{{verify_url}}\n\nThe link is valid for {{valid_hours}} hours. If you did not sign up, you can ignore this email.',
+        'email',
+        'auth.register',
+        true
+    ),
+    (
+        'password_reset',
+        'Password reset',
+        'Reset your REABEL password',
+        E'Hi {{name}},\n\nSomeone asked to reset the password for your REABEL account. Choose a new password here:\n\n{{reset_url}}\n\nThe link is valid for {{valid_hours}} hour(s). If you did not ask for this, you can ignore this email; your password stays the same.',
+        'email',
+        'auth.forgot_password',
+        true
+    )
+ON CONFLICT (template_code) DO NOTHING;
+
+-- migrate:down
+
+DELETE FROM notification_templates
+WHERE template_code IN ('email_verification', 'password_reset')
+  AND NOT EXISTS (SELECT 1 FROM notifications n WHERE n.template_id = notification_templates.id);
+
+DROP TABLE IF EXISTS email_outbox;
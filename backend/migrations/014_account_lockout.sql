@@ -0,0 +1,46 @@
+-- ============================================================================
+-- 014: BRUTE-FORCE PROTECTION
+-- Failed password logins are counted against the account; enough of them in a
+-- row lock it for a period that doubles with each lockout (services/lockout.js).
+-- rate_limits backs the shared rate limiter store (RATE_LIMIT_STORE=postgres).
+-- ============================================================================
+
+-- migrate:up
+
+ALTER TABLE users ADD COLUMN failed_login_count INTEGER DEFAULT 0;  -- Consecutive failures since the last success or lockout
+ALTER TABLE users ADD COLUMN last_failed_login_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN lockout_count INTEGER DEFAULT 0;       -- Lockouts since the last successful login
+ALTER TABLE users ADD COLUMN locked_until TIMESTAMP;
+
+CREATE TABLE rate_limits (
+    key VARCHAR(255) PRIMARY KEY,  -- '<limiter>:<ip or account>'
+    count INTEGER NOT NULL,
+    reset_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX idx_rate_limits_reset ON rate_limits (reset_at);
+
+INSERT INTO notification_templates (template_code, name, subject, body_template, notification_type, trigger_event, is_active)
+VALUES (
+    'account_unlock',
+    'Account locked',
+    'Your REABEL account has been locked',
+    E'Hi {{name}},\n\nYour REABEL account was locked after {{failed_attempts}} failed sign-in attempts. It unlocks by itself at {{locked_until}} (UTC), or you can unlock it now:\n\n{{unlock_url}}\n\nIf these attempts were not yours, reset your password after unlocking.',
+    'email',
+    'auth.lockout',
+    true
+)
+ON CONFLICT (template_code) DO NOTHING;
+
+-- migrate:down
+
+DELETE FROM notification_templates
+WHERE template_code = 'account_unlock'
+  AND NOT EXISTS (SELECT 1 FROM notifications n WHERE n.template_id = notification_templates.id);
+
+DROP TABLE IF EXISTS rate_limits;
+
+ALTER TABLE users DROP COLUMN IF EXISTS locked_until;
+ALTER TABLE users DROP COLUMN IF EXISTS lockout_count;
+ALTER TABLE users DROP COLUMN IF EXISTS last_failed_login_at;
+ALTER TABLE users DROP COLUMN IF EXISTS failed_login_count;
@@ -0,0 +1,52 @@
+-- ============================================================================
+-- 015: TEAM INVITATIONS
+-- Tenant admins invite colleagues by email with a role and assigned domains.
+-- Accepting the emailed link creates the user inside the inviting tenant
+-- (services/team.js). Only a hash of the link token is stored.
+-- ============================================================================
+
+-- migrate:up
+
+CREATE TABLE team_invitations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role_id VARCHAR(100) NOT NULL REFERENCES roles(id),
+    scope JSONB DEFAULT '{}',                      -- Copied to user_roles.scope, e.g. { "domains": ["product"] }
+    token_hash VARCHAR(64) NOT NULL UNIQUE,        -- SHA-256 of the emailed token; replaced on resend
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending | accepted | revoked | expired
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    send_count INTEGER DEFAULT 1,
+    last_sent_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    accepted_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMP,
+    revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- One open invitation per address and tenant
+CREATE UNIQUE INDEX idx_team_invitations_pending ON team_invitations (tenant_id, email) WHERE status = 'pending';
+CREATE INDEX idx_team_invitations_tenant ON team_invitations (tenant_id, created_at DESC);
+
+INSERT INTO notification_templates (template_code, name, subject, body_template, notification_type, trigger_event, is_active)
+VALUES (
+    'team_invitation',
+    'Team invitation',
+    '{{inviter_name}} invited you to {{tenant_name}} on REABEL',
+    E'Hi,\n\n{{inviter_name}} invited you to join {{tenant_name}} on REABEL as {{role_name}}. Create your account here:\n\n{{accept_url}}\n\nThe invitation is valid for {{valid_days}} days. If you were not expecting it, you can ignore this email.',
+    'email',
+    'team.invite',
+    true
+)
+ON CONFLICT (template_code) DO NOTHING;
+
+-- migrate:down
+
+DELETE FROM notification_templates
+WHERE template_code = 'team_invitation'
+  AND NOT EXISTS (SELECT 1 FROM notifications n WHERE n.template_id = notification_templates.id);
+
+DROP TABLE IF EXISTS team_invitations;
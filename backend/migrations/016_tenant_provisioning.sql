@@ -0,0 +1,73 @@
+-- ============================================================================
+-- 016: TENANT PROVISIONING AND SUPPORT SESSIONS
+-- REABEL staff create and suspend tenants and set their plan limits from the
+-- platform console (services/tenants.js). A support session lets a CSM view a
+-- tenant read-only for a limited time; starting and ending one is audited.
+-- ============================================================================
+
+-- migrate:up
+
+ALTER TABLE tenants ADD COLUMN max_seats INTEGER;               -- Active users plus pending invitations; NULL = unlimited
+ALTER TABLE tenants ADD COLUMN max_active_assessments INTEGER;  -- Assessments not yet in a final state; NULL = unlimited
+ALTER TABLE tenants ADD COLUMN suspended_at TIMESTAMP;
+ALTER TABLE tenants ADD COLUMN suspended_reason TEXT;
+ALTER TABLE tenants ADD COLUMN suspended_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE tenants ADD COLUMN updated_at TIMESTAMP DEFAULT NOW();
+
+CREATE TABLE support_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,  -- Tenant being viewed
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,      -- REABEL staff member
+    auth_session_id UUID REFERENCES auth_sessions(id) ON DELETE CASCADE, -- Logging out ends the support session too
+    role_id VARCHAR(100) REFERENCES roles(id),
+    reason TEXT NOT NULL,
+    started_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    last_used_at TIMESTAMP,
+    ended_at TIMESTAMP,
+    ended_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    ip_address VARCHAR(45),
+    user_agent TEXT
+);
+
+CREATE INDEX idx_support_sessions_tenant ON support_sessions (tenant_id, started_at DESC);
+CREATE INDEX idx_support_sessions_user ON support_sessions (user_id) WHERE ended_at IS NULL;
+
+-- Assessment counts for usage and plan limits. assessments has row-level
+-- security, so the function runs as its owner (the migration role) to count
+-- every assessment of the tenant, whoever asks.
+CREATE OR REPLACE FUNCTION tenant_assessment_usage(tenant UUID)
+RETURNS TABLE (total_assessments INTEGER, active_assessments INTEGER)
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public AS $$
+    SELECT
+        COUNT(*)::int,
+        (COUNT(*) FILTER (WHERE completed_at IS NULL))::int
+    FROM assessments
+    WHERE tenant_id = tenant
+$$;
+
+-- Seeded databases: let CSMs open support sessions (superadmins hold '*')
+INSERT INTO permissions (code, resource, action, description, category)
+VALUES ('support:tenants', 'tenants', 'support', 'View a customer tenant in a time-boxed support session', 'platform')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r
+JOIN permissions p ON p.code = 'support:tenants'
+WHERE r.id = 'reabel_csm'
+ON CONFLICT DO NOTHING;
+
+-- migrate:down
+
+DELETE FROM permissions WHERE code = 'support:tenants';
+
+DROP FUNCTION IF EXISTS tenant_assessment_usage(UUID);
+DROP TABLE IF EXISTS support_sessions;
+
+ALTER TABLE tenants DROP COLUMN updated_at;
+ALTER TABLE tenants DROP COLUMN suspended_by;
+ALTER TABLE tenants DROP COLUMN suspended_reason;
+ALTER TABLE tenants DROP COLUMN suspended_at;
+ALTER TABLE tenants DROP COLUMN max_active_assessments;
+ALTER TABLE tenants DROP COLUMN max_seats;
@@ -0,0 +1,28 @@
+-- ============================================================================
+-- 017: ROLE SWITCHING ("VIEW AS")
+-- A user may act as another role when their own role lists it in
+-- roles.metadata.can_assume (services/roleSwitching.js). The assumed role is
+-- kept on the session, so refreshed access tokens carry it too.
+-- ============================================================================
+
+-- migrate:up
+
+ALTER TABLE auth_sessions ADD COLUMN assumed_role_id VARCHAR(100) REFERENCES roles(id) ON DELETE SET NULL;  -- NULL = the user's own role
+ALTER TABLE auth_sessions ADD COLUMN assumed_at TIMESTAMP;
+
+-- Seeded databases: the roles.json canAssume lists
+UPDATE roles
+SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('can_assume', CASE id
+    WHEN 'reabel_superadmin' THEN '["reabel_csm", "reabel_analyst", "customer_admin", "domain_manager", "contributor", "reviewer", "observer"]'::jsonb
+    WHEN 'reabel_csm' THEN '["customer_admin", "domain_manager", "contributor", "reviewer", "observer"]'::jsonb
+    WHEN 'customer_admin' THEN '["domain_manager", "contributor", "reviewer", "observer"]'::jsonb
+    ELSE '[]'::jsonb
+END)
+WHERE NOT COALESCE(metadata, '{}'::jsonb) ? 'can_assume';
+
+-- migrate:down
+
+UPDATE roles SET metadata = metadata - 'can_assume';
+
+ALTER TABLE auth_sessions DROP COLUMN assumed_at;
+ALTER TABLE auth_sessions DROP COLUMN assumed_role_id;
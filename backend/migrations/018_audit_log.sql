@@ -0,0 +1,56 @@
+-- ============================================================================
+-- 018: AUDIT LOG
+-- Every mutating API call is written to audit_logs by middleware/audit.js,
+-- with the request and its outcome. Customer admins read their tenant's log
+-- and superadmins every tenant's (the audit_logs data filter); both can
+-- export it as CSV.
+-- ============================================================================
+
+-- migrate:up
+
+ALTER TABLE audit_logs ADD COLUMN role_id VARCHAR(100);          -- Role the actor acted as
+ALTER TABLE audit_logs ADD COLUMN request_method VARCHAR(10);    -- NULL for events not tied to a request
+ALTER TABLE audit_logs ADD COLUMN request_path VARCHAR(500);
+ALTER TABLE audit_logs ADD COLUMN status_code INTEGER;
+
+CREATE INDEX idx_audit_logs_tenant_created ON audit_logs (tenant_id, created_at DESC);
+CREATE INDEX idx_audit_logs_created ON audit_logs (created_at DESC);
+
+-- Seeded databases: who may read the log, and how much of it
+INSERT INTO permissions (code, resource, action, description, category)
+VALUES ('view:audit', 'audit', 'view', 'Read and export the audit log', 'security')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r
+JOIN permissions p ON p.code = 'view:audit'
+WHERE r.id = 'customer_admin'
+ON CONFLICT DO NOTHING;
+
+UPDATE roles
+SET metadata = jsonb_set(
+    COALESCE(metadata, '{}'::jsonb),
+    '{data_filters}',
+    COALESCE(metadata->'data_filters', '{}'::jsonb) || jsonb_build_object('audit_logs', CASE id
+        WHEN 'reabel_superadmin' THEN 'all'
+        ELSE 'own_company'
+    END)
+)
+WHERE id IN ('reabel_superadmin', 'customer_admin');
+
+-- migrate:down
+
+UPDATE roles
+SET metadata = jsonb_set(metadata, '{data_filters}', (metadata->'data_filters') - 'audit_logs')
+WHERE metadata ? 'data_filters';
+
+DELETE FROM permissions WHERE code = 'view:audit';
+
+DROP INDEX IF EXISTS idx_audit_logs_created;
+DROP INDEX IF EXISTS idx_audit_logs_tenant_created;
+
+ALTER TABLE audit_logs DROP COLUMN status_code;
+ALTER TABLE audit_logs DROP COLUMN request_path;
+ALTER TABLE audit_logs DROP COLUMN request_method;
+ALTER TABLE audit_logs DROP COLUMN role_id;
@@ -0,0 +1,40 @@
+-- ============================================================================
+-- 019: NOTIFICATION INBOX
+-- In-app notifications stay in notifications until the user reads them; the
+-- inbox lists them newest first per user, by type (the template they came
+-- from). Reviewing a response now notifies whoever answered it.
+-- ============================================================================
+
+-- migrate:up
+
+CREATE INDEX idx_notifications_user_created ON notifications (user_id, created_at DESC);
+
+INSERT INTO notification_templates (template_code, name, subject, body_template, notification_type, trigger_event, is_active)
+VALUES (
+    'response_reviewed',
+    'Response reviewed',
+    'Your answer on {{assessment_title}} was {{review_status}}',
+    'Your answer to "{{question_text}}" on "{{assessment_title}}" was {{review_status}}. {{reviewer_comments}}',
+    'in-app',
+    'response.review',
+    true
+)
+ON CONFLICT (template_code) DO NOTHING;
+
+-- Seeded databases: roles with a restricted menu get the Notifications page
+UPDATE roles
+SET metadata = jsonb_set(metadata, '{navigation}', (metadata->'navigation') || '"notifications"'::jsonb)
+WHERE jsonb_typeof(metadata->'navigation') = 'array'
+  AND NOT (metadata->'navigation') ? 'notifications';
+
+-- migrate:down
+
+UPDATE roles
+SET metadata = jsonb_set(metadata, '{navigation}', (metadata->'navigation') - 'notifications')
+WHERE jsonb_typeof(metadata->'navigation') = 'array';
+
+DELETE FROM notification_templates
+WHERE template_code = 'response_reviewed'
+  AND NOT EXISTS (SELECT 1 FROM notifications n WHERE n.template_id = notification_templates.id);
+
+DROP INDEX IF EXISTS idx_notifications_user_created;
@@ -0,0 +1,83 @@
+-- ============================================================================
+-- 020: NOTIFICATION PREFERENCES
+-- Each user picks a channel per event (the trigger_event of the in-app
+-- templates): in-app (inbox only), email (inbox and email) or none. Emails
+-- are mailed one by one, or batched into a daily or weekly digest, and held
+-- back during the user's quiet hours. Updating an assessment now notifies
+-- its creator and assignees.
+-- ============================================================================
+
+-- migrate:up
+
+CREATE TABLE notification_preferences (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    trigger_event VARCHAR(100) NOT NULL,
+    channel VARCHAR(20) NOT NULL CHECK (channel IN ('in-app', 'email', 'none')),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (user_id, trigger_event)
+);
+
+CREATE TABLE notification_settings (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    digest_frequency VARCHAR(20) NOT NULL DEFAULT 'off' CHECK (digest_frequency IN ('off', 'daily', 'weekly')),
+    digest_hour SMALLINT NOT NULL DEFAULT 8 CHECK (digest_hour BETWEEN 0 AND 23),
+    digest_weekday SMALLINT NOT NULL DEFAULT 1 CHECK (digest_weekday BETWEEN 0 AND 6),   -- 0 = Sunday
+    quiet_hours_start TIME,
+    quiet_hours_end TIME,
+    timezone VARCHAR(100) NOT NULL DEFAULT 'UTC',
+    last_digest_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- pending: still to be emailed (right away, after quiet hours or in the next digest)
+ALTER TABLE notifications
+    ADD COLUMN email_status VARCHAR(20) CHECK (email_status IN ('pending', 'sent')),
+    ADD COLUMN emailed_at TIMESTAMP;
+
+CREATE INDEX idx_notifications_email_pending ON notifications (user_id, created_at) WHERE email_status = 'pending';
+
+INSERT INTO notification_templates (template_code, name, subject, body_template, notification_type, trigger_event, is_active)
+VALUES
+    (
+        'assessment_updated',
+        'Assessment updated',
+        '{{assessment_title}} was updated',
+        '{{actor_name}} changed the {{changed_fields}} of "{{assessment_title}}".',
+        'in-app',
+        'assessment.update',
+        true
+    ),
+    (
+        'notification_email',
+        'Notification email',
+        '{{subject}}',
+        E'Hi {{name}},\n\n{{body}}\n\nSee all your notifications:\n\n{{inbox_url}}\n\nYou can choose which notifications you receive by email on the same page.',
+        'email',
+        'notification.email',
+        true
+    ),
+    (
+        'notification_digest',
+        'Notification digest',
+        'Your REABEL notifications: {{count}} new',
+        E'Hi {{name}},\n\nHere is what happened since your last update:\n\n{{items}}\n\nSee all your notifications:\n\n{{inbox_url}}\n\nYou can change your digest and email settings on the same page.',
+        'email',
+        'notification.digest',
+        true
+    )
+ON CONFLICT (template_code) DO NOTHING;
+
+-- migrate:down
+
+DELETE FROM notification_templates
+WHERE template_code IN ('assessment_updated', 'notification_email', 'notification_digest')
+  AND NOT EXISTS (SELECT 1 FROM notifications n WHERE n.template_id = notification_templates.id);
+
+DROP INDEX IF EXISTS idx_notifications_email_pending;
+
+ALTER TABLE notifications
+    DROP COLUMN IF EXISTS emailed_at,
+    DROP COLUMN IF EXISTS email_status;
+
+DROP TABLE IF EXISTS notification_settings;
+DROP TABLE IF EXISTS notification_preferences;
@@ -0,0 +1,80 @@
+-- ============================================================================
+-- 021: DUE DATE REMINDERS
+-- A scheduled job reminds assignees before their due date, escalates overdue
+-- assignments along a per-tenant chain of roles (tenants.settings.reminders)
+-- and flags overdue action items. reminder_deliveries records what was sent,
+-- so every reminder and escalation goes out once per due date.
+-- ============================================================================
+
+-- migrate:up
+
+CREATE TABLE reminder_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    entity_type VARCHAR(50) NOT NULL,   -- 'assignment', 'action_item'
+    entity_id UUID NOT NULL,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('reminder', 'escalation', 'overdue')),
+    step INTEGER NOT NULL DEFAULT 0,    -- Days before the due date (reminder) or escalation level
+    due_date TIMESTAMP NOT NULL,        -- A new due date starts over
+    recipients INTEGER NOT NULL DEFAULT 0,
+    sent_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    UNIQUE (entity_type, entity_id, kind, step, due_date)
+);
+
+CREATE INDEX idx_reminder_deliveries_entity ON reminder_deliveries (entity_id, sent_at DESC);
+
+ALTER TABLE action_items ADD COLUMN overdue_at TIMESTAMP;
+
+-- The job runs outside any request: no caller scope, so row-level security
+-- would hide every assessment. Like tenant_assessment_usage(), this reads one
+-- tenant's assessments regardless of the caller.
+CREATE OR REPLACE FUNCTION tenant_assessments(tenant UUID)
+RETURNS SETOF assessments
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public AS $$
+    SELECT *
+    FROM assessments
+    WHERE tenant_id = tenant
+$$;
+
+INSERT INTO notification_templates (template_code, name, subject, body_template, notification_type, trigger_event, is_active)
+VALUES
+    (
+        'due_date_reminder',
+        'Due date reminder',
+        '{{assessment_title}} is due {{due_in}}',
+        'Your part of "{{assessment_title}}" ({{dimension_name}}) is due {{due_in}}, on {{due_date}}.',
+        'in-app',
+        'assessment.reminder',
+        true
+    ),
+    (
+        'assignment_overdue',
+        'Overdue assignment',
+        '{{assignee_name}} is {{overdue_by}} late on {{assessment_title}}',
+        '{{dimension_name}} on "{{assessment_title}}" was due on {{due_date}} and is still open. It is assigned to {{assignee_name}}.',
+        'in-app',
+        'assessment.escalation',
+        true
+    ),
+    (
+        'action_item_overdue',
+        'Overdue action item',
+        'Action item overdue: {{action_title}}',
+        '"{{action_title}}" from "{{assessment_title}}" was due on {{due_date}} and is not completed yet.',
+        'in-app',
+        'action.overdue',
+        true
+    )
+ON CONFLICT (template_code) DO NOTHING;
+
+-- migrate:down
+
+DELETE FROM notification_templates
+WHERE template_code IN ('due_date_reminder', 'assignment_overdue', 'action_item_overdue')
+  AND NOT EXISTS (SELECT 1 FROM notifications n WHERE n.template_id = notification_templates.id);
+
+DROP FUNCTION IF EXISTS tenant_assessments(UUID);
+
+ALTER TABLE action_items DROP COLUMN IF EXISTS overdue_at;
+
+DROP TABLE IF EXISTS reminder_deliveries;
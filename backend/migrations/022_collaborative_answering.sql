@@ -0,0 +1,43 @@
+-- ============================================================================
+-- 022: COLLABORATIVE ANSWERING
+-- Teammates answering the same dimension see who is looking at which question
+-- (assessment_presence) and who is editing it (question_locks, soft locks that
+-- expire unless renewed). Responses carry a version: a save based on an older
+-- version is refused instead of overwriting a teammate's answer.
+-- ============================================================================
+
+-- migrate:up
+
+ALTER TABLE assessment_responses
+    ADD COLUMN version INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN updated_by UUID REFERENCES users(id);
+
+-- One row per person with the assessment open, refreshed by a heartbeat
+CREATE TABLE assessment_presence (
+    assessment_id UUID NOT NULL REFERENCES assessments(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    question_id UUID,                   -- Question in view, if any
+    last_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (assessment_id, user_id)
+);
+
+-- Advisory: others are warned and may take over; an expired lock is free
+CREATE TABLE question_locks (
+    assessment_id UUID NOT NULL REFERENCES assessments(id) ON DELETE CASCADE,
+    question_id UUID NOT NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    acquired_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    PRIMARY KEY (assessment_id, question_id)
+);
+
+CREATE INDEX idx_question_locks_user ON question_locks (user_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS question_locks;
+DROP TABLE IF EXISTS assessment_presence;
+
+ALTER TABLE assessment_responses
+    DROP COLUMN IF EXISTS updated_by,
+    DROP COLUMN IF EXISTS version;
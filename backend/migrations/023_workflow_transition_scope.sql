@@ -0,0 +1,71 @@
+-- ============================================================================
+-- 023: WORKFLOW TRANSITION SCOPE
+-- An UPDATE that reads the row (WHERE, RETURNING) must also be able to see the
+-- new row, so a scope that depends on the status hid an assessment from the
+-- very transition moving it on: a reviewer (pending_review) approving an
+-- in_review assessment failed the policy. The workflow engine now names the
+-- assessment it is transitioning, after checking the caller may do so
+-- (services/workflowEngine.js), and that assessment stays visible for the rest
+-- of the transaction and to the transition's post-actions:
+--   app.transition_id  assessment being transitioned
+-- ============================================================================
+
+-- migrate:up
+
+DROP POLICY IF EXISTS assessments_data_scope ON assessments;
+CREATE POLICY assessments_data_scope ON assessments
+    USING (
+        CASE app_data_scope('assessments')
+            WHEN 'all' THEN TRUE
+            WHEN 'all_customers' THEN TRUE
+            WHEN 'own_company' THEN tenant_id = app_tenant_id()
+            WHEN 'all_in_company' THEN tenant_id = app_tenant_id()
+            WHEN 'assigned_domains' THEN tenant_id = app_tenant_id() AND EXISTS (
+                SELECT 1 FROM jsonb_array_elements(dimensions) d
+                WHERE d->>'id' = ANY (string_to_array(current_setting('app.domains', true), ','))
+            )
+            WHEN 'assigned_only' THEN tenant_id = app_tenant_id() AND EXISTS (
+                SELECT 1 FROM assessment_assignments aa
+                WHERE aa.assessment_id = assessments.id
+                  AND aa.user_id::text = current_setting('app.user_id', true)
+            )
+            WHEN 'pending_review' THEN tenant_id = app_tenant_id() AND status = 'in_review'
+            ELSE FALSE
+        END
+        OR (
+            tenant_id = app_tenant_id()
+            AND id::text = current_setting('app.transition_id', true)
+        )
+    )
+    WITH CHECK (
+        app_data_scope('assessments') IN ('all', 'all_customers')
+        OR tenant_id = app_tenant_id()
+    );
+
+-- migrate:down
+
+DROP POLICY IF EXISTS assessments_data_scope ON assessments;
+CREATE POLICY assessments_data_scope ON assessments
+    USING (
+        CASE app_data_scope('assessments')
+            WHEN 'all' THEN TRUE
+            WHEN 'all_customers' THEN TRUE
+            WHEN 'own_company' THEN tenant_id = app_tenant_id()
+            WHEN 'all_in_company' THEN tenant_id = app_tenant_id()
+            WHEN 'assigned_domains' THEN tenant_id = app_tenant_id() AND EXISTS (
+                SELECT 1 FROM jsonb_array_elements(dimensions) d
+                WHERE d->>'id' = ANY (string_to_array(current_setting('app.domains', true), ','))
+            )
+            WHEN 'assigned_only' THEN tenant_id = app_tenant_id() AND EXISTS (
+                SELECT 1 FROM assessment_assignments aa
+                WHERE aa.assessment_id = assessments.id
+                  AND aa.user_id::text = current_setting('app.user_id', true)
+            )
+            WHEN 'pending_review' THEN tenant_id = app_tenant_id() AND status = 'in_review'
+            ELSE FALSE
+        END
+    )
+    WITH CHECK (
+        app_data_scope('assessments') IN ('all', 'all_customers')
+        OR tenant_id = app_tenant_id()
+    );
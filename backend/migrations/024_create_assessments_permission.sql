@@ -0,0 +1,27 @@
+-- ============================================================================
+-- 024: CREATE ASSESSMENTS PERMISSION
+-- POST /api/v1/assessments requires create:assessments, held by the roles in
+-- permissions.json actions.create_assessment (customer admins and domain
+-- managers)
+-- ============================================================================
+
+-- migrate:up
+
+-- Seeded databases; fresh ones get it from permissions.json when seeded
+INSERT INTO permissions (code, resource, action, description, category)
+VALUES ('create:assessments', 'assessments', 'create', 'Start new assessments', 'assessments')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r
+JOIN permissions p ON p.code = 'create:assessments'
+WHERE r.id IN ('customer_admin', 'domain_manager')
+ON CONFLICT DO NOTHING;
+
+-- migrate:down
+
+DELETE FROM role_permissions
+WHERE permission_id IN (SELECT id FROM permissions WHERE code = 'create:assessments');
+
+DELETE FROM permissions WHERE code = 'create:assessments';
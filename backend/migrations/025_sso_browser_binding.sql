@@ -0,0 +1,18 @@
+-- ============================================================================
+-- 025: SSO BROWSER BINDING
+-- A login request is tied to the browser that started it: the browser holds a
+-- random token in a cookie and the request keeps its hash. Callbacks claim a
+-- request only with that cookie, so an IdP response cannot be replayed into
+-- someone else's browser to sign them in as the attacker (login CSRF).
+-- ============================================================================
+
+-- migrate:up
+
+ALTER TABLE sso_login_requests ADD COLUMN browser_hash VARCHAR(64);
+
+-- Requests in flight have no binding and can no longer be claimed
+DELETE FROM sso_login_requests WHERE handoff_hash IS NULL;
+
+-- migrate:down
+
+ALTER TABLE sso_login_requests DROP COLUMN IF EXISTS browser_hash;
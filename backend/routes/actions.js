@@ -0,0 +1,225 @@
+/**
+ * MODULE 3: ACTION ITEMS
+ * Follow-up actions generated from assessment results
+ * Visibility follows the parent assessment's data scope
+ */
+
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { loadDataScope, scopeCondition, withDataScope } = require('../middleware/dataScope');
+const { auditChanges } = require('../middleware/audit');
+const { publish } = require('../services/realtime');
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+const STATUSES = ['pending', 'in_progress', 'completed', 'cancelled'];
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+const ACTION_SELECT = `
+    SELECT
+        ai.*,
+        a.title AS assessment_title,
+        a.tenant_id,
+        u.name AS assigned_to_name
+    FROM action_items ai
+    JOIN assessments a ON ai.assessment_id = a.id
+    LEFT JOIN users u ON ai.assigned_to = u.id
+`;
+
+// Highest priority first, then soonest due
+const ACTION_ORDER = `
+    ORDER BY
+        CASE ai.priority
+            WHEN 'critical' THEN 0
+            WHEN 'high' THEN 1
+            WHEN 'medium' THEN 2
+            ELSE 3
+        END,
+        ai.due_date NULLS LAST,
+        ai.created_at
+`;
+
+router.use(authenticateToken, loadDataScope('assessments'));
+
+router.param('id', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Action item not found'
+        });
+    }
+    next();
+});
+
+/**
+ * GET /api/v1/actions
+ * List action items on visible assessments
+ * Query: assessment_id, status, priority, assigned_to, page, limit
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { assessment_id, status, priority, assigned_to } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        const params = [];
+        const conditions = [scopeCondition(req.dataScope, params)];
+
+        if (assessment_id) {
+            params.push(assessment_id);
+            conditions.push(`ai.assessment_id::text = $${params.length}`);
+        }
+
+        if (status) {
+            params.push(status);
+            conditions.push(`ai.status = $${params.length}`);
+        }
+
+        if (priority) {
+            params.push(priority);
+            conditions.push(`ai.priority = $${params.length}`);
+        }
+
+        if (assigned_to) {
+            params.push(assigned_to === 'me' ? req.partner.userId : assigned_to);
+            conditions.push(`ai.assigned_to::text = $${params.length}`);
+        }
+
+        const where = `WHERE ${conditions.join(' AND ')}`;
+
+        const { total, rows } = await withDataScope(req.dataScope, async (client) => {
+            const countResult = await client.query(`
+                SELECT COUNT(*)
+                FROM action_items ai
+                JOIN assessments a ON ai.assessment_id = a.id
+                ${where}
+            `, params);
+
+            const result = await client.query(`
+                ${ACTION_SELECT}
+                ${where}
+                ${ACTION_ORDER}
+                LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+            `, [...params, limit, (page - 1) * limit]);
+
+            return { total: parseInt(countResult.rows[0].count, 10), rows: result.rows };
+        });
+
+        res.json({
+            success: true,
+            actions: rows,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('List action items error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load action items'
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/actions/:id
+ * Update status, priority, assignee or due date
+ */
+router.put('/:id', auditChanges('action_item', 'action_items'), async (req, res) => {
+    try {
+        const { status, priority, assigned_to, due_date } = req.body;
+
+        if (status !== undefined && !STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${STATUSES.join(', ')}`
+            });
+        }
+
+        if (priority !== undefined && !PRIORITIES.includes(priority)) {
+            return res.status(400).json({
+                success: false,
+                message: `Priority must be one of: ${PRIORITIES.join(', ')}`
+            });
+        }
+
+        const fields = { status, priority, assigned_to, due_date };
+        const updates = Object.keys(fields).filter(field => fields[field] !== undefined);
+
+        if (updates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No updatable fields provided'
+            });
+        }
+
+        const params = updates.map(field => fields[field]);
+        const assignments = updates.map((field, i) => `${field} = $${i + 1}`);
+
+        if (status !== undefined) {
+            params.push(status === 'completed' ? new Date() : null);
+            assignments.push(`completed_at = $${params.length}`);
+        }
+
+        params.push(req.params.id);
+        const idParam = params.length;
+        const scope = scopeCondition(req.dataScope, params);
+
+        const action = await withDataScope(req.dataScope, async (client) => {
+            const result = await client.query(`
+                UPDATE action_items ai
+                SET ${assignments.join(', ')}
+                FROM assessments a
+                WHERE ai.id = $${idParam}
+                  AND ai.assessment_id = a.id
+                  AND ${scope}
+                RETURNING ai.id
+            `, params);
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            const updated = await client.query(`${ACTION_SELECT} WHERE ai.id = $1`, [req.params.id]);
+            return updated.rows[0];
+        });
+
+        if (!action) {
+            return res.status(404).json({
+                success: false,
+                message: 'Action item not found'
+            });
+        }
+
+        publish({
+            type: 'action_item.updated',
+            tenantId: action.tenant_id,
+            assessmentId: action.assessment_id,
+            actorId: req.partner.userId,
+            data: { actionItemId: action.id, status: action.status, changed: updates }
+        });
+
+        res.json({
+            success: true,
+            message: 'Action item updated',
+            action
+        });
+
+    } catch (error) {
+        console.error('Update action item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update action item'
+        });
+    }
+});
+
+module.exports = router;
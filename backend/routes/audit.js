@@ -0,0 +1,172 @@
+/**
+ * MODULE 1: AUDIT LOG
+ * Search and export audit_logs (written by middleware/audit.js and the services)
+ *
+ * Needs view:audit. How much of the log a role sees is its audit_logs data
+ * filter: customer admins their own tenant, superadmins every tenant.
+ * Exports are themselves recorded in the log.
+ */
+
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { loadDataScope, scopeCondition } = require('../middleware/dataScope');
+const { requirePermission } = require('../middleware/permissions');
+const { clientInfo } = require('../services/sessions');
+const { recordAudit, listAuditLogs, auditFacets, toCsv } = require('../services/audit');
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const OUTCOMES = ['succeeded', 'failed'];
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 2000;
+const EXPORT_LIMIT = 10000;
+
+router.use(authenticateToken, requirePermission('view:audit'), loadDataScope('audit_logs'));
+
+/**
+ * Read the viewer filters from the query string
+ * @returns {object} { filter } or { error }
+ */
+function parseFilter(query, maxLimit) {
+    const { search, action, entityType, userId, tenantId, outcome, from, to } = query;
+
+    for (const [name, value] of [['userId', userId], ['tenantId', tenantId]]) {
+        if (value && !UUID_PATTERN.test(value)) {
+            return { error: `${name} must be an ID` };
+        }
+    }
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value && Number.isNaN(Date.parse(value))) {
+            return { error: `${name} must be a date` };
+        }
+    }
+
+    if (outcome && !OUTCOMES.includes(outcome)) {
+        return { error: `outcome must be one of: ${OUTCOMES.join(', ')}` };
+    }
+
+    const limit = query.limit ? parseInt(query.limit, 10) : Math.min(DEFAULT_LIMIT, maxLimit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+        return { error: `limit must be between 1 and ${maxLimit}` };
+    }
+
+    return {
+        filter: {
+            search: search ? String(search).trim() || null : null,
+            action: action || null,
+            entityType: entityType || null,
+            userId: userId || null,
+            tenantId: tenantId || null,
+            outcome: outcome || null,
+            from: from ? new Date(from) : null,
+            to: to ? new Date(to) : null,
+            limit
+        }
+    };
+}
+
+/**
+ * GET /api/v1/audit/logs?search&action&entityType&userId&tenantId&outcome&from&to&limit
+ * Audit entries in the caller's scope, newest first (at most 2000)
+ */
+router.get('/logs', async (req, res) => {
+    try {
+        const { filter, error } = parseFilter(req.query, MAX_LIMIT);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const params = [];
+        const scope = scopeCondition(req.dataScope, params, 'l');
+        const logs = await listAuditLogs(pool, scope, params, filter);
+
+        res.json({
+            success: true,
+            logs,
+            limit: filter.limit,
+            truncated: logs.length === filter.limit
+        });
+
+    } catch (error) {
+        console.error('List audit log error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load audit log'
+        });
+    }
+});
+
+/**
+ * GET /api/v1/audit/facets
+ * Actions and entity types in the caller's scope, for the viewer filters
+ */
+router.get('/facets', async (req, res) => {
+    try {
+        const params = [];
+        const scope = scopeCondition(req.dataScope, params, 'l');
+
+        res.json({
+            success: true,
+            ...await auditFacets(pool, scope, params)
+        });
+
+    } catch (error) {
+        console.error('Audit facets error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load audit filters'
+        });
+    }
+});
+
+/**
+ * GET /api/v1/audit/logs/export?<same filters as /logs>
+ * The matching entries as a CSV download (at most 10000)
+ */
+router.get('/logs/export', async (req, res) => {
+    try {
+        const { filter, error } = parseFilter({ limit: String(EXPORT_LIMIT), ...req.query }, EXPORT_LIMIT);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const params = [];
+        const scope = scopeCondition(req.dataScope, params, 'l');
+        const logs = await listAuditLogs(pool, scope, params, filter);
+
+        await recordAudit(pool, {
+            action: 'audit.exported',
+            entityType: 'audit_log',
+            tenantId: req.partner.tenantId,
+            actorId: req.partner.userId,
+            newValues: { filter, rows: logs.length },
+            client: clientInfo(req),
+            request: { roleId: req.partner.roleId, method: req.method, path: req.baseUrl + req.path, statusCode: 200 }
+        });
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.send(toCsv(logs));
+
+    } catch (error) {
+        console.error('Export audit log error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export audit log'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,1298 @@
+/**
+ * MODULE 1: AUTHENTICATION
+ * Sign-up, login, sessions, email verification and password reset
+ * Accounts are users in a tenant; roles come from user_roles (see services/accounts.js)
+ * Login opens a session with a short-lived access token and a rotating refresh
+ * token (see services/sessions.js). Users with MFA, or in a tenant that enforces
+ * it, get an interim mfaToken first and finish through /mfa/verify or /mfa/activate
+ * Verification and reset links are emailed through the outbox (see services/email.js)
+ * Credential endpoints are rate limited per IP and per account, and repeated wrong
+ * passwords lock the account (see services/lockout.js)
+ * Users whose role allows it can view the app as another role; the switch rides
+ * in the session's access tokens and is audited (see services/roleSwitching.js)
+ */
+
+const express = require('express');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const { withTransaction } = require('../config/transaction');
+const { JWT_SECRET, authenticateToken, requireTenant } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { auditedInService } = require('../middleware/audit');
+const { rateLimit, byAccount, byUser } = require('../middleware/rateLimit');
+const { enqueueEmail } = require('../services/email');
+const { isLocked, recordFailedLogin, clearFailedLogins, unlockAccount } = require('../services/lockout');
+const { findAccount, rolePermissions, actAs, formatUser } = require('../services/accounts');
+const { RoleSwitchError, assumableRoles, switchRole } = require('../services/roleSwitching');
+const {
+    SessionError,
+    roleSwitchingEnabled,
+    signAccessToken,
+    clientInfo,
+    completeLogin,
+    refreshSession,
+    findSessionByRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    listSessions
+} = require('../services/sessions');
+const {
+    MfaError,
+    mfaStatus,
+    beginEnrollment,
+    activateEnrollment,
+    replaceRecoveryCodes,
+    disableMfa,
+    verifySecondFactor,
+    findChallenge,
+    recordFailedAttempt,
+    consumeChallenge,
+    startLoginChallenge
+} = require('../services/mfa');
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Whoever signs up creates the tenant and administers it
+const REGISTRATION_ROLE = 'customer_admin';
+
+const TOKEN_TTL_HOURS = {
+    email_verification: 24,
+    password_reset: 1,
+    account_unlock: 24
+};
+
+// Pages the emailed links open; the token rides in the fragment
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:8000').replace(/\/+$/, '');
+const TOKEN_LINKS = {
+    email_verification: { field: 'verify_url', url: token => `${FRONTEND_URL}/pages/01_login.html#verifyToken=${token}` },
+    password_reset: { field: 'reset_url', url: token => `${FRONTEND_URL}/pages/04_forgot-password.html#resetToken=${token}` },
+    account_unlock: { field: 'unlock_url', url: token => `${FRONTEND_URL}/pages/01_login.html#unlockToken=${token}` }
+};
+
+// Brute-force limits; the email and token limiters are shared by the endpoints using them
+const MINUTE = 60 * 1000;
+const limitLoginByIp = rateLimit({ name: 'login-ip', windowMs: 15 * MINUTE, max: 30 });
+const limitLoginByAccount = rateLimit({ name: 'login-account', windowMs: 15 * MINUTE, max: 10, key: byAccount });
+const limitEmailByIp = rateLimit({ name: 'email-ip', windowMs: 60 * MINUTE, max: 10 });
+const limitEmailByAccount = rateLimit({ name: 'email-account', windowMs: 60 * MINUTE, max: 3, key: byAccount });
+const limitTokenByIp = rateLimit({ name: 'token-ip', windowMs: 15 * MINUTE, max: 20 });
+const limitRegisterByIp = rateLimit({ name: 'register-ip', windowMs: 60 * MINUTE, max: 10 });
+const limitMfaByUser = rateLimit({ name: 'mfa-user', windowMs: 15 * MINUTE, max: 10, key: byUser });
+
+/**
+ * Create a single-use email verification or password reset token
+ * @param {object} db - Database client or pool
+ * @param {string} userId - User ID
+ * @param {string} tokenType - 'email_verification' or 'password_reset'
+ * @returns {Promise<string>} Token
+ */
+async function createVerificationToken(db, userId, tokenType) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date();
+    expiresAt.setHours(expiresAt.getHours() + TOKEN_TTL_HOURS[tokenType]);
+
+    await db.query(`
+        INSERT INTO verification_tokens (user_id, token, token_type, expires_at)
+        VALUES ($1, $2, $3, $4)
+    `, [userId, token, tokenType, expiresAt]);
+
+    return token;
+}
+
+/**
+ * Create a single-use token and queue the email carrying its link
+ * @param {object} db - Database client (the caller's transaction)
+ * @param {object} user - { id, email, name, tenant_id }
+ * @param {string} tokenType - 'email_verification', 'password_reset' or 'account_unlock'
+ *                             (also the template code)
+ * @param {object} data - Extra placeholder values
+ */
+async function sendTokenEmail(db, user, tokenType, data = {}) {
+    const token = await createVerificationToken(db, user.id, tokenType);
+    const link = TOKEN_LINKS[tokenType];
+
+    await enqueueEmail(db, {
+        templateCode: tokenType,
+        to: user.email,
+        userId: user.id,
+        tenantId: user.tenant_id,
+        data: {
+            name: user.name,
+            email: user.email,
+            [link.field]: link.url(token),
+            valid_hours: TOKEN_TTL_HOURS[tokenType],
+            ...data
+        }
+    });
+}
+
+function sendLocked(res, lockedUntil) {
+    res.status(423).json({
+        success: false,
+        message: 'Account is locked after too many failed sign-in attempts. Use the link we emailed you, or try again later.',
+        locked: true,
+        lockedUntil
+    });
+}
+
+/**
+ * Authenticate MFA enrollment: a normal access token, or the interim
+ * mfaToken issued when the tenant requires MFA and the user has none yet
+ * Sets req.enrollmentChallenge in the second case
+ */
+async function authenticateEnrollment(req, res, next) {
+    if (!req.body.mfaToken) {
+        return authenticateToken(req, res, next);
+    }
+
+    try {
+        const challenge = await findChallenge(pool, req.body.mfaToken, 'enroll');
+
+        if (!challenge) {
+            return res.status(401).json({
+                success: false,
+                message: 'MFA token is invalid or has expired'
+            });
+        }
+
+        req.enrollmentChallenge = challenge;
+        next();
+
+    } catch (error) {
+        console.error('MFA token check error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'MFA token check failed'
+        });
+    }
+}
+
+function sendMfaError(res, error, fallbackMessage) {
+    if (error instanceof MfaError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+router.param('sessionId', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Session not found'
+        });
+    }
+    next();
+});
+
+router.param('userId', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+    }
+    next();
+});
+
+/**
+ * POST /api/auth/register
+ * Create a tenant and its first user (customer_admin)
+ * Body: email, password, fullName (or name), companyName
+ */
+router.post('/register', limitRegisterByIp, async (req, res) => {
+    try {
+        const { email, password, companyName } = req.body;
+        const name = req.body.fullName || req.body.name || req.body.partnerName;
+
+        // Validation
+        if (!email || !password || !name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email, password, and name are required'
+            });
+        }
+
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+            });
+        }
+
+        // Check if email exists
+        const existing = await pool.query(
+            'SELECT id FROM users WHERE email = $1',
+            [email.toLowerCase()]
+        );
+
+        if (existing.rows.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email already registered'
+            });
+        }
+
+        const passwordHash = await bcrypt.hash(password, 10);
+
+        const { user, tenant } = await withTransaction(async (client) => {
+            const tenantResult = await client.query(`
+                INSERT INTO tenants (id, name, settings, is_active)
+                VALUES ($1, $2, '{}', true)
+                RETURNING id, name
+            `, [crypto.randomUUID(), companyName || name]);
+
+            const tenant = tenantResult.rows[0];
+
+            const userResult = await client.query(`
+                INSERT INTO users (
+                    id, email, name, password_hash, tenant_id,
+                    default_role_id, status, email_verified
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, 'active', false)
+                RETURNING id, email, name, created_at
+            `, [crypto.randomUUID(), email.toLowerCase(), name, passwordHash, tenant.id, REGISTRATION_ROLE]);
+
+            const user = userResult.rows[0];
+
+            await client.query(`
+                INSERT INTO user_roles (user_id, role_id, tenant_id, scope, is_primary)
+                VALUES ($1, $2, $3, '{}', true)
+            `, [user.id, REGISTRATION_ROLE, tenant.id]);
+
+            await sendTokenEmail(client, { ...user, tenant_id: tenant.id }, 'email_verification');
+
+            return { user, tenant };
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Registration successful! Please check your email to verify your account.',
+            user: {
+                id: user.id,
+                name: user.name,
+                email: user.email,
+                role: REGISTRATION_ROLE,
+                tenantId: tenant.id,
+                tenantName: tenant.name
+            }
+        });
+
+    } catch (error) {
+        console.error('Registration error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Registration failed'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/login
+ * Returns { user, session } for AuthService.handleLoginSuccess
+ * session: { id, token, expiresAt, refreshToken, refreshExpiresAt }
+ * (token is repeated at the top level for the standalone login page)
+ * With MFA the response is a challenge instead: { mfaRequired, mfaToken } or,
+ * when the tenant enforces MFA on a user without it, { mfaEnrollmentRequired, mfaToken }
+ */
+router.post('/login', limitLoginByIp, limitLoginByAccount, async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email and password are required'
+            });
+        }
+
+        const account = await findAccount(pool, { email });
+
+        // Failed attempts are logged against the account too (middleware/audit.js)
+        req.audit = {
+            action: 'auth.login',
+            entityType: 'user',
+            entityId: account ? account.id : null,
+            tenantId: account ? account.tenant_id : null,
+            actorId: account ? account.id : null
+        };
+
+        // Users provisioned without a password cannot sign in with one
+        if (!account || !account.password_hash) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid email or password'
+            });
+        }
+
+        // Checked before the password so a locked account gives nothing away
+        if (isLocked(account)) {
+            return sendLocked(res, account.locked_until);
+        }
+
+        const validPassword = await bcrypt.compare(password, account.password_hash);
+
+        if (!validPassword) {
+            const failure = await withTransaction(async (client) => {
+                const result = await recordFailedLogin(client, account, clientInfo(req));
+
+                if (result.locked) {
+                    await sendTokenEmail(client, account, 'account_unlock', {
+                        failed_attempts: result.failedAttempts,
+                        locked_until: new Date(result.lockedUntil).toISOString().slice(0, 16).replace('T', ' ')
+                    });
+                }
+
+                return result;
+            });
+
+            if (failure.locked) {
+                return sendLocked(res, failure.lockedUntil);
+            }
+
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid email or password'
+            });
+        }
+
+        await clearFailedLogins(pool, account);
+
+        if (account.status !== 'active' || account.tenant_active === false) {
+            return res.status(403).json({
+                success: false,
+                message: 'Account is deactivated'
+            });
+        }
+
+        if (!account.email_verified) {
+            return res.status(403).json({
+                success: false,
+                message: 'Please verify your email before logging in',
+                needsVerification: true
+            });
+        }
+
+        const challenge = await startLoginChallenge(pool, account);
+
+        if (challenge) {
+            return res.json(challenge);
+        }
+
+        res.json(await completeLogin(pool, account, clientInfo(req)));
+
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Login failed'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Rotate a refresh token: returns a new { user, session }
+ * The presented token stops working; presenting it again revokes the session
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const { account, session } = await refreshSession(req.body.refreshToken, clientInfo(req));
+        actAs(account, session.roleId, session.assumedFrom);
+        const permissions = await rolePermissions(pool, account.roles[0]);
+
+        res.json({
+            success: true,
+            token: session.token,
+            user: formatUser(account, permissions),
+            session
+        });
+
+    } catch (error) {
+        if (error instanceof SessionError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Token refresh error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Token refresh failed'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session (its refresh family and access tokens)
+ * Identified by body.refreshToken, or by the access token, which may have expired
+ */
+router.post('/logout', async (req, res) => {
+    try {
+        let session = null;
+
+        if (req.body.refreshToken) {
+            session = await findSessionByRefreshToken(pool, req.body.refreshToken);
+        } else {
+            const authHeader = req.headers['authorization'];
+            const token = authHeader && authHeader.split(' ')[1];
+
+            if (token) {
+                try {
+                    const claims = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true });
+                    session = claims.sessionId ? { id: claims.sessionId } : null;
+                } catch (error) {
+                    session = null;
+                }
+            }
+        }
+
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token or access token required'
+            });
+        }
+
+        await revokeSession(pool, session.id, 'logout');
+
+        res.json({
+            success: true,
+            message: 'Logged out'
+        });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Logout failed'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * Revoke every session of the current user, including this one
+ */
+router.post('/logout-all', authenticateToken, async (req, res) => {
+    try {
+        const revoked = await revokeUserSessions(pool, req.partner.userId, 'logout_all');
+
+        res.json({
+            success: true,
+            message: `Logged out of ${revoked} session(s)`,
+            revoked
+        });
+
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log out of all sessions'
+        });
+    }
+});
+
+/**
+ * GET /api/auth/sessions
+ * Active sessions of the current user; the caller's own is flagged current
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await listSessions(pool, req.partner.userId);
+
+        res.json({
+            success: true,
+            sessions: sessions.map(session => ({
+                ...session,
+                current: session.id === req.partner.sessionId
+            }))
+        });
+
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load sessions'
+        });
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Revoke one of the current user's sessions
+ */
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+    try {
+        const revoked = await revokeSession(pool, req.params.sessionId, 'revoked', req.partner.userId);
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
+
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke session'
+        });
+    }
+});
+
+// ============================================================================
+// MULTI-FACTOR AUTHENTICATION
+// ============================================================================
+
+/**
+ * POST /api/auth/mfa/verify
+ * Second login step: { mfaToken, code } or { mfaToken, recoveryCode }
+ * Returns the same payload as a password-only login
+ */
+router.post('/mfa/verify', limitTokenByIp, async (req, res) => {
+    try {
+        const { mfaToken, code, recoveryCode } = req.body;
+
+        if (!mfaToken || (!code && !recoveryCode)) {
+            return res.status(400).json({
+                success: false,
+                message: 'MFA token and a code or recovery code are required'
+            });
+        }
+
+        // Outcomes are returned rather than thrown so failed attempts still count
+        const outcome = await withTransaction(async (client) => {
+            const challenge = await findChallenge(client, mfaToken, 'verify', true);
+
+            if (!challenge) {
+                return { status: 'expired', message: 'MFA token is invalid or has expired' };
+            }
+
+            const method = await verifySecondFactor(client, challenge.user_id, { code, recoveryCode });
+
+            if (!method) {
+                await recordFailedAttempt(client, challenge.id);
+                return { status: 'invalid', message: 'Invalid authentication code' };
+            }
+
+            await consumeChallenge(client, challenge.id);
+            return { status: 'ok', userId: challenge.user_id, method };
+        });
+
+        if (outcome.status !== 'ok') {
+            return res.status(401).json({
+                success: false,
+                message: outcome.message
+            });
+        }
+
+        const account = await findAccount(pool, { id: outcome.userId });
+        const body = await completeLogin(pool, account, clientInfo(req));
+
+        res.json({ ...body, mfaMethod: outcome.method });
+
+    } catch (error) {
+        console.error('MFA verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'MFA verification failed'
+        });
+    }
+});
+
+/**
+ * GET /api/auth/mfa
+ * MFA status of the current user and whether the tenant requires it
+ */
+router.get('/mfa', authenticateToken, async (req, res) => {
+    try {
+        const account = await findAccount(pool, { id: req.partner.userId });
+
+        if (!account) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            mfa: await mfaStatus(pool, account)
+        });
+
+    } catch (error) {
+        console.error('MFA status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load MFA status'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/mfa/enroll
+ * Start TOTP enrollment: returns { secret, otpauthUrl } for the QR code
+ * Auth: access token, or { mfaToken } from a login that requires enrollment
+ */
+router.post('/mfa/enroll', authenticateEnrollment, async (req, res) => {
+    try {
+        const userId = req.enrollmentChallenge ? req.enrollmentChallenge.user_id : req.partner.userId;
+        const account = await findAccount(pool, { id: userId });
+        const enrollment = await beginEnrollment(pool, account);
+
+        res.json({
+            success: true,
+            ...enrollment
+        });
+
+    } catch (error) {
+        sendMfaError(res, error, 'MFA enrollment failed');
+    }
+});
+
+/**
+ * POST /api/auth/mfa/activate
+ * Confirm enrollment with a code: { code } → { recoveryCodes }
+ * When authenticated by mfaToken the login completes too ({ user, session } are added)
+ */
+router.post('/mfa/activate', authenticateEnrollment, async (req, res) => {
+    try {
+        const { code } = req.body;
+        const challenge = req.enrollmentChallenge;
+        const userId = challenge ? challenge.user_id : req.partner.userId;
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Code is required'
+            });
+        }
+
+        const recoveryCodes = await withTransaction(async (client) => {
+            const codes = await activateEnrollment(client, userId, code);
+
+            if (challenge) {
+                await (codes ? consumeChallenge(client, challenge.id) : recordFailedAttempt(client, challenge.id));
+            }
+
+            return codes;
+        });
+
+        if (!recoveryCodes) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const login = challenge ? await completeLogin(pool, await findAccount(pool, { id: userId }), clientInfo(req)) : {};
+
+        res.json({
+            ...login,
+            success: true,
+            message: 'MFA enabled. Store your recovery codes somewhere safe; each works once.',
+            recoveryCodes
+        });
+
+    } catch (error) {
+        sendMfaError(res, error, 'MFA activation failed');
+    }
+});
+
+/**
+ * POST /api/auth/mfa/recovery-codes
+ * Replace recovery codes; requires a current code ({ code } or { recoveryCode })
+ */
+router.post('/mfa/recovery-codes', limitTokenByIp, authenticateToken, limitMfaByUser, async (req, res) => {
+    try {
+        const recoveryCodes = await withTransaction(async (client) => {
+            const method = await verifySecondFactor(client, req.partner.userId, req.body);
+            return method ? replaceRecoveryCodes(client, req.partner.userId) : null;
+        });
+
+        if (!recoveryCodes) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        res.json({
+            success: true,
+            recoveryCodes
+        });
+
+    } catch (error) {
+        sendMfaError(res, error, 'Failed to replace recovery codes');
+    }
+});
+
+/**
+ * POST /api/auth/mfa/disable
+ * Turn MFA off; requires a current code ({ code } or { recoveryCode })
+ * Not allowed while the tenant enforces MFA
+ */
+router.post('/mfa/disable', limitTokenByIp, authenticateToken, limitMfaByUser, async (req, res) => {
+    try {
+        const account = await findAccount(pool, { id: req.partner.userId });
+        const status = await mfaStatus(pool, account);
+
+        if (status.required) {
+            return res.status(409).json({
+                success: false,
+                message: 'Your organization requires MFA'
+            });
+        }
+
+        const disabled = await withTransaction(async (client) => {
+            const method = await verifySecondFactor(client, account.id, req.body);
+            if (!method) {
+                return false;
+            }
+
+            await disableMfa(client, account.id);
+            return true;
+        });
+
+        if (!disabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'MFA disabled'
+        });
+
+    } catch (error) {
+        sendMfaError(res, error, 'Failed to disable MFA');
+    }
+});
+
+/**
+ * PUT /api/auth/mfa/policy
+ * Enforce MFA for everyone in the caller's tenant: { required: boolean }
+ * Users without MFA are asked to enroll at their next login
+ */
+router.put('/mfa/policy', authenticateToken, requireTenant, requirePermission('manage:team'), async (req, res) => {
+    try {
+        const { required } = req.body;
+
+        if (typeof required !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'required must be true or false'
+            });
+        }
+
+        const result = await pool.query(`
+            UPDATE tenants
+            SET settings = COALESCE(settings, '{}'::jsonb) || jsonb_build_object('mfa_required', $2::boolean)
+            WHERE id = $1
+            RETURNING settings
+        `, [req.partner.tenantId, required]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tenant not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: required ? 'MFA is now required for this organization' : 'MFA is now optional',
+            mfaRequired: required
+        });
+
+    } catch (error) {
+        console.error('MFA policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update MFA policy'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Verify email with token
+ */
+router.post('/verify-email', limitTokenByIp, async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification token is required'
+            });
+        }
+
+        // Find valid token
+        const result = await pool.query(`
+            SELECT vt.user_id, u.email
+            FROM verification_tokens vt
+            JOIN users u ON vt.user_id = u.id
+            WHERE vt.token = $1
+              AND vt.token_type = 'email_verification'
+              AND vt.expires_at > NOW()
+              AND vt.used_at IS NULL
+        `, [token]);
+
+        if (result.rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired verification token'
+            });
+        }
+
+        const { user_id, email } = result.rows[0];
+
+        await withTransaction(async (client) => {
+            await client.query(
+                'UPDATE users SET email_verified = true, updated_at = NOW() WHERE id = $1',
+                [user_id]
+            );
+
+            await client.query(
+                'UPDATE verification_tokens SET used_at = NOW() WHERE token = $1',
+                [token]
+            );
+        });
+
+        res.json({
+            success: true,
+            message: 'Email verified successfully! You can now log in.',
+            email
+        });
+
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Email verification failed'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Email a new verification link
+ * Body: email
+ */
+router.post('/resend-verification', limitEmailByIp, limitEmailByAccount, async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is required'
+            });
+        }
+
+        const result = await pool.query(`
+            SELECT id, email, name, tenant_id
+            FROM users
+            WHERE email = $1 AND status = 'active' AND email_verified = false
+        `, [email.toLowerCase()]);
+
+        if (result.rows.length > 0) {
+            await withTransaction(client => sendTokenEmail(client, result.rows[0], 'email_verification'));
+        }
+
+        // Same answer either way (don't reveal if email exists)
+        res.json({
+            success: true,
+            message: 'If that email needs verifying, a new link has been sent'
+        });
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to resend verification email'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Request password reset
+ */
+router.post('/forgot-password', limitEmailByIp, limitEmailByAccount, async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is required'
+            });
+        }
+
+        const result = await pool.query(
+            "SELECT id, email, name, tenant_id FROM users WHERE email = $1 AND status = 'active'",
+            [email.toLowerCase()]
+        );
+
+        if (result.rows.length > 0) {
+            await withTransaction(client => sendTokenEmail(client, result.rows[0], 'password_reset'));
+        }
+
+        // Same answer either way (don't reveal if email exists)
+        res.json({
+            success: true,
+            message: 'If that email exists, a password reset link has been sent'
+        });
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Password reset request failed'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Reset password with token
+ */
+router.post('/reset-password', limitTokenByIp, async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        if (!token || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'Token and new password are required'
+            });
+        }
+
+        if (newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+            });
+        }
+
+        // Find valid token
+        const result = await pool.query(`
+            SELECT user_id
+            FROM verification_tokens
+            WHERE token = $1
+              AND token_type = 'password_reset'
+              AND expires_at > NOW()
+              AND used_at IS NULL
+        `, [token]);
+
+        if (result.rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired reset token'
+            });
+        }
+
+        const passwordHash = await bcrypt.hash(newPassword, 10);
+
+        await withTransaction(async (client) => {
+            await client.query(
+                'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+                [passwordHash, result.rows[0].user_id]
+            );
+
+            // Whoever held the old password loses their sessions
+            await revokeUserSessions(client, result.rows[0].user_id, 'password_reset');
+
+            // The emailed link proves the same as an unlock link
+            await unlockAccount(client, result.rows[0].user_id, { method: 'password_reset', client: clientInfo(req) });
+
+            await client.query(
+                'UPDATE verification_tokens SET used_at = NOW() WHERE token = $1',
+                [token]
+            );
+        });
+
+        res.json({
+            success: true,
+            message: 'Password reset successfully! You can now log in with your new password.'
+        });
+
+    } catch (error) {
+        console.error('Password reset error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Password reset failed'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/unlock
+ * Unlock an account with the token from the lockout email
+ * Body: token
+ */
+router.post('/unlock', limitTokenByIp, async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unlock token is required'
+            });
+        }
+
+        const unlocked = await withTransaction(async (client) => {
+            const result = await client.query(`
+                UPDATE verification_tokens
+                SET used_at = NOW()
+                WHERE token = $1
+                  AND token_type = 'account_unlock'
+                  AND expires_at > NOW()
+                  AND used_at IS NULL
+                RETURNING user_id
+            `, [token]);
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            await unlockAccount(client, result.rows[0].user_id, { method: 'email', client: clientInfo(req) });
+            return result.rows[0];
+        });
+
+        if (!unlocked) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired unlock token'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Account unlocked. You can now log in.'
+        });
+
+    } catch (error) {
+        console.error('Account unlock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Account unlock failed'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/users/:userId/unlock
+ * Unlock a user in the caller's tenant
+ */
+router.post('/users/:userId/unlock', authenticateToken, requireTenant, requirePermission('manage:team'), auditedInService, async (req, res) => {
+    try {
+        const user = await pool.query(
+            'SELECT id FROM users WHERE id = $1 AND tenant_id = $2',
+            [req.params.userId, req.partner.tenantId]
+        );
+
+        if (user.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const unlocked = await withTransaction(client => unlockAccount(client, req.params.userId, {
+            method: 'admin',
+            actorId: req.partner.userId,
+            client: clientInfo(req)
+        }));
+
+        res.json({
+            success: true,
+            message: unlocked ? 'Account unlocked' : 'Account was not locked',
+            unlocked
+        });
+
+    } catch (error) {
+        console.error('Admin unlock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Account unlock failed'
+        });
+    }
+});
+
+/**
+ * GET /api/auth/me
+ * Current user, in the same shape as the login payload
+ * The role is the one the session acts as (assumedFrom is set while viewing as another role)
+ */
+router.get('/me', authenticateToken, async (req, res) => {
+    try {
+        const account = await findAccount(pool, { id: req.partner.userId });
+
+        if (!account || account.status !== 'active') {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        actAs(account, req.partner.roleId, req.partner.assumedFrom);
+
+        const permissions = await rolePermissions(pool, account.roles[0]);
+
+        res.json({
+            success: true,
+            user: formatUser(account, permissions)
+        });
+
+    } catch (error) {
+        console.error('Get user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get user info'
+        });
+    }
+});
+
+// ============================================================================
+// ROLE SWITCHING ("VIEW AS")
+// ============================================================================
+
+/**
+ * Answer a role switch with a new access token and the user as the new role
+ * The refresh token is unchanged: the switch is stored on the session
+ */
+async function sendRoleSwitch(res, { account, session }, message) {
+    const access = signAccessToken(account, session);
+    actAs(account, access.roleId, access.assumedFrom);
+    const permissions = await rolePermissions(pool, access.roleId);
+
+    res.json({
+        success: true,
+        message,
+        token: access.token,
+        user: formatUser(account, permissions),
+        session: access
+    });
+}
+
+function sendRoleSwitchError(res, error, fallbackMessage) {
+    if (error instanceof RoleSwitchError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+function switchActor(req) {
+    return {
+        userId: req.partner.userId,
+        sessionId: req.partner.sessionId,
+        supportSessionId: req.partner.supportSessionId || null,
+        client: clientInfo(req)
+    };
+}
+
+/**
+ * GET /api/auth/roles/assumable
+ * Whether switching is enabled here and the roles the caller's own role may view as
+ */
+router.get('/roles/assumable', authenticateToken, async (req, res) => {
+    try {
+        const ownRoleId = req.partner.assumedFrom || req.partner.roleId;
+        const enabled = roleSwitchingEnabled() && !req.partner.supportSessionId;
+
+        res.json({
+            success: true,
+            enabled,
+            roleId: req.partner.roleId,
+            ownRoleId,
+            assumedRoleId: req.partner.assumedFrom ? req.partner.roleId : null,
+            roles: enabled ? await assumableRoles(pool, ownRoleId, req.partner.tenantId) : []
+        });
+
+    } catch (error) {
+        console.error('List assumable roles error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load roles'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/roles/assume
+ * View the app as another role: { roleId } (the caller's own role switches back)
+ * Returns { token, user, session } like a refresh, without a new refresh token
+ */
+router.post('/roles/assume', authenticateToken, auditedInService, async (req, res) => {
+    try {
+        const { roleId } = req.body;
+
+        if (!roleId || typeof roleId !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'roleId is required'
+            });
+        }
+
+        const result = await withTransaction(client => switchRole(client, roleId, switchActor(req)));
+
+        await sendRoleSwitch(res, result, `Viewing as ${roleId}`);
+
+    } catch (error) {
+        sendRoleSwitchError(res, error, 'Failed to switch role');
+    }
+});
+
+/**
+ * DELETE /api/auth/roles/assume
+ * Return to the caller's own role
+ */
+router.delete('/roles/assume', authenticateToken, auditedInService, async (req, res) => {
+    try {
+        const result = await withTransaction(client => switchRole(client, null, switchActor(req)));
+
+        await sendRoleSwitch(res, result, 'Returned to your own role');
+
+    } catch (error) {
+        sendRoleSwitchError(res, error, 'Failed to switch role');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,290 @@
+/**
+ * MODULE 4: COLLABORATION
+ * Presence and soft question locks while a team answers an assessment together
+ *
+ * Pages send a presence heartbeat (with the question in view) and hold a lock
+ * on the question being edited, renewing both while open; see
+ * services/collaboration.js for how long they last. Changes are relayed to
+ * teammates as 'presence.updated' and 'lock.updated' realtime events.
+ * Visibility follows the assessment's data scope.
+ */
+
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { loadDataScope, scopeCondition, withDataScope } = require('../middleware/dataScope');
+const { requirePermission } = require('../middleware/permissions');
+const { publish } = require('../services/realtime');
+const { ANSWER_PERMISSIONS } = require('../services/responses');
+const { findAssessmentQuestion } = require('../services/templateVersions');
+const {
+    PRESENCE_TTL_SECONDS,
+    LOCK_TTL_SECONDS,
+    CollaborationError,
+    loadState,
+    touchPresence,
+    leave,
+    acquireLock,
+    releaseLock
+} = require('../services/collaboration');
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Locks announce an edit, so only those who may answer take them (as POST /responses)
+const requireAnswerer = requirePermission(...ANSWER_PERMISSIONS);
+
+router.use(authenticateToken, loadDataScope('assessments'));
+
+router.param('id', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Assessment not found'
+        });
+    }
+    next();
+});
+
+router.param('questionId', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Question not found'
+        });
+    }
+    next();
+});
+
+/**
+ * Run callback(client, assessment) on a visible assessment
+ * @throws {CollaborationError} 404 when not visible, 403 without a user account
+ */
+function withAssessment(req, callback) {
+    return withDataScope(req.dataScope, async (client) => {
+        const params = [req.params.id];
+        const scope = scopeCondition(req.dataScope, params);
+
+        const result = await client.query(
+            `SELECT a.id, a.tenant_id, a.template_id, a.template_version_id FROM assessments a WHERE a.id = $1 AND ${scope}`,
+            params
+        );
+
+        if (result.rows.length === 0) {
+            throw new CollaborationError('Assessment not found', 404);
+        }
+
+        if (req.method !== 'GET' && !req.partner.userId) {
+            throw new CollaborationError('Collaboration requires a user account', 403);
+        }
+
+        return callback(client, result.rows[0]);
+    });
+}
+
+function sendCollaborationError(res, error, fallbackMessage) {
+    if (error instanceof CollaborationError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            ...(error.lock ? { lock: error.lock } : {})
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+/**
+ * GET /api/v1/collaboration/assessments/:id/presence
+ * Who has the assessment open (and on which question) and which questions are locked
+ */
+router.get('/assessments/:id/presence', async (req, res) => {
+    try {
+        const state = await withAssessment(req, client => loadState(client, req.params.id));
+
+        res.json({
+            success: true,
+            ...state,
+            presenceTtl: PRESENCE_TTL_SECONDS,
+            lockTtl: LOCK_TTL_SECONDS
+        });
+
+    } catch (error) {
+        sendCollaborationError(res, error, 'Failed to load presence');
+    }
+});
+
+/**
+ * PUT /api/v1/collaboration/assessments/:id/presence
+ * Heartbeat: the caller has the assessment open
+ * Body: { question_id } - question in view, or null
+ * Returns the same as GET
+ */
+router.put('/assessments/:id/presence', async (req, res) => {
+    try {
+        const questionId = req.body.question_id || null;
+
+        if (questionId && !UUID_PATTERN.test(questionId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'question_id must be a question ID'
+            });
+        }
+
+        const outcome = await withAssessment(req, async (client, assessment) => {
+            const changed = await touchPresence(client, {
+                assessmentId: assessment.id,
+                userId: req.partner.userId,
+                questionId
+            });
+
+            return { changed, tenantId: assessment.tenant_id, state: await loadState(client, assessment.id) };
+        });
+
+        if (outcome.changed) {
+            publish({
+                type: 'presence.updated',
+                tenantId: outcome.tenantId,
+                assessmentId: req.params.id,
+                actorId: req.partner.userId,
+                data: { userId: req.partner.userId, questionId, present: true }
+            });
+        }
+
+        res.json({
+            success: true,
+            ...outcome.state,
+            presenceTtl: PRESENCE_TTL_SECONDS,
+            lockTtl: LOCK_TTL_SECONDS
+        });
+
+    } catch (error) {
+        sendCollaborationError(res, error, 'Failed to update presence');
+    }
+});
+
+/**
+ * DELETE /api/v1/collaboration/assessments/:id/presence
+ * The caller closed the assessment; their locks are released too
+ */
+router.delete('/assessments/:id/presence', async (req, res) => {
+    try {
+        const outcome = await withAssessment(req, async (client, assessment) => ({
+            ...(await leave(client, { assessmentId: assessment.id, userId: req.partner.userId })),
+            tenantId: assessment.tenant_id
+        }));
+
+        if (outcome.left) {
+            publish({
+                type: 'presence.updated',
+                tenantId: outcome.tenantId,
+                assessmentId: req.params.id,
+                actorId: req.partner.userId,
+                data: { userId: req.partner.userId, questionId: null, present: false }
+            });
+        }
+
+        outcome.releasedQuestionIds.forEach(questionId => publish({
+            type: 'lock.updated',
+            tenantId: outcome.tenantId,
+            assessmentId: req.params.id,
+            actorId: req.partner.userId,
+            data: { questionId, userId: null }
+        }));
+
+        res.json({
+            success: true,
+            releasedQuestionIds: outcome.releasedQuestionIds
+        });
+
+    } catch (error) {
+        sendCollaborationError(res, error, 'Failed to leave the assessment');
+    }
+});
+
+/**
+ * POST /api/v1/collaboration/assessments/:id/locks/:questionId
+ * Take or renew the lock on a question
+ * Body: { force } - take over a teammate's lock
+ * The question must belong to the assessment's template version
+ * 409 with the teammate's lock when held and not forced
+ */
+router.post('/assessments/:id/locks/:questionId', requireAnswerer, async (req, res) => {
+    try {
+        const outcome = await withAssessment(req, async (client, assessment) => {
+            if (!(await findAssessmentQuestion(client, assessment, req.params.questionId))) {
+                throw new CollaborationError('Question not found for this assessment', 404);
+            }
+
+            return {
+                ...(await acquireLock(client, {
+                    assessmentId: assessment.id,
+                    questionId: req.params.questionId,
+                    userId: req.partner.userId,
+                    force: req.body.force === true
+                })),
+                tenantId: assessment.tenant_id
+            };
+        });
+
+        if (outcome.acquired) {
+            publish({
+                type: 'lock.updated',
+                tenantId: outcome.tenantId,
+                assessmentId: req.params.id,
+                actorId: req.partner.userId,
+                data: { questionId: req.params.questionId, userId: req.partner.userId, takenOverFrom: outcome.takenOverFrom }
+            });
+        }
+
+        res.json({
+            success: true,
+            lock: outcome.lock,
+            takenOverFrom: outcome.takenOverFrom
+        });
+
+    } catch (error) {
+        sendCollaborationError(res, error, 'Failed to lock the question');
+    }
+});
+
+/**
+ * DELETE /api/v1/collaboration/assessments/:id/locks/:questionId
+ * Release the caller's lock on a question
+ */
+router.delete('/assessments/:id/locks/:questionId', async (req, res) => {
+    try {
+        const outcome = await withAssessment(req, async (client, assessment) => ({
+            released: await releaseLock(client, {
+                assessmentId: assessment.id,
+                questionId: req.params.questionId,
+                userId: req.partner.userId
+            }),
+            tenantId: assessment.tenant_id
+        }));
+
+        if (outcome.released) {
+            publish({
+                type: 'lock.updated',
+                tenantId: outcome.tenantId,
+                assessmentId: req.params.id,
+                actorId: req.partner.userId,
+                data: { questionId: req.params.questionId, userId: null }
+            });
+        }
+
+        res.json({
+            success: true,
+            released: outcome.released
+        });
+
+    } catch (error) {
+        sendCollaborationError(res, error, 'Failed to release the lock');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+/**
+ * MODULE 1: EMAIL DELIVERY
+ * Delivery status of the tenant's outgoing email and the bounce webhook
+ * (messages are queued and sent by services/email.js)
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { authenticateToken, requireTenant } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { recordBounce } = require('../services/email');
+
+const router = express.Router();
+
+const STATUSES = ['pending', 'sending', 'sent', 'failed', 'bounced'];
+
+function secretMatches(given, expected) {
+    const a = Buffer.from(String(given || ''));
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * GET /api/v1/email/outbox?status=failed&limit=50
+ * Recent emails to the caller's tenant (bodies and placeholder data are not returned)
+ */
+router.get('/outbox', authenticateToken, requireTenant, requirePermission('manage:team'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of: ${STATUSES.join(', ')}`
+            });
+        }
+
+        const result = await pool.query(`
+            SELECT id, template_code, to_address, subject, status, attempts, last_error,
+                   next_attempt_at, sent_at, bounced_at, created_at
+            FROM email_outbox
+            WHERE tenant_id = $1
+              AND ($2::text IS NULL OR status = $2)
+            ORDER BY created_at DESC
+            LIMIT $3
+        `, [req.partner.tenantId, status || null, limit]);
+
+        res.json({
+            success: true,
+            emails: result.rows.map(row => ({
+                id: row.id,
+                template: row.template_code,
+                to: row.to_address,
+                subject: row.subject,
+                status: row.status,
+                attempts: row.attempts,
+                lastError: row.last_error,
+                nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+                sentAt: row.sent_at,
+                bouncedAt: row.bounced_at,
+                createdAt: row.created_at
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get email outbox error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load email outbox'
+        });
+    }
+});
+
+/**
+ * POST /api/v1/email/bounces
+ * Bounce report from the mail provider
+ * Header: X-Webhook-Secret (EMAIL_WEBHOOK_SECRET)
+ * Body: messageId, reason
+ */
+router.post('/bounces', async (req, res) => {
+    try {
+        const expected = process.env.EMAIL_WEBHOOK_SECRET;
+
+        if (!expected || !secretMatches(req.get('x-webhook-secret'), expected)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid webhook secret'
+            });
+        }
+
+        if (!req.body.messageId) {
+            return res.status(400).json({
+                success: false,
+                message: 'messageId is required'
+            });
+        }
+
+        const matched = await recordBounce(pool, req.body.messageId, req.body.reason);
+
+        if (!matched) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Bounce recorded'
+        });
+
+    } catch (error) {
+        console.error('Email bounce error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record bounce'
+        });
+    }
+});
+
+module.exports = router;
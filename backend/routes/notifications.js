@@ -0,0 +1,259 @@
+/**
+ * MODULE 1: NOTIFICATIONS
+ * The signed-in user's notification inbox (records created by services/notifications.js)
+ *
+ * Every user sees only their own notifications. Types are the templates the
+ * notifications came from (assessment_assigned, response_reviewed, ...);
+ * each notification names the assessment or response it is about, so the
+ * inbox can link to it. Preferences choose per event whether it reaches the
+ * inbox, also comes by email, or not at all, plus digest and quiet hours
+ * (see services/notificationPreferences.js).
+ */
+
+const express = require('express');
+const pool = require('../config/database');
+const { withTransaction } = require('../config/transaction');
+const { authenticateToken } = require('../middleware/auth');
+const {
+    listNotifications,
+    inboxSummary,
+    markNotification,
+    markAllRead
+} = require('../services/notifications');
+const {
+    CHANNELS,
+    DIGEST_FREQUENCIES,
+    PreferenceError,
+    loadPreferences,
+    savePreferences
+} = require('../services/notificationPreferences');
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const PREFERENCE_OPTIONS = { channels: CHANNELS, digestFrequencies: DIGEST_FREQUENCIES };
+
+router.use(authenticateToken, (req, res, next) => {
+    if (!req.partner.userId) {
+        return res.status(403).json({
+            success: false,
+            message: 'Notifications require a user account'
+        });
+    }
+    next();
+});
+
+router.param('id', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Notification not found'
+        });
+    }
+    next();
+});
+
+/**
+ * GET /api/v1/notifications?type&unread=true&before&limit
+ * The caller's notifications, newest first; pass the ID of the last one as
+ * before to load older ones
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { type, unread, before } = req.query;
+        const limit = req.query.limit ? parseInt(req.query.limit, 10) : DEFAULT_LIMIT;
+
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return res.status(400).json({
+                success: false,
+                message: `limit must be between 1 and ${MAX_LIMIT}`
+            });
+        }
+
+        if (before && !UUID_PATTERN.test(before)) {
+            return res.status(400).json({
+                success: false,
+                message: 'before must be a notification ID'
+            });
+        }
+
+        // One more than asked tells whether there are older ones
+        const notifications = await listNotifications(pool, req.partner.userId, {
+            type: type || null,
+            unread: unread === 'true',
+            before: before || null,
+            limit: limit + 1
+        });
+
+        res.json({
+            success: true,
+            notifications: notifications.slice(0, limit),
+            hasMore: notifications.length > limit
+        });
+
+    } catch (error) {
+        console.error('List notifications error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load notifications'
+        });
+    }
+});
+
+/**
+ * GET /api/v1/notifications/summary
+ * Unread count, in total and per type (for badges and the type filter)
+ */
+router.get('/summary', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            ...await inboxSummary(pool, req.partner.userId)
+        });
+
+    } catch (error) {
+        console.error('Notification summary error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load notifications'
+        });
+    }
+});
+
+/**
+ * GET /api/v1/notifications/preferences
+ * The caller's channel per event, digest and quiet hours, and the choices (options)
+ */
+router.get('/preferences', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            options: PREFERENCE_OPTIONS,
+            ...await loadPreferences(pool, req.partner.userId)
+        });
+
+    } catch (error) {
+        console.error('Load notification preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load notification preferences'
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/notifications/preferences
+ * Body: { channels?: { [event]: 'in-app' | 'email' | 'none' },
+ *         settings?: { digestFrequency, digestHour, digestWeekday, quietHoursStart, quietHoursEnd, timezone } }
+ * Events and settings left out keep their value
+ */
+router.put('/preferences', async (req, res) => {
+    try {
+        const { channels = {}, settings = {} } = req.body;
+
+        if (typeof channels !== 'object' || Array.isArray(channels) || typeof settings !== 'object' || Array.isArray(settings)) {
+            return res.status(400).json({
+                success: false,
+                message: 'channels and settings must be objects'
+            });
+        }
+
+        const preferences = await withTransaction(client => savePreferences(client, req.partner.userId, { channels, settings }));
+
+        res.json({
+            success: true,
+            message: 'Notification preferences saved',
+            options: PREFERENCE_OPTIONS,
+            ...preferences
+        });
+
+    } catch (error) {
+        if (error instanceof PreferenceError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Save notification preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save notification preferences'
+        });
+    }
+});
+
+/**
+ * POST /api/v1/notifications/read-all
+ * Body: { type? } - Mark every unread notification (of one type) read
+ */
+router.post('/read-all', async (req, res) => {
+    try {
+        const type = req.body.type || null;
+        const marked = await markAllRead(pool, req.partner.userId, type);
+        const { unread } = await inboxSummary(pool, req.partner.userId);
+
+        res.json({
+            success: true,
+            message: marked === 1 ? '1 notification marked as read' : `${marked} notifications marked as read`,
+            marked,
+            unread
+        });
+
+    } catch (error) {
+        console.error('Mark all notifications read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update notifications'
+        });
+    }
+});
+
+/**
+ * Mark one of the caller's notifications read or unread
+ * @param {boolean} read - New state
+ * @returns {function} Route handler
+ */
+function markHandler(read) {
+    return async (req, res) => {
+        try {
+            const notification = await markNotification(pool, req.partner.userId, req.params.id, read);
+
+            if (!notification) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Notification not found'
+                });
+            }
+
+            const { unread } = await inboxSummary(pool, req.partner.userId);
+
+            res.json({
+                success: true,
+                notification,
+                unread
+            });
+
+        } catch (error) {
+            console.error('Mark notification error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update notification'
+            });
+        }
+    };
+}
+
+/**
+ * POST /api/v1/notifications/:id/read
+ */
+router.post('/:id/read', markHandler(true));
+
+/**
+ * POST /api/v1/notifications/:id/unread
+ */
+router.post('/:id/unread', markHandler(false));
+
+module.exports = router;
@@ -0,0 +1,356 @@
+/**
+ * MODULE 1: PLATFORM CONSOLE
+ * Tenant provisioning, plan limits, suspension and support sessions for REABEL
+ * staff (rules in services/tenants.js)
+ *
+ * Reading tenants needs read:tenants (platform roles hold read:*), changing
+ * them needs manage:tenants (super admins) and opening a support session needs
+ * support:tenants (CSMs). A support session answers with its own access token;
+ * the console itself keeps using the staff member's session, since support
+ * tokens are read-only.
+ */
+
+const express = require('express');
+const pool = require('../config/database');
+const { withTransaction } = require('../config/transaction');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission, hasPermission } = require('../middleware/permissions');
+const { auditedInService } = require('../middleware/audit');
+const { clientInfo } = require('../services/sessions');
+const { TeamError, createInvitation, sendInvitationEmail, formatInvitation } = require('../services/team');
+const {
+    SUPPORT_SESSION_DEFAULT_MINUTES,
+    SUPPORT_SESSION_MAX_MINUTES,
+    TenantError,
+    listTenants,
+    findTenant,
+    createTenant,
+    updateTenantLimits,
+    setTenantActive,
+    listSupportSessions,
+    startSupportSession,
+    endSupportSession
+} = require('../services/tenants');
+
+const router = express.Router();
+
+// Changes are audited by the service (see middleware/audit.js)
+router.use(auditedInService);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const TENANT_STATUSES = ['active', 'suspended'];
+
+// Role of the first user invited into a new tenant
+const TENANT_ADMIN_ROLE = 'customer_admin';
+
+const requireReader = [authenticateToken, requirePermission('read:tenants')];
+const requireManager = [authenticateToken, requirePermission('manage:tenants')];
+const requireSupport = [authenticateToken, requirePermission('support:tenants')];
+
+function actorOf(req) {
+    return {
+        userId: req.partner.userId,
+        tenantId: req.partner.tenantId,
+        roleId: req.partner.roleId,
+        email: req.partner.email,
+        sessionId: req.partner.sessionId,
+        client: clientInfo(req)
+    };
+}
+
+function sendPlatformError(res, error, fallbackMessage) {
+    if (error instanceof TenantError || error instanceof TeamError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+router.param('tenantId', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Tenant not found'
+        });
+    }
+    next();
+});
+
+router.param('supportSessionId', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Support session not found'
+        });
+    }
+    next();
+});
+
+// ============================================================================
+// TENANTS
+// ============================================================================
+
+/**
+ * GET /api/v1/platform/tenants?search=acme&status=active
+ * Tenants with their plan, limits and usage
+ */
+router.get('/tenants', requireReader, async (req, res) => {
+    try {
+        const { search, status } = req.query;
+
+        if (status && !TENANT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of: ${TENANT_STATUSES.join(', ')}`
+            });
+        }
+
+        const tenants = await listTenants(pool, { search: search || null, status: status || null });
+
+        res.json({
+            success: true,
+            tenants
+        });
+
+    } catch (error) {
+        console.error('List tenants error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load tenants'
+        });
+    }
+});
+
+/**
+ * POST /api/v1/platform/tenants
+ * Create a tenant, optionally inviting its first admin
+ * Body: name, slug, plan, maxSeats, maxActiveAssessments (null = unlimited), adminEmail
+ */
+router.post('/tenants', requireManager, async (req, res) => {
+    try {
+        const { tenant, invitation } = await withTransaction(async (client) => {
+            const actor = actorOf(req);
+            const created = await createTenant(client, req.body, actor);
+
+            if (!req.body.adminEmail) {
+                return { tenant: created, invitation: null };
+            }
+
+            const invited = await createInvitation(client, created.id, {
+                email: req.body.adminEmail,
+                roleId: TENANT_ADMIN_ROLE
+            }, actor);
+            await sendInvitationEmail(client, invited.invitation, invited.token);
+
+            return { tenant: await findTenant(client, created.id), invitation: invited.invitation };
+        });
+
+        res.status(201).json({
+            success: true,
+            message: invitation
+                ? `${tenant.name} created; invitation sent to ${invitation.email}`
+                : `${tenant.name} created`,
+            tenant,
+            invitation: invitation ? formatInvitation(invitation) : null
+        });
+
+    } catch (error) {
+        sendPlatformError(res, error, 'Failed to create tenant');
+    }
+});
+
+/**
+ * GET /api/v1/platform/tenants/:tenantId
+ * One tenant with usage and its recent support sessions
+ */
+router.get('/tenants/:tenantId', requireReader, async (req, res) => {
+    try {
+        const tenant = await findTenant(pool, req.params.tenantId);
+
+        if (!tenant) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tenant not found'
+            });
+        }
+
+        const supportSessions = await listSupportSessions(pool, { tenantId: tenant.id });
+
+        res.json({
+            success: true,
+            tenant,
+            supportSessions
+        });
+
+    } catch (error) {
+        console.error('Get tenant error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load tenant'
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/platform/tenants/:tenantId/limits
+ * Change the plan and its limits
+ * Body: plan, maxSeats, maxActiveAssessments (each optional; null removes a limit)
+ */
+router.put('/tenants/:tenantId/limits', requireManager, async (req, res) => {
+    try {
+        const tenant = await withTransaction(client => updateTenantLimits(
+            client, req.params.tenantId, req.body, actorOf(req)
+        ));
+
+        res.json({
+            success: true,
+            message: 'Plan limits updated',
+            tenant
+        });
+
+    } catch (error) {
+        sendPlatformError(res, error, 'Failed to update plan limits');
+    }
+});
+
+/**
+ * POST /api/v1/platform/tenants/:tenantId/suspend
+ * Block the tenant's users from signing in and end their sessions
+ * Body: reason
+ */
+router.post('/tenants/:tenantId/suspend', requireManager, async (req, res) => {
+    try {
+        const tenant = await withTransaction(client => setTenantActive(
+            client, req.params.tenantId, { active: false, reason: req.body.reason }, actorOf(req)
+        ));
+
+        res.json({
+            success: true,
+            message: `${tenant.name} suspended`,
+            tenant
+        });
+
+    } catch (error) {
+        sendPlatformError(res, error, 'Failed to suspend tenant');
+    }
+});
+
+/**
+ * POST /api/v1/platform/tenants/:tenantId/reactivate
+ * Let a suspended tenant's users sign in again
+ */
+router.post('/tenants/:tenantId/reactivate', requireManager, async (req, res) => {
+    try {
+        const tenant = await withTransaction(client => setTenantActive(
+            client, req.params.tenantId, { active: true }, actorOf(req)
+        ));
+
+        res.json({
+            success: true,
+            message: `${tenant.name} reactivated`,
+            tenant
+        });
+
+    } catch (error) {
+        sendPlatformError(res, error, 'Failed to reactivate tenant');
+    }
+});
+
+// ============================================================================
+// SUPPORT SESSIONS
+// ============================================================================
+
+/**
+ * POST /api/v1/platform/tenants/:tenantId/support-sessions
+ * Start viewing a tenant read-only; ends any support session the caller has open
+ * Body: reason (shown to the tenant), durationMinutes (default 30, at most 120)
+ * Returns the support access token, valid until expiresAt
+ */
+router.post('/tenants/:tenantId/support-sessions', requireSupport, async (req, res) => {
+    try {
+        const { supportSession, token, expiresAt } = await withTransaction(client => startSupportSession(
+            client, req.params.tenantId, req.body, actorOf(req)
+        ));
+
+        res.status(201).json({
+            success: true,
+            message: `Support session with ${supportSession.tenantName} started`,
+            supportSession,
+            token,
+            expiresAt
+        });
+
+    } catch (error) {
+        sendPlatformError(res, error, 'Failed to start support session');
+    }
+});
+
+/**
+ * GET /api/v1/platform/support-sessions?tenantId=...&active=true
+ * Support sessions, newest first
+ */
+router.get('/support-sessions', requireReader, async (req, res) => {
+    try {
+        const { tenantId, active } = req.query;
+
+        if (tenantId && !UUID_PATTERN.test(tenantId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'tenantId must be a tenant ID'
+            });
+        }
+
+        const supportSessions = await listSupportSessions(pool, {
+            tenantId: tenantId || null,
+            activeOnly: active === 'true'
+        });
+
+        res.json({
+            success: true,
+            supportSessions,
+            defaultMinutes: SUPPORT_SESSION_DEFAULT_MINUTES,
+            maxMinutes: SUPPORT_SESSION_MAX_MINUTES
+        });
+
+    } catch (error) {
+        console.error('List support sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load support sessions'
+        });
+    }
+});
+
+/**
+ * DELETE /api/v1/platform/support-sessions/:supportSessionId
+ * End a support session; its token stops working at once
+ * Staff end their own sessions; manage:tenants can end anyone's
+ */
+router.delete('/support-sessions/:supportSessionId', requireSupport, async (req, res) => {
+    try {
+        const any = await hasPermission(req.partner.roleId, 'manage:tenants');
+
+        const supportSession = await withTransaction(client => endSupportSession(
+            client, req.params.supportSessionId, actorOf(req), any
+        ));
+
+        res.json({
+            success: true,
+            message: 'Support session ended',
+            supportSession
+        });
+
+    } catch (error) {
+        sendPlatformError(res, error, 'Failed to end support session');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,541 @@
+/**
+ * MODULE 4: QUESTIONS
+ * Question bank for assessment templates
+ * Backs QuestionService and the question editor
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { withTransaction } = require('../config/transaction');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { auditChanges } = require('../middleware/audit');
+const {
+    QUESTION_TYPES,
+    QUESTION_METADATA_FIELDS,
+    visibleTemplateCondition,
+    findEditableTemplate,
+    applySortOrder,
+    formatQuestion
+} = require('../services/templates');
+const { isPublished } = require('../services/templateVersions');
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Columns a client may set directly; QUESTION_METADATA_FIELDS are folded into metadata
+const QUESTION_FIELDS = [
+    'dimension_id',
+    'question_text',
+    'help_text',
+    'question_type',
+    'is_required',
+    'options',
+    'validation_rules',
+    'scoring_rubric',
+    'tags',
+    'metadata'
+];
+const JSON_FIELDS = ['options', 'validation_rules', 'scoring_rubric', 'tags', 'metadata'];
+
+const requireQuestionEditor = requirePermission('manage:questions', 'manage:templates');
+
+router.use(authenticateToken);
+
+router.param('id', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Question not found'
+        });
+    }
+    next();
+});
+
+/**
+ * GET /api/v1/questions
+ * List working-copy questions on templates visible to the caller
+ * Query: template_id, dimension_id, question_type, search, include_archived
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { template_id, dimension_id, question_type, search, include_archived } = req.query;
+
+        const params = [];
+        const conditions = [visibleTemplateCondition(req.partner, params)];
+
+        if (include_archived !== 'true') {
+            conditions.push('q.archived_at IS NULL');
+        }
+
+        if (template_id) {
+            params.push(template_id);
+            conditions.push(`q.template_id::text = $${params.length}`);
+        }
+
+        if (dimension_id) {
+            params.push(dimension_id);
+            conditions.push(`q.dimension_id::text = $${params.length}`);
+        }
+
+        if (question_type) {
+            params.push(question_type);
+            conditions.push(`q.question_type = $${params.length}`);
+        }
+
+        if (search) {
+            params.push(`%${search}%`);
+            conditions.push(`q.question_text ILIKE $${params.length}`);
+        }
+
+        const result = await pool.query(`
+            SELECT q.*
+            FROM questions q
+            JOIN assessment_templates t ON q.template_id = t.id
+            LEFT JOIN template_dimensions td ON q.dimension_id = td.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY t.name, td.sort_order, q.sort_order
+        `, params);
+
+        res.json({
+            success: true,
+            questions: result.rows.map(formatQuestion)
+        });
+
+    } catch (error) {
+        console.error('List questions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load questions'
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/questions/order
+ * Reorder the questions of one dimension
+ * Body: { dimension_id, order: [question_id, ...] }
+ */
+router.put('/order', requireQuestionEditor, async (req, res) => {
+    try {
+        const { dimension_id, order } = req.body;
+
+        if (!dimension_id || !UUID_PATTERN.test(dimension_id) || !Array.isArray(order) || order.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'dimension_id and a non-empty order array are required'
+            });
+        }
+
+        const outcome = await withTransaction(async (client) => {
+            const dimension = await client.query(
+                'SELECT template_id FROM template_dimensions WHERE id = $1 AND archived_at IS NULL',
+                [dimension_id]
+            );
+            const template = dimension.rows.length > 0
+                ? await findEditableTemplate(client, dimension.rows[0].template_id, req.partner)
+                : null;
+
+            if (!template) return { status: 404, message: 'Dimension not found' };
+
+            if (!await applySortOrder(client, 'questions', 'dimension_id', dimension_id, order)) {
+                return { status: 400, message: 'Order contains questions outside this dimension' };
+            }
+
+            const result = await client.query(
+                'SELECT * FROM questions WHERE dimension_id = $1 AND archived_at IS NULL ORDER BY sort_order',
+                [dimension_id]
+            );
+            return { questions: result.rows.map(formatQuestion) };
+        });
+
+        if (outcome.status) {
+            return res.status(outcome.status).json({
+                success: false,
+                message: outcome.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Questions reordered',
+            questions: outcome.questions
+        });
+
+    } catch (error) {
+        console.error('Reorder questions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reorder questions'
+        });
+    }
+});
+
+/**
+ * GET /api/v1/questions/:id
+ * Get a question
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const params = [req.params.id];
+        const visible = visibleTemplateCondition(req.partner, params);
+
+        const result = await pool.query(`
+            SELECT q.*
+            FROM questions q
+            JOIN assessment_templates t ON q.template_id = t.id
+            WHERE q.id = $1 AND ${visible}
+        `, params);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            question: formatQuestion(result.rows[0])
+        });
+
+    } catch (error) {
+        console.error('Get question error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get question'
+        });
+    }
+});
+
+/**
+ * POST /api/v1/questions
+ * Add a question to the end of a dimension
+ * Client-supplied ids are ignored; the created question carries the server id
+ */
+router.post('/', requireQuestionEditor, auditChanges('question', 'questions'), async (req, res) => {
+    try {
+        const data = normalizeQuestion(req.body);
+        const error = validateQuestion(data);
+
+        if (!data.template_id || !UUID_PATTERN.test(data.template_id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid template_id is required'
+            });
+        }
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const outcome = await withTransaction(async (client) => {
+            const template = await findEditableTemplate(client, data.template_id, req.partner);
+            if (!template) return { status: 404, message: 'Template not found' };
+
+            const dimensionError = await checkDimension(client, template.id, data);
+            if (dimensionError) return { status: 400, message: dimensionError };
+
+            const next = await client.query(
+                'SELECT COALESCE(MAX(sort_order), 0) + 1 AS sort_order FROM questions WHERE dimension_id = $1',
+                [data.dimension_id]
+            );
+
+            const result = await client.query(`
+                INSERT INTO questions (
+                    id,
+                    template_id,
+                    dimension_id,
+                    question_text,
+                    help_text,
+                    question_type,
+                    is_required,
+                    options,
+                    validation_rules,
+                    scoring_rubric,
+                    sort_order,
+                    tags,
+                    metadata,
+                    created_at
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
+                RETURNING *
+            `, [
+                crypto.randomUUID(),
+                template.id,
+                data.dimension_id,
+                data.question_text,
+                data.help_text || null,
+                data.question_type,
+                data.is_required !== false,
+                JSON.stringify(data.options || null),
+                JSON.stringify(data.validation_rules || null),
+                JSON.stringify(data.scoring_rubric || null),
+                next.rows[0].sort_order,
+                JSON.stringify(data.tags || []),
+                JSON.stringify(data.metadata || {})
+            ]);
+
+            await client.query('UPDATE assessment_templates SET updated_at = NOW() WHERE id = $1', [template.id]);
+            return { question: formatQuestion(result.rows[0]) };
+        });
+
+        if (outcome.status) {
+            return res.status(outcome.status).json({
+                success: false,
+                message: outcome.message
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Question created',
+            question: outcome.question
+        });
+
+    } catch (error) {
+        console.error('Create question error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create question'
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/questions/:id
+ * Update a question
+ * Moving to another dimension appends it to that dimension's order
+ */
+router.put('/:id', requireQuestionEditor, auditChanges('question', 'questions'), async (req, res) => {
+    try {
+        const outcome = await withTransaction(async (client) => {
+            const existing = await client.query('SELECT * FROM questions WHERE id = $1 AND archived_at IS NULL', [req.params.id]);
+            const current = existing.rows[0];
+            const template = current ? await findEditableTemplate(client, current.template_id, req.partner) : null;
+
+            if (!template) return { status: 404, message: 'Question not found' };
+
+            // Merge so type-specific checks see the full question
+            const data = normalizeQuestion(req.body, current.metadata || {});
+            const updates = QUESTION_FIELDS.filter(field => data[field] !== undefined);
+
+            if (updates.length === 0) return { status: 400, message: 'No updatable fields provided' };
+
+            const merged = { ...current };
+            updates.forEach(field => {
+                merged[field] = data[field];
+            });
+            const error = validateQuestion(merged);
+            if (error) return { status: 400, message: error };
+
+            const dimensionError = await checkDimension(client, template.id, merged);
+            if (dimensionError) return { status: 400, message: dimensionError };
+
+            const params = updates.map(field =>
+                JSON_FIELDS.includes(field) ? JSON.stringify(data[field]) : data[field]
+            );
+            const assignments = updates.map((field, i) => `${field} = $${i + 1}`);
+
+            if (data.dimension_id !== undefined && data.dimension_id !== current.dimension_id) {
+                params.push(data.dimension_id);
+                assignments.push(`sort_order = (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM questions WHERE dimension_id = $${params.length})`);
+            }
+
+            params.push(req.params.id);
+
+            const result = await client.query(`
+                UPDATE questions
+                SET ${assignments.join(', ')}
+                WHERE id = $${params.length}
+                RETURNING *
+            `, params);
+
+            await client.query('UPDATE assessment_templates SET updated_at = NOW() WHERE id = $1', [template.id]);
+            return { question: formatQuestion(result.rows[0]) };
+        });
+
+        if (outcome.status) {
+            return res.status(outcome.status).json({
+                success: false,
+                message: outcome.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Question updated',
+            question: outcome.question
+        });
+
+    } catch (error) {
+        console.error('Update question error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update question'
+        });
+    }
+});
+
+/**
+ * DELETE /api/v1/questions/:id
+ * Delete a question from the working copy
+ * Answered or published questions are archived instead: existing responses
+ * and pinned assessments still reference them
+ */
+router.delete('/:id', requireQuestionEditor, auditChanges('question', 'questions'), async (req, res) => {
+    try {
+        const outcome = await withTransaction(async (client) => {
+            const existing = await client.query(
+                'SELECT template_id FROM questions WHERE id = $1 AND archived_at IS NULL',
+                [req.params.id]
+            );
+            const template = existing.rows.length > 0
+                ? await findEditableTemplate(client, existing.rows[0].template_id, req.partner)
+                : null;
+
+            if (!template) return { status: 404, message: 'Question not found' };
+
+            const answered = await client.query(
+                'SELECT 1 FROM assessment_responses WHERE question_id = $1 LIMIT 1',
+                [req.params.id]
+            );
+
+            // Answered or published questions are archived so existing assessments keep resolving them
+            const archived = answered.rows.length > 0
+                || await isPublished(client, template.id, 'questions', req.params.id);
+
+            if (archived) {
+                await client.query('UPDATE questions SET archived_at = NOW() WHERE id = $1', [req.params.id]);
+            } else {
+                await client.query('DELETE FROM questions WHERE id = $1', [req.params.id]);
+            }
+
+            await client.query('UPDATE assessment_templates SET updated_at = NOW() WHERE id = $1', [template.id]);
+            return { archived };
+        });
+
+        if (outcome.status) {
+            return res.status(outcome.status).json({
+                success: false,
+                message: outcome.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: outcome.archived ? 'Question archived' : 'Question deleted'
+        });
+
+    } catch (error) {
+        console.error('Delete question error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete question'
+        });
+    }
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Pick question fields from a request body
+ * Top-level scale_min / scale_max / matrix_rows / key_area are folded into metadata
+ * @param {object} body - Request body
+ * @param {object} currentMetadata - Existing metadata when updating
+ * @returns {object} Question fields (absent fields stay undefined)
+ */
+function normalizeQuestion(body, currentMetadata = null) {
+    const data = { template_id: body.template_id };
+    QUESTION_FIELDS.forEach(field => {
+        data[field] = body[field];
+    });
+
+    const folded = QUESTION_METADATA_FIELDS.filter(field => body[field] !== undefined);
+
+    if (folded.length > 0 || (currentMetadata && data.metadata !== undefined)) {
+        data.metadata = { ...(currentMetadata || {}), ...(body.metadata || {}) };
+        folded.forEach(field => {
+            data.metadata[field] = body[field];
+        });
+    }
+
+    return data;
+}
+
+/**
+ * Validate question fields
+ * @param {object} data - Full question
+ * @returns {string|null} Error message
+ */
+function validateQuestion(data) {
+    if (!data.question_text || data.question_text.length < 3) {
+        return 'Question text must be at least 3 characters';
+    }
+
+    if (!QUESTION_TYPES.includes(data.question_type)) {
+        return `Question type must be one of: ${QUESTION_TYPES.join(', ')}`;
+    }
+
+    if (!data.dimension_id || !UUID_PATTERN.test(data.dimension_id)) {
+        return 'A valid dimension_id is required';
+    }
+
+    if (data.question_type === 'multiple_choice'
+        && !(Array.isArray(data.options) && data.options.length > 0 && data.options.every(o => o && (o.id || o.value)))) {
+        return 'Multiple choice questions need options with an id or value';
+    }
+
+    const metadata = data.metadata || {};
+    if (data.question_type === 'scale'
+        && metadata.scale_min !== undefined && metadata.scale_max !== undefined
+        && !(metadata.scale_min < metadata.scale_max)) {
+        return 'scale_min must be below scale_max';
+    }
+
+    if (data.validation_rules && data.validation_rules.pattern) {
+        try {
+            new RegExp(data.validation_rules.pattern);
+        } catch (error) {
+            return 'validation_rules.pattern is not a valid regular expression';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check the question's dimension belongs to the template and knows its key area
+ * @param {object} client - Transaction client
+ * @param {string} templateId - Template ID
+ * @param {object} data - Question fields
+ * @returns {Promise<string|null>} Error message
+ */
+async function checkDimension(client, templateId, data) {
+    const result = await client.query(
+        'SELECT key_areas FROM template_dimensions WHERE id = $1 AND template_id = $2 AND archived_at IS NULL',
+        [data.dimension_id, templateId]
+    );
+
+    if (result.rows.length === 0) {
+        return 'Dimension does not belong to this template';
+    }
+
+    const keyArea = data.metadata && data.metadata.key_area;
+    const keyAreas = result.rows[0].key_areas || [];
+
+    if (keyArea && keyAreas.length > 0 && !keyAreas.includes(keyArea)) {
+        return `Unknown key area for this dimension: ${keyArea}`;
+    }
+
+    return null;
+}
+
+module.exports = router;
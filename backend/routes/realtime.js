@@ -0,0 +1,203 @@
+/**
+ * MODULE 1: REALTIME
+ * Live updates for open pages over server-sent events
+ *
+ * Browsers cannot send an Authorization header with EventSource, so a page
+ * first trades its access token for a short-lived ticket and opens the stream
+ * with it. The stream ends when the access token would have expired, or as soon
+ * as a heartbeat finds its session revoked or support session ended; the page
+ * then reconnects with a fresh ticket. Events are relayed from services/realtime.js
+ * and filtered by the caller's data scope, like every assessment query.
+ */
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET, isSessionActive, isSupportSessionActive, authenticateToken } = require('../middleware/auth');
+const { TENANT_SCOPES, loadDataScope, scopeCondition, withDataScope } = require('../middleware/dataScope');
+const { subscribe } = require('../services/realtime');
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const TICKET_TTL_SECONDS = 60;
+const TICKET_PURPOSE = 'realtime';
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+// How long a visible assessment stays visible without asking the database again
+const VISIBILITY_TTL_MS = 60 * 1000;
+
+/**
+ * Whether an assessment is visible under a data scope
+ * @param {object} dataScope - req.dataScope
+ * @param {string} assessmentId - Assessment ID
+ * @returns {Promise<boolean>}
+ */
+async function isVisible(dataScope, assessmentId) {
+    const params = [assessmentId];
+    const scope = scopeCondition(dataScope, params);
+
+    const result = await withDataScope(dataScope, client =>
+        client.query(`SELECT 1 FROM assessments a WHERE a.id = $1 AND ${scope}`, params)
+    );
+
+    return result.rows.length > 0;
+}
+
+/**
+ * Whether the login (and support session) a ticket was issued for is still open
+ * @param {object} partner - Ticket's req.partner
+ * @returns {Promise<boolean>}
+ */
+async function isTicketSessionActive(partner) {
+    if (partner.sessionId && !(await isSessionActive(partner.sessionId))) {
+        return false;
+    }
+
+    return !partner.supportSessionId || isSupportSessionActive(partner.supportSessionId);
+}
+
+/**
+ * Authenticate a stream by its ticket (?ticket=) instead of a bearer token
+ */
+function authenticateTicket(req, res, next) {
+    jwt.verify(String(req.query.ticket || ''), JWT_SECRET, async (err, ticket) => {
+        if (err || ticket.purpose !== TICKET_PURPOSE) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired ticket'
+            });
+        }
+
+        try {
+            if (!(await isTicketSessionActive(ticket.partner))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session has ended'
+                });
+            }
+        } catch (error) {
+            console.error('Session check error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Session check failed'
+            });
+        }
+
+        req.partner = ticket.partner;
+        req.accessExpiresAt = ticket.accessExpiresAt;
+        next();
+    });
+}
+
+/**
+ * GET /api/v1/realtime/ticket
+ * A ticket for opening the event stream, valid for a minute
+ * (GET, so read-only support sessions can follow along too)
+ */
+router.get('/ticket', authenticateToken, (req, res) => {
+    const { iat, exp, ...partner } = req.partner;
+
+    const ticket = jwt.sign(
+        { purpose: TICKET_PURPOSE, partner, accessExpiresAt: exp * 1000 },
+        JWT_SECRET,
+        { expiresIn: TICKET_TTL_SECONDS }
+    );
+
+    res.json({
+        success: true,
+        ticket,
+        expiresIn: TICKET_TTL_SECONDS
+    });
+});
+
+/**
+ * GET /api/v1/realtime/stream?ticket&assessment_id
+ * Server-sent events: one message per domain event on a visible assessment
+ * (or on assessment_id only), data { type, assessmentId, actorId, data, at };
+ * an 'expired' event before the stream closes for a new ticket
+ */
+router.get('/stream', authenticateTicket, loadDataScope('assessments'), async (req, res) => {
+    try {
+        const assessmentId = req.query.assessment_id || null;
+
+        if (assessmentId && (!UUID_PATTERN.test(assessmentId) || !(await isVisible(req.dataScope, assessmentId)))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assessment not found'
+            });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            // Proxies must not hold events back
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        const visibleUntil = new Map();
+        const { scope, tenantId, userId, roleId, domains } = req.dataScope;
+
+        const unsubscribe = subscribe({
+            // Platform staff belong to their own tenant but see customers' assessments
+            tenantId: TENANT_SCOPES.includes(scope) ? tenantId : null,
+            assessmentId,
+            // Everything isVisible() depends on; the user only narrows assigned_only
+            scopeKey: JSON.stringify([scope, tenantId, roleId, domains, scope === 'assigned_only' ? userId : null]),
+            // Only sightings are remembered: an assessment that becomes visible
+            // (e.g. moves into review) is picked up by the next event
+            canSee: async (id) => {
+                if ((visibleUntil.get(id) || 0) > Date.now()) return true;
+
+                const visible = await isVisible(req.dataScope, id);
+                if (visible) visibleUntil.set(id, Date.now() + VISIBILITY_TTL_MS);
+                return visible;
+            },
+            send: (event) => {
+                const { tenantId, ...message } = event;
+                res.write(`data: ${JSON.stringify(message)}\n\n`);
+            }
+        });
+
+        // The page answers 'expired' with a new ticket, which a revoked session can't get
+        const expire = () => {
+            if (res.writableEnded) return;
+            res.write('event: expired\ndata: {}\n\n');
+            res.end();
+        };
+
+        const heartbeat = setInterval(async () => {
+            try {
+                if (!(await isTicketSessionActive(req.partner))) {
+                    return expire();
+                }
+            } catch (error) {
+                console.error('Realtime session check error:', error);
+                return expire();
+            }
+
+            if (!res.writableEnded) res.write(': heartbeat\n\n');
+        }, HEARTBEAT_MS);
+
+        const expiry = setTimeout(expire, Math.max(req.accessExpiresAt - Date.now(), 0));
+
+        res.on('close', () => {
+            clearInterval(heartbeat);
+            clearTimeout(expiry);
+            unsubscribe();
+        });
+
+    } catch (error) {
+        console.error('Realtime stream error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Failed to open the event stream'
+            });
+        }
+    }
+});
+
+module.exports = router;
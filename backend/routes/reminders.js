@@ -0,0 +1,124 @@
+/**
+ * MODULE 1: REMINDERS
+ * Due dates of open assignments and the tenant's reminder schedule
+ *
+ * The reminders themselves are sent by a scheduled job (services/reminders.js);
+ * this shows what is due, what was sent about it and how far it was
+ * escalated, and lets admins change when reminders go out and who overdue
+ * work is escalated to.
+ */
+
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requireTenant } = require('../middleware/auth');
+const { loadDataScope, scopeCondition, withDataScope } = require('../middleware/dataScope');
+const { requirePermission } = require('../middleware/permissions');
+const { auditChanges } = require('../middleware/audit');
+const { assignableRoles } = require('../services/team');
+const {
+    ReminderError,
+    formatConfig,
+    loadConfig,
+    saveConfig,
+    listDueAssignments
+} = require('../services/reminders');
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+router.use(authenticateToken);
+
+/**
+ * GET /api/v1/reminders/due?assessment_id
+ * Open assignments with a due date, visible under the caller's data scope,
+ * soonest first: state (upcoming, due_soon, overdue), last reminder, escalation
+ */
+router.get('/due', loadDataScope('assessments'), async (req, res) => {
+    try {
+        const assessmentId = req.query.assessment_id || null;
+
+        if (assessmentId && !UUID_PATTERN.test(assessmentId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'assessment_id must be an assessment ID'
+            });
+        }
+
+        const config = req.partner.tenantId ? await loadConfig(pool, req.partner.tenantId) : formatConfig(null);
+        const params = [];
+        const scope = scopeCondition(req.dataScope, params);
+
+        const assignments = await withDataScope(req.dataScope, client =>
+            listDueAssignments(client, scope, params, config, { assessmentId })
+        );
+
+        res.json({
+            success: true,
+            assignments
+        });
+
+    } catch (error) {
+        console.error('List due assignments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load due dates'
+        });
+    }
+});
+
+/**
+ * GET /api/v1/reminders/settings
+ * The tenant's reminder schedule and escalation chain, and the roles it may escalate to
+ */
+router.get('/settings', requireTenant, requirePermission('manage:assessments'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            settings: await loadConfig(pool, req.partner.tenantId),
+            roles: await assignableRoles(pool, req.partner.tenantId)
+        });
+
+    } catch (error) {
+        console.error('Load reminder settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load reminder settings'
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/reminders/settings
+ * Body: { enabled?, remindDaysBefore?: [days], escalation?: [{ afterDays, role }], flagOverdueActions? }
+ */
+router.put('/settings', requireTenant, requirePermission('manage:assessments'), auditChanges('tenant', 'tenants', {
+    action: 'tenant.reminders_updated',
+    find: async (db, req) => req.partner.tenantId
+}), async (req, res) => {
+    try {
+        const settings = await saveConfig(pool, req.partner.tenantId, req.body || {});
+
+        res.json({
+            success: true,
+            message: 'Reminder settings saved',
+            settings
+        });
+
+    } catch (error) {
+        if (error instanceof ReminderError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Save reminder settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save reminder settings'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,548 @@
+/**
+ * MODULE 4: RESPONSES
+ * Answers to assessment questions
+ * The server validates every submission and computes its score from the
+ * question's scoring_rubric; client-reported scores are only cross-checked
+ * Assessments pinned to a template version are validated against that version
+ * Visibility follows the parent assessment's data scope
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { authenticateToken } = require('../middleware/auth');
+const { loadDataScope, scopeCondition, withDataScope } = require('../middleware/dataScope');
+const { requirePermission } = require('../middleware/permissions');
+const { auditChanges } = require('../middleware/audit');
+const { notifyUsers } = require('../services/notifications');
+const { publish } = require('../services/realtime');
+const { findAssessmentQuestion } = require('../services/templateVersions');
+const {
+    ANSWER_PERMISSIONS,
+    ResponseValidationError,
+    ResponseConflictError,
+    validateResponse,
+    calculateScore,
+    verifyClientScore
+} = require('../services/responses');
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SUBMIT_STATUSES = ['draft', 'submitted'];
+const REVIEW_STATUSES = ['approved', 'rejected'];
+const REVIEW_TEMPLATE = 'response_reviewed';
+
+const requireAnswerer = requirePermission(...ANSWER_PERMISSIONS);
+
+router.use(authenticateToken, loadDataScope('assessments'));
+
+/**
+ * The existing answer POST / overwrites (for the audit log): response_id, or the caller's own
+ */
+async function findOwnResponse(db, req) {
+    const { assessment_id, question_id, response_id } = req.body;
+
+    if (UUID_PATTERN.test(response_id || '')) {
+        return response_id;
+    }
+
+    if (!UUID_PATTERN.test(assessment_id || '') || !UUID_PATTERN.test(question_id || '') || !req.partner.userId) {
+        return null;
+    }
+
+    const result = await db.query(
+        'SELECT id FROM assessment_responses WHERE assessment_id = $1 AND question_id = $2 AND user_id = $3',
+        [assessment_id, question_id, req.partner.userId]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+router.param('id', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Response not found'
+        });
+    }
+    next();
+});
+
+/**
+ * GET /api/v1/responses
+ * List responses on visible assessments
+ * Query: assessment_id, question_id, user_id ('me' for the caller), status
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { assessment_id, question_id, user_id, status } = req.query;
+
+        const params = [];
+        const conditions = [scopeCondition(req.dataScope, params)];
+
+        if (assessment_id) {
+            params.push(assessment_id);
+            conditions.push(`r.assessment_id::text = $${params.length}`);
+        }
+
+        if (question_id) {
+            params.push(question_id);
+            conditions.push(`r.question_id::text = $${params.length}`);
+        }
+
+        if (user_id) {
+            params.push(user_id === 'me' ? req.partner.userId : user_id);
+            conditions.push(`r.user_id::text = $${params.length}`);
+        }
+
+        if (status) {
+            params.push(status);
+            conditions.push(`r.status = $${params.length}`);
+        }
+
+        const responses = await withDataScope(req.dataScope, async (client) => {
+            const result = await client.query(`
+                SELECT r.*, u.name AS user_name, ub.name AS updated_by_name, a.title AS assessment_title, q.question_text
+                FROM assessment_responses r
+                JOIN assessments a ON r.assessment_id = a.id
+                LEFT JOIN users u ON r.user_id = u.id
+                LEFT JOIN users ub ON r.updated_by = ub.id
+                LEFT JOIN questions q ON r.question_id = q.id
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY r.updated_at DESC
+            `, params);
+
+            return result.rows.map(formatResponse);
+        });
+
+        res.json({
+            success: true,
+            responses
+        });
+
+    } catch (error) {
+        console.error('List responses error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load responses'
+        });
+    }
+});
+
+/**
+ * POST /api/v1/responses
+ * Save the caller's answer to a question (one row per assessment, question and user)
+ * Body: { assessment_id, question_id, response_text, response_data, status, score?, response_id?, base_version? }
+ * Drafts are stored as-is; submissions are validated and scored
+ * response_id edits a teammate's answer instead (their own answer, an assignee's,
+ * or one in a domain the caller manages). base_version is the version the client
+ * started from (0: no answer yet); if the answer has moved on since, nothing is
+ * saved and 409 returns the current answer with conflict: true
+ */
+router.post('/', requireAnswerer, auditChanges('response', 'assessment_responses', { action: 'response.saved', find: findOwnResponse }), async (req, res) => {
+    try {
+        const { assessment_id, question_id, response_text, response_data, response_id, base_version } = req.body;
+        const status = req.body.status || 'submitted';
+        const versioned = base_version !== undefined && base_version !== null;
+
+        if (!UUID_PATTERN.test(assessment_id || '') || !UUID_PATTERN.test(question_id || '')) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid assessment_id and question_id are required'
+            });
+        }
+
+        if (!SUBMIT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${SUBMIT_STATUSES.join(', ')}`
+            });
+        }
+
+        if (response_id !== undefined && response_id !== null && !UUID_PATTERN.test(response_id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'response_id must be a valid ID'
+            });
+        }
+
+        if (versioned && !(Number.isInteger(base_version) && base_version >= 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'base_version must be a non-negative integer'
+            });
+        }
+
+        if (!req.partner.userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Responses require a user account'
+            });
+        }
+
+        const outcome = await withDataScope(req.dataScope, async (client) => {
+            const params = [assessment_id];
+            const scope = scopeCondition(req.dataScope, params);
+
+            const assessmentResult = await client.query(
+                `SELECT a.id, a.tenant_id, a.template_id, a.template_version_id FROM assessments a WHERE a.id = $1 AND ${scope}`,
+                params
+            );
+
+            if (assessmentResult.rows.length === 0) {
+                throw new ResponseValidationError('Assessment not found', 404);
+            }
+
+            const question = await findAssessmentQuestion(client, assessmentResult.rows[0], question_id);
+            if (!question) {
+                throw new ResponseValidationError('Question not found for this assessment', 404);
+            }
+
+            const responseData = { text: response_text, data: response_data };
+            let score = null;
+
+            if (status === 'submitted') {
+                validateResponse(question, responseData);
+                score = calculateScore(question, responseData);
+                verifyClientScore(req.body.score, score);
+            }
+
+            const existing = response_id
+                ? await client.query(`
+                    SELECT id, user_id, status, version
+                    FROM assessment_responses
+                    WHERE id = $1 AND assessment_id = $2 AND question_id = $3
+                    FOR UPDATE
+                `, [response_id, assessment_id, question_id])
+                : await client.query(`
+                    SELECT id, status, version
+                    FROM assessment_responses
+                    WHERE assessment_id = $1 AND question_id = $2 AND user_id = $3
+                    FOR UPDATE
+                `, [assessment_id, question_id, req.partner.userId]);
+
+            if (response_id && existing.rows.length === 0) {
+                throw new ResponseValidationError('Response not found', 404);
+            }
+
+            if (response_id && !(await canEditResponse(client, req, existing.rows[0], question))) {
+                throw new ResponseValidationError('Only the author, an assignee or the domain manager can edit this answer', 403);
+            }
+
+            if (versioned) {
+                await checkVersion(client, existing.rows[0], assessment_id, question_id, base_version);
+            }
+
+            if (existing.rows.length > 0 && existing.rows[0].status === 'approved') {
+                throw new ResponseValidationError('Approved responses cannot be changed', 409);
+            }
+
+            const values = [
+                response_text || null,
+                response_data !== undefined ? JSON.stringify(response_data) : null,
+                status,
+                score,
+                status === 'submitted' ? new Date() : null,
+                req.partner.userId
+            ];
+
+            const result = response_id
+                ? await client.query(`
+                    UPDATE assessment_responses
+                    SET response_text = $1,
+                        response_data = $2,
+                        status = $3,
+                        score = $4,
+                        submitted_at = $5,
+                        updated_by = $6,
+                        version = version + 1,
+                        reviewer_comments = NULL,
+                        reviewed_by = NULL,
+                        reviewed_at = NULL,
+                        updated_at = NOW()
+                    WHERE id = $7
+                    RETURNING *
+                `, [...values, response_id])
+                : await client.query(`
+                    INSERT INTO assessment_responses (
+                        response_text,
+                        response_data,
+                        status,
+                        score,
+                        submitted_at,
+                        updated_by,
+                        id,
+                        assessment_id,
+                        question_id,
+                        user_id,
+                        created_at,
+                        updated_at
+                    )
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $6, NOW(), NOW())
+                    ON CONFLICT (assessment_id, question_id, user_id) DO UPDATE SET
+                        response_text = EXCLUDED.response_text,
+                        response_data = EXCLUDED.response_data,
+                        status = EXCLUDED.status,
+                        score = EXCLUDED.score,
+                        submitted_at = EXCLUDED.submitted_at,
+                        updated_by = EXCLUDED.updated_by,
+                        version = assessment_responses.version + 1,
+                        reviewer_comments = NULL,
+                        reviewed_by = NULL,
+                        reviewed_at = NULL,
+                        updated_at = NOW()
+                    RETURNING *
+                `, [...values, crypto.randomUUID(), assessment_id, question_id]);
+
+            return {
+                response: formatResponse(result.rows[0]),
+                created: existing.rows.length === 0,
+                tenantId: assessmentResult.rows[0].tenant_id
+            };
+        });
+
+        // Drafts are announced too, so teammates on the same question see them
+        // change; notifications and progress still wait for the submission
+        publish({
+            type: status === 'submitted' ? 'response.submitted' : 'response.saved',
+            tenantId: outcome.tenantId,
+            assessmentId: assessment_id,
+            actorId: req.partner.userId,
+            data: { responseId: outcome.response.id, questionId: question_id, status, version: outcome.response.version }
+        });
+
+        res.status(outcome.created ? 201 : 200).json({
+            success: true,
+            message: status === 'draft' ? 'Draft saved' : 'Response submitted',
+            response: outcome.response
+        });
+
+    } catch (error) {
+        if (error instanceof ResponseConflictError) {
+            return res.status(409).json({
+                success: false,
+                conflict: true,
+                message: error.message,
+                response: error.response
+            });
+        }
+
+        if (error instanceof ResponseValidationError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Save response error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save response'
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/responses/:id/review
+ * Approve or reject a submitted response
+ * Body: { status: 'approved' | 'rejected', reviewer_comments, score? }
+ * A reviewer score overrides the rubric score
+ */
+router.put('/:id/review', requirePermission('approve:responses', 'review:all', 'review:assigned'), auditChanges('response', 'assessment_responses', { action: 'response.reviewed' }), async (req, res) => {
+    try {
+        const { status, reviewer_comments, score } = req.body;
+
+        if (!REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${REVIEW_STATUSES.join(', ')}`
+            });
+        }
+
+        if (score !== undefined && score !== null && !(typeof score === 'number' && score >= 0 && score < 1000)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Score must be a non-negative number'
+            });
+        }
+
+        const outcome = await withDataScope(req.dataScope, async (client) => {
+            const params = [req.params.id];
+            const scope = scopeCondition(req.dataScope, params);
+
+            const existing = await client.query(`
+                SELECT r.id, r.status, r.user_id, r.question_id,
+                       a.id AS assessment_id, a.tenant_id, a.title, a.template_id, a.template_version_id
+                FROM assessment_responses r
+                JOIN assessments a ON r.assessment_id = a.id
+                WHERE r.id = $1 AND ${scope}
+                FOR UPDATE OF r
+            `, params);
+
+            if (existing.rows.length === 0) {
+                throw new ResponseValidationError('Response not found', 404);
+            }
+
+            if (existing.rows[0].status !== 'submitted') {
+                throw new ResponseValidationError('Only submitted responses can be reviewed', 409);
+            }
+
+            const result = await client.query(`
+                UPDATE assessment_responses
+                SET status = $1,
+                    reviewer_comments = $2,
+                    score = COALESCE($3, score),
+                    reviewed_by = $4,
+                    reviewed_at = NOW(),
+                    updated_at = NOW()
+                WHERE id = $5
+                RETURNING *
+            `, [status, reviewer_comments || null, score === undefined ? null : score, req.partner.userId || null, req.params.id]);
+
+            await sendReviewNotification(client, existing.rows[0], result.rows[0], req.partner.userId);
+
+            return { response: formatResponse(result.rows[0]), tenantId: existing.rows[0].tenant_id };
+        });
+
+        publish({
+            type: 'response.reviewed',
+            tenantId: outcome.tenantId,
+            assessmentId: outcome.response.assessment_id,
+            actorId: req.partner.userId,
+            data: { responseId: outcome.response.id, questionId: outcome.response.question_id, status }
+        });
+
+        res.json({
+            success: true,
+            message: status === 'approved' ? 'Response approved' : 'Response rejected',
+            response: outcome.response
+        });
+
+    } catch (error) {
+        if (error instanceof ResponseValidationError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Review response error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to review response'
+        });
+    }
+});
+
+/**
+ * Whether the caller may save over someone's answer (POST / with response_id):
+ * it is their own, they are assigned to the assessment or the question's
+ * dimension, or the dimension is one of the domains they manage
+ * @param {object} client - Database client
+ * @param {object} req - Express request
+ * @param {object} response - { user_id } of the answer
+ * @param {object} question - Formatted question
+ * @returns {Promise<boolean>}
+ */
+async function canEditResponse(client, req, response, question) {
+    const { userId, scope, domains } = req.dataScope;
+
+    if (response.user_id === userId) {
+        return true;
+    }
+
+    if (scope === 'assigned_domains' && (domains || []).includes(question.dimension_id)) {
+        return true;
+    }
+
+    const assigned = await client.query(`
+        SELECT 1
+        FROM assessment_assignments
+        WHERE assessment_id::text = $1
+          AND user_id::text = $2
+          AND (dimension_id IS NULL OR dimension_id::text = $3)
+        LIMIT 1
+    `, [req.body.assessment_id, userId, question.dimension_id || null]);
+
+    return assigned.rows.length > 0;
+}
+
+/**
+ * Refuse a save based on an outdated version of the answer
+ * Without a row to save over, base 0 is current unless a teammate has answered meanwhile
+ * @param {object} client - Database client
+ * @param {object|undefined} target - { id, version } of the row being saved over
+ * @param {string} assessmentId - Assessment ID
+ * @param {string} questionId - Question ID
+ * @param {number} baseVersion - Version the client started from
+ * @throws {ResponseConflictError}
+ */
+async function checkVersion(client, target, assessmentId, questionId, baseVersion) {
+    if (target && target.version === baseVersion) {
+        return;
+    }
+
+    const current = await client.query(`
+        SELECT r.*, u.name AS user_name, ub.name AS updated_by_name
+        FROM assessment_responses r
+        LEFT JOIN users u ON r.user_id = u.id
+        LEFT JOIN users ub ON r.updated_by = ub.id
+        WHERE ${target ? 'r.id = $1' : 'r.assessment_id = $1 AND r.question_id = $2'}
+        ORDER BY r.updated_at DESC
+        LIMIT 1
+    `, target ? [target.id] : [assessmentId, questionId]);
+
+    if (!target && baseVersion === 0 && current.rows.length === 0) {
+        return;
+    }
+
+    throw new ResponseConflictError(current.rows.length > 0 ? formatResponse(current.rows[0]) : null);
+}
+
+/**
+ * Tell whoever answered that their response was reviewed (not reviewers reviewing themselves)
+ * A missing 'response_reviewed' template is logged, not fatal
+ * @param {object} client - Database client
+ * @param {object} existing - Response joined with its assessment, before the review
+ * @param {object} response - Reviewed assessment_responses row
+ * @param {string} reviewerId - Reviewing user
+ */
+async function sendReviewNotification(client, existing, response, reviewerId) {
+    if (!existing.user_id || existing.user_id === reviewerId) {
+        return;
+    }
+
+    const question = await findAssessmentQuestion(client, existing, existing.question_id);
+
+    const created = await notifyUsers(client, {
+        templateCode: REVIEW_TEMPLATE,
+        userIds: [existing.user_id],
+        data: {
+            assessment_id: existing.assessment_id,
+            assessment_title: existing.title,
+            response_id: response.id,
+            question_id: existing.question_id,
+            question_text: question ? question.question_text : '',
+            review_status: response.status,
+            reviewer_comments: response.reviewer_comments || ''
+        }
+    });
+
+    if (!created) {
+        console.warn('Notification template missing:', REVIEW_TEMPLATE);
+    }
+}
+
+/**
+ * Shape a response row
+ * @param {object} row - Database row
+ * @returns {object} Response
+ */
+function formatResponse(row) {
+    return {
+        ...row,
+        score: row.score !== null && row.score !== undefined ? Number(row.score) : null
+    };
+}
+
+module.exports = router;
@@ -0,0 +1,478 @@
+/**
+ * MODULE 1: SINGLE SIGN-ON
+ * OpenID Connect and SAML 2.0 login against a tenant's corporate identity provider
+ *
+ * The login page sends the browser to /authorize?tenant=<slug or id>, which
+ * picks the tenant's enabled connection. OIDC IdPs return to /oidc/callback,
+ * SAML IdPs POST to /saml/:tenantId/acs; both provision the user and redirect
+ * to the login page with #ssoToken=... The page POSTs that to /complete for the
+ * usual login response (or an MFA challenge, exactly like a password login).
+ * Starting a login sets a short-lived HttpOnly cookie; the callbacks only accept
+ * a response in the browser holding it (no login CSRF).
+ * Tenant admins manage connections through /oidc and /saml (see services/sso.js).
+ */
+
+const express = require('express');
+const pool = require('../config/database');
+const { withTransaction } = require('../config/transaction');
+const { authenticateToken, requireTenant } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { findAccount } = require('../services/accounts');
+const { clientInfo, completeLogin } = require('../services/sessions');
+const { startLoginChallenge } = require('../services/mfa');
+const {
+    LOGIN_REQUEST_TTL_MINUTES,
+    SsoError,
+    formatConnection,
+    findConnection,
+    clientSecret,
+    saveConnection,
+    deleteConnection,
+    provisionAccount,
+    createLoginRequest,
+    claimLoginRequest,
+    issueHandoff,
+    redeemHandoff
+} = require('../services/sso');
+const oidc = require('../services/oidc');
+const saml = require('../services/saml');
+
+const router = express.Router();
+
+// Where the IdP sends the browser back; register this URL with the IdP
+const CALLBACK_PATH = '/api/v1/auth/sso/oidc/callback';
+
+// Binds a login request to the browser that started it; sent to the callbacks only
+const BROWSER_COOKIE = 'reabel_sso';
+const BROWSER_COOKIE_PATH = '/api/v1/auth/sso';
+
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:8000').replace(/\/+$/, '');
+const LOGIN_PAGE = `${FRONTEND_URL}/pages/01_login.html`;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Public API origin (API_PUBLIC_URL behind a proxy, otherwise this host)
+ */
+function publicBase(req) {
+    return (process.env.API_PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+/**
+ * OIDC callback URL; register this with the IdP
+ */
+function redirectUri(req) {
+    return `${publicBase(req)}${CALLBACK_PATH}`;
+}
+
+/**
+ * SAML service provider URLs for a tenant: the entity ID doubles as the
+ * metadata URL, so IdPs that import metadata by URL find it there
+ */
+function serviceProviderUrls(req, tenantId) {
+    const base = `${publicBase(req)}/api/v1/auth/sso/saml/${tenantId}`;
+    return { entityId: `${base}/metadata`, acsUrl: `${base}/acs` };
+}
+
+/**
+ * Back to the login page; values go in the fragment so they stay out of server logs
+ */
+function redirectToLogin(res, params) {
+    res.redirect(`${LOGIN_PAGE}#${new URLSearchParams(params)}`);
+}
+
+function sendSsoError(res, error, fallbackMessage) {
+    if (error instanceof SsoError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+/**
+ * Login binding cookie attributes. The OIDC callback is a top-level GET, which
+ * carries SameSite=Lax cookies; the SAML ACS is a cross-site POST from the IdP,
+ * which only carries SameSite=None ones, and browsers require those to be
+ * Secure (HTTPS, or localhost during development)
+ */
+function browserCookieOptions(req, protocol) {
+    return {
+        httpOnly: true,
+        path: BROWSER_COOKIE_PATH,
+        sameSite: protocol === 'saml' ? 'none' : 'lax',
+        secure: protocol === 'saml' || publicBase(req).startsWith('https:')
+    };
+}
+
+function readCookie(req, name) {
+    for (const pair of (req.headers.cookie || '').split(';')) {
+        const [key, ...value] = pair.trim().split('=');
+        if (key === name) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+    return null;
+}
+
+/**
+ * Claim the login request named by state, if this browser started it; the
+ * binding cookie is single use like the request
+ * @returns {Promise<object|null>} sso_login_requests row
+ */
+async function claimBrowserRequest(req, res, protocol, state) {
+    const browserToken = readCookie(req, BROWSER_COOKIE);
+    res.clearCookie(BROWSER_COOKIE, browserCookieOptions(req, protocol));
+
+    return claimLoginRequest(pool, state, browserToken);
+}
+
+function accountBlocked(account) {
+    return account.status !== 'active' || account.tenant_active === false;
+}
+
+// ============================================================================
+// LOGIN
+// ============================================================================
+
+function loginFailed(res, error, label) {
+    if (!(error instanceof SsoError)) {
+        console.error(`${label} error:`, error);
+    }
+    redirectToLogin(res, { ssoError: error instanceof SsoError ? error.message : 'Single sign-on failed' });
+}
+
+/**
+ * Send the browser to the connection's IdP
+ */
+async function startLogin(req, res, connection) {
+    if (!connection || !connection.is_enabled || connection.tenant_active === false) {
+        return redirectToLogin(res, { ssoError: 'Single sign-on is not set up for this organization' });
+    }
+
+    const bindBrowser = browserToken => res.cookie(BROWSER_COOKIE, browserToken, {
+        ...browserCookieOptions(req, connection.protocol),
+        maxAge: LOGIN_REQUEST_TTL_MINUTES * 60 * 1000
+    });
+
+    if (connection.protocol === 'saml') {
+        const requestId = saml.newRequestId();
+        const { state, browserToken } = await createLoginRequest(pool, connection, requestId);
+        const sp = serviceProviderUrls(req, connection.tenant_id);
+
+        bindBrowser(browserToken);
+        return res.redirect(await saml.authorizationUrl(connection, sp, { requestId, state }));
+    }
+
+    const metadata = await oidc.discover(connection.issuer);
+    const request = await createLoginRequest(pool, connection);
+
+    bindBrowser(request.browserToken);
+    res.redirect(oidc.authorizationUrl(connection, metadata, { ...request, redirectUri: redirectUri(req) }));
+}
+
+/**
+ * Provision the IdP's user and hand the login over to the login page
+ */
+async function finishLogin(res, connection, request, profile) {
+    const account = await withTransaction(client => provisionAccount(client, connection, profile));
+
+    if (accountBlocked(account)) {
+        return redirectToLogin(res, { ssoError: 'Account is deactivated' });
+    }
+
+    redirectToLogin(res, { ssoToken: await issueHandoff(pool, request.id, account.id) });
+}
+
+/**
+ * GET /api/auth/sso/authorize?tenant=<slug or id>
+ * Redirect to the tenant's identity provider, whichever protocol it uses
+ */
+router.get('/authorize', async (req, res) => {
+    try {
+        await startLogin(req, res, await findConnection(pool, { tenant: req.query.tenant }));
+    } catch (error) {
+        loginFailed(res, error, 'SSO authorize');
+    }
+});
+
+/**
+ * GET /api/auth/sso/oidc/authorize?tenant=<slug or id>
+ * Redirect to the tenant's OpenID Connect provider
+ */
+router.get('/oidc/authorize', async (req, res) => {
+    try {
+        await startLogin(req, res, await findConnection(pool, { tenant: req.query.tenant }, 'oidc'));
+    } catch (error) {
+        loginFailed(res, error, 'SSO authorize');
+    }
+});
+
+/**
+ * GET /api/auth/sso/oidc/callback?code=...&state=...
+ * Finish the IdP round trip and hand the login over to the login page
+ */
+router.get('/oidc/callback', async (req, res) => {
+    try {
+        const { code, state, error, error_description: errorDescription } = req.query;
+
+        const request = await claimBrowserRequest(req, res, 'oidc', state);
+
+        if (!request) {
+            return redirectToLogin(res, { ssoError: 'Sign-in request expired or was started in another browser. Please try again.' });
+        }
+
+        if (error || !code) {
+            return redirectToLogin(res, { ssoError: errorDescription || error || 'Sign-in was cancelled' });
+        }
+
+        const connectionResult = await pool.query('SELECT * FROM sso_connections WHERE id = $1', [request.connection_id]);
+        const connection = connectionResult.rows[0];
+
+        if (!connection || !connection.is_enabled || connection.protocol !== 'oidc') {
+            return redirectToLogin(res, { ssoError: 'Single sign-on is not set up for this organization' });
+        }
+
+        const metadata = await oidc.discover(connection.issuer);
+        const tokens = await oidc.exchangeCode(connection, clientSecret(connection), metadata, {
+            code,
+            redirectUri: redirectUri(req),
+            codeVerifier: request.code_verifier
+        });
+        const claims = await oidc.verifyIdToken(connection, metadata, tokens.id_token, request.nonce);
+        const profile = await oidc.fetchProfile(connection, metadata, tokens, claims);
+
+        await finishLogin(res, connection, request, profile);
+
+    } catch (error) {
+        loginFailed(res, error, 'SSO callback');
+    }
+});
+
+/**
+ * GET /api/auth/sso/saml/authorize?tenant=<slug or id>
+ * Redirect to the tenant's SAML IdP with an AuthnRequest
+ */
+router.get('/saml/authorize', async (req, res) => {
+    try {
+        await startLogin(req, res, await findConnection(pool, { tenant: req.query.tenant }, 'saml'));
+    } catch (error) {
+        loginFailed(res, error, 'SSO authorize');
+    }
+});
+
+router.param('tenantId', (req, res, next, tenantId) => {
+    if (!UUID_PATTERN.test(tenantId)) {
+        return res.status(404).json({
+            success: false,
+            message: 'SAML connection not found'
+        });
+    }
+    next();
+});
+
+/**
+ * GET /api/auth/sso/saml/:tenantId/metadata
+ * Service provider metadata to import into the tenant's IdP
+ */
+router.get('/saml/:tenantId/metadata', async (req, res) => {
+    try {
+        const connection = await findConnection(pool, { tenantId: req.params.tenantId }, 'saml');
+
+        if (!connection) {
+            return res.status(404).json({
+                success: false,
+                message: 'SAML connection not found'
+            });
+        }
+
+        res.type('application/samlmetadata+xml')
+            .send(saml.metadata(connection, serviceProviderUrls(req, connection.tenant_id)));
+
+    } catch (error) {
+        console.error('SAML metadata error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build SAML metadata'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/sso/saml/:tenantId/acs
+ * Assertion consumer service (HTTP-POST binding)
+ * Body (form): SAMLResponse, RelayState
+ */
+router.post('/saml/:tenantId/acs', async (req, res) => {
+    try {
+        const request = await claimBrowserRequest(req, res, 'saml', req.body.RelayState);
+
+        if (!request) {
+            return redirectToLogin(res, { ssoError: 'Sign-in request expired or was started in another browser. Please try again.' });
+        }
+
+        const connectionResult = await pool.query(
+            'SELECT * FROM sso_connections WHERE id = $1 AND tenant_id = $2',
+            [request.connection_id, req.params.tenantId]
+        );
+        const connection = connectionResult.rows[0];
+
+        if (!connection || !connection.is_enabled || connection.protocol !== 'saml') {
+            return redirectToLogin(res, { ssoError: 'Single sign-on is not set up for this organization' });
+        }
+
+        const sp = serviceProviderUrls(req, connection.tenant_id);
+        const profile = await saml.validateResponse(connection, sp, request, req.body.SAMLResponse);
+
+        await finishLogin(res, connection, request, profile);
+
+    } catch (error) {
+        loginFailed(res, error, 'SAML ACS');
+    }
+});
+
+/**
+ * POST /api/auth/sso/complete
+ * Exchange the login page's ssoToken for a session
+ * Body: ssoToken
+ */
+router.post('/complete', async (req, res) => {
+    try {
+        const userId = await redeemHandoff(pool, req.body.ssoToken);
+
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Sign-in link is invalid or has expired'
+            });
+        }
+
+        const account = await findAccount(pool, { id: userId });
+
+        if (!account || accountBlocked(account)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Account is deactivated'
+            });
+        }
+
+        // Local MFA still applies; the IdP's own MFA is not visible to us
+        const challenge = await startLoginChallenge(pool, account);
+
+        if (challenge) {
+            return res.json(challenge);
+        }
+
+        res.json(await completeLogin(pool, account, clientInfo(req)));
+
+    } catch (error) {
+        console.error('SSO login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Login failed'
+        });
+    }
+});
+
+// ============================================================================
+// CONFIGURATION (tenant admins)
+// ============================================================================
+
+const requireAdmin = [authenticateToken, requireTenant, requirePermission('manage:team')];
+
+/**
+ * Values the tenant registers with its IdP
+ */
+function registrationValues(req, protocol) {
+    if (protocol === 'saml') {
+        const sp = serviceProviderUrls(req, req.partner.tenantId);
+        return { entityId: sp.entityId, acsUrl: sp.acsUrl, metadataUrl: sp.entityId };
+    }
+
+    return { redirectUri: redirectUri(req) };
+}
+
+/**
+ * GET /api/auth/sso/oidc | /api/auth/sso/saml
+ * The caller's tenant connection, plus the values to register with the IdP
+ */
+router.get('/:protocol(oidc|saml)', requireAdmin, async (req, res) => {
+    try {
+        const { protocol } = req.params;
+        const connection = await findConnection(pool, { tenantId: req.partner.tenantId }, protocol);
+        const tenant = await pool.query('SELECT slug FROM tenants WHERE id = $1', [req.partner.tenantId]);
+
+        res.json({
+            success: true,
+            connection: connection ? formatConnection(connection) : null,
+            ...registrationValues(req, protocol),
+            loginTenant: (tenant.rows[0] && tenant.rows[0].slug) || req.partner.tenantId
+        });
+
+    } catch (error) {
+        console.error('Get SSO connection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load SSO connection'
+        });
+    }
+});
+
+/**
+ * PUT /api/auth/sso/oidc | /api/auth/sso/saml
+ * Create or update the caller's tenant connection
+ * Body (oidc): issuer, clientId, clientSecret, scopes, groupsClaim
+ * Body (saml): entityId, ssoUrl, certificate, attributeMapping
+ * Body (both): roleMapping, defaultRoleId, enabled
+ */
+router.put('/:protocol(oidc|saml)', requireAdmin, async (req, res) => {
+    try {
+        const connection = await saveConnection(pool, req.partner.tenantId, req.params.protocol, req.body);
+
+        res.json({
+            success: true,
+            message: 'SSO connection saved',
+            connection: formatConnection(connection)
+        });
+
+    } catch (error) {
+        sendSsoError(res, error, 'Failed to save SSO connection');
+    }
+});
+
+/**
+ * DELETE /api/auth/sso/oidc | /api/auth/sso/saml
+ * Remove the caller's tenant connection (linked identities go with it)
+ */
+router.delete('/:protocol(oidc|saml)', requireAdmin, async (req, res) => {
+    try {
+        const deleted = await deleteConnection(pool, req.partner.tenantId, req.params.protocol);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'SSO connection not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'SSO connection removed'
+        });
+
+    } catch (error) {
+        console.error('Delete SSO connection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove SSO connection'
+        });
+    }
+});
+
+module.exports = router;
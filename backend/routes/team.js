@@ -0,0 +1,395 @@
+/**
+ * MODULE 1: TEAM
+ * Members of the caller's tenant, invitations by email and their acceptance
+ * (rules in services/team.js)
+ *
+ * Any tenant member can list the team; every change needs manage:team.
+ * Invitation links open the signup page with #inviteToken=..., which looks the
+ * invitation up and accepts it here.
+ */
+
+const express = require('express');
+const bcrypt = require('bcrypt');
+const pool = require('../config/database');
+const { withTransaction } = require('../config/transaction');
+const { authenticateToken, requireTenant } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { auditedInService } = require('../middleware/audit');
+const { rateLimit } = require('../middleware/rateLimit');
+const { clientInfo } = require('../services/sessions');
+const {
+    TeamError,
+    assignableRoles,
+    listMembers,
+    changeMemberRole,
+    setMemberActive,
+    formatInvitation,
+    listInvitations,
+    createInvitation,
+    resendInvitation,
+    revokeInvitation,
+    findOpenInvitation,
+    acceptInvitation,
+    sendInvitationEmail
+} = require('../services/team');
+
+const router = express.Router();
+
+// Changes are audited by the service (see middleware/audit.js)
+router.use(auditedInService);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+const requireAdmin = [authenticateToken, requireTenant, requirePermission('manage:team')];
+
+const MINUTE = 60 * 1000;
+const limitInvitationTokenByIp = rateLimit({ name: 'invitation-ip', windowMs: 15 * MINUTE, max: 20 });
+const limitResendByInvitation = rateLimit({
+    name: 'invitation-resend',
+    windowMs: 60 * MINUTE,
+    max: 3,
+    key: req => req.params.invitationId
+});
+
+function actorOf(req) {
+    return { userId: req.partner.userId, client: clientInfo(req) };
+}
+
+function sendTeamError(res, error, fallbackMessage) {
+    if (error instanceof TeamError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+router.param('userId', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+    }
+    next();
+});
+
+router.param('invitationId', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Invitation not found'
+        });
+    }
+    next();
+});
+
+// ============================================================================
+// MEMBERS
+// ============================================================================
+
+/**
+ * GET /api/v1/team/members
+ * Members of the caller's tenant
+ */
+router.get('/members', authenticateToken, requireTenant, async (req, res) => {
+    try {
+        const members = await listMembers(pool, req.partner.tenantId);
+
+        res.json({
+            success: true,
+            members: members.map(member => ({ ...member, isCurrentUser: member.id === req.partner.userId }))
+        });
+
+    } catch (error) {
+        console.error('List team members error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load team members'
+        });
+    }
+});
+
+/**
+ * GET /api/v1/team/roles
+ * Roles that can be given to members and invitees
+ */
+router.get('/roles', requireAdmin, async (req, res) => {
+    try {
+        const roles = await assignableRoles(pool, req.partner.tenantId);
+
+        res.json({
+            success: true,
+            roles
+        });
+
+    } catch (error) {
+        console.error('List team roles error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load roles'
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/team/members/:userId/role
+ * Replace a member's role in the tenant and revoke their sessions
+ * Body: roleId, domains (assigned domain IDs, optional)
+ */
+router.put('/members/:userId/role', requireAdmin, async (req, res) => {
+    try {
+        const member = await withTransaction(client => changeMemberRole(
+            client, req.partner.tenantId, req.params.userId, req.body, actorOf(req)
+        ));
+
+        res.json({
+            success: true,
+            message: 'Role updated',
+            member
+        });
+
+    } catch (error) {
+        sendTeamError(res, error, 'Failed to change role');
+    }
+});
+
+/**
+ * POST /api/v1/team/members/:userId/deactivate
+ * Block a member from signing in and end their sessions
+ */
+router.post('/members/:userId/deactivate', requireAdmin, async (req, res) => {
+    try {
+        const member = await withTransaction(client => setMemberActive(
+            client, req.partner.tenantId, req.params.userId, false, actorOf(req)
+        ));
+
+        res.json({
+            success: true,
+            message: 'User deactivated',
+            member
+        });
+
+    } catch (error) {
+        sendTeamError(res, error, 'Failed to deactivate user');
+    }
+});
+
+/**
+ * POST /api/v1/team/members/:userId/reactivate
+ * Let a deactivated member sign in again
+ */
+router.post('/members/:userId/reactivate', requireAdmin, async (req, res) => {
+    try {
+        const member = await withTransaction(client => setMemberActive(
+            client, req.partner.tenantId, req.params.userId, true, actorOf(req)
+        ));
+
+        res.json({
+            success: true,
+            message: 'User reactivated',
+            member
+        });
+
+    } catch (error) {
+        sendTeamError(res, error, 'Failed to reactivate user');
+    }
+});
+
+// ============================================================================
+// INVITATIONS
+// ============================================================================
+
+/**
+ * GET /api/v1/team/invitations?status=pending
+ * The tenant's invitations, newest first
+ */
+router.get('/invitations', requireAdmin, async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        if (status && !INVITATION_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of: ${INVITATION_STATUSES.join(', ')}`
+            });
+        }
+
+        const invitations = await listInvitations(pool, req.partner.tenantId, { status });
+
+        res.json({
+            success: true,
+            invitations
+        });
+
+    } catch (error) {
+        console.error('List invitations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load invitations'
+        });
+    }
+});
+
+/**
+ * POST /api/v1/team/invitations
+ * Invite someone by email
+ * Body: email, roleId, domains (assigned domain IDs, optional)
+ */
+router.post('/invitations', requireAdmin, async (req, res) => {
+    try {
+        const invitation = await withTransaction(async (client) => {
+            const created = await createInvitation(client, req.partner.tenantId, req.body, actorOf(req));
+            await sendInvitationEmail(client, created.invitation, created.token);
+            return created.invitation;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Invitation sent to ${invitation.email}`,
+            invitation: formatInvitation(invitation)
+        });
+
+    } catch (error) {
+        sendTeamError(res, error, 'Failed to send invitation');
+    }
+});
+
+/**
+ * POST /api/v1/team/invitations/lookup
+ * What an invitation link is for, shown before the invitee signs up
+ * Body: token
+ */
+router.post('/invitations/lookup', limitInvitationTokenByIp, async (req, res) => {
+    try {
+        const invitation = await findOpenInvitation(pool, req.body.token);
+
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invalid or expired invitation'
+            });
+        }
+
+        res.json({
+            success: true,
+            invitation: {
+                email: invitation.email,
+                tenantName: invitation.tenant_name,
+                roleName: invitation.role_name,
+                inviterName: invitation.inviter_name,
+                expiresAt: invitation.expires_at
+            }
+        });
+
+    } catch (error) {
+        console.error('Invitation lookup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load invitation'
+        });
+    }
+});
+
+/**
+ * POST /api/v1/team/invitations/accept
+ * Create the invitee's account in the inviting tenant
+ * Body: token, name (or fullName), password
+ */
+router.post('/invitations/accept', limitInvitationTokenByIp, async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        const name = String(req.body.fullName || req.body.name || '').trim();
+
+        if (!token || !password || !name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Token, name and password are required'
+            });
+        }
+
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+            });
+        }
+
+        const passwordHash = await bcrypt.hash(password, 10);
+
+        const { user, invitation } = await withTransaction(client => acceptInvitation(
+            client, token, { name, passwordHash }, clientInfo(req)
+        ));
+
+        res.status(201).json({
+            success: true,
+            message: `Welcome to ${invitation.tenant_name}! You can now log in.`,
+            user: {
+                id: user.id,
+                email: user.email,
+                name: user.name,
+                tenantId: user.tenant_id,
+                role: invitation.role_id
+            }
+        });
+
+    } catch (error) {
+        sendTeamError(res, error, 'Failed to accept invitation');
+    }
+});
+
+/**
+ * POST /api/v1/team/invitations/:invitationId/resend
+ * Email a pending invitation again with a new link and expiry (the old link stops working)
+ */
+router.post('/invitations/:invitationId/resend', requireAdmin, limitResendByInvitation, async (req, res) => {
+    try {
+        const invitation = await withTransaction(async (client) => {
+            const resent = await resendInvitation(client, req.partner.tenantId, req.params.invitationId, actorOf(req));
+            await sendInvitationEmail(client, resent.invitation, resent.token);
+            return resent.invitation;
+        });
+
+        res.json({
+            success: true,
+            message: `Invitation sent to ${invitation.email} again`,
+            invitation: formatInvitation(invitation)
+        });
+
+    } catch (error) {
+        sendTeamError(res, error, 'Failed to resend invitation');
+    }
+});
+
+/**
+ * DELETE /api/v1/team/invitations/:invitationId
+ * Revoke a pending invitation
+ */
+router.delete('/invitations/:invitationId', requireAdmin, async (req, res) => {
+    try {
+        const invitation = await withTransaction(client => revokeInvitation(
+            client, req.partner.tenantId, req.params.invitationId, actorOf(req)
+        ));
+
+        res.json({
+            success: true,
+            message: 'Invitation revoked',
+            invitation
+        });
+
+    } catch (error) {
+        sendTeamError(res, error, 'Failed to revoke invitation');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,933 @@
+/**
+ * MODULE 4: TEMPLATES
+ * Assessment templates, their dimensions and published versions
+ * Backs the question editor; questions live in routes/questions.js
+ * Dimensions and questions are the editable working copy; assessments run
+ * against immutable versions (see services/templateVersions.js)
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { withTransaction } = require('../config/transaction');
+const { authenticateToken } = require('../middleware/auth');
+const { TENANT_SCOPES, loadDataScope, scopeCondition, withDataScope } = require('../middleware/dataScope');
+const { requirePermission } = require('../middleware/permissions');
+const { auditChanges } = require('../middleware/audit');
+const {
+    VERSION_PATTERN,
+    visibleTemplateCondition,
+    findTemplate,
+    findEditableTemplate,
+    loadDimensions,
+    applySortOrder,
+    formatTemplate,
+    formatDimension
+} = require('../services/templates');
+const {
+    TemplateVersionError,
+    createVersion,
+    findVersion,
+    isPublished,
+    diffSnapshots
+} = require('../services/templateVersions');
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DEFAULT_VERSION = '1.0';
+
+// Fields a client may change through PUT /:id
+// is_public only changes through publish/unpublish
+const TEMPLATE_FIELDS = ['name', 'description', 'category', 'version', 'metadata', 'is_active'];
+const DIMENSION_FIELDS = ['name', 'description', 'weight', 'color', 'icon', 'key_areas'];
+
+const requireTemplateEditor = requirePermission('manage:templates');
+
+// Dimension routes are audited against the dimension, not the template
+const findDimension = async (db, req) => req.params.dimensionId;
+
+router.use(authenticateToken);
+
+router.param('id', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Template not found'
+        });
+    }
+    next();
+});
+
+router.param('dimensionId', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Dimension not found'
+        });
+    }
+    next();
+});
+
+router.param('versionId', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Version not found'
+        });
+    }
+    next();
+});
+
+/**
+ * GET /api/v1/templates
+ * List templates visible to the caller
+ * Query: category, search, include_inactive
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { category, search, include_inactive } = req.query;
+
+        const params = [];
+        const conditions = [visibleTemplateCondition(req.partner, params)];
+
+        if (include_inactive !== 'true') {
+            conditions.push('t.is_active = true');
+        }
+
+        if (category) {
+            params.push(category);
+            conditions.push(`t.category = $${params.length}`);
+        }
+
+        if (search) {
+            params.push(`%${search}%`);
+            conditions.push(`(t.name ILIKE $${params.length} OR t.description ILIKE $${params.length})`);
+        }
+
+        const result = await pool.query(`
+            SELECT
+                t.*,
+                (SELECT COUNT(*) FROM template_dimensions td WHERE td.template_id = t.id AND td.archived_at IS NULL) AS dimensions_count,
+                (SELECT COUNT(*) FROM questions q WHERE q.template_id = t.id AND q.archived_at IS NULL) AS questions_count,
+                (SELECT tv.version FROM template_versions tv WHERE tv.template_id = t.id ORDER BY tv.created_at DESC LIMIT 1) AS latest_version
+            FROM assessment_templates t
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY t.name
+        `, params);
+
+        res.json({
+            success: true,
+            templates: result.rows.map(row => formatTemplate(row))
+        });
+
+    } catch (error) {
+        console.error('List templates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load templates'
+        });
+    }
+});
+
+/**
+ * GET /api/v1/templates/:id
+ * Get a template with its dimensions
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const template = await findTemplate(pool, req.params.id, req.partner);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+
+        const dimensions = await loadDimensions(pool, template.id);
+
+        res.json({
+            success: true,
+            template: formatTemplate(template, dimensions)
+        });
+
+    } catch (error) {
+        console.error('Get template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get template'
+        });
+    }
+});
+
+/**
+ * POST /api/v1/templates
+ * Create a private template for the caller's tenant
+ * Optional body.dimensions creates the dimensions in the given order
+ */
+router.post('/', requireTemplateEditor, auditChanges('template', 'assessment_templates'), async (req, res) => {
+    try {
+        const { name, description, category } = req.body;
+        const version = req.body.version || DEFAULT_VERSION;
+        const dimensions = req.body.dimensions || [];
+
+        const error = validateTemplate({ name, version })
+            || (Array.isArray(dimensions) ? null : 'Dimensions must be an array')
+            || dimensions.map(validateDimension).find(Boolean);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const template = await withTransaction(async (client) => {
+            const result = await client.query(`
+                INSERT INTO assessment_templates (
+                    id,
+                    name,
+                    description,
+                    category,
+                    version,
+                    tenant_id,
+                    created_by,
+                    is_public,
+                    is_active,
+                    metadata,
+                    created_at,
+                    updated_at
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, $7, false, true, $8, NOW(), NOW())
+                RETURNING *
+            `, [
+                crypto.randomUUID(),
+                name,
+                description || '',
+                category || null,
+                version,
+                req.partner.tenantId || null,
+                req.partner.userId || null,
+                JSON.stringify(req.body.metadata || {})
+            ]);
+
+            for (let i = 0; i < dimensions.length; i++) {
+                await insertDimension(client, result.rows[0].id, dimensions[i], i + 1);
+            }
+
+            return formatTemplate(result.rows[0], await loadDimensions(client, result.rows[0].id));
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Template created',
+            template
+        });
+
+    } catch (error) {
+        console.error('Create template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create template'
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/templates/:id
+ * Update template fields
+ */
+router.put('/:id', requireTemplateEditor, auditChanges('template', 'assessment_templates'), async (req, res) => {
+    try {
+        const updates = TEMPLATE_FIELDS.filter(field => req.body[field] !== undefined);
+
+        if (updates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No updatable fields provided'
+            });
+        }
+
+        const error = validateTemplate(req.body, true);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const params = updates.map(field =>
+            field === 'metadata' ? JSON.stringify(req.body[field]) : req.body[field]
+        );
+        const assignments = updates.map((field, i) => `${field} = $${i + 1}`);
+
+        params.push(req.params.id, req.partner.tenantId || null);
+
+        const result = await pool.query(`
+            UPDATE assessment_templates
+            SET ${assignments.join(', ')}, updated_at = NOW()
+            WHERE id = $${params.length - 1}
+              AND tenant_id IS NOT DISTINCT FROM $${params.length}
+            RETURNING *
+        `, params);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Template updated',
+            template: formatTemplate(result.rows[0], await loadDimensions(pool, req.params.id))
+        });
+
+    } catch (error) {
+        console.error('Update template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update template'
+        });
+    }
+});
+
+/**
+ * POST /api/v1/templates/:id/publish
+ * Make a platform template available to every tenant (platform staff only)
+ */
+router.post('/:id/publish', requireTemplateEditor, loadDataScope('assessments'), auditChanges('template', 'assessment_templates', { action: 'template.published' }), (req, res) => setPublished(req, res, true));
+
+/**
+ * POST /api/v1/templates/:id/unpublish
+ * Restrict a template to its owner again
+ * Assessments already created from it keep working
+ */
+router.post('/:id/unpublish', requireTemplateEditor, loadDataScope('assessments'), auditChanges('template', 'assessment_templates', { action: 'template.unpublished' }), (req, res) => setPublished(req, res, false));
+
+/**
+ * DELETE /api/v1/templates/:id
+ * Archive a template (assessments may still reference it)
+ */
+router.delete('/:id', requireTemplateEditor, auditChanges('template', 'assessment_templates'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            UPDATE assessment_templates
+            SET is_active = false, is_public = false, updated_at = NOW()
+            WHERE id = $1
+              AND tenant_id IS NOT DISTINCT FROM $2
+            RETURNING id
+        `, [req.params.id, req.partner.tenantId || null]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Template archived'
+        });
+
+    } catch (error) {
+        console.error('Delete template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete template'
+        });
+    }
+});
+
+// ============================================================================
+// DIMENSIONS
+// ============================================================================
+
+/**
+ * GET /api/v1/templates/:id/dimensions
+ * List a template's dimensions in sort order
+ */
+router.get('/:id/dimensions', async (req, res) => {
+    try {
+        const template = await findTemplate(pool, req.params.id, req.partner);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            dimensions: await loadDimensions(pool, template.id)
+        });
+
+    } catch (error) {
+        console.error('List dimensions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load dimensions'
+        });
+    }
+});
+
+/**
+ * POST /api/v1/templates/:id/dimensions
+ * Add a dimension at the end of the template
+ */
+router.post('/:id/dimensions', requireTemplateEditor, async (req, res) => {
+    try {
+        const error = validateDimension(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const dimension = await withTransaction(async (client) => {
+            const template = await findEditableTemplate(client, req.params.id, req.partner);
+            if (!template) return null;
+
+            const next = await client.query(
+                'SELECT COALESCE(MAX(sort_order), 0) + 1 AS sort_order FROM template_dimensions WHERE template_id = $1',
+                [template.id]
+            );
+
+            const created = await insertDimension(client, template.id, req.body, next.rows[0].sort_order);
+            await touchTemplate(client, template.id);
+            return created;
+        });
+
+        if (!dimension) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Dimension created',
+            dimension
+        });
+
+    } catch (error) {
+        console.error('Create dimension error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create dimension'
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/templates/:id/dimensions/order
+ * Reorder dimensions
+ * Body: { order: [dimension_id, ...] }
+ */
+router.put('/:id/dimensions/order', requireTemplateEditor, async (req, res) => {
+    try {
+        const { order } = req.body;
+
+        if (!Array.isArray(order) || order.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Order must be a non-empty array of dimension ids'
+            });
+        }
+
+        const outcome = await withTransaction(async (client) => {
+            const template = await findEditableTemplate(client, req.params.id, req.partner);
+            if (!template) return { status: 404, message: 'Template not found' };
+
+            if (!await applySortOrder(client, 'template_dimensions', 'template_id', template.id, order)) {
+                return { status: 400, message: 'Order contains dimensions outside this template' };
+            }
+
+            await touchTemplate(client, template.id);
+            return { dimensions: await loadDimensions(client, template.id) };
+        });
+
+        if (outcome.status) {
+            return res.status(outcome.status).json({
+                success: false,
+                message: outcome.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Dimensions reordered',
+            dimensions: outcome.dimensions
+        });
+
+    } catch (error) {
+        console.error('Reorder dimensions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reorder dimensions'
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/templates/:id/dimensions/:dimensionId
+ * Update a dimension
+ */
+router.put('/:id/dimensions/:dimensionId', requireTemplateEditor, auditChanges('dimension', 'template_dimensions', { find: findDimension }), async (req, res) => {
+    try {
+        const updates = DIMENSION_FIELDS.filter(field => req.body[field] !== undefined);
+
+        if (updates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No updatable fields provided'
+            });
+        }
+
+        const error = validateDimension(req.body, true);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const dimension = await withTransaction(async (client) => {
+            const template = await findEditableTemplate(client, req.params.id, req.partner);
+            if (!template) return null;
+
+            const params = updates.map(field =>
+                field === 'key_areas' ? JSON.stringify(req.body[field]) : req.body[field]
+            );
+            const assignments = updates.map((field, i) => `${field} = $${i + 1}`);
+            params.push(req.params.dimensionId, template.id);
+
+            const result = await client.query(`
+                UPDATE template_dimensions
+                SET ${assignments.join(', ')}
+                WHERE id = $${params.length - 1} AND template_id = $${params.length} AND archived_at IS NULL
+                RETURNING *
+            `, params);
+
+            if (result.rows.length === 0) return null;
+
+            await touchTemplate(client, template.id);
+            return formatDimension(result.rows[0]);
+        });
+
+        if (!dimension) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dimension not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Dimension updated',
+            dimension
+        });
+
+    } catch (error) {
+        console.error('Update dimension error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update dimension'
+        });
+    }
+});
+
+/**
+ * DELETE /api/v1/templates/:id/dimensions/:dimensionId
+ * Delete a dimension and its questions
+ * Dimensions that are answered or part of a published version are archived instead
+ */
+router.delete('/:id/dimensions/:dimensionId', requireTemplateEditor, auditChanges('dimension', 'template_dimensions', { find: findDimension }), async (req, res) => {
+    try {
+        const outcome = await withTransaction(async (client) => {
+            const template = await findEditableTemplate(client, req.params.id, req.partner);
+            if (!template) return { status: 404, message: 'Template not found' };
+
+            const dimension = await client.query(
+                'SELECT id FROM template_dimensions WHERE id = $1 AND template_id = $2 AND archived_at IS NULL',
+                [req.params.dimensionId, template.id]
+            );
+
+            if (dimension.rows.length === 0) return { status: 404, message: 'Dimension not found' };
+
+            const answered = await client.query(`
+                SELECT 1
+                FROM assessment_responses r
+                JOIN questions q ON r.question_id = q.id
+                WHERE q.dimension_id = $1
+                LIMIT 1
+            `, [req.params.dimensionId]);
+
+            // Answered or published dimensions are archived so existing assessments keep resolving them
+            const archived = answered.rows.length > 0
+                || await isPublished(client, template.id, 'dimensions', req.params.dimensionId);
+
+            if (archived) {
+                await client.query(
+                    'UPDATE questions SET archived_at = NOW() WHERE dimension_id = $1 AND archived_at IS NULL',
+                    [req.params.dimensionId]
+                );
+                await client.query('UPDATE template_dimensions SET archived_at = NOW() WHERE id = $1', [req.params.dimensionId]);
+            } else {
+                await client.query('DELETE FROM questions WHERE dimension_id = $1', [req.params.dimensionId]);
+                await client.query('DELETE FROM template_dimensions WHERE id = $1', [req.params.dimensionId]);
+            }
+
+            await touchTemplate(client, template.id);
+            return { archived };
+        });
+
+        if (outcome.status) {
+            return res.status(outcome.status).json({
+                success: false,
+                message: outcome.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: outcome.archived ? 'Dimension archived' : 'Dimension deleted'
+        });
+
+    } catch (error) {
+        console.error('Delete dimension error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete dimension'
+        });
+    }
+});
+
+// ============================================================================
+// VERSIONS
+// ============================================================================
+
+/**
+ * GET /api/v1/templates/:id/versions
+ * List published versions, newest first (snapshots omitted)
+ * assessments_count counts the caller's visible assessments pinned to each version
+ */
+router.get('/:id/versions', loadDataScope('assessments'), async (req, res) => {
+    try {
+        const template = await findTemplate(pool, req.params.id, req.partner);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+
+        const params = [template.id];
+        const scope = scopeCondition(req.dataScope, params);
+
+        const result = await withDataScope(req.dataScope, client => client.query(`
+            SELECT
+                tv.id,
+                tv.template_id,
+                tv.version,
+                tv.notes,
+                tv.created_by,
+                tv.created_at,
+                jsonb_array_length(tv.snapshot->'dimensions') AS dimensions_count,
+                jsonb_array_length(tv.snapshot->'questions') AS questions_count,
+                (SELECT COUNT(*) FROM assessments a WHERE a.template_version_id = tv.id AND ${scope}) AS assessments_count
+            FROM template_versions tv
+            WHERE tv.template_id = $1
+            ORDER BY tv.created_at DESC
+        `, params));
+
+        res.json({
+            success: true,
+            working_version: template.version,
+            versions: result.rows.map(row => ({
+                ...row,
+                assessments_count: parseInt(row.assessments_count, 10)
+            }))
+        });
+
+    } catch (error) {
+        console.error('List template versions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load template versions'
+        });
+    }
+});
+
+/**
+ * POST /api/v1/templates/:id/versions
+ * Freeze the current dimensions and questions as an immutable version
+ * Body: { version?, notes? } - version defaults to the template's version label
+ */
+router.post('/:id/versions', requireTemplateEditor, async (req, res) => {
+    try {
+        const version = await withTransaction(async (client) => {
+            const template = await findEditableTemplate(client, req.params.id, req.partner);
+            if (!template) return null;
+
+            return createVersion(client, template, {
+                version: req.body.version,
+                notes: req.body.notes || null,
+                userId: req.partner.userId || null
+            });
+        });
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Version ${version.version} published`,
+            version
+        });
+
+    } catch (error) {
+        if (error instanceof TemplateVersionError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Create template version error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create template version'
+        });
+    }
+});
+
+/**
+ * GET /api/v1/templates/:id/versions/diff
+ * Compare two versions
+ * Query: from, to (version ids)
+ */
+router.get('/:id/versions/diff', async (req, res) => {
+    try {
+        const { from, to } = req.query;
+
+        if (!UUID_PATTERN.test(from || '') || !UUID_PATTERN.test(to || '')) {
+            return res.status(400).json({
+                success: false,
+                message: 'from and to version ids are required'
+            });
+        }
+
+        const template = await findTemplate(pool, req.params.id, req.partner);
+        const fromVersion = template && await findVersion(pool, template.id, from);
+        const toVersion = template && await findVersion(pool, template.id, to);
+
+        if (!fromVersion || !toVersion) {
+            return res.status(404).json({
+                success: false,
+                message: 'Version not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            from: { id: fromVersion.id, version: fromVersion.version },
+            to: { id: toVersion.id, version: toVersion.version },
+            diff: diffSnapshots(fromVersion.snapshot, toVersion.snapshot)
+        });
+
+    } catch (error) {
+        console.error('Diff template versions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to compare template versions'
+        });
+    }
+});
+
+/**
+ * GET /api/v1/templates/:id/versions/:versionId
+ * Get a version with its snapshot
+ */
+router.get('/:id/versions/:versionId', async (req, res) => {
+    try {
+        const template = await findTemplate(pool, req.params.id, req.partner);
+        const version = template && await findVersion(pool, template.id, req.params.versionId);
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: 'Version not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            version
+        });
+
+    } catch (error) {
+        console.error('Get template version error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get template version'
+        });
+    }
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Set is_public on a platform-owned template
+ * Public templates show up in every tenant, so only platform roles (data
+ * scope beyond a single tenant; support sessions are not) publish or unpublish
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {boolean} isPublic - Target visibility
+ */
+async function setPublished(req, res, isPublic) {
+    try {
+        if (req.dataScope.scope === 'none' || TENANT_SCOPES.includes(req.dataScope.scope)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only platform staff can publish or unpublish templates'
+            });
+        }
+
+        const result = await pool.query(`
+            UPDATE assessment_templates
+            SET is_public = $1, updated_at = NOW()
+            WHERE id = $2
+              AND tenant_id IS NULL
+              AND (is_active = true OR $1 = false)
+            RETURNING *
+        `, [isPublic, req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: isPublic ? 'Template published' : 'Template unpublished',
+            template: formatTemplate(result.rows[0])
+        });
+
+    } catch (error) {
+        console.error('Publish template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to change template visibility'
+        });
+    }
+}
+
+/**
+ * Insert a dimension
+ * @param {object} client - Transaction client
+ * @param {string} templateId - Template ID
+ * @param {object} data - Dimension fields
+ * @param {number} sortOrder - Position
+ * @returns {Promise<object>} Formatted dimension
+ */
+async function insertDimension(client, templateId, data, sortOrder) {
+    const result = await client.query(`
+        INSERT INTO template_dimensions (
+            id,
+            template_id,
+            name,
+            description,
+            weight,
+            sort_order,
+            color,
+            icon,
+            key_areas
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+    `, [
+        crypto.randomUUID(),
+        templateId,
+        data.name,
+        data.description || '',
+        data.weight !== undefined ? data.weight : 1.0,
+        sortOrder,
+        data.color || null,
+        data.icon || null,
+        JSON.stringify(data.key_areas || [])
+    ]);
+
+    return formatDimension(result.rows[0]);
+}
+
+/**
+ * Bump a template's updated_at after a structural change
+ * @param {object} client - Transaction client
+ * @param {string} templateId - Template ID
+ */
+async function touchTemplate(client, templateId) {
+    await client.query('UPDATE assessment_templates SET updated_at = NOW() WHERE id = $1', [templateId]);
+}
+
+/**
+ * Validate template fields
+ * @param {object} data - Template fields
+ * @param {boolean} partial - Only validate fields that are present
+ * @returns {string|null} Error message
+ */
+function validateTemplate(data, partial = false) {
+    if ((!partial || data.name !== undefined) && (!data.name || data.name.length < 3)) {
+        return 'Name must be at least 3 characters';
+    }
+
+    if (data.version !== undefined && !VERSION_PATTERN.test(String(data.version))) {
+        return 'Version must look like 1, 1.2 or 1.2.3';
+    }
+
+    return null;
+}
+
+/**
+ * Validate dimension fields
+ * @param {object} data - Dimension fields
+ * @param {boolean} partial - Only validate fields that are present
+ * @returns {string|null} Error message
+ */
+function validateDimension(data, partial = false) {
+    if (!data || typeof data !== 'object') {
+        return 'Dimension must be an object';
+    }
+
+    if ((!partial || data.name !== undefined) && !data.name) {
+        return 'Dimension name is required';
+    }
+
+    if (data.weight !== undefined && !(typeof data.weight === 'number' && data.weight > 0 && data.weight < 100)) {
+        return 'Dimension weight must be a positive number';
+    }
+
+    if (data.key_areas !== undefined
+        && !(Array.isArray(data.key_areas) && data.key_areas.every(area => typeof area === 'string'))) {
+        return 'Key areas must be an array of strings';
+    }
+
+    return null;
+}
+
+module.exports = router;
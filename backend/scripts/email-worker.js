@@ -0,0 +1,53 @@
+/**
+ * Email Worker CLI
+ * Usage:
+ *   node scripts/email-worker.js          keep delivering the outbox (EMAIL_WORKER_INTERVAL_MS, default 5000)
+ *   node scripts/email-worker.js --once   deliver what is due now and exit
+ * For running delivery outside the API (start the API with EMAIL_WORKER=off).
+ * Connects with DATABASE_URL and picks the transport like the API (see services/emailTransports.js)
+ */
+
+const pool = require('../config/database');
+const { processOutbox } = require('../services/email');
+const { createTransport } = require('../services/emailTransports');
+
+const log = message => console.log(`[email-worker] ${message}`);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function summary(counts) {
+    const parts = Object.entries(counts).map(([status, count]) => `${count} ${status}`);
+    return parts.length > 0 ? parts.join(', ') : 'nothing due';
+}
+
+async function main() {
+    const once = process.argv.includes('--once');
+    const intervalMs = Number(process.env.EMAIL_WORKER_INTERVAL_MS) || 5000;
+    const transport = createTransport();
+
+    log(`Using ${transport.name} transport`);
+
+    if (once) {
+        log(summary(await processOutbox(pool, transport)));
+        return;
+    }
+
+    let stopping = false;
+    process.on('SIGINT', () => { stopping = true; });
+    process.on('SIGTERM', () => { stopping = true; });
+
+    while (!stopping) {
+        const counts = await processOutbox(pool, transport);
+        if (Object.keys(counts).length > 0) {
+            log(summary(counts));
+        }
+        await sleep(intervalMs);
+    }
+}
+
+main()
+    .catch(error => {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
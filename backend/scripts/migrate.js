@@ -0,0 +1,55 @@
+/**
+ * Migration CLI
+ * Usage:
+ *   node scripts/migrate.js up [version]   apply pending migrations (optionally up to a version)
+ *   node scripts/migrate.js down [steps]   revert the last migration (or the last N)
+ *   node scripts/migrate.js status         list migrations and when they were applied
+ * Connects with DATABASE_URL, like the API
+ */
+
+const pool = require('../config/database');
+const { migrateUp, migrateDown, migrationStatus } = require('../services/migrations');
+
+const log = message => console.log(`[migrate] ${message}`);
+
+async function main() {
+    const [command = 'up', arg] = process.argv.slice(2);
+
+    switch (command) {
+        case 'up': {
+            const applied = await migrateUp(pool, { target: arg || null, log });
+            log(applied.length > 0 ? `${applied.length} migration(s) applied` : 'Database is up to date');
+            break;
+        }
+
+        case 'down': {
+            const steps = arg ? parseInt(arg, 10) : 1;
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error('down expects a positive number of steps');
+            }
+
+            const reverted = await migrateDown(pool, { steps, log });
+            log(reverted.length > 0 ? `${reverted.length} migration(s) reverted` : 'Nothing to revert');
+            break;
+        }
+
+        case 'status': {
+            const migrations = await migrationStatus(pool);
+            migrations.forEach(m => {
+                const state = m.applied_at ? `applied ${m.applied_at.toISOString()}` : 'pending';
+                console.log(`  ${m.version}_${m.name}  ${state}`);
+            });
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+    }
+}
+
+main()
+    .catch(error => {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
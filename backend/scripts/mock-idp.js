@@ -0,0 +1,439 @@
+/**
+ * Mock OpenID Connect and SAML 2.0 provider for local development and tests
+ * Usage:
+ *   node scripts/mock-idp.js            listen on MOCK_IDP_PORT (default 4010)
+ *
+ * Implements just enough of an IdP for the SSO flows to run offline: discovery,
+ * JWKS, authorization code + PKCE (S256), token and userinfo endpoints, plus a
+ * SAML SingleSignOnService (HTTP-Redirect in, signed assertion POSTed to the
+ * ACS). Signing keys are generated at startup. Pass ?login_hint=<email> to
+ * /authorize or /saml/sso to sign in as that user without the picker page
+ * (handy for scripted tests).
+ *
+ * Users come from MOCK_IDP_USERS (path to a JSON array of { sub, email, name,
+ * groups, roles, assigned_domains }) or the defaults below. Point a tenant's
+ * OIDC connection at it with issuer http://localhost:4010, client ID
+ * reabel-local and client secret reabel-local-secret (or MOCK_IDP_CLIENT_ID /
+ * MOCK_IDP_CLIENT_SECRET). For SAML use entity ID http://localhost:4010/saml,
+ * SSO URL http://localhost:4010/saml/sso and the key from /saml/certificate.
+ *
+ * Tests can require this file and call startMockIdp({ port, users }), or
+ * createSamlResponse() to craft assertions (expired, wrong audience, unsigned).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const zlib = require('zlib');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { SignedXml } = require('xml-crypto');
+
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 5 * 60;
+const ASSERTION_TTL_MS = 5 * 60 * 1000;
+
+const ASSERTION_XPATH = "//*[local-name(.)='Assertion']";
+
+const DEFAULT_USERS = [
+    { sub: 'mock-james', email: 'james.park@acme.example.com', name: 'James Park', groups: ['reabel-admins'] },
+    { sub: 'mock-priya', email: 'priya.shah@acme.example.com', name: 'Priya Shah', groups: ['reabel-contributors'] },
+    { sub: 'mock-leo', email: 'leo.martin@acme.example.com', name: 'Leo Martin', groups: [] }
+];
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function samlId() {
+    return `_${crypto.randomBytes(16).toString('hex')}`;
+}
+
+function samlAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => `<saml:Attribute Name="${escapeHtml(name)}">${
+            (Array.isArray(value) ? value : [value])
+                .map(item => `<saml:AttributeValue>${escapeHtml(item)}</saml:AttributeValue>`)
+                .join('')
+        }</saml:Attribute>`)
+        .join('');
+}
+
+/**
+ * Build a SAML Response whose assertion is signed with privateKey
+ * @param {object} options - { privateKey (KeyObject), issuer, audience, recipient, inResponseTo,
+ *                             nameId, attributes, notBefore, notOnOrAfter, sign }
+ * @returns {string} Base64 SAMLResponse, as posted to the ACS
+ */
+function createSamlResponse({
+    privateKey,
+    issuer,
+    audience,
+    recipient,
+    inResponseTo,
+    nameId,
+    attributes = {},
+    notBefore = new Date(Date.now() - 1000),
+    notOnOrAfter = new Date(Date.now() + ASSERTION_TTL_MS),
+    sign = true
+}) {
+    const now = new Date().toISOString();
+    const before = new Date(notBefore).toISOString();
+    const after = new Date(notOnOrAfter).toISOString();
+
+    const xml = `<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="${samlId()}" Version="2.0" IssueInstant="${now}" Destination="${escapeHtml(recipient)}" InResponseTo="${escapeHtml(inResponseTo)}">`
+        + `<saml:Issuer>${escapeHtml(issuer)}</saml:Issuer>`
+        + '<samlp:Status><samlp:StatusCode Value="urn:oasis:names:tc:SAML:2.0:status:Success"/></samlp:Status>'
+        + `<saml:Assertion ID="${samlId()}" Version="2.0" IssueInstant="${now}">`
+        + `<saml:Issuer>${escapeHtml(issuer)}</saml:Issuer>`
+        + '<saml:Subject>'
+        + `<saml:NameID Format="urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress">${escapeHtml(nameId)}</saml:NameID>`
+        + '<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer">'
+        + `<saml:SubjectConfirmationData InResponseTo="${escapeHtml(inResponseTo)}" NotOnOrAfter="${after}" Recipient="${escapeHtml(recipient)}"/>`
+        + '</saml:SubjectConfirmation>'
+        + '</saml:Subject>'
+        + `<saml:Conditions NotBefore="${before}" NotOnOrAfter="${after}">`
+        + `<saml:AudienceRestriction><saml:Audience>${escapeHtml(audience)}</saml:Audience></saml:AudienceRestriction>`
+        + '</saml:Conditions>'
+        + `<saml:AuthnStatement AuthnInstant="${now}" SessionIndex="${samlId()}">`
+        + '<saml:AuthnContext><saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport</saml:AuthnContextClassRef></saml:AuthnContext>'
+        + '</saml:AuthnStatement>'
+        + `<saml:AttributeStatement>${samlAttributes(attributes)}</saml:AttributeStatement>`
+        + '</saml:Assertion>'
+        + '</samlp:Response>';
+
+    if (!sign) {
+        return Buffer.from(xml).toString('base64');
+    }
+
+    const signature = new SignedXml({
+        privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        canonicalizationAlgorithm: 'http://www.w3.org/2001/10/xml-exc-c14n#',
+        signatureAlgorithm: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256'
+    });
+    signature.addReference({
+        xpath: ASSERTION_XPATH,
+        transforms: ['http://www.w3.org/2000/09/xmldsig#enveloped-signature', 'http://www.w3.org/2001/10/xml-exc-c14n#'],
+        digestAlgorithm: 'http://www.w3.org/2001/04/xmlenc#sha256'
+    });
+    signature.computeSignature(xml, {
+        location: { reference: `${ASSERTION_XPATH}/*[local-name(.)='Issuer']`, action: 'after' }
+    });
+
+    return Buffer.from(signature.getSignedXml()).toString('base64');
+}
+
+/**
+ * Read the fields the mock needs from a deflated, base64 AuthnRequest
+ */
+function parseAuthnRequest(samlRequest) {
+    const xml = zlib.inflateRawSync(Buffer.from(String(samlRequest || ''), 'base64')).toString();
+    const attribute = name => (new RegExp(`\\s${name}="([^"]*)"`).exec(xml) || [])[1];
+
+    return {
+        id: attribute('ID'),
+        acsUrl: attribute('AssertionConsumerServiceURL'),
+        spEntityId: (/<(?:saml2?:)?Issuer[^>]*>([^<]+)</.exec(xml) || [])[1]
+    };
+}
+
+/**
+ * Build the IdP app
+ * @param {object} options - { issuer, clientId, clientSecret, users }
+ * @returns {object} Express app
+ */
+function createMockIdp({ issuer, clientId, clientSecret, users }) {
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+
+    const codes = new Map();
+    const accessTokens = new Map();
+
+    function redirectWithCode(res, params, user) {
+        const code = crypto.randomBytes(24).toString('base64url');
+        codes.set(code, { ...params, user, expiresAt: Date.now() + CODE_TTL_MS });
+
+        const target = new URL(params.redirect_uri);
+        target.searchParams.set('code', code);
+        if (params.state) {
+            target.searchParams.set('state', params.state);
+        }
+        res.redirect(target.toString());
+    }
+
+    function authorizeParams(source) {
+        const params = {};
+        ['client_id', 'redirect_uri', 'response_type', 'scope', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+            .forEach(key => { params[key] = source[key]; });
+        return params;
+    }
+
+    function authorizeError(params) {
+        if (params.client_id !== clientId) return 'unknown client_id';
+        if (!params.redirect_uri) return 'redirect_uri is required';
+        if (params.response_type !== 'code') return 'response_type must be code';
+        if (!params.code_challenge || params.code_challenge_method !== 'S256') return 'PKCE with S256 is required';
+        return null;
+    }
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            userinfo_endpoint: `${issuer}/userinfo`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ['code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            code_challenge_methods_supported: ['S256'],
+            token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+            scopes_supported: ['openid', 'email', 'profile', 'groups'],
+            claims_supported: ['sub', 'email', 'email_verified', 'name', 'groups']
+        });
+    });
+
+    app.get('/jwks', (req, res) => {
+        res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+    });
+
+    app.get('/authorize', (req, res) => {
+        const params = authorizeParams(req.query);
+        const error = authorizeError(params);
+
+        if (error) {
+            return res.status(400).send(`Invalid request: ${escapeHtml(error)}`);
+        }
+
+        if (req.query.login_hint) {
+            const user = users.find(u => u.email === String(req.query.login_hint).toLowerCase());
+            if (!user) {
+                return res.status(400).send('Unknown login_hint');
+            }
+            return redirectWithCode(res, params, user);
+        }
+
+        const hidden = Object.entries(params)
+            .filter(([, value]) => value !== undefined)
+            .map(([key, value]) => `<input type="hidden" name="${key}" value="${escapeHtml(value)}">`)
+            .join('');
+
+        res.send(`<!DOCTYPE html>
+<html><head><title>Mock IdP</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 4rem auto;">
+    <h2>Mock identity provider</h2>
+    <p>Sign in to ${escapeHtml(params.client_id)} as:</p>
+    ${users.map(user => `
+    <form method="post" action="/authorize" style="margin-bottom: 0.5rem;">
+        ${hidden}<input type="hidden" name="sub" value="${escapeHtml(user.sub)}">
+        <button type="submit">${escapeHtml(user.name)} &lt;${escapeHtml(user.email)}&gt; ${escapeHtml((user.groups || []).join(', '))}</button>
+    </form>`).join('')}
+</body></html>`);
+    });
+
+    app.post('/authorize', (req, res) => {
+        const params = authorizeParams(req.body);
+        const error = authorizeError(params);
+        const user = users.find(u => u.sub === req.body.sub);
+
+        if (error || !user) {
+            return res.status(400).send(`Invalid request: ${escapeHtml(error || 'unknown user')}`);
+        }
+
+        redirectWithCode(res, params, user);
+    });
+
+    app.post('/token', (req, res) => {
+        let id = req.body.client_id;
+        let secret = req.body.client_secret;
+
+        const basic = /^Basic (.+)$/.exec(req.get('authorization') || '');
+        if (basic) {
+            [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+        }
+
+        if (id !== clientId || secret !== clientSecret) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+
+        const grant = codes.get(req.body.code);
+        codes.delete(req.body.code);
+
+        if (req.body.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+            return res.status(400).json({ error: 'invalid_grant', error_description: 'Code is invalid or expired' });
+        }
+
+        const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+
+        if (grant.redirect_uri !== req.body.redirect_uri || grant.code_challenge !== challenge) {
+            return res.status(400).json({ error: 'invalid_grant', error_description: 'redirect_uri or code_verifier mismatch' });
+        }
+
+        const { user } = grant;
+        const claims = {
+            email: user.email,
+            email_verified: user.email_verified !== false,
+            name: user.name,
+            groups: user.groups || []
+        };
+
+        const accessToken = crypto.randomBytes(24).toString('base64url');
+        accessTokens.set(accessToken, { sub: user.sub, ...claims });
+
+        res.json({
+            token_type: 'Bearer',
+            access_token: accessToken,
+            expires_in: TOKEN_TTL_SECONDS,
+            id_token: jwt.sign({ ...claims, nonce: grant.nonce }, privateKey, {
+                algorithm: 'RS256',
+                keyid: kid,
+                issuer,
+                audience: clientId,
+                subject: user.sub,
+                expiresIn: TOKEN_TTL_SECONDS
+            })
+        });
+    });
+
+    app.get('/userinfo', (req, res) => {
+        const userinfo = accessTokens.get((req.get('authorization') || '').replace(/^Bearer /, ''));
+
+        if (!userinfo) {
+            return res.status(401).json({ error: 'invalid_token' });
+        }
+
+        res.json(userinfo);
+    });
+
+    // SAML -------------------------------------------------------------------
+
+    const samlIssuer = `${issuer}/saml`;
+
+    function postAssertion(res, request, relayState, user) {
+        const samlResponse = createSamlResponse({
+            privateKey,
+            issuer: samlIssuer,
+            audience: request.spEntityId,
+            recipient: request.acsUrl,
+            inResponseTo: request.id,
+            nameId: user.email,
+            attributes: {
+                email: user.email,
+                name: user.name,
+                groups: user.groups || [],
+                role: user.roles,
+                assigned_domains: user.assigned_domains
+            }
+        });
+
+        res.send(`<!DOCTYPE html>
+<html><head><title>Mock IdP</title></head>
+<body onload="document.forms[0].submit()">
+    <form method="post" action="${escapeHtml(request.acsUrl)}">
+        <input type="hidden" name="SAMLResponse" value="${samlResponse}">
+        <input type="hidden" name="RelayState" value="${escapeHtml(relayState || '')}">
+        <noscript><button type="submit">Continue</button></noscript>
+    </form>
+</body></html>`);
+    }
+
+    function samlRequestFrom(source, res) {
+        try {
+            const request = parseAuthnRequest(source.SAMLRequest);
+            if (!request.id || !request.acsUrl || !request.spEntityId) {
+                throw new Error('AuthnRequest is missing ID, AssertionConsumerServiceURL or Issuer');
+            }
+            return request;
+        } catch (error) {
+            res.status(400).send(`Invalid request: ${escapeHtml(error.message)}`);
+            return null;
+        }
+    }
+
+    app.get('/saml/certificate', (req, res) => {
+        res.type('text/plain').send(publicKey.export({ type: 'spki', format: 'pem' }));
+    });
+
+    app.get('/saml/sso', (req, res) => {
+        const request = samlRequestFrom(req.query, res);
+        if (!request) return;
+
+        if (req.query.login_hint) {
+            const user = users.find(u => u.email === String(req.query.login_hint).toLowerCase());
+            if (!user) {
+                return res.status(400).send('Unknown login_hint');
+            }
+            return postAssertion(res, request, req.query.RelayState, user);
+        }
+
+        res.send(`<!DOCTYPE html>
+<html><head><title>Mock IdP</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 4rem auto;">
+    <h2>Mock identity provider (SAML)</h2>
+    <p>Sign in to ${escapeHtml(request.spEntityId)} as:</p>
+    ${users.map(user => `
+    <form method="post" action="/saml/sso" style="margin-bottom: 0.5rem;">
+        <input type="hidden" name="SAMLRequest" value="${escapeHtml(req.query.SAMLRequest)}">
+        <input type="hidden" name="RelayState" value="${escapeHtml(req.query.RelayState || '')}">
+        <input type="hidden" name="sub" value="${escapeHtml(user.sub)}">
+        <button type="submit">${escapeHtml(user.name)} &lt;${escapeHtml(user.email)}&gt; ${escapeHtml((user.groups || []).join(', '))}</button>
+    </form>`).join('')}
+</body></html>`);
+    });
+
+    app.post('/saml/sso', (req, res) => {
+        const request = samlRequestFrom(req.body, res);
+        if (!request) return;
+
+        const user = users.find(u => u.sub === req.body.sub);
+        if (!user) {
+            return res.status(400).send('Invalid request: unknown user');
+        }
+
+        postAssertion(res, request, req.body.RelayState, user);
+    });
+
+    return app;
+}
+
+/**
+ * Start the IdP
+ * @param {object} options - { port, clientId, clientSecret, users }
+ * @returns {Promise<object>} { issuer, server, close() }
+ */
+function startMockIdp({
+    port = 4010,
+    clientId = 'reabel-local',
+    clientSecret = 'reabel-local-secret',
+    users = DEFAULT_USERS
+} = {}) {
+    const issuer = `http://localhost:${port}`;
+    const app = createMockIdp({ issuer, clientId, clientSecret, users });
+
+    return new Promise((resolve) => {
+        const server = app.listen(port, () => {
+            resolve({ issuer, server, close: () => new Promise(done => server.close(done)) });
+        });
+    });
+}
+
+if (require.main === module) {
+    const users = process.env.MOCK_IDP_USERS
+        ? JSON.parse(fs.readFileSync(process.env.MOCK_IDP_USERS, 'utf8'))
+        : DEFAULT_USERS;
+
+    startMockIdp({
+        port: Number(process.env.MOCK_IDP_PORT) || 4010,
+        clientId: process.env.MOCK_IDP_CLIENT_ID,
+        clientSecret: process.env.MOCK_IDP_CLIENT_SECRET,
+        users
+    }).then(({ issuer }) => {
+        console.log(`[mock-idp] Issuer ${issuer} (SAML entity ID ${issuer}/saml)`);
+        users.forEach(user => console.log(`[mock-idp]   ${user.email} (${(user.groups || []).join(', ') || 'no groups'})`));
+    });
+}
+
+module.exports = { createMockIdp, startMockIdp, createSamlResponse };
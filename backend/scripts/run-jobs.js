@@ -0,0 +1,80 @@
+/**
+ * Scheduled Jobs CLI
+ * Usage:
+ *   node scripts/run-jobs.js reminders                      run a job once, now
+ *   node scripts/run-jobs.js reminders digests --at <time>  run as if it were <time> (ISO 8601)
+ *   node scripts/run-jobs.js reminders --at <time> --until <time> [--every <hours>]
+ *                                                           walk a fake clock from --at to --until,
+ *                                                           running the jobs every few hours (default 1)
+ *   --tenant <id>                                           reminders for one tenant only
+ * Jobs: reminders (due date reminders, escalations, overdue action items), digests (notification emails)
+ * Whatever the jobs send is real: notifications and outbox emails are created as in the API.
+ */
+
+const pool = require('../config/database');
+const { runReminders } = require('../services/reminders');
+const { processDigests } = require('../services/digests');
+const { createScheduler, createFakeClock } = require('../services/scheduler');
+
+const JOBS = {
+    reminders: now => runReminders(pool, now, { tenantId: option('tenant') }),
+    digests: now => processDigests(pool, now)
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const log = message => console.log(`[jobs] ${message}`);
+
+function option(name) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? null : process.argv[index + 1];
+}
+
+function parseTime(name) {
+    const value = option(name);
+    if (value === null) return null;
+
+    const time = new Date(value);
+    if (Number.isNaN(time.getTime())) {
+        throw new Error(`--${name} must be a date and time, e.g. 2030-01-31T09:00:00Z`);
+    }
+    return time;
+}
+
+async function main() {
+    const names = process.argv.slice(2).filter((arg, i, args) => !arg.startsWith('--') && !(args[i - 1] || '').startsWith('--'));
+    const unknown = names.filter(name => !JOBS[name]);
+
+    if (names.length === 0 || unknown.length > 0) {
+        throw new Error(`Name the jobs to run: ${Object.keys(JOBS).join(', ')}${unknown.length ? ` (unknown: ${unknown.join(', ')})` : ''}`);
+    }
+
+    const at = parseTime('at');
+    const until = parseTime('until');
+    const everyMs = (Number(option('every')) || 1) * HOUR_MS;
+
+    if (until && !at) {
+        throw new Error('--until needs --at');
+    }
+
+    const clock = at ? createFakeClock(at) : () => new Date();
+    const scheduler = createScheduler({ clock });
+    names.forEach(name => scheduler.add(name, everyMs, JOBS[name]));
+
+    do {
+        const results = await scheduler.tick();
+        Object.entries(results).forEach(([name, result]) => {
+            log(`${clock().toISOString()} ${name}: ${JSON.stringify(result)}`);
+        });
+
+        if (!until) break;
+        clock.advance(everyMs);
+    } while (clock() <= until);
+}
+
+main()
+    .catch(error => {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,514 @@
+/**
+ * Seed Loader
+ * Imports the demo data in frontend/data/*.json into a migrated database
+ * Usage: node scripts/seed.js
+ *
+ * The JSON files use readable ids ('assess_001', 'tenant_acme'); each one is
+ * mapped to a stable UUID so seeding is repeatable and references line up.
+ * Rows that already exist are left alone, so re-running only fills gaps.
+ * SEED_DATA_DIR overrides the data directory. SEED_USER_PASSWORD gives the demo
+ * users a password so they can sign in; without it they have none.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const pool = require('../config/database');
+const { ensureVersion, snapshotDimensions } = require('../services/templateVersions');
+
+const DATA_DIR = process.env.SEED_DATA_DIR || path.join(__dirname, '..', '..', 'frontend', 'data');
+
+// Role given to seeded users who created assessments; everyone else contributes
+const CREATOR_ROLE = 'customer_admin';
+const MEMBER_ROLE = 'contributor';
+
+const ASSESSMENT_STATES = [
+    { code: 'draft', label: 'Draft', isInitial: true },
+    { code: 'active', label: 'Active' },
+    { code: 'in_review', label: 'In Review' },
+    { code: 'approved', label: 'Approved' },
+    { code: 'published', label: 'Published' },
+    { code: 'archived', label: 'Archived', isFinal: true }
+];
+
+// Keys match permissions.json workflow_states.assessment_states, which supplies the roles
+const ASSESSMENT_TRANSITIONS = [
+    {
+        key: 'draft_to_active', from: 'draft', to: 'active', label: 'Activate',
+        postActions: [
+            { type: 'notify', config: { template: 'assessment_state_changed', recipients: ['assignees'] } }
+        ]
+    },
+    {
+        key: 'active_to_review', from: 'active', to: 'in_review', label: 'Submit for Review',
+        postActions: [
+            { type: 'calculate_score' },
+            { type: 'notify', config: { template: 'assessment_state_changed', recipients: ['creator', 'reviewer'] } }
+        ]
+    },
+    {
+        key: 'review_to_approved', from: 'in_review', to: 'approved', label: 'Approve',
+        postActions: [
+            { type: 'calculate_score' },
+            { type: 'create_action_items', config: { threshold_percentage: 60, due_in_days: 30 } },
+            { type: 'notify', config: { template: 'assessment_state_changed', recipients: ['creator', 'assignees'] } }
+        ]
+    },
+    {
+        key: 'review_to_rejected', from: 'in_review', to: 'active', label: 'Reject',
+        postActions: [
+            { type: 'notify', config: { template: 'assessment_state_changed', recipients: ['assignees'] } }
+        ]
+    },
+    { key: 'approved_to_published', from: 'approved', to: 'published', label: 'Publish', postActions: [] },
+    { key: 'any_to_archived', from: '*', to: 'archived', label: 'Archive', postActions: [] }
+];
+
+const NOTIFICATION_TEMPLATES = [
+    {
+        code: 'assessment_state_changed',
+        name: 'Assessment state changed',
+        subject: '{{assessment_title}} moved to {{to_state}}',
+        body: 'Assessment "{{assessment_title}}" moved from {{from_state}} to {{to_state}}.',
+        triggerEvent: 'assessment.transition'
+    },
+    {
+        code: 'assessment_assigned',
+        name: 'Assessment assigned',
+        subject: 'You were assigned to {{assessment_title}}',
+        body: 'You have been assigned {{dimension_name}} on "{{assessment_title}}". Due: {{due_date}}.',
+        triggerEvent: 'assessment.assignment'
+    }
+];
+
+/**
+ * Stable UUID for a demo id
+ * @param {string} kind - Entity kind, keeps equal ids of different kinds apart
+ * @param {string} key - Id from the JSON file
+ * @returns {string} UUID
+ */
+function seedId(kind, key) {
+    const hex = crypto.createHash('sha1').update(`reabel:${kind}:${key}`).digest('hex');
+    const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Read one data file
+ */
+function readData(file) {
+    return JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+}
+
+/**
+ * 'tenant_acme' -> 'Acme', 'show_admin_menu' -> 'Show admin menu'
+ */
+function humanize(key) {
+    const text = key.replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Insert a row unless its key already exists
+ * @returns {Promise<boolean>} True if inserted
+ */
+async function insertRow(client, table, row, conflict = 'id') {
+    const columns = Object.keys(row);
+    const values = columns.map(column => {
+        const value = row[column];
+        return value !== null && typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value;
+    });
+
+    const result = await client.query(`
+        INSERT INTO ${table} (${columns.join(', ')})
+        VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+        ON CONFLICT (${conflict}) DO NOTHING
+    `, values);
+
+    return result.rowCount > 0;
+}
+
+// ============================================================================
+// SEEDERS
+// ============================================================================
+
+async function seedRoles(client, { roles, permissions }) {
+    const dataFilters = permissions.data_filters;
+    let count = 0;
+
+    for (const [index, role] of Object.values(roles.roles).entries()) {
+        const filters = {};
+        Object.keys(dataFilters).filter(resource => resource !== 'description').forEach(resource => {
+            if (dataFilters[resource][role.id]) filters[resource] = dataFilters[resource][role.id];
+        });
+
+        count += await insertRow(client, 'roles', {
+            id: role.id,
+            name: role.name,
+            type: role.type,
+            icon: role.icon,
+            is_read_only: role.readOnly === true,
+            is_system_role: true,
+            sort_order: index + 1,
+            metadata: { navigation: role.navigation, banner: role.banner, data_filters: filters, can_assume: role.canAssume || [] }
+        });
+    }
+
+    return count;
+}
+
+async function seedPermissions(client, { permissions }) {
+    let count = 0;
+
+    for (const [roleId, codes] of Object.entries(permissions.permissions)) {
+        for (const code of codes) {
+            const [action, resource = null] = code.split(':');
+            const permissionId = seedId('permission', code);
+
+            await insertRow(client, 'permissions', { id: permissionId, code, resource, action }, 'code');
+
+            // The code may predate the seed under another id
+            const existing = await client.query('SELECT id FROM permissions WHERE code = $1', [code]);
+
+            count += await insertRow(client, 'role_permissions', {
+                role_id: roleId,
+                permission_id: existing.rows[0].id
+            }, 'role_id, permission_id');
+        }
+    }
+
+    return count;
+}
+
+async function seedTenantsAndUsers(client, { assessments, actions }) {
+    const tenants = new Map();
+    const users = new Map();
+    const tenantOfAssessment = new Map();
+
+    assessments.assessments.forEach(a => {
+        tenants.set(a.tenant_id, a.tenant_id.replace(/^tenant_/, ''));
+        tenantOfAssessment.set(a.id, a.tenant_id);
+        users.set(a.created_by, { name: a.created_by_name, tenant: a.tenant_id, role: CREATOR_ROLE });
+    });
+
+    actions.actions.forEach(action => {
+        if (action.assigned_to && !users.has(action.assigned_to)) {
+            users.set(action.assigned_to, {
+                name: action.assigned_to_name,
+                tenant: tenantOfAssessment.get(action.assessment_id),
+                role: MEMBER_ROLE
+            });
+        }
+    });
+
+    const passwordHash = process.env.SEED_USER_PASSWORD
+        ? await bcrypt.hash(process.env.SEED_USER_PASSWORD, 10)
+        : null;
+
+    let count = 0;
+
+    for (const [key, slug] of tenants) {
+        count += await insertRow(client, 'tenants', {
+            id: seedId('tenant', key),
+            name: humanize(slug),
+            slug,
+            settings: {},
+            is_active: true
+        });
+    }
+
+    for (const [key, user] of users) {
+        const tenantId = seedId('tenant', user.tenant);
+        const userId = seedId('user', key);
+        const email = `${user.name.toLowerCase().replace(/[^a-z]+/g, '.')}@${tenants.get(user.tenant)}.example.com`;
+
+        count += await insertRow(client, 'users', {
+            id: userId,
+            email,
+            name: user.name,
+            password_hash: passwordHash,
+            tenant_id: tenantId,
+            default_role_id: user.role,
+            status: 'active',
+            email_verified: true
+        });
+
+        await insertRow(client, 'user_roles', {
+            user_id: userId,
+            role_id: user.role,
+            tenant_id: tenantId,
+            scope: {},
+            is_primary: true
+        }, 'user_id, role_id, tenant_id');
+    }
+
+    return count;
+}
+
+async function seedUiConfiguration(client, { navigation, roles, permissions }) {
+    const roleList = Object.values(roles.roles);
+    let count = 0;
+
+    for (const [index, item] of navigation.navigation.entries()) {
+        const visibleFor = roleList
+            .filter(role => role.navigation === 'all' || (Array.isArray(role.navigation) && role.navigation.includes(item.id)))
+            .filter(role => !item.roles || item.roles.includes(role.id))
+            .map(role => role.id);
+
+        count += await insertRow(client, 'ui_menus', {
+            id: seedId('menu', item.id),
+            label: item.label,
+            icon: item.icon,
+            href: item.href,
+            menu_type: 'sidebar',
+            sort_order: index + 1,
+            visible_for_roles: visibleFor,
+            metadata: { key: item.id }
+        });
+    }
+
+    for (const [code, roleIds] of Object.entries(permissions.ui_features)) {
+        if (code === 'description') continue;
+
+        count += await insertRow(client, 'ui_features', {
+            id: seedId('feature', code),
+            feature_code: code,
+            name: humanize(code),
+            enabled_for_roles: roleIds
+        }, 'feature_code');
+    }
+
+    for (const [entityType, fields] of Object.entries(permissions.field_visibility)) {
+        if (entityType === 'description') continue;
+
+        for (const [index, [fieldName, roleIds]] of Object.entries(fields).entries()) {
+            count += await insertRow(client, 'ui_field_configs', {
+                id: seedId('field', `${entityType}.${fieldName}`),
+                entity_type: entityType,
+                field_name: fieldName,
+                label: humanize(fieldName),
+                is_visible: true,
+                visible_for_roles: roleIds,
+                display_order: index + 1
+            });
+        }
+    }
+
+    return count;
+}
+
+async function seedWorkflow(client, { permissions }) {
+    const transitionRoles = permissions.workflow_states.assessment_states;
+    const workflowId = seedId('workflow', 'assessment');
+
+    let count = await insertRow(client, 'workflows', {
+        id: workflowId,
+        name: 'Assessment Lifecycle',
+        entity_type: 'assessment',
+        description: 'Default assessment workflow',
+        initial_state: ASSESSMENT_STATES.find(s => s.isInitial).code,
+        is_active: true
+    });
+
+    for (const [index, state] of ASSESSMENT_STATES.entries()) {
+        count += await insertRow(client, 'workflow_states', {
+            id: seedId('workflow_state', `assessment:${state.code}`),
+            workflow_id: workflowId,
+            state_code: state.code,
+            label: state.label,
+            is_initial: state.isInitial === true,
+            is_final: state.isFinal === true,
+            sort_order: index + 1
+        });
+    }
+
+    for (const transition of ASSESSMENT_TRANSITIONS) {
+        count += await insertRow(client, 'workflow_transitions', {
+            id: seedId('workflow_transition', `assessment:${transition.key}`),
+            workflow_id: workflowId,
+            from_state: transition.from,
+            to_state: transition.to,
+            action_label: transition.label,
+            allowed_roles: transitionRoles[transition.key] || null,
+            post_transition_actions: transition.postActions
+        });
+    }
+
+    for (const template of NOTIFICATION_TEMPLATES) {
+        count += await insertRow(client, 'notification_templates', {
+            id: seedId('notification_template', template.code),
+            template_code: template.code,
+            name: template.name,
+            subject: template.subject,
+            body_template: template.body,
+            notification_type: 'in-app',
+            trigger_event: template.triggerEvent,
+            is_active: true
+        }, 'template_code');
+    }
+
+    return count;
+}
+
+async function seedTemplates(client, { templates, questions }) {
+    let count = 0;
+
+    for (const template of templates.templates) {
+        const {
+            id, name, category, version, description, is_public, dimensions,
+            metadata, created_at, updated_at, total_questions, ...display
+        } = template;
+
+        count += await insertRow(client, 'assessment_templates', {
+            id: seedId('template', id),
+            name,
+            description,
+            category,
+            version,
+            tenant_id: null,
+            is_public: is_public !== false,
+            is_active: true,
+            metadata: { ...display, ...(metadata || {}), source_id: id },
+            created_at,
+            updated_at
+        });
+
+        for (const dim of dimensions) {
+            count += await insertRow(client, 'template_dimensions', {
+                id: seedId('dimension', `${id}:${dim.id}`),
+                template_id: seedId('template', id),
+                name: dim.name,
+                description: dim.description,
+                weight: dim.weight,
+                sort_order: dim.sort_order,
+                color: dim.color,
+                icon: dim.icon,
+                key_areas: dim.key_areas || []
+            });
+        }
+    }
+
+    for (const question of questions.questions) {
+        count += await insertRow(client, 'questions', {
+            id: seedId('question', question.id),
+            template_id: seedId('template', question.template_id),
+            dimension_id: seedId('dimension', `${question.template_id}:${question.dimension_id}`),
+            question_text: question.question_text,
+            help_text: question.help_text || null,
+            question_type: question.question_type,
+            is_required: question.is_required !== false,
+            options: question.options || null,
+            validation_rules: question.validation_rules || null,
+            scoring_rubric: question.scoring_rubric || null,
+            sort_order: question.sort_order,
+            metadata: {
+                ...(question.scale_min !== undefined ? { scale_min: question.scale_min } : {}),
+                ...(question.scale_max !== undefined ? { scale_max: question.scale_max } : {})
+            }
+        });
+    }
+
+    return count;
+}
+
+async function seedAssessments(client, { assessments, actions }) {
+    let count = 0;
+
+    for (const assessment of assessments.assessments) {
+        const templateResult = await client.query(
+            'SELECT * FROM assessment_templates WHERE id = $1',
+            [seedId('template', assessment.template_id)]
+        );
+        const template = templateResult.rows[0];
+        const version = await ensureVersion(client, template);
+
+        count += await insertRow(client, 'assessments', {
+            id: seedId('assessment', assessment.id),
+            title: assessment.title,
+            description: assessment.description,
+            template_id: template.id,
+            template_version_id: version.id,
+            tenant_id: seedId('tenant', assessment.tenant_id),
+            created_by: seedId('user', assessment.created_by),
+            status: assessment.status,
+            progress: assessment.progress || 0,
+            overall_score: assessment.overall_score !== undefined ? assessment.overall_score : null,
+            dimensions: snapshotDimensions(version.snapshot),
+            state_timestamps: {},
+            started_at: assessment.started_at,
+            due_date: assessment.due_date,
+            metadata: { source_id: assessment.id },
+            created_at: assessment.created_at,
+            updated_at: assessment.updated_at
+        });
+    }
+
+    for (const action of actions.actions) {
+        count += await insertRow(client, 'action_items', {
+            id: seedId('action', action.id),
+            assessment_id: seedId('assessment', action.assessment_id),
+            title: action.title,
+            description: action.description,
+            priority: action.priority,
+            status: action.status,
+            assigned_to: action.assigned_to ? seedId('user', action.assigned_to) : null,
+            due_date: action.due_date,
+            completed_at: action.completed_at || null,
+            metadata: { source: 'seed', source_id: action.id },
+            created_at: action.created_at
+        });
+    }
+
+    return count;
+}
+
+// Order matters: later seeders reference rows created by earlier ones
+const SEEDERS = [
+    ['roles', seedRoles],
+    ['permissions', seedPermissions],
+    ['tenants and users', seedTenantsAndUsers],
+    ['ui configuration', seedUiConfiguration],
+    ['workflow and notification templates', seedWorkflow],
+    ['templates and questions', seedTemplates],
+    ['assessments and action items', seedAssessments]
+];
+
+async function main() {
+    const data = {
+        roles: readData('roles.json'),
+        permissions: readData('permissions.json'),
+        navigation: readData('navigation.json'),
+        templates: readData('templates.json'),
+        questions: readData('questions.json'),
+        assessments: readData('assessments.json'),
+        actions: readData('actions.json')
+    };
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        for (const [label, seeder] of SEEDERS) {
+            const count = await seeder(client, data);
+            console.log(`[seed] ${label}: ${count} row(s) added`);
+        }
+
+        await client.query('COMMIT');
+        console.log('[seed] Done');
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+main()
+    .catch(error => {
+        console.error('❌ Seed failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
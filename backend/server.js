@@ -5,21 +5,30 @@
 
 const express = require('express');
 const cors = require('cors');
-const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-const { Pool } = require('pg');
-const crypto = require('crypto');
+const pool = require('./config/database');
+const authRoutes = require('./routes/auth');
+const ssoRoutes = require('./routes/sso');
+const assessmentRoutes = require('./routes/assessments');
+const actionRoutes = require('./routes/actions');
+const templateRoutes = require('./routes/templates');
+const questionRoutes = require('./routes/questions');
+const responseRoutes = require('./routes/responses');
+const emailRoutes = require('./routes/email');
+const teamRoutes = require('./routes/team');
+const platformRoutes = require('./routes/platform');
+const auditRoutes = require('./routes/audit');
+const notificationRoutes = require('./routes/notifications');
+const reminderRoutes = require('./routes/reminders');
+const realtimeRoutes = require('./routes/realtime');
+const collaborationRoutes = require('./routes/collaboration');
+const { captureAudit } = require('./middleware/audit');
+const { startEmailWorker } = require('./services/email');
+const { processDigests } = require('./services/digests');
+const { runReminders } = require('./services/reminders');
+const { createScheduler } = require('./services/scheduler');
 
 // Configuration
 const PORT = process.env.PORT || 3000;
-const JWT_SECRET = process.env.JWT_SECRET || 'CHANGE-THIS-IN-PRODUCTION-12345';
-const DATABASE_URL = process.env.DATABASE_URL;
-
-// Database connection
-const pool = new Pool({
-    connectionString: DATABASE_URL,
-    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
 
 // Test database connection
 pool.query('SELECT NOW()', (err, res) => {
@@ -33,6 +42,13 @@ pool.query('SELECT NOW()', (err, res) => {
 // Express app
 const app = express();
 
+// Behind a proxy or load balancer set TRUST_PROXY (hop count or subnet) so req.ip,
+// and with it the rate limits, see the client address instead of the proxy's
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors({ origin: '*' }));
 app.use(express.json());
@@ -44,456 +60,91 @@ app.use((req, res, next) => {
     next();
 });
 
+// Audit trail of every mutating API call
+app.use('/api', captureAudit);
+
 // ============================================================================
 // AUTHENTICATION ENDPOINTS
 // ============================================================================
 
-/**
- * POST /api/auth/register
- * Register new partner account
- */
-app.post('/api/auth/register', async (req, res) => {
-    try {
-        const { email, password, partnerName, companyName } = req.body;
-
-        // Validation
-        if (!email || !password || !partnerName) {
-            return res.status(400).json({
-                success: false,
-                message: 'Email, password, and partner name are required'
-            });
-        }
-
-        if (password.length < 8) {
-            return res.status(400).json({
-                success: false,
-                message: 'Password must be at least 8 characters'
-            });
-        }
-
-        // Check if email exists
-        const existing = await pool.query(
-            'SELECT partner_id FROM partners WHERE email = $1',
-            [email.toLowerCase()]
-        );
-
-        if (existing.rows.length > 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Email already registered'
-            });
-        }
-
-        // Hash password
-        const passwordHash = await bcrypt.hash(password, 10);
-
-        // Create partner
-        const result = await pool.query(`
-            INSERT INTO partners (
-                partner_name, 
-                email, 
-                password_hash, 
-                company_name,
-                email_verified
-            )
-            VALUES ($1, $2, $3, $4, false)
-            RETURNING partner_id, partner_name, email, company_name, created_at
-        `, [partnerName, email.toLowerCase(), passwordHash, companyName || null]);
-
-        const partner = result.rows[0];
-
-        // Generate verification token
-        const token = crypto.randomBytes(32).toString('hex');
-        const expiresAt = new Date();
-        expiresAt.setHours(expiresAt.getHours() + 24);
-
-        await pool.query(`
-            INSERT INTO verification_tokens (partner_id, token, token_type, expires_at)
-            VALUES ($1, $2, 'email_verification', $3)
-        `, [partner.partner_id, token, expiresAt]);
-
-        res.status(201).json({
-            success: true,
-            message: 'Registration successful! Please check your email to verify your account.',
-            partner: {
-                id: partner.partner_id,
-                name: partner.partner_name,
-                email: partner.email,
-                companyName: partner.company_name
-            },
-            verificationToken: token // In production, send via email
-        });
-
-    } catch (error) {
-        console.error('Registration error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Registration failed'
-        });
-    }
-});
+// Mounted twice: /api/auth for existing clients, /api/v1/auth for the frontend services
+app.use('/api/auth/sso', ssoRoutes);
+app.use('/api/v1/auth/sso', ssoRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/v1/auth', authRoutes);
 
-/**
- * POST /api/auth/login
- * Partner login
- */
-app.post('/api/auth/login', async (req, res) => {
-    try {
-        const { email, password } = req.body;
-
-        if (!email || !password) {
-            return res.status(400).json({
-                success: false,
-                message: 'Email and password are required'
-            });
-        }
-
-        // Get partner
-        const result = await pool.query(`
-            SELECT 
-                partner_id,
-                partner_name,
-                email,
-                password_hash,
-                company_name,
-                email_verified,
-                is_active,
-                is_admin
-            FROM partners
-            WHERE email = $1
-        `, [email.toLowerCase()]);
-
-        if (result.rows.length === 0) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid email or password'
-            });
-        }
-
-        const partner = result.rows[0];
-
-        // Check if active
-        if (!partner.is_active) {
-            return res.status(403).json({
-                success: false,
-                message: 'Account is deactivated'
-            });
-        }
-
-        // Verify password
-        const validPassword = await bcrypt.compare(password, partner.password_hash);
-
-        if (!validPassword) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid email or password'
-            });
-        }
-
-        // Check email verification
-        if (!partner.email_verified) {
-            return res.status(403).json({
-                success: false,
-                message: 'Please verify your email before logging in',
-                needsVerification: true
-            });
-        }
-
-        // Generate JWT
-        const token = jwt.sign(
-            { 
-                partnerId: partner.partner_id,
-                email: partner.email,
-                isAdmin: partner.is_admin
-            },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
-
-        // Update last login
-        await pool.query(
-            'UPDATE partners SET last_login_at = NOW() WHERE partner_id = $1',
-            [partner.partner_id]
-        );
-
-        res.json({
-            success: true,
-            token,
-            partner: {
-                id: partner.partner_id,
-                name: partner.partner_name,
-                email: partner.email,
-                companyName: partner.company_name,
-                isAdmin: partner.is_admin
-            }
-        });
-
-    } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Login failed'
-        });
-    }
-});
+// ============================================================================
+// ASSESSMENT ENDPOINTS
+// ============================================================================
 
-/**
- * POST /api/auth/verify-email
- * Verify email with token
- */
-app.post('/api/auth/verify-email', async (req, res) => {
-    try {
-        const { token } = req.body;
-
-        if (!token) {
-            return res.status(400).json({
-                success: false,
-                message: 'Verification token is required'
-            });
-        }
-
-        // Find valid token
-        const result = await pool.query(`
-            SELECT vt.partner_id, p.email
-            FROM verification_tokens vt
-            JOIN partners p ON vt.partner_id = p.partner_id
-            WHERE vt.token = $1
-              AND vt.token_type = 'email_verification'
-              AND vt.expires_at > NOW()
-              AND vt.used_at IS NULL
-        `, [token]);
-
-        if (result.rows.length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid or expired verification token'
-            });
-        }
-
-        const { partner_id, email } = result.rows[0];
-
-        // Mark email as verified
-        await pool.query(
-            'UPDATE partners SET email_verified = true WHERE partner_id = $1',
-            [partner_id]
-        );
-
-        // Mark token as used
-        await pool.query(
-            'UPDATE verification_tokens SET used_at = NOW() WHERE token = $1',
-            [token]
-        );
-
-        res.json({
-            success: true,
-            message: 'Email verified successfully! You can now log in.',
-            email
-        });
-
-    } catch (error) {
-        console.error('Email verification error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Email verification failed'
-        });
-    }
-});
+app.use('/api/v1/assessments', assessmentRoutes);
 
-/**
- * POST /api/auth/forgot-password
- * Request password reset
- */
-app.post('/api/auth/forgot-password', async (req, res) => {
-    try {
-        const { email } = req.body;
-
-        if (!email) {
-            return res.status(400).json({
-                success: false,
-                message: 'Email is required'
-            });
-        }
-
-        // Find partner
-        const result = await pool.query(
-            'SELECT partner_id FROM partners WHERE email = $1 AND is_active = true',
-            [email.toLowerCase()]
-        );
-
-        // Always return success (don't reveal if email exists)
-        if (result.rows.length === 0) {
-            return res.json({
-                success: true,
-                message: 'If that email exists, a password reset link has been sent'
-            });
-        }
-
-        const { partner_id } = result.rows[0];
-
-        // Generate reset token
-        const token = crypto.randomBytes(32).toString('hex');
-        const expiresAt = new Date();
-        expiresAt.setHours(expiresAt.getHours() + 1); // 1 hour
-
-        await pool.query(`
-            INSERT INTO verification_tokens (partner_id, token, token_type, expires_at)
-            VALUES ($1, $2, 'password_reset', $3)
-        `, [partner_id, token, expiresAt]);
-
-        res.json({
-            success: true,
-            message: 'If that email exists, a password reset link has been sent',
-            resetToken: token // In production, send via email
-        });
-
-    } catch (error) {
-        console.error('Forgot password error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Password reset request failed'
-        });
-    }
-});
+// ============================================================================
+// ACTION ITEM ENDPOINTS
+// ============================================================================
 
-/**
- * POST /api/auth/reset-password
- * Reset password with token
- */
-app.post('/api/auth/reset-password', async (req, res) => {
-    try {
-        const { token, newPassword } = req.body;
-
-        if (!token || !newPassword) {
-            return res.status(400).json({
-                success: false,
-                message: 'Token and new password are required'
-            });
-        }
-
-        if (newPassword.length < 8) {
-            return res.status(400).json({
-                success: false,
-                message: 'Password must be at least 8 characters'
-            });
-        }
-
-        // Find valid token
-        const result = await pool.query(`
-            SELECT partner_id
-            FROM verification_tokens
-            WHERE token = $1
-              AND token_type = 'password_reset'
-              AND expires_at > NOW()
-              AND used_at IS NULL
-        `, [token]);
-
-        if (result.rows.length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid or expired reset token'
-            });
-        }
-
-        const { partner_id } = result.rows[0];
-
-        // Hash new password
-        const passwordHash = await bcrypt.hash(newPassword, 10);
-
-        // Update password
-        await pool.query(
-            'UPDATE partners SET password_hash = $1 WHERE partner_id = $2',
-            [passwordHash, partner_id]
-        );
-
-        // Mark token as used
-        await pool.query(
-            'UPDATE verification_tokens SET used_at = NOW() WHERE token = $1',
-            [token]
-        );
-
-        res.json({
-            success: true,
-            message: 'Password reset successfully! You can now log in with your new password.'
-        });
-
-    } catch (error) {
-        console.error('Password reset error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Password reset failed'
-        });
-    }
-});
+app.use('/api/v1/actions', actionRoutes);
 
-/**
- * GET /api/auth/me
- * Get current partner info (requires authentication)
- */
-app.get('/api/auth/me', authenticateToken, async (req, res) => {
-    try {
-        const result = await pool.query(`
-            SELECT 
-                partner_id,
-                partner_name,
-                email,
-                company_name,
-                phone,
-                is_admin,
-                email_verified,
-                created_at,
-                last_login_at
-            FROM partners
-            WHERE partner_id = $1 AND is_active = true
-        `, [req.partner.partnerId]);
-
-        if (result.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Partner not found'
-            });
-        }
-
-        res.json({
-            success: true,
-            partner: result.rows[0]
-        });
-
-    } catch (error) {
-        console.error('Get partner error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to get partner info'
-        });
-    }
-});
+// ============================================================================
+// TEMPLATE & QUESTION ENDPOINTS
+// ============================================================================
+
+app.use('/api/v1/templates', templateRoutes);
+app.use('/api/v1/questions', questionRoutes);
 
 // ============================================================================
-// AUTHENTICATION MIDDLEWARE
+// RESPONSE ENDPOINTS
 // ============================================================================
 
-function authenticateToken(req, res, next) {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+app.use('/api/v1/responses', responseRoutes);
 
-    if (!token) {
-        return res.status(401).json({
-            success: false,
-            message: 'Access token required'
-        });
-    }
+// ============================================================================
+// EMAIL ENDPOINTS
+// ============================================================================
 
-    jwt.verify(token, JWT_SECRET, (err, partner) => {
-        if (err) {
-            return res.status(403).json({
-                success: false,
-                message: 'Invalid or expired token'
-            });
-        }
+app.use('/api/v1/email', emailRoutes);
 
-        req.partner = partner;
-        next();
-    });
-}
+// ============================================================================
+// TEAM ENDPOINTS
+// ============================================================================
+
+app.use('/api/v1/team', teamRoutes);
+
+// ============================================================================
+// PLATFORM CONSOLE ENDPOINTS
+// ============================================================================
+
+app.use('/api/v1/platform', platformRoutes);
+
+// ============================================================================
+// AUDIT LOG ENDPOINTS
+// ============================================================================
+
+app.use('/api/v1/audit', auditRoutes);
+
+// ============================================================================
+// NOTIFICATION ENDPOINTS
+// ============================================================================
+
+app.use('/api/v1/notifications', notificationRoutes);
+
+// ============================================================================
+// REMINDER ENDPOINTS
+// ============================================================================
+
+app.use('/api/v1/reminders', reminderRoutes);
+
+// ============================================================================
+// REALTIME ENDPOINTS
+// ============================================================================
+
+app.use('/api/v1/realtime', realtimeRoutes);
+
+// ============================================================================
+// COLLABORATION ENDPOINTS
+// ============================================================================
+
+app.use('/api/v1/collaboration', collaborationRoutes);
 
 // ============================================================================
 // HEALTH CHECK
@@ -538,15 +189,146 @@ app.listen(PORT, () => {
     console.log('========================================');
     console.log(`✅ Server running on port ${PORT}`);
     console.log(`✅ Environment: ${process.env.NODE_ENV || 'development'}`);
+
+    // EMAIL_WORKER=off when the outbox is drained by scripts/email-worker.js instead
+    if (process.env.EMAIL_WORKER !== 'off') {
+        const worker = startEmailWorker(pool, { intervalMs: Number(process.env.EMAIL_WORKER_INTERVAL_MS) || 5000 });
+        console.log(`✅ Email worker: ${worker.transport.name} transport`);
+    }
+
+    // Scheduled jobs: notification emails and digests, due date reminders
+    const scheduler = createScheduler();
+    const jobs = [];
+    if (process.env.DIGEST_WORKER !== 'off') {
+        scheduler.add('digests', Number(process.env.DIGEST_WORKER_INTERVAL_MS) || 60000, now => processDigests(pool, now));
+        jobs.push('digests');
+    }
+    if (process.env.REMINDER_WORKER !== 'off') {
+        scheduler.add('reminders', Number(process.env.REMINDER_WORKER_INTERVAL_MS) || 15 * 60 * 1000, now => runReminders(pool, now));
+        jobs.push('reminders');
+    }
+    if (jobs.length > 0) {
+        scheduler.start();
+        console.log(`✅ Scheduled jobs: ${jobs.join(', ')}`);
+    }
     console.log('========================================');
     console.log('');
     console.log('Available endpoints:');
     console.log('  POST /api/auth/register');
     console.log('  POST /api/auth/login');
+    console.log('  POST /api/auth/refresh');
+    console.log('  POST /api/auth/logout');
+    console.log('  POST /api/auth/logout-all');
+    console.log('  GET  /api/auth/sessions');
+    console.log('  DELETE /api/auth/sessions/:id');
+    console.log('  POST /api/auth/mfa/verify');
+    console.log('  GET  /api/auth/mfa');
+    console.log('  POST /api/auth/mfa/enroll');
+    console.log('  POST /api/auth/mfa/activate');
+    console.log('  POST /api/auth/mfa/recovery-codes');
+    console.log('  POST /api/auth/mfa/disable');
+    console.log('  PUT  /api/auth/mfa/policy');
+    console.log('  GET  /api/auth/sso/authorize');
+    console.log('  GET  /api/auth/sso/oidc/authorize');
+    console.log('  GET  /api/auth/sso/oidc/callback');
+    console.log('  GET  /api/auth/sso/saml/authorize');
+    console.log('  GET  /api/auth/sso/saml/:tenantId/metadata');
+    console.log('  POST /api/auth/sso/saml/:tenantId/acs');
+    console.log('  POST /api/auth/sso/complete');
+    console.log('  GET  /api/auth/sso/oidc');
+    console.log('  PUT  /api/auth/sso/oidc');
+    console.log('  DELETE /api/auth/sso/oidc');
+    console.log('  GET  /api/auth/sso/saml');
+    console.log('  PUT  /api/auth/sso/saml');
+    console.log('  DELETE /api/auth/sso/saml');
     console.log('  POST /api/auth/verify-email');
+    console.log('  POST /api/auth/resend-verification');
     console.log('  POST /api/auth/forgot-password');
     console.log('  POST /api/auth/reset-password');
+    console.log('  POST /api/auth/unlock');
+    console.log('  POST /api/auth/users/:userId/unlock');
     console.log('  GET  /api/auth/me');
+    console.log('  GET  /api/auth/roles/assumable');
+    console.log('  POST /api/auth/roles/assume');
+    console.log('  DELETE /api/auth/roles/assume');
+    console.log('  GET  /api/v1/assessments');
+    console.log('  POST /api/v1/assessments');
+    console.log('  GET  /api/v1/assessments/:id');
+    console.log('  PUT  /api/v1/assessments/:id');
+    console.log('  DELETE /api/v1/assessments/:id');
+    console.log('  GET  /api/v1/assessments/:id/transitions');
+    console.log('  POST /api/v1/assessments/:id/transitions');
+    console.log('  POST /api/v1/assessments/:id/assignments');
+    console.log('  POST /api/v1/assessments/:id/migrate');
+    console.log('  GET  /api/v1/actions');
+    console.log('  PUT  /api/v1/actions/:id');
+    console.log('  GET  /api/v1/templates');
+    console.log('  POST /api/v1/templates');
+    console.log('  GET  /api/v1/templates/:id');
+    console.log('  PUT  /api/v1/templates/:id');
+    console.log('  DELETE /api/v1/templates/:id');
+    console.log('  POST /api/v1/templates/:id/publish');
+    console.log('  POST /api/v1/templates/:id/unpublish');
+    console.log('  GET  /api/v1/templates/:id/dimensions');
+    console.log('  POST /api/v1/templates/:id/dimensions');
+    console.log('  PUT  /api/v1/templates/:id/dimensions/order');
+    console.log('  PUT  /api/v1/templates/:id/dimensions/:dimensionId');
+    console.log('  DELETE /api/v1/templates/:id/dimensions/:dimensionId');
+    console.log('  GET  /api/v1/templates/:id/versions');
+    console.log('  POST /api/v1/templates/:id/versions');
+    console.log('  GET  /api/v1/templates/:id/versions/diff');
+    console.log('  GET  /api/v1/templates/:id/versions/:versionId');
+    console.log('  GET  /api/v1/questions');
+    console.log('  POST /api/v1/questions');
+    console.log('  PUT  /api/v1/questions/order');
+    console.log('  GET  /api/v1/questions/:id');
+    console.log('  PUT  /api/v1/questions/:id');
+    console.log('  DELETE /api/v1/questions/:id');
+    console.log('  GET  /api/v1/responses');
+    console.log('  POST /api/v1/responses');
+    console.log('  PUT  /api/v1/responses/:id/review');
+    console.log('  GET  /api/v1/email/outbox');
+    console.log('  POST /api/v1/email/bounces');
+    console.log('  GET  /api/v1/team/members');
+    console.log('  GET  /api/v1/team/roles');
+    console.log('  PUT  /api/v1/team/members/:userId/role');
+    console.log('  POST /api/v1/team/members/:userId/deactivate');
+    console.log('  POST /api/v1/team/members/:userId/reactivate');
+    console.log('  GET  /api/v1/team/invitations');
+    console.log('  POST /api/v1/team/invitations');
+    console.log('  POST /api/v1/team/invitations/lookup');
+    console.log('  POST /api/v1/team/invitations/accept');
+    console.log('  POST /api/v1/team/invitations/:id/resend');
+    console.log('  DELETE /api/v1/team/invitations/:id');
+    console.log('  GET  /api/v1/platform/tenants');
+    console.log('  POST /api/v1/platform/tenants');
+    console.log('  GET  /api/v1/platform/tenants/:id');
+    console.log('  PUT  /api/v1/platform/tenants/:id/limits');
+    console.log('  POST /api/v1/platform/tenants/:id/suspend');
+    console.log('  POST /api/v1/platform/tenants/:id/reactivate');
+    console.log('  POST /api/v1/platform/tenants/:id/support-sessions');
+    console.log('  GET  /api/v1/platform/support-sessions');
+    console.log('  DELETE /api/v1/platform/support-sessions/:id');
+    console.log('  GET  /api/v1/audit/logs');
+    console.log('  GET  /api/v1/audit/logs/export');
+    console.log('  GET  /api/v1/audit/facets');
+    console.log('  GET  /api/v1/notifications');
+    console.log('  GET  /api/v1/notifications/summary');
+    console.log('  GET  /api/v1/notifications/preferences');
+    console.log('  PUT  /api/v1/notifications/preferences');
+    console.log('  GET  /api/v1/reminders/due');
+    console.log('  GET  /api/v1/reminders/settings');
+    console.log('  PUT  /api/v1/reminders/settings');
+    console.log('  GET  /api/v1/realtime/ticket');
+    console.log('  GET  /api/v1/realtime/stream');
+    console.log('  GET  /api/v1/collaboration/assessments/:id/presence');
+    console.log('  PUT  /api/v1/collaboration/assessments/:id/presence');
+    console.log('  DELETE /api/v1/collaboration/assessments/:id/presence');
+    console.log('  POST /api/v1/collaboration/assessments/:id/locks/:questionId');
+    console.log('  DELETE /api/v1/collaboration/assessments/:id/locks/:questionId');
+    console.log('  POST /api/v1/notifications/read-all');
+    console.log('  POST /api/v1/notifications/:id/read');
+    console.log('  POST /api/v1/notifications/:id/unread');
     console.log('  GET  /health');
     console.log('');
 });
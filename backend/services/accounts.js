@@ -0,0 +1,125 @@
+/**
+ * Account Service (backend)
+ * Users with their tenant and roles, shaped for the frontend
+ *
+ * The login payload matches AuthService.handleLoginSuccess: { user, session };
+ * sessions and tokens live in services/sessions.js.
+ */
+
+/**
+ * Load a user with tenant and role assignments
+ * Roles come from user_roles in the user's tenant (primary first); users with no
+ * assignment fall back to users.default_role_id
+ * @param {object} db - Database client or pool
+ * @param {object} where - { id } or { email }
+ * @returns {Promise<object|null>} User row plus tenant_name, tenant_active, roles, assigned_domains
+ */
+async function findAccount(db, { id = null, email = null }) {
+    const result = await db.query(`
+        SELECT
+            u.*,
+            t.name AS tenant_name,
+            t.is_active AS tenant_active
+        FROM users u
+        LEFT JOIN tenants t ON u.tenant_id = t.id
+        WHERE ${id ? 'u.id = $1' : 'u.email = $1'}
+    `, [id || (email || '').toLowerCase()]);
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const account = result.rows[0];
+
+    const roles = await db.query(`
+        SELECT ur.role_id, ur.scope
+        FROM user_roles ur
+        WHERE ur.user_id = $1
+          AND (ur.tenant_id = $2 OR ur.tenant_id IS NULL)
+        ORDER BY ur.is_primary DESC, ur.assigned_at
+    `, [account.id, account.tenant_id]);
+
+    account.roles = roles.rows.map(r => r.role_id);
+
+    // Domains of the primary assignment (the assigned_domains data scope)
+    const primaryScope = roles.rows.length > 0 ? roles.rows[0].scope : null;
+    account.assigned_domains = (primaryScope && primaryScope.domains) || [];
+
+    if (account.roles.length === 0 && account.default_role_id) {
+        account.roles = [account.default_role_id];
+    }
+
+    return account;
+}
+
+/**
+ * Permission codes granted to a role
+ * @param {object} db - Database client or pool
+ * @param {string} roleId - Role ID
+ * @returns {Promise<array>} Permission codes
+ */
+async function rolePermissions(db, roleId) {
+    if (!roleId) {
+        return [];
+    }
+
+    const result = await db.query(`
+        SELECT p.code
+        FROM role_permissions rp
+        JOIN permissions p ON rp.permission_id = p.id
+        WHERE rp.role_id = $1
+        ORDER BY p.code
+    `, [roleId]);
+
+    return result.rows.map(r => r.code);
+}
+
+/**
+ * Put the role a session acts as first, since formatUser() reports roles[0]
+ * @param {object} account - findAccount() result (mutated)
+ * @param {string} roleId - Role from the access token
+ * @param {string|null} assumedFrom - The user's own role while acting as another
+ * @returns {object} The account
+ */
+function actAs(account, roleId, assumedFrom = null) {
+    if (roleId) {
+        account.roles = [roleId, ...account.roles.filter(r => r !== roleId)];
+    }
+    account.assumed_from = assumedFrom || null;
+
+    return account;
+}
+
+/**
+ * Shape an account for the frontend (AuthService / RoleService)
+ * @param {object} account - findAccount() result
+ * @param {array} permissions - Permission codes of the active role
+ * @returns {object} User payload
+ */
+function formatUser(account, permissions) {
+    return {
+        id: account.id,
+        email: account.email,
+        name: account.name,
+        role: account.roles[0] || null,
+        roles: account.roles,
+        assumedFrom: account.assumed_from || null,  // Own role while viewing as `role`
+        permissions,
+        assigned_domains: account.assigned_domains || [],  // Read by AssessmentService as user.assigned_domains
+        tenantId: account.tenant_id,
+        tenantName: account.tenant_name,
+        company: account.tenant_name,
+        phone: account.phone || null,
+        avatar: null,
+        emailVerified: account.email_verified,
+        createdAt: account.created_at,
+        lastLogin: account.last_login
+    };
+}
+
+module.exports = {
+    findAccount,
+    rolePermissions,
+    actAs,
+    formatUser
+};
@@ -0,0 +1,258 @@
+/**
+ * Action Item Service (backend)
+ * Generates prioritized follow-up action items from assessment results
+ *
+ * A dimension scoring below its threshold gets one item. Priority comes from
+ * the score gap to the threshold multiplied by the dimension weight, and the
+ * item points at the dimension's weakest key areas (template_dimensions.key_areas,
+ * ranked by the average response score of questions tagged metadata.key_area).
+ */
+
+const crypto = require('crypto');
+const { loadVersion } = require('./templateVersions');
+
+const DEFAULT_THRESHOLD_PERCENTAGE = 60;
+const DEFAULT_DUE_IN_DAYS = 30;
+const DEFAULT_MAX_KEY_AREAS = 2;
+
+// Minimum weighted gap (score points x weight) for each priority
+const DEFAULT_PRIORITY_BANDS = {
+    critical: 2.0,
+    high: 1.2,
+    medium: 0.6
+};
+
+/**
+ * Map a weighted gap to a priority
+ * @param {number} weightedGap - Score gap x dimension weight
+ * @param {object} bands - { critical, high, medium } minimums
+ * @returns {string} Priority
+ */
+function priorityForGap(weightedGap, bands) {
+    if (weightedGap >= bands.critical) return 'critical';
+    if (weightedGap >= bands.high) return 'high';
+    if (weightedGap >= bands.medium) return 'medium';
+    return 'low';
+}
+
+/**
+ * Rank a dimension's key areas from weakest to strongest
+ * Areas without scored responses keep their template order after scored ones
+ * Pinned assessments read key areas from their template version snapshot
+ * @param {object} client - Database client
+ * @param {string} assessmentId - Assessment ID
+ * @param {string} dimensionId - Dimension ID
+ * @param {object|null} snapshot - Pinned template version snapshot
+ * @returns {Promise<array>} [{ name, average_score }]
+ */
+async function rankKeyAreas(client, assessmentId, dimensionId, snapshot = null) {
+    const keyAreas = snapshot
+        ? ((snapshot.dimensions.find(d => d.id === dimensionId) || {}).key_areas || [])
+        : await loadKeyAreas(client, dimensionId);
+
+    if (keyAreas.length === 0) {
+        return [];
+    }
+
+    const scores = snapshot
+        ? await snapshotKeyAreaScores(client, assessmentId, dimensionId, snapshot)
+        : await workingKeyAreaScores(client, assessmentId, dimensionId);
+
+    const averages = new Map(scores.map(row => [row.key_area, Number(row.average_score)]));
+
+    return keyAreas
+        .map((name, index) => ({
+            name,
+            index,
+            average_score: averages.has(name) ? averages.get(name) : null
+        }))
+        .sort((a, b) => {
+            if (a.average_score === null && b.average_score === null) return a.index - b.index;
+            if (a.average_score === null) return 1;
+            if (b.average_score === null) return -1;
+            return a.average_score - b.average_score || a.index - b.index;
+        })
+        .map(({ name, average_score }) => ({ name, average_score }));
+}
+
+/**
+ * Key areas of a dimension in the template's working copy
+ */
+async function loadKeyAreas(client, dimensionId) {
+    const result = await client.query(
+        'SELECT key_areas FROM template_dimensions WHERE id = $1',
+        [dimensionId]
+    );
+
+    return (result.rows[0] && result.rows[0].key_areas) || [];
+}
+
+/**
+ * Average response score per key area, using the working copy's question tags
+ */
+async function workingKeyAreaScores(client, assessmentId, dimensionId) {
+    const result = await client.query(`
+        SELECT q.metadata->>'key_area' AS key_area, AVG(r.score) AS average_score
+        FROM assessment_responses r
+        JOIN questions q ON r.question_id = q.id
+        WHERE r.assessment_id = $1
+          AND q.dimension_id = $2
+          AND r.score IS NOT NULL
+          AND q.metadata->>'key_area' IS NOT NULL
+        GROUP BY q.metadata->>'key_area'
+    `, [assessmentId, dimensionId]);
+
+    return result.rows;
+}
+
+/**
+ * Average response score per key area, using the snapshot's question tags
+ */
+async function snapshotKeyAreaScores(client, assessmentId, dimensionId, snapshot) {
+    const keyAreaByQuestion = new Map(snapshot.questions
+        .filter(q => q.dimension_id === dimensionId && q.key_area)
+        .map(q => [q.id, q.key_area]));
+
+    const result = await client.query(
+        'SELECT question_id, score FROM assessment_responses WHERE assessment_id = $1 AND score IS NOT NULL',
+        [assessmentId]
+    );
+
+    const totals = new Map();
+    result.rows.forEach(row => {
+        const keyArea = keyAreaByQuestion.get(row.question_id);
+        if (!keyArea) return;
+
+        const total = totals.get(keyArea) || { sum: 0, count: 0 };
+        total.sum += Number(row.score);
+        total.count++;
+        totals.set(keyArea, total);
+    });
+
+    return [...totals].map(([key_area, total]) => ({ key_area, average_score: total.sum / total.count }));
+}
+
+/**
+ * Create action items for dimensions scoring below their threshold
+ * Dimensions that already have an open generated item are skipped
+ * Config:
+ *   threshold_percentage  default threshold (default 60)
+ *   thresholds            per-dimension overrides { <dimension_id>: percentage }
+ *   priority_bands        { critical, high, medium } weighted-gap minimums
+ *   max_key_areas         weakest key areas referenced per item (default 2)
+ *   due_in_days           due date relative to now (default 30)
+ * @param {object} client - Database client
+ * @param {object} assessment - Assessment row
+ * @param {object} config - Generation configuration
+ * @param {object} context - { dataScope }
+ * @returns {Promise<array>} Created action items, highest priority first
+ */
+async function generateActionItems(client, assessment, config, context) {
+    const defaultThreshold = config.threshold_percentage || DEFAULT_THRESHOLD_PERCENTAGE;
+    const thresholds = config.thresholds || {};
+    const bands = { ...DEFAULT_PRIORITY_BANDS, ...(config.priority_bands || {}) };
+    const maxKeyAreas = config.max_key_areas || DEFAULT_MAX_KEY_AREAS;
+    const dueDate = new Date(Date.now() + (config.due_in_days || DEFAULT_DUE_IN_DAYS) * 24 * 60 * 60 * 1000);
+
+    // Work out every gap first so items are created in priority order
+    const candidates = [];
+
+    for (const dim of assessment.dimensions || []) {
+        if (dim.score === null || dim.score === undefined) continue;
+
+        const maxScore = dim.max_score || 5;
+        const weight = dim.weight || 1.0;
+        const threshold = thresholds[dim.id] || defaultThreshold;
+        const targetScore = (threshold / 100) * maxScore;
+        const gap = targetScore - dim.score;
+
+        if (gap <= 0) continue;
+
+        candidates.push({ dim, maxScore, weight, threshold, targetScore, gap, weightedGap: gap * weight });
+    }
+
+    candidates.sort((a, b) => b.weightedGap - a.weightedGap);
+
+    const version = await loadVersion(client, assessment.template_version_id);
+    const snapshot = version ? version.snapshot : null;
+    const created = [];
+
+    for (const candidate of candidates) {
+        const { dim, maxScore, weight, threshold, targetScore, gap, weightedGap } = candidate;
+
+        const existing = await client.query(`
+            SELECT id
+            FROM action_items
+            WHERE assessment_id = $1
+              AND dimension_id = $2
+              AND status NOT IN ('completed', 'cancelled')
+              AND metadata->>'source' = 'auto_generated'
+        `, [assessment.id, dim.id]);
+
+        if (existing.rows.length > 0) continue;
+
+        const weakest = (await rankKeyAreas(client, assessment.id, dim.id, snapshot)).slice(0, maxKeyAreas);
+        const percentage = (dim.score / maxScore) * 100;
+
+        const title = weakest.length > 0
+            ? `Strengthen ${dim.name}: ${weakest[0].name}`
+            : `Strengthen ${dim.name}`;
+
+        let description = `${dim.name} scored ${dim.score}/${maxScore} (${Math.round(percentage)}%), `
+            + `${Math.round(gap * 10) / 10} below the ${threshold}% target.`;
+        if (weakest.length > 0) {
+            description += ` Focus areas: ${weakest.map(area => area.name).join('; ')}.`;
+        }
+
+        const result = await client.query(`
+            INSERT INTO action_items (
+                id,
+                assessment_id,
+                dimension_id,
+                title,
+                description,
+                priority,
+                status,
+                assigned_to,
+                assigned_by,
+                due_date,
+                metadata,
+                created_at
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, $8, $9, $10, NOW())
+            RETURNING *
+        `, [
+            crypto.randomUUID(),
+            assessment.id,
+            dim.id,
+            title,
+            description,
+            priorityForGap(weightedGap, bands),
+            dim.assigned_to || null,
+            context.dataScope ? context.dataScope.userId || null : null,
+            dueDate,
+            JSON.stringify({
+                source: 'auto_generated',
+                dimension_name: dim.name,
+                score: dim.score,
+                max_score: maxScore,
+                percentage: Math.round(percentage * 10) / 10,
+                target_score: Math.round(targetScore * 100) / 100,
+                gap: Math.round(gap * 100) / 100,
+                weight,
+                priority_score: Math.round(weightedGap * 100) / 100,
+                key_areas: weakest
+            })
+        ]);
+
+        created.push(result.rows[0]);
+    }
+
+    return created;
+}
+
+module.exports = {
+    priorityForGap,
+    rankKeyAreas,
+    generateActionItems
+};
@@ -0,0 +1,177 @@
+/**
+ * Assignment Service (backend)
+ * Assessment assignments and rule-based auto-assignment
+ */
+
+const crypto = require('crypto');
+const { notifyUsers, assessmentTemplateData } = require('./notifications');
+
+const ASSIGNMENT_TEMPLATE = 'assessment_assigned';
+
+/**
+ * Assign a user to an assessment (optionally one dimension)
+ * Existing identical assignments are left untouched
+ * @param {object} client - Database client
+ * @param {object} options
+ * @param {object} options.assessment - Assessment row
+ * @param {string} options.userId - Assignee
+ * @param {string|null} options.dimensionId - Dimension, or null for the whole assessment
+ * @param {string|null} options.assignedBy - Assigning user
+ * @param {string|null} options.dueDate - Due date
+ * @returns {Promise<object>} { assignment, created }
+ */
+async function createAssignment(client, { assessment, userId, dimensionId = null, assignedBy = null, dueDate = null }) {
+    const existing = await client.query(`
+        SELECT *
+        FROM assessment_assignments
+        WHERE assessment_id = $1
+          AND user_id = $2
+          AND dimension_id IS NOT DISTINCT FROM $3
+    `, [assessment.id, userId, dimensionId]);
+
+    if (existing.rows.length > 0) {
+        return { assignment: existing.rows[0], created: false };
+    }
+
+    const result = await client.query(`
+        INSERT INTO assessment_assignments (
+            id,
+            assessment_id,
+            user_id,
+            dimension_id,
+            assigned_by,
+            assigned_at,
+            due_date,
+            status
+        )
+        VALUES ($1, $2, $3, $4, $5, NOW(), $6, 'pending')
+        RETURNING *
+    `, [crypto.randomUUID(), assessment.id, userId, dimensionId, assignedBy, dueDate]);
+
+    await sendAssignmentNotification(client, assessment, result.rows[0]);
+
+    return { assignment: result.rows[0], created: true };
+}
+
+/**
+ * Notify an assignee about a new assignment
+ * A missing 'assessment_assigned' template is logged, not fatal
+ * @param {object} client - Database client
+ * @param {object} assessment - Assessment row
+ * @param {object} assignment - assessment_assignments row
+ */
+async function sendAssignmentNotification(client, assessment, assignment) {
+    const dimension = (assessment.dimensions || []).find(d => d.id === assignment.dimension_id);
+
+    const created = await notifyUsers(client, {
+        templateCode: ASSIGNMENT_TEMPLATE,
+        userIds: [assignment.user_id],
+        data: {
+            ...assessmentTemplateData(assessment),
+            assignment_id: assignment.id,
+            dimension_id: assignment.dimension_id,
+            dimension_name: dimension ? dimension.name : 'All dimensions',
+            due_date: assignment.due_date
+                ? new Date(assignment.due_date).toISOString().slice(0, 10)
+                : assessmentTemplateData(assessment).due_date
+        }
+    });
+
+    if (!created) {
+        console.warn('Notification template missing:', ASSIGNMENT_TEMPLATE);
+    }
+}
+
+/**
+ * Load active members of a role within a tenant, with their assignment scope
+ * @param {object} client - Database client
+ * @param {string} roleId - Role ID
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<array>} [{ user_id, scope }]
+ */
+async function loadRoleMembers(client, roleId, tenantId) {
+    const result = await client.query(`
+        SELECT ur.user_id, ur.scope
+        FROM user_roles ur
+        JOIN users u ON ur.user_id = u.id
+        WHERE ur.role_id = $1
+          AND ur.tenant_id = $2
+          AND COALESCE(u.status, 'active') = 'active'
+        ORDER BY ur.assigned_at NULLS LAST, u.name
+    `, [roleId, tenantId]);
+
+    return result.rows;
+}
+
+/**
+ * Auto-assign unassigned dimensions by rule
+ * Config:
+ *   strategy    'domain_owner' (default) - member whose user_roles.scope.domains
+ *                                          contains the dimension id
+ *               'round_robin'            - spread across role members in order
+ *   role        role to draw assignees from (default 'domain_manager')
+ *   due_in_days due date relative to now (default: assessment due_date)
+ * @param {object} client - Database client
+ * @param {object} assessment - Assessment row
+ * @param {object} config - Rule configuration
+ * @param {object} context - { dataScope }
+ * @returns {Promise<object>} { assigned, unassigned }
+ */
+async function autoAssign(client, assessment, config, context) {
+    const strategy = config.strategy || 'domain_owner';
+    const members = await loadRoleMembers(client, config.role || 'domain_manager', assessment.tenant_id);
+
+    let dueDate = assessment.due_date || null;
+    if (config.due_in_days) {
+        dueDate = new Date(Date.now() + config.due_in_days * 24 * 60 * 60 * 1000);
+    }
+
+    const dimensions = assessment.dimensions || [];
+    const unassigned = [];
+    let assigned = 0;
+    let cursor = 0;
+
+    for (const dim of dimensions) {
+        if (dim.assigned_to) continue;
+
+        let owner = null;
+
+        if (strategy === 'round_robin') {
+            owner = members.length > 0 ? members[cursor++ % members.length] : null;
+        } else {
+            owner = members.find(m => m.scope && Array.isArray(m.scope.domains) && m.scope.domains.includes(dim.id));
+        }
+
+        if (!owner) {
+            unassigned.push(dim.id);
+            continue;
+        }
+
+        await createAssignment(client, {
+            assessment,
+            userId: owner.user_id,
+            dimensionId: dim.id,
+            assignedBy: context.dataScope ? context.dataScope.userId || null : null,
+            dueDate
+        });
+
+        dim.assigned_to = owner.user_id;
+        assigned++;
+    }
+
+    if (assigned > 0) {
+        await client.query(
+            'UPDATE assessments SET dimensions = $1, updated_at = NOW() WHERE id = $2',
+            [JSON.stringify(dimensions), assessment.id]
+        );
+    }
+
+    return { assigned, unassigned };
+}
+
+module.exports = {
+    createAssignment,
+    sendAssignmentNotification,
+    loadRoleMembers,
+    autoAssign
+};
@@ -0,0 +1,224 @@
+/**
+ * Audit Service (backend)
+ * Appends security-relevant events to audit_logs
+ * Services record domain events (e.g. 'account.locked'); middleware/audit.js
+ * records every mutating API call. listAuditLogs() and toCsv() back the viewer.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Record an audit entry
+ * @param {object} db - Database client (the caller's transaction) or pool
+ * @param {object} entry
+ * @param {string} entry.action - e.g. 'account.locked'
+ * @param {string} entry.entityType - e.g. 'user'
+ * @param {string} entry.entityId - ID of the affected row
+ * @param {string} entry.tenantId - Tenant of the affected row
+ * @param {string} entry.actorId - User who acted (null for the system or an anonymous caller)
+ * @param {object} entry.oldValues - State before
+ * @param {object} entry.newValues - State after
+ * @param {object} entry.client - clientInfo() of the request
+ * @param {object} entry.request - API call: { roleId, method, path, statusCode }
+ */
+async function recordAudit(db, {
+    action,
+    entityType,
+    entityId = null,
+    tenantId = null,
+    actorId = null,
+    oldValues = null,
+    newValues = null,
+    client = {},
+    request = {}
+}) {
+    await db.query(`
+        INSERT INTO audit_logs (
+            id, user_id, tenant_id, entity_type, entity_id, action,
+            old_values, new_values, ip_address, user_agent,
+            role_id, request_method, request_path, status_code
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    `, [
+        crypto.randomUUID(),
+        actorId,
+        tenantId,
+        entityType,
+        entityId,
+        action,
+        oldValues ? JSON.stringify(oldValues) : null,
+        newValues ? JSON.stringify(newValues) : null,
+        client.ipAddress || null,
+        client.userAgent || null,
+        request.roleId || null,
+        request.method || null,
+        request.path || null,
+        request.statusCode || null
+    ]);
+}
+
+// ============================================================================
+// VIEWER
+// ============================================================================
+
+const AUDIT_SELECT = `
+    SELECT
+        l.*,
+        u.name AS user_name,
+        u.email AS user_email,
+        t.name AS tenant_name
+    FROM audit_logs l
+    LEFT JOIN users u ON l.user_id = u.id
+    LEFT JOIN tenants t ON l.tenant_id = t.id
+`;
+
+function formatAuditLog(row) {
+    return {
+        id: row.id,
+        createdAt: row.created_at,
+        action: row.action,
+        entityType: row.entity_type,
+        entityId: row.entity_id,
+        tenantId: row.tenant_id,
+        tenantName: row.tenant_name,
+        userId: row.user_id,
+        userName: row.user_name,
+        userEmail: row.user_email,
+        roleId: row.role_id,
+        method: row.request_method,
+        path: row.request_path,
+        statusCode: row.status_code,
+        outcome: row.status_code ? (row.status_code < 400 ? 'succeeded' : 'failed') : null,
+        ipAddress: row.ip_address,
+        userAgent: row.user_agent,
+        oldValues: row.old_values,
+        newValues: row.new_values
+    };
+}
+
+/**
+ * Audit entries, newest first
+ * @param {object} db - Database client or pool
+ * @param {string} scope - SQL condition on audit_logs aliased l (scopeCondition())
+ * @param {array} params - Parameters of the scope condition (extended here)
+ * @param {object} filter - { search, action, entityType, userId, tenantId, outcome, from, to, limit }
+ * @returns {Promise<array>} Entries
+ */
+async function listAuditLogs(db, scope, params, {
+    search = null,
+    action = null,
+    entityType = null,
+    userId = null,
+    tenantId = null,
+    outcome = null,
+    from = null,
+    to = null,
+    limit = 500
+} = {}) {
+    const conditions = [scope];
+    const add = (value, condition) => {
+        params.push(value);
+        conditions.push(condition(`$${params.length}`));
+    };
+
+    if (search) {
+        add(`%${search}%`, p => `(l.action ILIKE ${p} OR l.entity_type ILIKE ${p} OR l.request_path ILIKE ${p}
+            OR l.entity_id::text ILIKE ${p} OR l.ip_address ILIKE ${p} OR u.email ILIKE ${p} OR u.name ILIKE ${p} OR t.name ILIKE ${p})`);
+    }
+    if (action) add(action, p => `l.action = ${p}`);
+    if (entityType) add(entityType, p => `l.entity_type = ${p}`);
+    if (userId) add(userId, p => `l.user_id = ${p}`);
+    if (tenantId) add(tenantId, p => `l.tenant_id = ${p}`);
+    if (outcome === 'succeeded') conditions.push('l.status_code < 400');
+    if (outcome === 'failed') conditions.push('l.status_code >= 400');
+    if (from) add(from, p => `l.created_at >= ${p}`);
+    if (to) add(to, p => `l.created_at < ${p}`);
+
+    params.push(limit);
+
+    const result = await db.query(`
+        ${AUDIT_SELECT}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY l.created_at DESC, l.id
+        LIMIT $${params.length}
+    `, params);
+
+    return result.rows.map(formatAuditLog);
+}
+
+/**
+ * Actions and entity types present in the caller's scope (for the viewer filters)
+ * @param {object} db - Database client or pool
+ * @param {string} scope - SQL condition on audit_logs aliased l
+ * @param {array} params - Parameters of the scope condition
+ * @returns {Promise<object>} { actions, entityTypes }
+ */
+async function auditFacets(db, scope, params) {
+    const result = await db.query(`
+        SELECT
+            ARRAY(SELECT DISTINCT l.action FROM audit_logs l WHERE ${scope} AND l.action IS NOT NULL ORDER BY 1) AS actions,
+            ARRAY(SELECT DISTINCT l.entity_type FROM audit_logs l WHERE ${scope} AND l.entity_type IS NOT NULL ORDER BY 1) AS entity_types
+    `, params);
+
+    return {
+        actions: result.rows[0].actions,
+        entityTypes: result.rows[0].entity_types
+    };
+}
+
+const CSV_COLUMNS = [
+    ['Time', log => new Date(log.createdAt).toISOString()],
+    ['Tenant', log => log.tenantName],
+    ['User', log => log.userEmail],
+    ['Name', log => log.userName],
+    ['Role', log => log.roleId],
+    ['Action', log => log.action],
+    ['Entity Type', log => log.entityType],
+    ['Entity ID', log => log.entityId],
+    ['Method', log => log.method],
+    ['Path', log => log.path],
+    ['Status', log => log.statusCode],
+    ['IP Address', log => log.ipAddress],
+    ['User Agent', log => log.userAgent],
+    ['Old Values', log => log.oldValues && JSON.stringify(log.oldValues)],
+    ['New Values', log => log.newValues && JSON.stringify(log.newValues)]
+];
+
+/**
+ * One CSV field; values a spreadsheet would run as a formula are prefixed with '
+ */
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = String(value);
+
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Audit entries as CSV (RFC 4180, CRLF line endings)
+ * @param {array} logs - listAuditLogs() result
+ * @returns {string} CSV with a header row
+ */
+function toCsv(logs) {
+    const lines = [CSV_COLUMNS.map(([header]) => header).join(',')];
+
+    logs.forEach(log => {
+        lines.push(CSV_COLUMNS.map(([, value]) => csvField(value(log))).join(','));
+    });
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    recordAudit,
+    listAuditLogs,
+    auditFacets,
+    toCsv
+};
@@ -0,0 +1,227 @@
+/**
+ * Collaboration Service (backend)
+ * Who has an assessment open, on which question, and who is editing what
+ *
+ * Presence is a heartbeat: a row per person with the assessment open, stale
+ * after PRESENCE_TTL_SECONDS. Question locks are soft: they warn teammates that
+ * someone is typing, expire unless renewed, and can be taken over. What keeps
+ * answers from being overwritten is the response version (routes/responses.js),
+ * not the lock.
+ */
+
+const PRESENCE_TTL_SECONDS = 60;
+const LOCK_TTL_SECONDS = 90;
+
+// Share of heartbeats that also sweep out stale presence and expired locks
+const PRUNE_PROBABILITY = 0.01;
+
+class CollaborationError extends Error {
+    constructor(message, statusCode = 400, lock = null) {
+        super(message);
+        this.name = 'CollaborationError';
+        this.statusCode = statusCode;
+        this.lock = lock;
+    }
+}
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+/**
+ * Everyone on an assessment and every lock still held
+ * @param {object} db - Pool or client
+ * @param {string} assessmentId - Assessment ID
+ * @returns {Promise<object>} { viewers: [{ user_id, name, question_id, last_seen_at }], locks: [...] }
+ */
+async function loadState(db, assessmentId) {
+    const viewers = await db.query(`
+        SELECT p.user_id, u.name, p.question_id, p.last_seen_at
+        FROM assessment_presence p
+        JOIN users u ON p.user_id = u.id
+        WHERE p.assessment_id = $1
+          AND p.last_seen_at > NOW() - make_interval(secs => $2)
+        ORDER BY u.name
+    `, [assessmentId, PRESENCE_TTL_SECONDS]);
+
+    const locks = await db.query(`
+        SELECT l.question_id, l.user_id, u.name, l.acquired_at, l.expires_at
+        FROM question_locks l
+        JOIN users u ON l.user_id = u.id
+        WHERE l.assessment_id = $1 AND l.expires_at > NOW()
+    `, [assessmentId]);
+
+    return {
+        viewers: viewers.rows,
+        locks: locks.rows
+    };
+}
+
+/**
+ * A question's lock, if still held
+ * @param {object} db - Pool or client
+ * @param {string} assessmentId - Assessment ID
+ * @param {string} questionId - Question ID
+ * @returns {Promise<object|null>} { question_id, user_id, name, acquired_at, expires_at }
+ */
+async function loadLock(db, assessmentId, questionId) {
+    const result = await db.query(`
+        SELECT l.question_id, l.user_id, u.name, l.acquired_at, l.expires_at
+        FROM question_locks l
+        JOIN users u ON l.user_id = u.id
+        WHERE l.assessment_id = $1 AND l.question_id = $2 AND l.expires_at > NOW()
+    `, [assessmentId, questionId]);
+
+    return result.rows[0] || null;
+}
+
+// ============================================================================
+// PRESENCE
+// ============================================================================
+
+/**
+ * Record a heartbeat: the user has the assessment open, on questionId if given
+ * @param {object} db - Pool or client
+ * @param {object} options - { assessmentId, userId, questionId }
+ * @returns {Promise<boolean>} Whether teammates should hear about it (arrived or moved on)
+ */
+async function touchPresence(db, { assessmentId, userId, questionId = null }) {
+    const result = await db.query(`
+        WITH previous AS (
+            SELECT question_id, last_seen_at
+            FROM assessment_presence
+            WHERE assessment_id = $1 AND user_id = $2
+        ), upserted AS (
+            INSERT INTO assessment_presence (assessment_id, user_id, question_id, last_seen_at)
+            VALUES ($1, $2, $3, NOW())
+            ON CONFLICT (assessment_id, user_id) DO UPDATE SET
+                question_id = EXCLUDED.question_id,
+                last_seen_at = NOW()
+            RETURNING question_id
+        )
+        SELECT NOT EXISTS (
+            SELECT 1 FROM previous
+            WHERE previous.last_seen_at > NOW() - make_interval(secs => $4)
+              AND previous.question_id IS NOT DISTINCT FROM $3
+        ) AS changed
+        FROM upserted
+    `, [assessmentId, userId, questionId, PRESENCE_TTL_SECONDS]);
+
+    if (Math.random() < PRUNE_PROBABILITY) {
+        await prune(db);
+    }
+
+    return result.rows[0].changed;
+}
+
+/**
+ * The user closed the assessment: forget their presence and release their locks
+ * @param {object} db - Pool or client
+ * @param {object} options - { assessmentId, userId }
+ * @returns {Promise<object>} { left, releasedQuestionIds }
+ */
+async function leave(db, { assessmentId, userId }) {
+    const presence = await db.query(
+        'DELETE FROM assessment_presence WHERE assessment_id = $1 AND user_id = $2 RETURNING user_id',
+        [assessmentId, userId]
+    );
+
+    const locks = await db.query(
+        'DELETE FROM question_locks WHERE assessment_id = $1 AND user_id = $2 AND expires_at > NOW() RETURNING question_id',
+        [assessmentId, userId]
+    );
+
+    return {
+        left: presence.rows.length > 0,
+        releasedQuestionIds: locks.rows.map(row => row.question_id)
+    };
+}
+
+/**
+ * Delete presence nobody has refreshed and locks nobody has renewed
+ * @param {object} db - Pool or client
+ */
+async function prune(db) {
+    await db.query(
+        'DELETE FROM assessment_presence WHERE last_seen_at < NOW() - make_interval(secs => $1)',
+        [PRESENCE_TTL_SECONDS]
+    );
+    await db.query('DELETE FROM question_locks WHERE expires_at < NOW()');
+}
+
+// ============================================================================
+// LOCKS
+// ============================================================================
+
+/**
+ * Take or renew the lock on a question
+ * A lock held by a teammate is only taken over with force
+ * @param {object} db - Pool or client
+ * @param {object} options - { assessmentId, questionId, userId, force }
+ * @returns {Promise<object>} { lock, acquired (new for this user), takenOverFrom (user ID or null) }
+ * @throws {CollaborationError} 409 with the teammate's lock
+ */
+async function acquireLock(db, { assessmentId, questionId, userId, force = false }) {
+    const result = await db.query(`
+        WITH previous AS (
+            SELECT user_id, expires_at
+            FROM question_locks
+            WHERE assessment_id = $1 AND question_id = $2
+        ), upserted AS (
+            INSERT INTO question_locks (assessment_id, question_id, user_id, acquired_at, expires_at)
+            VALUES ($1, $2, $3, NOW(), NOW() + make_interval(secs => $4))
+            ON CONFLICT (assessment_id, question_id) DO UPDATE SET
+                user_id = EXCLUDED.user_id,
+                acquired_at = CASE WHEN question_locks.user_id = EXCLUDED.user_id AND question_locks.expires_at > NOW()
+                                   THEN question_locks.acquired_at ELSE NOW() END,
+                expires_at = EXCLUDED.expires_at
+            WHERE question_locks.user_id = EXCLUDED.user_id
+               OR question_locks.expires_at <= NOW()
+               OR $5
+            RETURNING user_id
+        )
+        SELECT
+            (SELECT user_id FROM previous WHERE expires_at > NOW()) AS previous_holder,
+            EXISTS (SELECT 1 FROM upserted) AS acquired
+    `, [assessmentId, questionId, userId, LOCK_TTL_SECONDS, Boolean(force)]);
+
+    const { previous_holder: previousHolder, acquired } = result.rows[0];
+    const lock = await loadLock(db, assessmentId, questionId);
+
+    if (!acquired) {
+        throw new CollaborationError(`${lock ? lock.name : 'A teammate'} is editing this question`, 409, lock);
+    }
+
+    return {
+        lock,
+        acquired: previousHolder !== userId,
+        takenOverFrom: previousHolder && previousHolder !== userId ? previousHolder : null
+    };
+}
+
+/**
+ * Let go of the user's own lock on a question
+ * @param {object} db - Pool or client
+ * @param {object} options - { assessmentId, questionId, userId }
+ * @returns {Promise<boolean>} Whether a lock was released
+ */
+async function releaseLock(db, { assessmentId, questionId, userId }) {
+    const result = await db.query(`
+        DELETE FROM question_locks
+        WHERE assessment_id = $1 AND question_id = $2 AND user_id = $3
+        RETURNING expires_at > NOW() AS held
+    `, [assessmentId, questionId, userId]);
+
+    return result.rows.length > 0 && result.rows[0].held;
+}
+
+module.exports = {
+    PRESENCE_TTL_SECONDS,
+    LOCK_TTL_SECONDS,
+    CollaborationError,
+    loadState,
+    touchPresence,
+    leave,
+    acquireLock,
+    releaseLock
+};
@@ -0,0 +1,139 @@
+/**
+ * Notification Digest Service (backend)
+ * Emails the notifications users asked to receive by email
+ *
+ * notifyUsers marks them email_status 'pending'. Each run looks at every user
+ * with pending notifications and, outside their quiet hours:
+ *   digest off       mails each one (notification_email), or those that
+ *                    piled up during quiet hours together
+ *   daily / weekly   mails them together (notification_digest) once the
+ *                    digest time has passed since the last digest
+ * Mails go through the email outbox (services/email.js) in the same
+ * transaction that marks the notifications sent. The API runs this as the
+ * 'digests' job of its scheduler (services/scheduler.js).
+ */
+
+const { enqueueEmail } = require('./email');
+const { formatSettings, inQuietHours, digestDue } = require('./notificationPreferences');
+
+const SINGLE_TEMPLATE = 'notification_email';
+const DIGEST_TEMPLATE = 'notification_digest';
+
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:8000').replace(/\/+$/, '');
+const INBOX_URL = `${FRONTEND_URL}/pages/14_notifications.html`;
+
+/**
+ * One notification as a digest entry
+ */
+function digestItem(notification) {
+    return `- ${notification.subject}\n  ${notification.body}`;
+}
+
+/**
+ * Mail a user's pending notifications
+ * @param {object} client - Database client (in a transaction)
+ * @param {object} user - { user_id, email, name, tenant_id }
+ * @param {boolean} asDigest - Send the digest (and restart its schedule)
+ * @param {Date} now - Moment of the run
+ * @returns {Promise<number>} Notifications mailed
+ */
+async function mailPending(client, user, asDigest, now) {
+    const claimed = await client.query(`
+        UPDATE notifications
+        SET email_status = 'sent', emailed_at = $2
+        WHERE user_id = $1 AND email_status = 'pending'
+        RETURNING id, subject, body, created_at
+    `, [user.user_id, now]);
+
+    const notifications = claimed.rows.sort((a, b) => a.created_at - b.created_at);
+
+    if (notifications.length === 0) {
+        return 0;
+    }
+
+    const base = { name: user.name || user.email, inbox_url: INBOX_URL };
+
+    // Several at once (held back by quiet hours, or from one run) go out together too
+    if (asDigest || notifications.length > 1) {
+        await enqueueEmail(client, {
+            templateCode: DIGEST_TEMPLATE,
+            to: user.email,
+            userId: user.user_id,
+            tenantId: user.tenant_id,
+            data: { ...base, count: notifications.length, items: notifications.map(digestItem).join('\n\n') }
+        });
+    } else {
+        await enqueueEmail(client, {
+            templateCode: SINGLE_TEMPLATE,
+            to: user.email,
+            userId: user.user_id,
+            tenantId: user.tenant_id,
+            data: { ...base, subject: notifications[0].subject, body: notifications[0].body }
+        });
+    }
+
+    if (asDigest) {
+        await client.query('UPDATE notification_settings SET last_digest_at = $2 WHERE user_id = $1', [user.user_id, now]);
+    }
+
+    return notifications.length;
+}
+
+/**
+ * Mail what is due now
+ * @param {object} db - Pool
+ * @param {Date} now - Moment of the run
+ * @returns {Promise<object>} { emails, digests } - Notifications mailed on their own and in digests
+ */
+async function processDigests(db, now = new Date()) {
+    const counts = { emails: 0, digests: 0 };
+
+    const result = await db.query(`
+        SELECT p.user_id, u.email, u.name, u.tenant_id, u.status, to_jsonb(s) AS settings
+        FROM (SELECT DISTINCT user_id FROM notifications WHERE email_status = 'pending') p
+        JOIN users u ON u.id = p.user_id
+        LEFT JOIN notification_settings s ON s.user_id = p.user_id
+    `);
+
+    for (const row of result.rows) {
+        const user = { user_id: row.user_id, email: row.email, name: row.name, tenant_id: row.tenant_id };
+        const settings = formatSettings(row.settings);
+
+        // Nobody to mail any more: leave them in the inbox only
+        if (!row.email || (row.status && row.status !== 'active')) {
+            await db.query(
+                "UPDATE notifications SET email_status = NULL WHERE user_id = $1 AND email_status = 'pending'",
+                [row.user_id]
+            );
+            continue;
+        }
+
+        if (inQuietHours(settings, now)) {
+            continue;
+        }
+
+        const asDigest = settings.digestFrequency !== 'off';
+        if (asDigest && !digestDue(settings, now)) {
+            continue;
+        }
+
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+            const mailed = await mailPending(client, user, asDigest, now);
+            await client.query('COMMIT');
+            counts[asDigest ? 'digests' : 'emails'] += mailed;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Notification digest error:', error);
+        } finally {
+            client.release();
+        }
+    }
+
+    return counts;
+}
+
+module.exports = {
+    processDigests
+};
@@ -0,0 +1,225 @@
+/**
+ * Email Service (backend)
+ * Transactional outbox and the worker that delivers it
+ *
+ * Callers enqueue a template code and placeholder values with the same client
+ * as the change that triggers the email, so mail only goes out for committed
+ * changes. The worker claims due rows, renders the notification_templates
+ * subject and body_template, and hands them to the transport (see
+ * services/emailTransports.js). Failures retry with exponential backoff; the
+ * row ends up sent, failed (attempts exhausted or no template) or bounced
+ * (recipient rejected, at send time or by a later bounce report). Placeholder
+ * data can hold one-time tokens, so it is cleared once a row is final.
+ */
+
+const crypto = require('crypto');
+const { renderTemplate } = require('./notifications');
+const { createTransport } = require('./emailTransports');
+
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 6;
+const BACKOFF_BASE_SECONDS = 30;   // 30s, 1m, 2m, 4m, 8m
+const SEND_LEASE_MINUTES = 5;      // A crashed worker's claim is picked up again after this
+
+const DEFAULT_FROM = 'REABEL <no-reply@reabel.local>';
+
+/**
+ * Queue an email
+ * @param {object} db - Database client (the caller's transaction) or pool
+ * @param {object} email - { templateCode, to, userId, tenantId, data }
+ * @returns {Promise<object>} email_outbox row
+ */
+async function enqueueEmail(db, { templateCode, to, userId = null, tenantId = null, data = {} }) {
+    const result = await db.query(`
+        INSERT INTO email_outbox (id, tenant_id, user_id, template_code, to_address, data)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+    `, [crypto.randomUUID(), tenantId, userId, templateCode, to, JSON.stringify(data)]);
+
+    return result.rows[0];
+}
+
+/**
+ * Seconds to wait before the next attempt
+ * @param {number} attempts - Attempts made so far
+ */
+function backoffSeconds(attempts) {
+    return BACKOFF_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0);
+}
+
+async function claimDue(db, limit) {
+    const result = await db.query(`
+        UPDATE email_outbox
+        SET status = 'sending',
+            attempts = attempts + 1,
+            next_attempt_at = NOW() + ($2 * INTERVAL '1 minute'),
+            updated_at = NOW()
+        WHERE id IN (
+            SELECT id
+            FROM email_outbox
+            WHERE status IN ('pending', 'sending')
+              AND next_attempt_at <= NOW()
+            ORDER BY next_attempt_at
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+    `, [limit, SEND_LEASE_MINUTES]);
+
+    return result.rows;
+}
+
+async function finish(db, id, status, { error = null, subject = null, messageId = null } = {}) {
+    await db.query(`
+        UPDATE email_outbox
+        SET status = $2::varchar,
+            last_error = $3,
+            subject = COALESCE($4, subject),
+            provider_message_id = COALESCE($5, provider_message_id),
+            sent_at = CASE WHEN $2::varchar = 'sent' THEN NOW() ELSE sent_at END,
+            bounced_at = CASE WHEN $2::varchar = 'bounced' THEN NOW() ELSE bounced_at END,
+            data = '{}',
+            updated_at = NOW()
+        WHERE id = $1
+    `, [id, status, error, subject, messageId]);
+}
+
+async function retryLater(db, email, error) {
+    if (email.attempts >= MAX_ATTEMPTS) {
+        return finish(db, email.id, 'failed', { error });
+    }
+
+    await db.query(`
+        UPDATE email_outbox
+        SET status = 'pending',
+            last_error = $2,
+            next_attempt_at = NOW() + ($3 * INTERVAL '1 second'),
+            updated_at = NOW()
+        WHERE id = $1
+    `, [email.id, error, backoffSeconds(email.attempts)]);
+}
+
+/**
+ * Deliver one claimed row
+ * @returns {Promise<string>} Resulting status
+ */
+async function deliver(db, transport, email) {
+    const templateResult = await db.query(`
+        SELECT subject, body_template
+        FROM notification_templates
+        WHERE template_code = $1 AND is_active = true
+    `, [email.template_code]);
+
+    if (templateResult.rows.length === 0) {
+        await finish(db, email.id, 'failed', { error: `Template not found: ${email.template_code}` });
+        return 'failed';
+    }
+
+    const template = templateResult.rows[0];
+    const data = email.data || {};
+    const subject = renderTemplate(template.subject, data);
+
+    let messageId;
+    try {
+        ({ messageId } = await transport.send({
+            from: process.env.EMAIL_FROM || DEFAULT_FROM,
+            to: email.to_address,
+            subject,
+            text: renderTemplate(template.body_template, data)
+        }));
+    } catch (error) {
+        if (error.permanent) {
+            await finish(db, email.id, 'bounced', { error: error.message, subject });
+            return 'bounced';
+        }
+
+        await retryLater(db, email, error.message);
+        return email.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    }
+
+    // Outside the try: a bookkeeping error must not queue a second copy
+    await finish(db, email.id, 'sent', { subject, messageId });
+    return 'sent';
+}
+
+/**
+ * Deliver every due row, a batch at a time
+ * @param {object} db - Pool
+ * @param {object} transport - See services/emailTransports.js
+ * @returns {Promise<object>} Counts by resulting status, e.g. { sent: 2, pending: 1 }
+ */
+async function processOutbox(db, transport, { batchSize = BATCH_SIZE } = {}) {
+    const counts = {};
+
+    for (;;) {
+        const batch = await claimDue(db, batchSize);
+
+        for (const email of batch) {
+            const status = await deliver(db, transport, email);
+            counts[status] = (counts[status] || 0) + 1;
+        }
+
+        if (batch.length < batchSize) {
+            return counts;
+        }
+    }
+}
+
+/**
+ * Record a bounce reported after delivery (provider webhook)
+ * @param {object} db - Database client or pool
+ * @param {string} messageId - Message-ID of the bounced message
+ * @param {string} reason - Provider's description
+ * @returns {Promise<boolean>} Whether a sent message matched
+ */
+async function recordBounce(db, messageId, reason) {
+    const ids = [messageId, `<${String(messageId).replace(/^<|>$/g, '')}>`];
+
+    const result = await db.query(`
+        UPDATE email_outbox
+        SET status = 'bounced',
+            bounced_at = NOW(),
+            last_error = $2,
+            updated_at = NOW()
+        WHERE provider_message_id = ANY($1)
+          AND status IN ('sent', 'bounced')
+    `, [ids, reason || 'Bounced']);
+
+    return result.rowCount > 0;
+}
+
+/**
+ * Poll the outbox in this process
+ * @param {object} db - Pool
+ * @param {object} options - { intervalMs, transport }
+ * @returns {object} { transport, stop() }
+ */
+function startEmailWorker(db, { intervalMs = 5000, transport = createTransport() } = {}) {
+    let running = false;
+
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+
+        try {
+            await processOutbox(db, transport);
+        } catch (error) {
+            console.error('Email worker error:', error);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+
+    timer.unref();
+
+    return { transport, stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    enqueueEmail,
+    backoffSeconds,
+    processOutbox,
+    recordBounce,
+    startEmailWorker
+};
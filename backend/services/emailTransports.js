@@ -0,0 +1,108 @@
+/**
+ * Email Transports (backend)
+ * Where the email worker hands rendered messages
+ *
+ * EMAIL_TRANSPORT picks one:
+ *   smtp     SMTP_URL, or SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASSWORD / SMTP_SECURE
+ *   file     one .eml file per message in EMAIL_FILE_DIR (default <tmp>/reabel-mail)
+ *   console  logs the message (default when no SMTP server is configured)
+ *
+ * A transport is { name, send(message) } where message is { from, to, subject,
+ * text } and send resolves to { messageId }. Errors carrying permanent = true
+ * (the server refused the recipient) are not retried.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Build a raw RFC 5322 message without sending it (file and console transports)
+ */
+function streamer() {
+    return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+}
+
+function smtpTransport() {
+    const transporter = nodemailer.createTransport(process.env.SMTP_URL || {
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined
+    });
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            try {
+                const info = await transporter.sendMail(message);
+                return { messageId: info.messageId };
+            } catch (error) {
+                // 5xx on RCPT TO: the receiving server rejected the address (hard bounce)
+                error.permanent = error.command === 'RCPT TO' && error.responseCode >= 500;
+                throw error;
+            }
+        }
+    };
+}
+
+function fileTransport(directory) {
+    const builder = streamer();
+
+    return {
+        name: 'file',
+        async send(message) {
+            const info = await builder.sendMail(message);
+            const id = info.messageId.replace(/[<>]/g, '').replace(/[^\w.@-]/g, '_');
+
+            await fs.promises.mkdir(directory, { recursive: true });
+            await fs.promises.writeFile(path.join(directory, `${Date.now()}-${id}.eml`), info.message);
+
+            return { messageId: info.messageId };
+        }
+    };
+}
+
+function consoleTransport() {
+    const builder = streamer();
+
+    return {
+        name: 'console',
+        async send(message) {
+            const info = await builder.sendMail(message);
+
+            console.log(`[email] To: ${message.to}`);
+            console.log(`[email] Subject: ${message.subject}`);
+            console.log(message.text.split('\n').map(line => `[email]   ${line}`).join('\n'));
+
+            return { messageId: info.messageId };
+        }
+    };
+}
+
+/**
+ * Transport for this process's environment
+ * @returns {object} { name, send(message) }
+ */
+function createTransport() {
+    const smtpConfigured = Boolean(process.env.SMTP_URL || process.env.SMTP_HOST);
+    const name = process.env.EMAIL_TRANSPORT || (smtpConfigured ? 'smtp' : 'console');
+
+    switch (name) {
+        case 'smtp':
+            return smtpTransport();
+        case 'file':
+            return fileTransport(process.env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'reabel-mail'));
+        case 'console':
+            return consoleTransport();
+        default:
+            throw new Error(`Unknown EMAIL_TRANSPORT: ${name}`);
+    }
+}
+
+module.exports = {
+    createTransport
+};
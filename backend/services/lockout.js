@@ -0,0 +1,151 @@
+/**
+ * Lockout Service (backend)
+ * Progressive account lockout after failed password logins
+ *
+ * Every failed password counts against the account. The fifth failure in a row
+ * locks it for 15 minutes; each further lockout before a successful login
+ * doubles that, up to a day. A successful login clears both counters. Locked
+ * accounts are released by time, by the emailed unlock link, by a password
+ * reset or by a tenant admin. Every lock and unlock is audited.
+ */
+
+const { recordAudit } = require('./audit');
+
+const MAX_FAILED_ATTEMPTS = 5;
+const BASE_LOCK_MINUTES = 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+/**
+ * Lock duration for the nth lockout (1-based)
+ */
+function lockMinutes(lockoutCount) {
+    return Math.min(BASE_LOCK_MINUTES * 2 ** (lockoutCount - 1), MAX_LOCK_MINUTES);
+}
+
+/**
+ * @param {object} account - users row
+ * @returns {boolean}
+ */
+function isLocked(account) {
+    return Boolean(account.locked_until) && new Date(account.locked_until) > new Date();
+}
+
+/**
+ * Count a failed password and lock the account when it reaches the limit
+ * @param {object} db - Database client (in a transaction)
+ * @param {object} account - users row
+ * @param {object} client - clientInfo() of the request
+ * @returns {Promise<object>} { locked, lockedUntil, failedAttempts, remainingAttempts }
+ */
+async function recordFailedLogin(db, account, client) {
+    const result = await db.query(`
+        SELECT failed_login_count, lockout_count, locked_until
+        FROM users
+        WHERE id = $1
+        FOR UPDATE
+    `, [account.id]);
+
+    const current = result.rows[0];
+    const failedAttempts = (current.failed_login_count || 0) + 1;
+
+    if (failedAttempts < MAX_FAILED_ATTEMPTS) {
+        await db.query(`
+            UPDATE users
+            SET failed_login_count = $2, last_failed_login_at = NOW()
+            WHERE id = $1
+        `, [account.id, failedAttempts]);
+
+        return { locked: false, failedAttempts, remainingAttempts: MAX_FAILED_ATTEMPTS - failedAttempts };
+    }
+
+    const lockoutCount = (current.lockout_count || 0) + 1;
+    const minutes = lockMinutes(lockoutCount);
+
+    const locked = await db.query(`
+        UPDATE users
+        SET failed_login_count = 0,
+            last_failed_login_at = NOW(),
+            lockout_count = $2,
+            locked_until = NOW() + ($3 * INTERVAL '1 minute')
+        WHERE id = $1
+        RETURNING locked_until
+    `, [account.id, lockoutCount, minutes]);
+
+    const lockedUntil = locked.rows[0].locked_until;
+
+    await recordAudit(db, {
+        action: 'account.locked',
+        entityType: 'user',
+        entityId: account.id,
+        tenantId: account.tenant_id,
+        newValues: { failedAttempts, lockoutCount, lockMinutes: minutes, lockedUntil },
+        client
+    });
+
+    return { locked: true, lockedUntil, failedAttempts, remainingAttempts: 0 };
+}
+
+/**
+ * Forget failures after a correct password
+ * @param {object} db - Database client or pool
+ * @param {object} account - users row
+ */
+async function clearFailedLogins(db, account) {
+    if (!account.failed_login_count && !account.lockout_count && !account.locked_until) {
+        return;
+    }
+
+    await db.query(`
+        UPDATE users
+        SET failed_login_count = 0, lockout_count = 0, locked_until = NULL
+        WHERE id = $1
+    `, [account.id]);
+}
+
+/**
+ * Release a locked account
+ * @param {object} db - Database client (in a transaction)
+ * @param {string} userId - User to unlock
+ * @param {object} options - { method: 'email' | 'admin' | 'password_reset', actorId, client }
+ * @returns {Promise<boolean>} Whether the account was locked
+ */
+async function unlockAccount(db, userId, { method, actorId = null, client = {} }) {
+    const result = await db.query(`
+        SELECT tenant_id, locked_until
+        FROM users
+        WHERE id = $1 AND locked_until > NOW()
+        FOR UPDATE
+    `, [userId]);
+
+    if (result.rows.length === 0) {
+        return false;
+    }
+
+    await db.query(`
+        UPDATE users
+        SET failed_login_count = 0, locked_until = NULL
+        WHERE id = $1
+    `, [userId]);
+
+    await recordAudit(db, {
+        action: 'account.unlocked',
+        entityType: 'user',
+        entityId: userId,
+        tenantId: result.rows[0].tenant_id,
+        actorId,
+        oldValues: { lockedUntil: result.rows[0].locked_until },
+        newValues: { method },
+        client
+    });
+
+    return true;
+}
+
+module.exports = {
+    MAX_FAILED_ATTEMPTS,
+    lockMinutes,
+    isLocked,
+    recordFailedLogin,
+    clearFailedLogins,
+    unlockAccount
+};
@@ -0,0 +1,424 @@
+/**
+ * MFA Service (backend)
+ * TOTP second factor (RFC 6238), recovery codes and interim login challenges
+ *
+ * Secrets are stored encrypted (see services/secrets.js). Recovery codes and
+ * challenge tokens are random, so they are stored as SHA-256 hashes like
+ * refresh tokens. A challenge is the interim
+ * token returned by the password step; it is single-use, expires after five
+ * minutes and allows five wrong codes.
+ */
+
+const crypto = require('crypto');
+const { encryptSecret, decryptSecret, hashToken } = require('./secrets');
+
+const ISSUER = 'REABEL';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1; // Accept the previous and next code for clock skew
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_MINUTES = 5;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class MfaError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'MfaError';
+        this.statusCode = statusCode;
+    }
+}
+
+// ============================================================================
+// TOTP
+// ============================================================================
+
+function base32Encode(buffer) {
+    let bits = '';
+    buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = text.toUpperCase().replace(/[^A-Z2-7]/g, '');
+    let bits = '';
+    for (const char of clean) {
+        bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * HOTP code for a counter (RFC 4226)
+ */
+function hotp(key, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Current TOTP time step
+ */
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Check a TOTP code against a secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} lastUsedStep - Steps at or before this were already used
+ * @returns {number|null} The matching time step, or null
+ */
+function verifyTotp(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const key = base32Decode(secret);
+    const step = currentStep();
+
+    for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+        const candidate = step + drift;
+        if (lastUsedStep !== null && candidate <= lastUsedStep) {
+            continue;
+        }
+
+        const expected = hotp(key, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return candidate;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (rendered as a QR code by the frontend)
+ */
+function provisioningUri(secret, email) {
+    const label = encodeURIComponent(`${ISSUER}:${email}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params}`;
+}
+
+// ============================================================================
+// STORAGE HELPERS
+// ============================================================================
+
+// Recovery codes are compared case-insensitively and without separators
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// ============================================================================
+// ENROLLMENT
+// ============================================================================
+
+/**
+ * Whether a tenant enforces MFA (tenants.settings.mfa_required)
+ */
+async function tenantRequiresMfa(db, tenantId) {
+    if (!tenantId) {
+        return false;
+    }
+
+    const result = await db.query(
+        "SELECT COALESCE((settings->>'mfa_required')::boolean, false) AS required FROM tenants WHERE id = $1",
+        [tenantId]
+    );
+
+    return result.rows.length > 0 && result.rows[0].required;
+}
+
+/**
+ * MFA state of a user
+ * @param {object} db - Database client or pool
+ * @param {object} account - findAccount() result
+ * @returns {Promise<object>} { enabled, pending, enabledAt, recoveryCodesRemaining, required }
+ */
+async function mfaStatus(db, account) {
+    const result = await db.query(`
+        SELECT
+            m.enabled_at,
+            (SELECT COUNT(*)::int FROM mfa_recovery_codes rc
+             WHERE rc.user_id = m.user_id AND rc.used_at IS NULL) AS recovery_codes_remaining
+        FROM user_mfa m
+        WHERE m.user_id = $1
+    `, [account.id]);
+
+    const row = result.rows[0];
+
+    return {
+        enabled: Boolean(row && row.enabled_at),
+        pending: Boolean(row && !row.enabled_at),
+        enabledAt: row ? row.enabled_at : null,
+        recoveryCodesRemaining: row ? row.recovery_codes_remaining : 0,
+        required: await tenantRequiresMfa(db, account.tenant_id)
+    };
+}
+
+/**
+ * Start (or restart) enrollment with a fresh secret
+ * @param {object} db - Database client or pool
+ * @param {object} account - findAccount() result
+ * @returns {Promise<object>} { secret, otpauthUrl }
+ * @throws {MfaError} MFA already enabled
+ */
+async function beginEnrollment(db, account) {
+    const existing = await db.query('SELECT enabled_at FROM user_mfa WHERE user_id = $1', [account.id]);
+
+    if (existing.rows.length > 0 && existing.rows[0].enabled_at) {
+        throw new MfaError('MFA is already enabled', 409);
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+
+    await db.query(`
+        INSERT INTO user_mfa (user_id, secret_encrypted)
+        VALUES ($1, $2)
+        ON CONFLICT (user_id) DO UPDATE
+        SET secret_encrypted = EXCLUDED.secret_encrypted, last_used_step = NULL, updated_at = NOW()
+    `, [account.id, encryptSecret(secret)]);
+
+    return {
+        secret,
+        otpauthUrl: provisioningUri(secret, account.email)
+    };
+}
+
+/**
+ * Replace a user's recovery codes
+ * @returns {Promise<array>} New codes (plain text, shown once)
+ */
+async function replaceRecoveryCodes(db, userId) {
+    await db.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+        const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+
+        await db.query(`
+            INSERT INTO mfa_recovery_codes (id, user_id, code_hash)
+            VALUES ($1, $2, $3)
+        `, [crypto.randomUUID(), userId, hashToken(normalizeRecoveryCode(code))]);
+
+        codes.push(code);
+    }
+
+    return codes;
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {object} db - Database client (run inside a transaction)
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code
+ * @returns {Promise<array|null>} Recovery codes, or null if the code is wrong
+ * @throws {MfaError} No enrollment pending
+ */
+async function activateEnrollment(db, userId, code) {
+    const result = await db.query('SELECT * FROM user_mfa WHERE user_id = $1 FOR UPDATE', [userId]);
+    const mfa = result.rows[0];
+
+    if (!mfa || mfa.enabled_at) {
+        throw new MfaError(mfa ? 'MFA is already enabled' : 'Start enrollment first', 409);
+    }
+
+    const step = verifyTotp(decryptSecret(mfa.secret_encrypted), code);
+    if (step === null) {
+        return null;
+    }
+
+    await db.query(`
+        UPDATE user_mfa
+        SET enabled_at = NOW(), last_used_step = $2, updated_at = NOW()
+        WHERE user_id = $1
+    `, [userId, step]);
+
+    return replaceRecoveryCodes(db, userId);
+}
+
+/**
+ * Remove MFA from a user
+ */
+async function disableMfa(db, userId) {
+    await db.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+    await db.query('DELETE FROM user_mfa WHERE user_id = $1', [userId]);
+}
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+/**
+ * Check a second factor: a TOTP code or an unused recovery code
+ * Accepted codes are spent (TOTP steps can't be replayed, recovery codes are marked used)
+ * @param {object} db - Database client (run inside a transaction)
+ * @param {string} userId - User ID
+ * @param {object} factor - { code } or { recoveryCode }
+ * @returns {Promise<string|null>} 'totp' or 'recovery_code' on success, otherwise null
+ */
+async function verifySecondFactor(db, userId, { code = null, recoveryCode = null }) {
+    const result = await db.query(
+        'SELECT * FROM user_mfa WHERE user_id = $1 AND enabled_at IS NOT NULL FOR UPDATE',
+        [userId]
+    );
+    const mfa = result.rows[0];
+
+    if (!mfa) {
+        return null;
+    }
+
+    if (recoveryCode) {
+        const used = await db.query(`
+            UPDATE mfa_recovery_codes
+            SET used_at = NOW()
+            WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+        `, [userId, hashToken(normalizeRecoveryCode(recoveryCode))]);
+
+        return used.rowCount > 0 ? 'recovery_code' : null;
+    }
+
+    const lastUsedStep = mfa.last_used_step === null ? null : Number(mfa.last_used_step);
+    const step = verifyTotp(decryptSecret(mfa.secret_encrypted), code, lastUsedStep);
+
+    if (step === null) {
+        return null;
+    }
+
+    await db.query(
+        'UPDATE user_mfa SET last_used_step = $2, updated_at = NOW() WHERE user_id = $1',
+        [userId, step]
+    );
+
+    return 'totp';
+}
+
+// ============================================================================
+// LOGIN CHALLENGES
+// ============================================================================
+
+/**
+ * Issue the interim token returned by the password step
+ * @param {object} db - Database client or pool
+ * @param {string} userId - User ID
+ * @param {string} purpose - 'verify' or 'enroll'
+ * @returns {Promise<object>} { token, expiresAt } (expiresAt in epoch ms)
+ */
+async function createChallenge(db, userId, purpose) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000);
+
+    await db.query(`
+        INSERT INTO mfa_challenges (id, user_id, token_hash, purpose, expires_at)
+        VALUES ($1, $2, $3, $4, $5)
+    `, [crypto.randomUUID(), userId, hashToken(token), purpose, expiresAt]);
+
+    return { token, expiresAt: expiresAt.getTime() };
+}
+
+/**
+ * Find a usable challenge (unexpired, unconsumed, attempts left)
+ * @param {object} db - Database client or pool
+ * @param {string} token - Interim token
+ * @param {string} purpose - Expected purpose
+ * @param {boolean} lock - SELECT ... FOR UPDATE (inside a transaction)
+ * @returns {Promise<object|null>} mfa_challenges row
+ */
+async function findChallenge(db, token, purpose, lock = false) {
+    if (!token) {
+        return null;
+    }
+
+    const result = await db.query(`
+        SELECT *
+        FROM mfa_challenges
+        WHERE token_hash = $1
+          AND purpose = $2
+          AND consumed_at IS NULL
+          AND expires_at > NOW()
+          AND attempts < $3
+        ${lock ? 'FOR UPDATE' : ''}
+    `, [hashToken(token), purpose, MAX_CHALLENGE_ATTEMPTS]);
+
+    return result.rows[0] || null;
+}
+
+async function recordFailedAttempt(db, challengeId) {
+    await db.query('UPDATE mfa_challenges SET attempts = attempts + 1 WHERE id = $1', [challengeId]);
+}
+
+async function consumeChallenge(db, challengeId) {
+    await db.query('UPDATE mfa_challenges SET consumed_at = NOW() WHERE id = $1', [challengeId]);
+}
+
+/**
+ * Second step of a login, if the account needs one
+ * Enrolled users verify a code; users in a tenant that enforces MFA enroll first
+ * @param {object} db - Database client or pool
+ * @param {object} account - findAccount() result
+ * @returns {Promise<object|null>} Response body with the interim mfaToken, or null
+ */
+async function startLoginChallenge(db, account) {
+    const mfa = await mfaStatus(db, account);
+
+    if (!mfa.enabled && !mfa.required) {
+        return null;
+    }
+
+    const challenge = await createChallenge(db, account.id, mfa.enabled ? 'verify' : 'enroll');
+
+    return {
+        success: true,
+        [mfa.enabled ? 'mfaRequired' : 'mfaEnrollmentRequired']: true,
+        mfaToken: challenge.token,
+        mfaExpiresAt: challenge.expiresAt,
+        methods: mfa.enabled ? ['totp', 'recovery_code'] : ['totp']
+    };
+}
+
+module.exports = {
+    MfaError,
+    tenantRequiresMfa,
+    mfaStatus,
+    beginEnrollment,
+    activateEnrollment,
+    replaceRecoveryCodes,
+    disableMfa,
+    verifySecondFactor,
+    createChallenge,
+    findChallenge,
+    recordFailedAttempt,
+    consumeChallenge,
+    startLoginChallenge
+};
@@ -0,0 +1,194 @@
+/**
+ * Migration Service (backend)
+ * Versioned schema migrations from backend/migrations
+ *
+ * Each migration is a NNN_name.sql file with an "-- migrate:up" section and a
+ * "-- migrate:down" section. Applied versions are recorded in schema_migrations;
+ * every migration runs in its own transaction, and an advisory lock keeps two
+ * runners from migrating the same database at once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.sql$/;
+const UP_MARKER = '-- migrate:up';
+const DOWN_MARKER = '-- migrate:down';
+
+// Arbitrary key for pg_advisory_lock, shared by every runner
+const LOCK_KEY = 727100;
+
+/**
+ * Read and parse migration files, ordered by version
+ * @param {string} dir - Migrations directory
+ * @returns {array} [{ version, name, up, down }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    return fs.readdirSync(dir)
+        .filter(file => FILE_PATTERN.test(file))
+        .sort()
+        .map(file => {
+            const [, version, name] = file.match(FILE_PATTERN);
+            const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+            const upAt = sql.indexOf(UP_MARKER);
+            const downAt = sql.indexOf(DOWN_MARKER);
+
+            if (upAt === -1 || downAt === -1 || downAt < upAt) {
+                throw new Error(`Migration ${file} needs "${UP_MARKER}" followed by "${DOWN_MARKER}"`);
+            }
+
+            return {
+                version,
+                name,
+                up: sql.slice(upAt + UP_MARKER.length, downAt).trim(),
+                down: sql.slice(downAt + DOWN_MARKER.length).trim()
+            };
+        });
+}
+
+/**
+ * Create the tracking table if needed and list applied versions
+ * @param {object} client - Database client
+ * @returns {Promise<array>} [{ version, name, applied_at }] oldest first
+ */
+async function appliedMigrations(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(20) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP DEFAULT NOW()
+        )
+    `);
+
+    const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+}
+
+/**
+ * Run a callback holding the migration lock
+ * @param {object} pool - Connection pool
+ * @param {function} callback - async (client) => result
+ * @returns {Promise<*>} Callback result
+ */
+async function withMigrationLock(pool, callback) {
+    const client = await pool.connect();
+
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+        return await callback(client);
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+        client.release();
+    }
+}
+
+/**
+ * Apply one migration section and update schema_migrations in the same transaction
+ */
+async function runMigration(client, migration, direction) {
+    await client.query('BEGIN');
+
+    try {
+        await client.query(migration[direction]);
+
+        if (direction === 'up') {
+            await client.query(
+                'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                [migration.version, migration.name]
+            );
+        } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+
+        await client.query('COMMIT');
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        error.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`;
+        throw error;
+    }
+}
+
+/**
+ * Apply pending migrations
+ * @param {object} pool - Connection pool
+ * @param {object} options
+ * @param {string} options.target - Stop after this version (default: latest)
+ * @param {function} options.log - Progress logger
+ * @returns {Promise<array>} Applied migrations
+ */
+async function migrateUp(pool, { target = null, log = () => {} } = {}) {
+    const migrations = loadMigrations();
+
+    return withMigrationLock(pool, async (client) => {
+        const applied = new Set((await appliedMigrations(client)).map(m => m.version));
+        const pending = migrations.filter(m => !applied.has(m.version) && (!target || m.version <= target));
+
+        for (const migration of pending) {
+            log(`Applying ${migration.version}_${migration.name}`);
+            await runMigration(client, migration, 'up');
+        }
+
+        return pending;
+    });
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {object} pool - Connection pool
+ * @param {object} options
+ * @param {number} options.steps - How many to revert (default 1)
+ * @param {function} options.log - Progress logger
+ * @returns {Promise<array>} Reverted migrations
+ */
+async function migrateDown(pool, { steps = 1, log = () => {} } = {}) {
+    const migrations = new Map(loadMigrations().map(m => [m.version, m]));
+
+    return withMigrationLock(pool, async (client) => {
+        const applied = (await appliedMigrations(client)).reverse().slice(0, steps);
+        const reverted = [];
+
+        for (const record of applied) {
+            const migration = migrations.get(record.version);
+            if (!migration) {
+                throw new Error(`Migration file for applied version ${record.version}_${record.name} is missing`);
+            }
+
+            log(`Reverting ${migration.version}_${migration.name}`);
+            await runMigration(client, migration, 'down');
+            reverted.push(migration);
+        }
+
+        return reverted;
+    });
+}
+
+/**
+ * Every known migration with its applied state
+ * @param {object} pool - Connection pool
+ * @returns {Promise<array>} [{ version, name, applied_at }] (applied_at null when pending)
+ */
+async function migrationStatus(pool) {
+    const migrations = loadMigrations();
+    const client = await pool.connect();
+
+    try {
+        const applied = new Map((await appliedMigrations(client)).map(m => [m.version, m]));
+
+        return migrations.map(m => ({
+            version: m.version,
+            name: m.name,
+            applied_at: applied.has(m.version) ? applied.get(m.version).applied_at : null
+        }));
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    loadMigrations,
+    migrateUp,
+    migrateDown,
+    migrationStatus
+};
@@ -0,0 +1,370 @@
+/**
+ * Notification Preferences Service (backend)
+ * How each user wants to hear about each event
+ *
+ * Events are the trigger_event codes of the active in-app templates
+ * (assessment.assignment, response.review, ...). Per event a user picks a
+ * channel:
+ *   in-app  the inbox only (the default)
+ *   email   the inbox, and by email
+ *   none    nothing
+ * Notifications to be emailed are marked email_status 'pending';
+ * services/digests.js mails them one by one, or batched in the user's daily
+ * or weekly digest, and holds them back during quiet hours. Times are in the
+ * user's time zone.
+ */
+
+const CHANNELS = ['in-app', 'email', 'none'];
+const DEFAULT_CHANNEL = 'in-app';
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DEFAULT_SETTINGS = {
+    digestFrequency: 'off',
+    digestHour: 8,
+    digestWeekday: 1,
+    quietHoursStart: null,
+    quietHoursEnd: null,
+    timezone: 'UTC',
+    lastDigestAt: null
+};
+
+class PreferenceError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'PreferenceError';
+        this.statusCode = statusCode;
+    }
+}
+
+// ============================================================================
+// PREFERENCES
+// ============================================================================
+
+/**
+ * Events a user can set a channel for
+ * @param {object} db - Database client or pool
+ * @returns {Promise<array>} [{ event, name }]
+ */
+async function preferenceEvents(db) {
+    const result = await db.query(`
+        SELECT trigger_event AS event, MIN(name) AS name
+        FROM notification_templates
+        WHERE notification_type = 'in-app'
+          AND is_active = true
+          AND trigger_event IS NOT NULL
+        GROUP BY trigger_event
+        ORDER BY 2, 1
+    `);
+
+    return result.rows;
+}
+
+/**
+ * 'HH:MM:SS' from the database -> 'HH:MM'
+ */
+function formatTime(value) {
+    return value ? String(value).slice(0, 5) : null;
+}
+
+/**
+ * Shape a notification_settings row (defaults when the user has none)
+ * @param {object|null} row - notification_settings row
+ * @returns {object} Settings
+ */
+function formatSettings(row) {
+    if (!row || !row.user_id) {
+        return { ...DEFAULT_SETTINGS };
+    }
+
+    return {
+        digestFrequency: row.digest_frequency,
+        digestHour: row.digest_hour,
+        digestWeekday: row.digest_weekday,
+        quietHoursStart: formatTime(row.quiet_hours_start),
+        quietHoursEnd: formatTime(row.quiet_hours_end),
+        timezone: row.timezone,
+        lastDigestAt: row.last_digest_at
+    };
+}
+
+/**
+ * A user's channel per event, digest and quiet hours
+ * @param {object} db - Database client or pool
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { events: [{ event, name, channel }], settings }
+ */
+async function loadPreferences(db, userId) {
+    const events = await preferenceEvents(db);
+
+    const channelResult = await db.query(
+        'SELECT trigger_event, channel FROM notification_preferences WHERE user_id = $1',
+        [userId]
+    );
+    const channels = new Map(channelResult.rows.map(row => [row.trigger_event, row.channel]));
+
+    const settingsResult = await db.query('SELECT * FROM notification_settings WHERE user_id = $1', [userId]);
+    const { lastDigestAt, ...settings } = formatSettings(settingsResult.rows[0]);
+
+    return {
+        events: events.map(({ event, name }) => ({
+            event,
+            name,
+            channel: channels.get(event) || DEFAULT_CHANNEL
+        })),
+        settings
+    };
+}
+
+/**
+ * Check settings from a request, filling in the current values
+ * @param {object} current - Current settings
+ * @param {object} changes - Submitted settings
+ * @returns {object} Settings to store
+ */
+function validateSettings(current, changes) {
+    const settings = { ...current };
+
+    ['digestFrequency', 'digestHour', 'digestWeekday', 'quietHoursStart', 'quietHoursEnd', 'timezone'].forEach(key => {
+        if (changes[key] !== undefined) settings[key] = changes[key];
+    });
+
+    if (!DIGEST_FREQUENCIES.includes(settings.digestFrequency)) {
+        throw new PreferenceError(`digestFrequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`);
+    }
+    if (!Number.isInteger(settings.digestHour) || settings.digestHour < 0 || settings.digestHour > 23) {
+        throw new PreferenceError('digestHour must be a whole hour from 0 to 23');
+    }
+    if (!Number.isInteger(settings.digestWeekday) || settings.digestWeekday < 0 || settings.digestWeekday > 6) {
+        throw new PreferenceError('digestWeekday must be from 0 (Sunday) to 6 (Saturday)');
+    }
+
+    settings.quietHoursStart = settings.quietHoursStart || null;
+    settings.quietHoursEnd = settings.quietHoursEnd || null;
+
+    if (Boolean(settings.quietHoursStart) !== Boolean(settings.quietHoursEnd)) {
+        throw new PreferenceError('Quiet hours need both a start and an end');
+    }
+    [settings.quietHoursStart, settings.quietHoursEnd].forEach(time => {
+        if (time && !TIME_PATTERN.test(time)) {
+            throw new PreferenceError('Quiet hours must be given as HH:MM');
+        }
+    });
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: settings.timezone });
+    } catch (error) {
+        throw new PreferenceError(`Unknown time zone: ${settings.timezone}`);
+    }
+
+    return settings;
+}
+
+/**
+ * Store a user's preferences; events and settings left out keep their value
+ * @param {object} client - Database client (in a transaction)
+ * @param {string} userId - User ID
+ * @param {object} changes - { channels: { [event]: channel }, settings }
+ * @returns {Promise<object>} Preferences as loadPreferences returns them
+ */
+async function savePreferences(client, userId, { channels = {}, settings: settingChanges = {} } = {}) {
+    const known = new Set((await preferenceEvents(client)).map(row => row.event));
+
+    for (const [event, channel] of Object.entries(channels)) {
+        if (!known.has(event)) {
+            throw new PreferenceError(`Unknown event: ${event}`);
+        }
+        if (!CHANNELS.includes(channel)) {
+            throw new PreferenceError(`Channel must be one of: ${CHANNELS.join(', ')}`);
+        }
+    }
+
+    const currentResult = await client.query(
+        'SELECT * FROM notification_settings WHERE user_id = $1 FOR UPDATE',
+        [userId]
+    );
+    const current = formatSettings(currentResult.rows[0]);
+    const settings = validateSettings(current, settingChanges);
+
+    for (const [event, channel] of Object.entries(channels)) {
+        await client.query(`
+            INSERT INTO notification_preferences (user_id, trigger_event, channel, updated_at)
+            VALUES ($1, $2, $3, NOW())
+            ON CONFLICT (user_id, trigger_event)
+            DO UPDATE SET channel = EXCLUDED.channel, updated_at = NOW()
+        `, [userId, event, channel]);
+    }
+
+    // A digest that was just switched on (or changed) starts counting from now,
+    // so the first one is not sent straight away
+    const digestChanged = settings.digestFrequency !== current.digestFrequency
+        || settings.digestHour !== current.digestHour
+        || settings.digestWeekday !== current.digestWeekday;
+
+    await client.query(`
+        INSERT INTO notification_settings (
+            user_id, digest_frequency, digest_hour, digest_weekday,
+            quiet_hours_start, quiet_hours_end, timezone, last_digest_at, updated_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+        ON CONFLICT (user_id) DO UPDATE SET
+            digest_frequency = EXCLUDED.digest_frequency,
+            digest_hour = EXCLUDED.digest_hour,
+            digest_weekday = EXCLUDED.digest_weekday,
+            quiet_hours_start = EXCLUDED.quiet_hours_start,
+            quiet_hours_end = EXCLUDED.quiet_hours_end,
+            timezone = EXCLUDED.timezone,
+            last_digest_at = CASE WHEN $8 THEN NOW() ELSE notification_settings.last_digest_at END,
+            updated_at = NOW()
+    `, [
+        userId,
+        settings.digestFrequency,
+        settings.digestHour,
+        settings.digestWeekday,
+        settings.quietHoursStart,
+        settings.quietHoursEnd,
+        settings.timezone,
+        digestChanged
+    ]);
+
+    return loadPreferences(client, userId);
+}
+
+/**
+ * Channel of each recipient for an event
+ * Users without an email address get in-app instead of email
+ * @param {object} db - Database client or pool
+ * @param {array} userIds - Recipients
+ * @param {string|null} triggerEvent - notification_templates.trigger_event
+ * @returns {Promise<Map>} userId -> channel
+ */
+async function deliveryFor(db, userIds, triggerEvent) {
+    const channels = new Map();
+
+    if (!triggerEvent || userIds.length === 0) {
+        return channels;
+    }
+
+    const result = await db.query(`
+        SELECT u.id, u.email, COALESCE(p.channel, $3) AS channel
+        FROM users u
+        LEFT JOIN notification_preferences p ON p.user_id = u.id AND p.trigger_event = $2
+        WHERE u.id = ANY($1::uuid[])
+    `, [userIds, triggerEvent, DEFAULT_CHANNEL]);
+
+    result.rows.forEach(row => {
+        channels.set(row.id, row.channel === 'email' && !row.email ? 'in-app' : row.channel);
+    });
+
+    return channels;
+}
+
+// ============================================================================
+// SCHEDULE
+// ============================================================================
+
+/**
+ * Calendar date, hour, minute and weekday of a moment in a time zone
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {object} { year, month, day, hour, minute, weekday } (weekday 0 = Sunday)
+ */
+function localParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short'
+    }).formatToParts(date);
+
+    const value = type => parts.find(part => part.type === type).value;
+
+    return {
+        year: Number(value('year')),
+        month: Number(value('month')),
+        day: Number(value('day')),
+        hour: Number(value('hour')),
+        minute: Number(value('minute')),
+        weekday: WEEKDAYS.indexOf(value('weekday'))
+    };
+}
+
+/**
+ * Whether a moment falls in the user's quiet hours
+ * A start after the end spans midnight (22:00-07:00)
+ * @param {object} settings - Settings as formatSettings returns them
+ * @param {Date} now - Moment
+ * @returns {boolean}
+ */
+function inQuietHours(settings, now = new Date()) {
+    if (!settings.quietHoursStart || !settings.quietHoursEnd) {
+        return false;
+    }
+
+    const toMinutes = time => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+    const start = toMinutes(settings.quietHoursStart);
+    const end = toMinutes(settings.quietHoursEnd);
+    const { hour, minute } = localParts(now, settings.timezone);
+    const current = hour * 60 + minute;
+
+    if (start === end) return false;
+    return start < end
+        ? current >= start && current < end
+        : current >= start || current < end;
+}
+
+/**
+ * Local date of the latest digest time at or before a moment
+ * @param {object} settings - Settings with a daily or weekly digest
+ * @param {Date} date - Moment
+ * @returns {string} YYYY-MM-DD
+ */
+function digestSlot(settings, date) {
+    const { year, month, day, hour, weekday } = localParts(date, settings.timezone);
+    let daysBack;
+
+    if (settings.digestFrequency === 'weekly') {
+        daysBack = (weekday - settings.digestWeekday + 7) % 7;
+        if (daysBack === 0 && hour < settings.digestHour) daysBack = 7;
+    } else {
+        daysBack = hour < settings.digestHour ? 1 : 0;
+    }
+
+    return new Date(Date.UTC(year, month - 1, day - daysBack)).toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a digest time has passed since the last digest
+ * @param {object} settings - Settings as formatSettings returns them
+ * @param {Date} now - Moment
+ * @returns {boolean}
+ */
+function digestDue(settings, now = new Date()) {
+    if (settings.digestFrequency === 'off') {
+        return false;
+    }
+    if (!settings.lastDigestAt) {
+        return true;
+    }
+
+    return digestSlot(settings, now) !== digestSlot(settings, new Date(settings.lastDigestAt));
+}
+
+module.exports = {
+    CHANNELS,
+    DIGEST_FREQUENCIES,
+    PreferenceError,
+    preferenceEvents,
+    formatSettings,
+    loadPreferences,
+    savePreferences,
+    deliveryFor,
+    inQuietHours,
+    digestDue
+};
@@ -0,0 +1,335 @@
+/**
+ * Notification Service (backend)
+ * Creates notification records from notification_templates
+ * Templates use {{placeholder}} syntax in subject and body_template
+ *
+ * Notifications are the user's inbox: they stay until read, and their type is
+ * the template they were made from (data.template_code). Recipients' channel
+ * for the template's trigger_event decides whether they get one at all and
+ * whether it is also emailed (see services/notificationPreferences.js).
+ */
+
+const crypto = require('crypto');
+const { deliveryFor } = require('./notificationPreferences');
+
+/**
+ * Replace {{key}} placeholders with values from data
+ * Unknown placeholders render as empty strings
+ * @param {string} text - Template text
+ * @param {object} data - Placeholder values
+ * @returns {string} Rendered text
+ */
+function renderTemplate(text, data) {
+    if (!text) return '';
+
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+        const value = data[key];
+        return value === null || value === undefined ? '' : String(value);
+    });
+}
+
+/**
+ * Resolve recipient specs to user IDs within the assessment's tenant
+ * Specs: 'creator', 'assignees', or a role ID (e.g. 'reviewer', 'role:reviewer')
+ * @param {object} client - Database client
+ * @param {object} assessment - Assessment row
+ * @param {array} recipients - Recipient specs
+ * @returns {Promise<array>} Unique user IDs
+ */
+async function resolveRecipients(client, assessment, recipients) {
+    const userIds = new Set();
+
+    for (const spec of recipients) {
+        if (spec === 'creator') {
+            if (assessment.created_by) userIds.add(assessment.created_by);
+            continue;
+        }
+
+        if (spec === 'assignees') {
+            const result = await client.query(
+                'SELECT DISTINCT user_id FROM assessment_assignments WHERE assessment_id = $1',
+                [assessment.id]
+            );
+            result.rows.forEach(row => userIds.add(row.user_id));
+            continue;
+        }
+
+        const roleId = spec.startsWith('role:') ? spec.slice(5) : spec;
+        const result = await client.query(`
+            SELECT DISTINCT ur.user_id
+            FROM user_roles ur
+            JOIN users u ON ur.user_id = u.id
+            WHERE ur.role_id = $1
+              AND ur.tenant_id = $2
+              AND COALESCE(u.status, 'active') = 'active'
+        `, [roleId, assessment.tenant_id]);
+        result.rows.forEach(row => userIds.add(row.user_id));
+    }
+
+    return [...userIds];
+}
+
+/**
+ * Create notifications for users from a template
+ * Users who turned the event off are skipped; those who want it by email
+ * get it marked for services/digests.js
+ * @param {object} client - Database client
+ * @param {object} options
+ * @param {string} options.templateCode - notification_templates.template_code
+ * @param {array} options.userIds - Recipient user IDs
+ * @param {object} options.data - Placeholder values, also stored as notifications.data
+ * @returns {Promise<array|null>} Created notifications, or null if the template is missing
+ */
+async function notifyUsers(client, { templateCode, userIds, data = {} }) {
+    const templateResult = await client.query(`
+        SELECT id, subject, body_template, notification_type, trigger_event
+        FROM notification_templates
+        WHERE template_code = $1 AND is_active = true
+    `, [templateCode]);
+
+    if (templateResult.rows.length === 0) {
+        return null;
+    }
+
+    const template = templateResult.rows[0];
+    const subject = renderTemplate(template.subject, data);
+    const body = renderTemplate(template.body_template, data);
+    const recipients = [...new Set(userIds)];
+    const channels = await deliveryFor(client, recipients, template.trigger_event);
+    const created = [];
+
+    for (const userId of recipients) {
+        const channel = channels.get(userId);
+        if (channel === 'none') continue;
+
+        const result = await client.query(`
+            INSERT INTO notifications (
+                id,
+                user_id,
+                template_id,
+                subject,
+                body,
+                notification_type,
+                is_read,
+                data,
+                email_status,
+                created_at
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, false, $7, $8, NOW())
+            RETURNING *
+        `, [
+            crypto.randomUUID(),
+            userId,
+            template.id,
+            subject,
+            body,
+            template.notification_type || 'in-app',
+            JSON.stringify({ ...data, template_code: templateCode }),
+            channel === 'email' ? 'pending' : null
+        ]);
+
+        created.push(result.rows[0]);
+    }
+
+    return created;
+}
+
+/**
+ * Placeholder values describing an assessment
+ * @param {object} assessment - Assessment row
+ * @returns {object} Template data
+ */
+function assessmentTemplateData(assessment) {
+    return {
+        assessment_id: assessment.id,
+        assessment_title: assessment.title,
+        assessment_status: assessment.status,
+        due_date: assessment.due_date ? new Date(assessment.due_date).toISOString().slice(0, 10) : ''
+    };
+}
+
+// ============================================================================
+// INBOX
+// ============================================================================
+
+const INBOX_SELECT = `
+    SELECT n.*, n.data->>'template_code' AS type, nt.name AS type_name
+    FROM notifications n
+    LEFT JOIN notification_templates nt ON n.template_id = nt.id
+`;
+
+/**
+ * What a notification is about, for deep links
+ * @param {object} data - notifications.data
+ * @returns {object|null} { type: 'response' | 'action' | 'assignment' | 'assessment', assessmentId, ... }
+ */
+function notificationTarget(data) {
+    if (data.response_id) {
+        return {
+            type: 'response',
+            assessmentId: data.assessment_id || null,
+            responseId: data.response_id,
+            questionId: data.question_id || null
+        };
+    }
+
+    if (data.action_item_id) {
+        return {
+            type: 'action',
+            assessmentId: data.assessment_id || null,
+            actionItemId: data.action_item_id
+        };
+    }
+
+    if (data.assignment_id) {
+        return {
+            type: 'assignment',
+            assessmentId: data.assessment_id || null,
+            assignmentId: data.assignment_id,
+            dimensionId: data.dimension_id || null
+        };
+    }
+
+    if (data.assessment_id) {
+        return {
+            type: 'assessment',
+            assessmentId: data.assessment_id
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Shape a notification row for the inbox
+ * @param {object} row - Row from INBOX_SELECT
+ * @returns {object} Notification
+ */
+function formatNotification(row) {
+    const data = row.data || {};
+
+    return {
+        id: row.id,
+        type: row.type,
+        typeName: row.type_name,
+        subject: row.subject,
+        body: row.body,
+        isRead: row.is_read === true,
+        readAt: row.read_at,
+        createdAt: row.created_at,
+        target: notificationTarget(data)
+    };
+}
+
+/**
+ * A user's notifications, newest first
+ * @param {object} db - Database client or pool
+ * @param {string} userId - Recipient
+ * @param {object} filter - { type, unread, before, limit } (before: ID of the last one already loaded)
+ * @returns {Promise<array>} Notifications
+ */
+async function listNotifications(db, userId, { type = null, unread = false, before = null, limit = 50 } = {}) {
+    const params = [userId];
+    const conditions = ['n.user_id = $1'];
+
+    if (type) {
+        params.push(type);
+        conditions.push(`n.data->>'template_code' = $${params.length}`);
+    }
+    if (unread) conditions.push('n.is_read = false');
+    if (before) {
+        params.push(before);
+        conditions.push(`(n.created_at, n.id) < (SELECT created_at, id FROM notifications WHERE id = $${params.length})`);
+    }
+
+    params.push(limit);
+
+    const result = await db.query(`
+        ${INBOX_SELECT}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY n.created_at DESC, n.id DESC
+        LIMIT $${params.length}
+    `, params);
+
+    return result.rows.map(formatNotification);
+}
+
+/**
+ * Unread notifications of a user, in total and per type
+ * @param {object} db - Database client or pool
+ * @param {string} userId - Recipient
+ * @returns {Promise<object>} { unread, types: [{ type, name, total, unread }] }
+ */
+async function inboxSummary(db, userId) {
+    const result = await db.query(`
+        SELECT n.data->>'template_code' AS type,
+               MAX(nt.name) AS name,
+               COUNT(*)::int AS total,
+               (COUNT(*) FILTER (WHERE n.is_read = false))::int AS unread
+        FROM notifications n
+        LEFT JOIN notification_templates nt ON n.template_id = nt.id
+        WHERE n.user_id = $1
+        GROUP BY 1
+        ORDER BY 2 NULLS LAST, 1
+    `, [userId]);
+
+    return {
+        unread: result.rows.reduce((sum, row) => sum + row.unread, 0),
+        types: result.rows
+    };
+}
+
+/**
+ * Mark one notification of a user read or unread
+ * @param {object} db - Database client or pool
+ * @param {string} userId - Recipient (other users' notifications are not found)
+ * @param {string} notificationId - Notification ID
+ * @param {boolean} read - New state
+ * @returns {Promise<object|null>} Updated notification, or null if not found
+ */
+async function markNotification(db, userId, notificationId, read = true) {
+    const updated = await db.query(`
+        UPDATE notifications
+        SET is_read = $3,
+            read_at = CASE WHEN $3 THEN COALESCE(read_at, NOW()) ELSE NULL END
+        WHERE id = $1 AND user_id = $2
+        RETURNING id
+    `, [notificationId, userId, read]);
+
+    if (updated.rows.length === 0) {
+        return null;
+    }
+
+    const result = await db.query(`${INBOX_SELECT} WHERE n.id = $1`, [notificationId]);
+    return formatNotification(result.rows[0]);
+}
+
+/**
+ * Mark all unread notifications of a user read
+ * @param {object} db - Database client or pool
+ * @param {string} userId - Recipient
+ * @param {string|null} type - Only this type
+ * @returns {Promise<number>} Notifications marked
+ */
+async function markAllRead(db, userId, type = null) {
+    const result = await db.query(`
+        UPDATE notifications
+        SET is_read = true, read_at = NOW()
+        WHERE user_id = $1
+          AND is_read = false
+          AND ($2::text IS NULL OR data->>'template_code' = $2)
+    `, [userId, type]);
+
+    return result.rowCount;
+}
+
+module.exports = {
+    renderTemplate,
+    resolveRecipients,
+    notifyUsers,
+    assessmentTemplateData,
+    listNotifications,
+    inboxSummary,
+    markNotification,
+    markAllRead
+};
@@ -0,0 +1,209 @@
+/**
+ * OIDC Service (backend)
+ * OpenID Connect authorization-code flow with PKCE (S256)
+ *
+ * Provider metadata comes from the issuer's discovery document and signing
+ * keys from its JWKS; both are cached in memory and the JWKS is refetched
+ * once when a token names an unknown key. ID tokens must be RS256 and match
+ * the connection's issuer, client ID and the login request's nonce.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { SsoError } = require('./sso');
+
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const metadataCache = new Map();
+const keyCache = new Map();
+
+async function fetchJson(url, options = {}) {
+    let response;
+    try {
+        response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+    } catch (error) {
+        throw new SsoError(`Identity provider is unreachable (${new URL(url).host})`, 502);
+    }
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const detail = body.error_description || body.error || `HTTP ${response.status}`;
+        throw new SsoError(`Identity provider rejected the request: ${detail}`, 502);
+    }
+
+    return body;
+}
+
+/**
+ * Provider metadata (.well-known/openid-configuration)
+ * @param {string} issuer - Issuer URL as configured on the connection
+ * @returns {Promise<object>} Discovery document
+ */
+async function discover(issuer) {
+    const cached = metadataCache.get(issuer);
+    if (cached && cached.fetchedAt > Date.now() - METADATA_TTL_MS) {
+        return cached.metadata;
+    }
+
+    const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+    if (metadata.issuer !== issuer) {
+        throw new SsoError('Identity provider metadata does not match the configured issuer', 502);
+    }
+
+    metadataCache.set(issuer, { metadata, fetchedAt: Date.now() });
+    return metadata;
+}
+
+async function signingKey(metadata, kid) {
+    let keys = keyCache.get(metadata.jwks_uri);
+
+    if (!keys || !keys.some(key => key.kid === kid)) {
+        keys = (await fetchJson(metadata.jwks_uri)).keys || [];
+        keyCache.set(metadata.jwks_uri, keys);
+    }
+
+    const jwk = keys.find(key => key.kid === kid && key.kty === 'RSA' && (!key.use || key.use === 'sig'));
+    if (!jwk) {
+        throw new SsoError('ID token is signed with an unknown key', 401);
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+function codeChallenge(codeVerifier) {
+    return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+}
+
+/**
+ * URL to send the browser to
+ * @param {object} connection - sso_connections row
+ * @param {object} metadata - discover() result
+ * @param {object} request - { redirectUri, state, nonce, codeVerifier }
+ * @returns {string} Authorization URL
+ */
+function authorizationUrl(connection, metadata, { redirectUri, state, nonce, codeVerifier }) {
+    const url = new URL(metadata.authorization_endpoint);
+
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: connection.client_id,
+        redirect_uri: redirectUri,
+        scope: connection.scopes || 'openid email profile',
+        state,
+        nonce,
+        code_challenge: codeChallenge(codeVerifier),
+        code_challenge_method: 'S256'
+    }).toString();
+
+    return url.toString();
+}
+
+/**
+ * Exchange an authorization code at the token endpoint
+ * Confidential clients authenticate with client_secret_basic unless the
+ * provider only supports client_secret_post
+ * @returns {Promise<object>} Token response ({ id_token, access_token, ... })
+ */
+async function exchangeCode(connection, secret, metadata, { code, redirectUri, codeVerifier }) {
+    const form = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+
+    if (!secret) {
+        form.set('client_id', connection.client_id);
+    } else if (!methods.includes('client_secret_basic') && methods.includes('client_secret_post')) {
+        form.set('client_id', connection.client_id);
+        form.set('client_secret', secret);
+    } else {
+        const credentials = `${encodeURIComponent(connection.client_id)}:${encodeURIComponent(secret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: form });
+
+    if (!tokens.id_token) {
+        throw new SsoError('Identity provider did not return an ID token', 502);
+    }
+
+    return tokens;
+}
+
+/**
+ * Validate an ID token and return its claims
+ * @throws {SsoError} Bad signature, issuer, audience, expiry or nonce
+ */
+async function verifyIdToken(connection, metadata, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded || decoded.header.alg !== 'RS256') {
+        throw new SsoError('ID token must be signed with RS256', 401);
+    }
+
+    let claims;
+    try {
+        claims = jwt.verify(idToken, await signingKey(metadata, decoded.header.kid), {
+            algorithms: ['RS256'],
+            issuer: connection.issuer,
+            audience: connection.client_id,
+            clockTolerance: CLOCK_TOLERANCE_SECONDS
+        });
+    } catch (error) {
+        if (error instanceof SsoError) {
+            throw error;
+        }
+        throw new SsoError(`ID token is invalid: ${error.message}`, 401);
+    }
+
+    if (claims.nonce !== nonce) {
+        throw new SsoError('ID token nonce does not match the login request', 401);
+    }
+
+    return claims;
+}
+
+/**
+ * Profile used for provisioning, from ID token claims (and the userinfo
+ * endpoint when the ID token carries no email)
+ * @returns {Promise<object>} { subject, email, emailVerified, name, groups }
+ */
+async function fetchProfile(connection, metadata, tokens, claims) {
+    let profile = claims;
+
+    if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+        const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+            headers: { Authorization: `Bearer ${tokens.access_token}` }
+        });
+
+        if (userinfo.sub === claims.sub) {
+            profile = { ...userinfo, ...claims };
+        }
+    }
+
+    const groups = profile[connection.groups_claim || 'groups'];
+
+    return {
+        subject: String(claims.sub),
+        email: profile.email || null,
+        emailVerified: profile.email_verified,
+        name: profile.name || [profile.given_name, profile.family_name].filter(Boolean).join(' ') || null,
+        groups: Array.isArray(groups) ? groups.map(String) : (groups ? [String(groups)] : [])
+    };
+}
+
+module.exports = {
+    discover,
+    authorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+    fetchProfile
+};
@@ -0,0 +1,242 @@
+/**
+ * Workflow Post-Actions
+ * Server-side handlers for workflow_transitions.post_transition_actions
+ * Each action runs in its own transaction; a failing action is reported
+ * but never rolls back the transition or the other actions
+ */
+
+const crypto = require('crypto');
+const { withDataScope, allowTransition } = require('../middleware/dataScope');
+const { notifyUsers, resolveRecipients, assessmentTemplateData } = require('./notifications');
+const { autoAssign } = require('./assignments');
+const { generateActionItems } = require('./actionItems');
+const { loadVersion } = require('./templateVersions');
+
+const DEFAULT_NOTIFY_TEMPLATE = 'assessment_state_changed';
+
+// Response statuses that count towards dimension scores
+const SCORED_STATUSES = ['submitted', 'approved'];
+
+/**
+ * Score each dimension from the assessment's responses and store the result
+ * A question scores the average of its submitted and approved responses, a
+ * dimension the average of its scored questions; drafts and rejected answers
+ * don't count. Questions come from the pinned template version (the working
+ * copy for assessments created before versioning)
+ * @param {object} client - Database client
+ * @param {object} assessment - Assessment row
+ * @returns {Promise<object>} The assessment with scored dimensions
+ */
+async function scoreDimensions(client, assessment) {
+    const current = assessment.dimensions || [];
+    const version = await loadVersion(client, assessment.template_version_id);
+
+    const questions = version
+        ? version.snapshot.questions
+        : (await client.query(
+            'SELECT id, dimension_id FROM questions WHERE dimension_id::text = ANY($1)',
+            [current.map(dim => String(dim.id))]
+        )).rows;
+    const dimensionByQuestion = new Map(questions.map(q => [q.id, q.dimension_id]));
+
+    const responses = await client.query(`
+        SELECT question_id, AVG(score) AS score
+        FROM assessment_responses
+        WHERE assessment_id = $1 AND status = ANY($2)
+        GROUP BY question_id
+    `, [assessment.id, SCORED_STATUSES]);
+
+    const totals = new Map();
+    responses.rows.forEach(row => {
+        const dimensionId = dimensionByQuestion.get(row.question_id);
+        if (!dimensionId) return;
+
+        const total = totals.get(dimensionId) || { answered: 0, scored: 0, sum: 0 };
+        total.answered++;
+        if (row.score !== null) {
+            total.scored++;
+            total.sum += Number(row.score);
+        }
+        totals.set(dimensionId, total);
+    });
+
+    const dimensions = current.map(dim => {
+        const total = totals.get(dim.id) || { answered: 0, scored: 0, sum: 0 };
+        const questionsTotal = questions.filter(q => q.dimension_id === dim.id).length;
+        const maxScore = dim.max_score || 5;
+        const score = total.scored > 0 ? Math.round((total.sum / total.scored) * 100) / 100 : null;
+
+        let status = 'in_progress';
+        if (total.answered === 0) status = 'not_started';
+        else if (total.answered >= questionsTotal) status = 'completed';
+
+        return {
+            ...dim,
+            score,
+            max_score: maxScore,
+            percentage: score !== null ? Math.round((score / maxScore) * 1000) / 10 : null,
+            status,
+            questions_total: questionsTotal,
+            questions_answered: total.answered
+        };
+    });
+
+    await client.query(
+        'UPDATE assessments SET dimensions = $1, updated_at = NOW() WHERE id = $2',
+        [JSON.stringify(dimensions), assessment.id]
+    );
+
+    return { ...assessment, dimensions };
+}
+
+/**
+ * Calculate assessment scores
+ * Aggregates dimension scores with weights (same maths as
+ * AssessmentService.calculateScores) and snapshots them in assessment_scores
+ * @param {object} client - Database client
+ * @param {object} assessment - Assessment row
+ * @returns {Promise<object>} Score data
+ */
+async function calculateScores(client, assessment) {
+    const dimensions = assessment.dimensions || [];
+
+    let totalWeightedScore = 0;
+    let totalWeight = 0;
+    let completedDimensions = 0;
+
+    const dimensionScores = dimensions.map(dim => {
+        if (dim.score === null || dim.score === undefined) {
+            return null;
+        }
+
+        const weight = dim.weight || 1.0;
+        const maxScore = dim.max_score || 5;
+        const percentage = (dim.score / maxScore) * 100;
+
+        totalWeightedScore += percentage * weight;
+        totalWeight += weight;
+        completedDimensions++;
+
+        return {
+            dimension_id: dim.id,
+            score: dim.score,
+            max_score: maxScore,
+            percentage
+        };
+    }).filter(Boolean);
+
+    const overallScore = totalWeight > 0 ? totalWeightedScore / totalWeight : 0;
+    const progress = dimensions.length > 0 ? (completedDimensions / dimensions.length) * 100 : 0;
+
+    await client.query('DELETE FROM assessment_scores WHERE assessment_id = $1', [assessment.id]);
+
+    for (const dimScore of dimensionScores) {
+        await client.query(`
+            INSERT INTO assessment_scores (id, assessment_id, dimension_id, score, max_score, percentage, calculated_at)
+            VALUES ($1, $2, $3, $4, $5, $6, NOW())
+        `, [
+            crypto.randomUUID(),
+            assessment.id,
+            dimScore.dimension_id,
+            dimScore.score,
+            dimScore.max_score,
+            dimScore.percentage
+        ]);
+    }
+
+    await client.query(`
+        UPDATE assessments
+        SET progress = $1, overall_score = $2, updated_at = NOW()
+        WHERE id = $3
+    `, [Math.round(progress), Math.round(overallScore * 10) / 10, assessment.id]);
+
+    return {
+        overall_score: overallScore,
+        dimension_scores: dimensionScores,
+        progress
+    };
+}
+
+/**
+ * Send notifications for a transition
+ * Config:
+ *   template    notification_templates.template_code (default 'assessment_state_changed')
+ *   recipients  ['creator', 'assignees', '<role_id>'] (default ['creator'])
+ * @param {object} client - Database client
+ * @param {object} assessment - Assessment row
+ * @param {object} config - Notification configuration
+ * @param {object} context - { fromState, toState }
+ * @returns {Promise<array>} Created notifications
+ */
+async function sendNotification(client, assessment, config, context) {
+    const templateCode = config.template || DEFAULT_NOTIFY_TEMPLATE;
+    const userIds = await resolveRecipients(client, assessment, config.recipients || ['creator']);
+
+    const created = await notifyUsers(client, {
+        templateCode,
+        userIds,
+        data: {
+            ...assessmentTemplateData(assessment),
+            from_state: context.fromState,
+            to_state: context.toState
+        }
+    });
+
+    if (!created) {
+        throw new Error(`Notification template not found: ${templateCode}`);
+    }
+
+    return created;
+}
+
+// Registered post-action handlers: (client, assessment, config, context) => result
+const handlers = {
+    notify: sendNotification,
+    assign: autoAssign,
+    calculate_score: async (client, assessment) => calculateScores(client, await scoreDimensions(client, assessment)),
+    create_action_items: async (client, assessment, config, context) =>
+        generateActionItems(client, await scoreDimensions(client, assessment), config, context)
+};
+
+/**
+ * Execute a transition's post-actions
+ * They still see the assessment when the transition took it out of the caller's scope
+ * @param {object} assessment - Assessment row after the transition
+ * @param {array} actions - [{ type, config }]
+ * @param {object} context - { dataScope, fromState, toState }
+ * @returns {Promise<array>} [{ type, status, error? }]
+ */
+async function executePostActions(assessment, actions, context) {
+    const results = [];
+
+    for (const action of actions || []) {
+        const handler = handlers[action.type];
+
+        if (!handler) {
+            console.warn('Unknown post-action skipped:', action.type);
+            results.push({ type: action.type, status: 'skipped' });
+            continue;
+        }
+
+        try {
+            await withDataScope(context.dataScope, async (client) => {
+                await allowTransition(client, assessment.id);
+                return handler(client, assessment, action.config || {}, context);
+            });
+            results.push({ type: action.type, status: 'completed' });
+
+        } catch (error) {
+            console.error('Post-action failed:', action.type, error);
+            results.push({ type: action.type, status: 'failed', error: error.message });
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    scoreDimensions,
+    calculateScores,
+    sendNotification,
+    executePostActions
+};
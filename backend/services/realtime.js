@@ -0,0 +1,163 @@
+/**
+ * Realtime Events (backend)
+ * Relays domain events (a response submitted, a review, a state transition,
+ * an action item update) to the browsers of teammates who can see them
+ *
+ * Routes publish() an event once their transaction has committed. The broker
+ * hands it to every API instance, and each instance delivers it to its own
+ * subscribers (open server-sent event streams, see routes/realtime.js):
+ *   - MemoryBroker keeps events in this process (single instance, tests)
+ *   - PostgresBroker relays them through LISTEN/NOTIFY, so a browser connected
+ *     to one instance hears about changes made on another
+ * REALTIME_BROKER=postgres picks the latter. Events carry IDs and states, not
+ * content: clients reload what changed with their own permissions.
+ */
+
+const { Client } = require('pg');
+const pool = require('../config/database');
+
+const CHANNEL = 'realtime_events';
+const RECONNECT_MS = 5000;
+
+// ============================================================================
+// SUBSCRIBERS
+// ============================================================================
+
+const subscribers = new Set();
+
+/**
+ * Listen for events
+ * @param {object} subscriber - { tenantId, assessmentId, scopeKey, canSee(assessmentId) -> Promise<boolean>, send(event) }
+ *        tenantId null hears every tenant (platform staff); assessmentId null every assessment;
+ *        subscribers with the same scopeKey see the same assessments
+ * @returns {function} Unsubscribe
+ */
+function subscribe(subscriber) {
+    // Start listening with the first subscriber, not the first event
+    getBroker();
+    subscribers.add(subscriber);
+    return () => subscribers.delete(subscriber);
+}
+
+/**
+ * Hand an event to the subscribers in this process that may see it
+ * @param {object} event - See publish()
+ */
+async function deliver(event) {
+    // One visibility check per scope, shared by every subscriber with that scope
+    const checks = new Map();
+
+    for (const subscriber of subscribers) {
+        if (subscriber.tenantId && subscriber.tenantId !== event.tenantId) continue;
+        if (subscriber.assessmentId && subscriber.assessmentId !== event.assessmentId) continue;
+
+        try {
+            const key = subscriber.scopeKey || subscriber;
+            if (!checks.has(key)) {
+                checks.set(key, subscriber.canSee(event.assessmentId));
+            }
+
+            if (await checks.get(key)) {
+                subscriber.send(event);
+            }
+        } catch (error) {
+            console.error('Realtime delivery error:', error);
+        }
+    }
+}
+
+// ============================================================================
+// BROKERS
+// ============================================================================
+
+class MemoryBroker {
+    async publish(event) {
+        await deliver(event);
+    }
+}
+
+class PostgresBroker {
+    constructor(db = pool) {
+        this.db = db;
+        this.listener = null;
+        this.listen();
+    }
+
+    listen() {
+        const client = new Client({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+
+        const reconnect = (error) => {
+            if (this.listener !== client) return;
+            if (error) console.error('Realtime listener error:', error.message);
+
+            this.listener = null;
+            client.end().catch(() => {});
+            setTimeout(() => this.listen(), RECONNECT_MS).unref();
+        };
+
+        this.listener = client;
+        client.on('notification', message => {
+            deliver(JSON.parse(message.payload)).catch(error => console.error('Realtime delivery error:', error));
+        });
+        client.on('error', reconnect);
+        client.on('end', () => reconnect());
+
+        client.connect()
+            .then(() => client.query(`LISTEN ${CHANNEL}`))
+            .catch(reconnect);
+    }
+
+    async publish(event) {
+        // Delivered by the listener, on this instance as on every other
+        await this.db.query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify(event)]);
+    }
+}
+
+let broker = null;
+
+function getBroker() {
+    if (!broker) {
+        broker = process.env.REALTIME_BROKER === 'postgres' ? new PostgresBroker() : new MemoryBroker();
+    }
+    return broker;
+}
+
+/**
+ * Replace the broker (tests, custom backends)
+ */
+function setBroker(replacement) {
+    broker = replacement;
+}
+
+// ============================================================================
+// PUBLISHING
+// ============================================================================
+
+/**
+ * Tell teammates about a change; never fails the caller
+ * @param {object} event - { type, tenantId, assessmentId, actorId, data }
+ *        type e.g. 'response.submitted'; data holds IDs and states only
+ */
+function publish({ type, tenantId, assessmentId, actorId = null, data = {} }) {
+    const event = {
+        type,
+        tenantId: tenantId || null,
+        assessmentId,
+        actorId,
+        data,
+        at: new Date().toISOString()
+    };
+
+    getBroker().publish(event).catch(error => console.error('Realtime publish error:', error));
+}
+
+module.exports = {
+    MemoryBroker,
+    PostgresBroker,
+    subscribe,
+    publish,
+    setBroker
+};
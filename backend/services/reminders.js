@@ -0,0 +1,459 @@
+/**
+ * Reminder Service (backend)
+ * Due date reminders, escalation of overdue assignments and overdue action items
+ *
+ * runReminders() is a scheduled job (services/scheduler.js); it takes the time
+ * from the scheduler's clock, so a fake clock can walk it through due dates.
+ * Per tenant (tenants.settings.reminders, defaults in DEFAULT_CONFIG):
+ *   remind_days_before   assignees hear N days before their due date (the
+ *                        assignment's, else the assessment's); of the days
+ *                        already reached only the closest one is sent
+ *   escalation           once an assignment is after_days overdue, members of
+ *                        role are told, those owning its dimension first
+ *                        (user_roles.scope.domains), else all of them
+ *   flag_overdue_actions action items past their due date get overdue_at and
+ *                        their assignee is told; completing them or moving
+ *                        the due date clears the flag
+ * reminder_deliveries makes each of these go out once per due date, also when
+ * several API instances run the job.
+ */
+
+const { notifyUsers, assessmentTemplateData } = require('./notifications');
+const { loadRoleMembers } = require('./assignments');
+const { assignableRoles } = require('./team');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DAYS = 90;
+const MAX_STEPS = 5;
+
+const DEFAULT_CONFIG = {
+    enabled: true,
+    remind_days_before: [3, 1],
+    escalation: [
+        { after_days: 1, role: 'domain_manager' },
+        { after_days: 3, role: 'customer_admin' }
+    ],
+    flag_overdue_actions: true
+};
+
+const REMINDER_TEMPLATE = 'due_date_reminder';
+const ESCALATION_TEMPLATE = 'assignment_overdue';
+const ACTION_TEMPLATE = 'action_item_overdue';
+
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+class ReminderError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ReminderError';
+        this.statusCode = statusCode;
+    }
+}
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Tenant reminder settings as the API shows them (defaults filled in)
+ * @param {object|null} stored - tenants.settings.reminders
+ * @returns {object} { enabled, remindDaysBefore, escalation: [{ afterDays, role }], flagOverdueActions }
+ */
+function formatConfig(stored) {
+    const config = { ...DEFAULT_CONFIG, ...(stored || {}) };
+
+    return {
+        enabled: config.enabled !== false,
+        remindDaysBefore: [...config.remind_days_before].sort((a, b) => b - a),
+        escalation: config.escalation.map(step => ({ afterDays: step.after_days, role: step.role })),
+        flagOverdueActions: config.flag_overdue_actions !== false
+    };
+}
+
+/**
+ * A tenant's reminder settings
+ * @param {object} db - Database client or pool
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<object>} Settings as formatConfig returns them
+ */
+async function loadConfig(db, tenantId) {
+    const result = await db.query("SELECT settings->'reminders' AS reminders FROM tenants WHERE id = $1", [tenantId]);
+    return formatConfig(result.rows[0] ? result.rows[0].reminders : null);
+}
+
+/**
+ * Change a tenant's reminder settings; fields left out keep their value
+ * @param {object} db - Database client or pool
+ * @param {string} tenantId - Tenant ID
+ * @param {object} changes - { enabled, remindDaysBefore, escalation, flagOverdueActions }
+ * @returns {Promise<object>} Settings as formatConfig returns them
+ */
+async function saveConfig(db, tenantId, changes) {
+    const config = { ...await loadConfig(db, tenantId) };
+
+    ['enabled', 'remindDaysBefore', 'escalation', 'flagOverdueActions'].forEach(key => {
+        if (changes[key] !== undefined) config[key] = changes[key];
+    });
+
+    if (typeof config.enabled !== 'boolean' || typeof config.flagOverdueActions !== 'boolean') {
+        throw new ReminderError('enabled and flagOverdueActions must be true or false');
+    }
+
+    const isDays = (value, min) => Number.isInteger(value) && value >= min && value <= MAX_DAYS;
+
+    if (!Array.isArray(config.remindDaysBefore) || config.remindDaysBefore.length > MAX_STEPS
+        || !config.remindDaysBefore.every(days => isDays(days, 1))
+        || new Set(config.remindDaysBefore).size !== config.remindDaysBefore.length) {
+        throw new ReminderError(`remindDaysBefore must list up to ${MAX_STEPS} different days from 1 to ${MAX_DAYS}`);
+    }
+
+    if (!Array.isArray(config.escalation) || config.escalation.length > MAX_STEPS) {
+        throw new ReminderError(`escalation must list up to ${MAX_STEPS} steps`);
+    }
+
+    const roles = new Set((await assignableRoles(db, tenantId)).map(role => role.id));
+    let previousDays = -1;
+
+    for (const step of config.escalation) {
+        if (!step || !isDays(step.afterDays, 0) || step.afterDays <= previousDays) {
+            throw new ReminderError(`Escalation steps need afterDays from 0 to ${MAX_DAYS}, in increasing order`);
+        }
+        if (!roles.has(step.role)) {
+            throw new ReminderError(`Cannot escalate to role: ${step.role}`);
+        }
+        previousDays = step.afterDays;
+    }
+
+    const stored = {
+        enabled: config.enabled,
+        remind_days_before: config.remindDaysBefore,
+        escalation: config.escalation.map(step => ({ after_days: step.afterDays, role: step.role })),
+        flag_overdue_actions: config.flagOverdueActions
+    };
+
+    await db.query(`
+        UPDATE tenants
+        SET settings = COALESCE(settings, '{}'::jsonb) || jsonb_build_object('reminders', $2::jsonb)
+        WHERE id = $1
+    `, [tenantId, JSON.stringify(stored)]);
+
+    return formatConfig(stored);
+}
+
+// ============================================================================
+// JOB
+// ============================================================================
+
+/**
+ * 'in 3 days', 'in 1 day'
+ */
+function daysPhrase(ms) {
+    const days = Math.max(Math.ceil(ms / DAY_MS), 1);
+    return days === 1 ? '1 day' : `${days} days`;
+}
+
+function formatDate(date) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+function dimensionName(assessmentDimensions, dimensionId) {
+    const dimension = (assessmentDimensions || []).find(d => d.id === dimensionId);
+    return dimension ? dimension.name : 'All dimensions';
+}
+
+/**
+ * Record that something was sent; false when it already was
+ */
+async function claimDelivery(client, { tenantId, entityType, entityId, kind, step, dueDate, now }) {
+    const result = await client.query(`
+        INSERT INTO reminder_deliveries (tenant_id, entity_type, entity_id, kind, step, due_date, sent_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (entity_type, entity_id, kind, step, due_date) DO NOTHING
+        RETURNING id
+    `, [tenantId, entityType, entityId, kind, step, dueDate, now]);
+
+    return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+async function countRecipients(client, deliveryId, notifications) {
+    await client.query(
+        'UPDATE reminder_deliveries SET recipients = $2 WHERE id = $1',
+        [deliveryId, notifications ? notifications.length : 0]
+    );
+}
+
+/**
+ * Users to escalate an assignment to: role members owning its dimension, else all of them
+ */
+async function escalationRecipients(client, tenantId, roleId, dimensionId) {
+    const members = await loadRoleMembers(client, roleId, tenantId);
+    const owners = dimensionId
+        ? members.filter(m => m.scope && Array.isArray(m.scope.domains) && m.scope.domains.includes(dimensionId))
+        : [];
+
+    return (owners.length > 0 ? owners : members).map(m => m.user_id);
+}
+
+/**
+ * Remind and escalate one tenant's open assignments
+ * @returns {Promise<object>} { reminders, escalations }
+ */
+async function processAssignments(client, tenantId, config, now) {
+    const counts = { reminders: 0, escalations: 0 };
+    const horizon = new Date(now.getTime() + Math.max(0, ...config.remindDaysBefore) * DAY_MS);
+
+    const result = await client.query(`
+        SELECT
+            aa.id AS assignment_id,
+            aa.user_id,
+            aa.dimension_id,
+            COALESCE(aa.due_date, a.due_date) AS effective_due_date,
+            u.name AS assignee_name,
+            u.email AS assignee_email,
+            a.id, a.title, a.status, a.due_date, a.dimensions
+        FROM tenant_assessments($1) a
+        JOIN assessment_assignments aa ON aa.assessment_id = a.id
+        LEFT JOIN users u ON u.id = aa.user_id
+        WHERE a.completed_at IS NULL
+          AND aa.completed_at IS NULL
+          AND COALESCE(aa.status, 'pending') <> ALL($3::text[])
+          AND COALESCE(aa.due_date, a.due_date) <= $2
+    `, [tenantId, horizon, CLOSED_STATUSES]);
+
+    for (const row of result.rows) {
+        const dueDate = row.effective_due_date;
+        const msLeft = dueDate.getTime() - now.getTime();
+        const data = {
+            ...assessmentTemplateData(row),
+            assignment_id: row.assignment_id,
+            dimension_id: row.dimension_id,
+            dimension_name: dimensionName(row.dimensions, row.dimension_id),
+            due_date: formatDate(dueDate),
+            assignee_name: row.assignee_name || row.assignee_email || 'Unassigned'
+        };
+        const delivery = { tenantId, entityType: 'assignment', entityId: row.assignment_id, dueDate, now };
+
+        if (msLeft > 0) {
+            const reached = config.remindDaysBefore.filter(days => msLeft <= days * DAY_MS);
+            if (reached.length === 0 || !row.user_id) continue;
+
+            const deliveryId = await claimDelivery(client, { ...delivery, kind: 'reminder', step: Math.min(...reached) });
+            if (!deliveryId) continue;
+
+            const created = await notifyUsers(client, {
+                templateCode: REMINDER_TEMPLATE,
+                userIds: [row.user_id],
+                data: { ...data, due_in: `in ${daysPhrase(msLeft)}` }
+            });
+            await countRecipients(client, deliveryId, created);
+            counts.reminders++;
+            continue;
+        }
+
+        for (const [index, step] of config.escalation.entries()) {
+            if (-msLeft < step.afterDays * DAY_MS) break;
+
+            const deliveryId = await claimDelivery(client, { ...delivery, kind: 'escalation', step: index + 1 });
+            if (!deliveryId) continue;
+
+            const recipients = (await escalationRecipients(client, tenantId, step.role, row.dimension_id))
+                .filter(userId => userId !== row.user_id);
+
+            const created = recipients.length > 0
+                ? await notifyUsers(client, {
+                    templateCode: ESCALATION_TEMPLATE,
+                    userIds: recipients,
+                    data: { ...data, overdue_by: daysPhrase(-msLeft), escalation_role: step.role }
+                })
+                : [];
+            await countRecipients(client, deliveryId, created);
+            counts.escalations++;
+        }
+    }
+
+    return counts;
+}
+
+/**
+ * Flag one tenant's overdue action items and clear flags that no longer apply
+ * @returns {Promise<number>} Items newly flagged
+ */
+async function processActionItems(client, tenantId, now) {
+    await client.query(`
+        UPDATE action_items ai
+        SET overdue_at = NULL
+        FROM tenant_assessments($1) a
+        WHERE ai.assessment_id = a.id
+          AND ai.overdue_at IS NOT NULL
+          AND (ai.due_date IS NULL OR ai.due_date >= $2 OR COALESCE(ai.status, 'pending') = ANY($3::text[]))
+    `, [tenantId, now, CLOSED_STATUSES]);
+
+    const flagged = await client.query(`
+        UPDATE action_items ai
+        SET overdue_at = $2
+        FROM tenant_assessments($1) a
+        WHERE ai.assessment_id = a.id
+          AND ai.overdue_at IS NULL
+          AND ai.due_date < $2
+          AND COALESCE(ai.status, 'pending') <> ALL($3::text[])
+        RETURNING ai.id, ai.title, ai.assigned_to, ai.due_date, a.id AS assessment_id, a.title AS assessment_title
+    `, [tenantId, now, CLOSED_STATUSES]);
+
+    for (const item of flagged.rows) {
+        const deliveryId = await claimDelivery(client, {
+            tenantId,
+            entityType: 'action_item',
+            entityId: item.id,
+            kind: 'overdue',
+            step: 0,
+            dueDate: item.due_date,
+            now
+        });
+        if (!deliveryId || !item.assigned_to) continue;
+
+        const created = await notifyUsers(client, {
+            templateCode: ACTION_TEMPLATE,
+            userIds: [item.assigned_to],
+            data: {
+                assessment_id: item.assessment_id,
+                assessment_title: item.assessment_title,
+                action_item_id: item.id,
+                action_title: item.title,
+                due_date: formatDate(item.due_date)
+            }
+        });
+        await countRecipients(client, deliveryId, created);
+    }
+
+    return flagged.rows.length;
+}
+
+/**
+ * Send what is due at a given time, for every active tenant
+ * Each tenant runs in its own transaction; one failing does not stop the others
+ * @param {object} db - Pool
+ * @param {Date} now - Current time (the scheduler's clock)
+ * @param {object} options - { tenantId } to run for one tenant only
+ * @returns {Promise<object>} { tenants, reminders, escalations, overdueActions }
+ */
+async function runReminders(db, now = new Date(), { tenantId = null } = {}) {
+    const counts = { tenants: 0, reminders: 0, escalations: 0, overdueActions: 0 };
+
+    const tenants = await db.query(`
+        SELECT id, settings->'reminders' AS reminders
+        FROM tenants
+        WHERE COALESCE(is_active, true) = true
+          AND suspended_at IS NULL
+          AND ($1::uuid IS NULL OR id = $1)
+    `, [tenantId]);
+
+    for (const tenant of tenants.rows) {
+        const config = formatConfig(tenant.reminders);
+        if (!config.enabled) continue;
+
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+            const assignments = await processAssignments(client, tenant.id, config, now);
+            const overdueActions = config.flagOverdueActions ? await processActionItems(client, tenant.id, now) : 0;
+            await client.query('COMMIT');
+
+            counts.tenants++;
+            counts.reminders += assignments.reminders;
+            counts.escalations += assignments.escalations;
+            counts.overdueActions += overdueActions;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error(`Reminders error (tenant ${tenant.id}):`, error);
+        } finally {
+            client.release();
+        }
+    }
+
+    return counts;
+}
+
+// ============================================================================
+// DUE DATES VIEW
+// ============================================================================
+
+/**
+ * Open assignments with a due date, soonest first, with what was sent about them
+ * @param {object} client - Database client from withDataScope
+ * @param {string} scope - SQL condition on assessments (alias a) from scopeCondition
+ * @param {array} params - Its query params
+ * @param {object} config - Tenant settings (formatConfig)
+ * @param {object} options - { assessmentId, now }
+ * @returns {Promise<array>} Due assignments
+ */
+async function listDueAssignments(client, scope, params, config, { assessmentId = null, now = new Date() } = {}) {
+    const values = [...params, CLOSED_STATUSES];
+    const conditions = [
+        scope,
+        'a.completed_at IS NULL',
+        'aa.completed_at IS NULL',
+        `COALESCE(aa.status, 'pending') <> ALL($${values.length}::text[])`,
+        'COALESCE(aa.due_date, a.due_date) IS NOT NULL'
+    ];
+
+    if (assessmentId) {
+        values.push(assessmentId);
+        conditions.push(`a.id = $${values.length}`);
+    }
+
+    const result = await client.query(`
+        SELECT
+            aa.id,
+            aa.user_id,
+            aa.dimension_id,
+            COALESCE(aa.due_date, a.due_date) AS due_date,
+            u.name AS assignee_name,
+            u.email AS assignee_email,
+            a.id AS assessment_id,
+            a.title AS assessment_title,
+            a.dimensions,
+            (SELECT MAX(d.sent_at) FROM reminder_deliveries d
+             WHERE d.entity_type = 'assignment' AND d.entity_id = aa.id AND d.kind = 'reminder') AS last_reminder_at,
+            (SELECT MAX(d.step) FROM reminder_deliveries d
+             WHERE d.entity_type = 'assignment' AND d.entity_id = aa.id AND d.kind = 'escalation'
+               AND d.due_date = COALESCE(aa.due_date, a.due_date)) AS escalation_level
+        FROM assessments a
+        JOIN assessment_assignments aa ON aa.assessment_id = a.id
+        LEFT JOIN users u ON u.id = aa.user_id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY 4, a.title
+    `, values);
+
+    const soonMs = Math.max(0, ...config.remindDaysBefore) * DAY_MS;
+
+    return result.rows.map(row => {
+        const msLeft = row.due_date.getTime() - now.getTime();
+        const level = row.escalation_level || 0;
+
+        return {
+            id: row.id,
+            assessmentId: row.assessment_id,
+            assessmentTitle: row.assessment_title,
+            userId: row.user_id,
+            assigneeName: row.assignee_name || row.assignee_email,
+            dimensionId: row.dimension_id,
+            dimensionName: dimensionName(row.dimensions, row.dimension_id),
+            dueDate: row.due_date,
+            daysLeft: Math.floor(msLeft / DAY_MS),
+            state: msLeft < 0 ? 'overdue' : msLeft <= soonMs ? 'due_soon' : 'upcoming',
+            lastReminderAt: row.last_reminder_at,
+            escalationLevel: level,
+            escalatedTo: level > 0 && config.escalation[level - 1] ? config.escalation[level - 1].role : null
+        };
+    });
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    ReminderError,
+    formatConfig,
+    loadConfig,
+    saveConfig,
+    runReminders,
+    listDueAssignments
+};
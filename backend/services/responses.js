@@ -0,0 +1,242 @@
+/**
+ * Response Service (backend)
+ * Server-side validation and scoring of question responses
+ * Same rules and maths as QuestionService.validateResponse / calculateScore,
+ * so a well-behaved client and the server always agree on a score
+ */
+
+// Allowed difference between a client-reported score and the server's
+const SCORE_TOLERANCE = 0.01;
+
+// Any of these lets a role answer questions (drafts included)
+const ANSWER_PERMISSIONS = ['submit:responses', 'save:drafts', 'write:assigned', 'write:own'];
+
+class ResponseValidationError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ResponseValidationError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * A save based on a version of the answer that has changed since
+ * response is the current answer, for the client's conflict prompt
+ */
+class ResponseConflictError extends ResponseValidationError {
+    constructor(response) {
+        super('Someone else changed this answer since you opened it', 409);
+        this.name = 'ResponseConflictError';
+        this.response = response;
+    }
+}
+
+/**
+ * Validate response data against a question
+ * @param {object} question - Formatted question (scale_min etc. at the top level)
+ * @param {object} responseData - { text, data }
+ * @throws {ResponseValidationError}
+ */
+function validateResponse(question, responseData) {
+    if (question.is_required && !responseData.text && !responseData.data) {
+        throw new ResponseValidationError('Response is required');
+    }
+
+    switch (question.question_type) {
+        case 'text':
+            validateTextResponse(question, responseData);
+            break;
+
+        case 'multiple_choice':
+            validateMultipleChoiceResponse(question, responseData);
+            break;
+
+        case 'scale':
+            validateScaleResponse(question, responseData);
+            break;
+
+        case 'matrix':
+            validateMatrixResponse(question, responseData);
+            break;
+    }
+}
+
+/**
+ * Validate text response (length and validation_rules.pattern)
+ */
+function validateTextResponse(question, responseData) {
+    if (!responseData.text) return;
+
+    const text = responseData.text;
+    const rules = question.validation_rules || {};
+
+    if (typeof text !== 'string') {
+        throw new ResponseValidationError('Response text must be a string');
+    }
+
+    if (rules.min_length && text.length < rules.min_length) {
+        throw new ResponseValidationError(`Response must be at least ${rules.min_length} characters`);
+    }
+
+    if (rules.max_length && text.length > rules.max_length) {
+        throw new ResponseValidationError(`Response cannot exceed ${rules.max_length} characters`);
+    }
+
+    if (rules.pattern && !new RegExp(rules.pattern).test(text)) {
+        throw new ResponseValidationError('Response format is invalid');
+    }
+}
+
+/**
+ * Validate multiple choice response
+ */
+function validateMultipleChoiceResponse(question, responseData) {
+    if (!responseData.data || !responseData.data.selected) {
+        throw new ResponseValidationError('Please select an option');
+    }
+
+    const selected = responseData.data.selected;
+    const validOptions = (question.options || []).map(o => o.id || o.value);
+    const choices = Array.isArray(selected) ? selected : [selected];
+
+    if (!choices.every(s => validOptions.includes(s))) {
+        throw new ResponseValidationError('Invalid option selected');
+    }
+}
+
+/**
+ * Validate scale response
+ */
+function validateScaleResponse(question, responseData) {
+    if (!responseData.data || typeof responseData.data.value !== 'number') {
+        throw new ResponseValidationError('Please select a rating');
+    }
+
+    const value = responseData.data.value;
+    const min = question.scale_min || 1;
+    const max = question.scale_max || 5;
+
+    if (value < min || value > max) {
+        throw new ResponseValidationError(`Rating must be between ${min} and ${max}`);
+    }
+}
+
+/**
+ * Validate matrix response
+ */
+function validateMatrixResponse(question, responseData) {
+    if (!responseData.data || !responseData.data.matrix) {
+        throw new ResponseValidationError('Please complete all matrix items');
+    }
+
+    const matrix = responseData.data.matrix;
+    const requiredRows = (question.matrix_rows || []).filter(r => r.required);
+
+    requiredRows.forEach(row => {
+        if (!matrix[row.id]) {
+            throw new ResponseValidationError(`Please answer: ${row.label}`);
+        }
+    });
+}
+
+/**
+ * Score a response from the question's scoring_rubric
+ * @param {object} question - Formatted question
+ * @param {object} responseData - { text, data }
+ * @returns {number|null} Score, or null for unscored questions
+ */
+function calculateScore(question, responseData) {
+    if (!question.scoring_rubric) return null;
+
+    const rubric = question.scoring_rubric;
+    let score;
+
+    switch (question.question_type) {
+        case 'multiple_choice':
+            score = scoreMultipleChoice(rubric, responseData);
+            break;
+
+        case 'scale':
+            score = scoreScale(rubric, responseData);
+            break;
+
+        case 'matrix':
+            score = scoreMatrix(rubric, responseData);
+            break;
+
+        default:
+            return null;
+    }
+
+    // A rubric missing max_value yields NaN on the client too (sent as null)
+    return Number.isFinite(score) ? Math.round(score * 100) / 100 : null;
+}
+
+/**
+ * Score multiple choice response
+ */
+function scoreMultipleChoice(rubric, responseData) {
+    const selected = responseData.data && responseData.data.selected;
+    if (!selected) return 0;
+
+    const optionScore = (rubric.options || []).find(o => o.id === selected);
+    return (optionScore && optionScore.score) || 0;
+}
+
+/**
+ * Score scale response
+ */
+function scoreScale(rubric, responseData) {
+    const value = responseData.data && responseData.data.value;
+    if (typeof value !== 'number') return 0;
+
+    return rubric.direct_mapping ? value : (value / rubric.max_value) * rubric.max_score;
+}
+
+/**
+ * Score matrix response (average of scored rows)
+ */
+function scoreMatrix(rubric, responseData) {
+    const matrix = responseData.data && responseData.data.matrix;
+    if (!matrix) return 0;
+
+    let totalScore = 0;
+    let scoredItems = 0;
+
+    Object.entries(matrix).forEach(([rowId, value]) => {
+        const rowRubric = (rubric.rows || []).find(r => r.id === rowId);
+        if (rowRubric) {
+            const optionScore = (rowRubric.options || []).find(o => o.value === value);
+            if (optionScore) {
+                totalScore += optionScore.score;
+                scoredItems++;
+            }
+        }
+    });
+
+    return scoredItems > 0 ? totalScore / scoredItems : 0;
+}
+
+/**
+ * Reject a client-reported score that differs from the server's
+ * An absent or null client score is always accepted
+ * @param {*} clientScore - Score sent by the client
+ * @param {number|null} serverScore - Score computed from the rubric
+ * @throws {ResponseValidationError}
+ */
+function verifyClientScore(clientScore, serverScore) {
+    if (clientScore === undefined || clientScore === null) return;
+
+    if (serverScore === null || Math.abs(Number(clientScore) - serverScore) > SCORE_TOLERANCE) {
+        throw new ResponseValidationError('Score does not match the question scoring rubric', 422);
+    }
+}
+
+module.exports = {
+    ANSWER_PERMISSIONS,
+    ResponseValidationError,
+    ResponseConflictError,
+    validateResponse,
+    calculateScore,
+    verifyClientScore
+};
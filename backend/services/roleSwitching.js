@@ -0,0 +1,130 @@
+/**
+ * Role Switching Service (backend)
+ * "View as": a user acts as another role for a while, without holding it
+ *
+ * Which roles can be assumed is policy on the user's own role:
+ * roles.metadata.can_assume (seeded from roles.json canAssume). The switch is
+ * stored on the session (auth_sessions.assumed_role_id), so every access
+ * token of the session carries the assumed role as roleId and the user's own
+ * role as assumedFrom, and permissions and data scopes follow the assumed
+ * role. Switching is refused outside demo deployments unless
+ * ALLOW_ROLE_SWITCHING=true, and never allowed from a support session. Every
+ * switch, and every return to the user's own role, is written to audit_logs.
+ */
+
+const { recordAudit } = require('./audit');
+const { findAccount } = require('./accounts');
+const { roleSwitchingEnabled, sessionRole, assumedRole } = require('./sessions');
+
+class RoleSwitchError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'RoleSwitchError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Roles a role may act as, in display order
+ * @param {object} db - Database client or pool
+ * @param {string} roleId - The user's own role
+ * @param {string} tenantId - The user's tenant (tenant-defined roles of other tenants are excluded)
+ * @returns {Promise<array>} Roles { id, name, type, icon }
+ */
+async function assumableRoles(db, roleId, tenantId) {
+    if (!roleId) {
+        return [];
+    }
+
+    const result = await db.query(`
+        SELECT r.id, r.name, r.type, r.icon
+        FROM roles own
+        CROSS JOIN LATERAL jsonb_array_elements_text(COALESCE(own.metadata->'can_assume', '[]'::jsonb)) target(id)
+        JOIN roles r ON r.id = target.id
+        WHERE own.id = $1
+          AND r.id <> own.id
+          AND (r.tenant_id IS NULL OR r.tenant_id = $2)
+        ORDER BY r.sort_order NULLS LAST, r.id
+    `, [roleId, tenantId || null]);
+
+    return result.rows;
+}
+
+/**
+ * Act as another role, or return to the user's own (roleId null or the own role)
+ * @param {object} db - Database client (transaction)
+ * @param {string|null} roleId - Role to act as
+ * @param {object} actor - { userId, sessionId, supportSessionId, client }
+ * @returns {Promise<object>} { account, session } (session is the updated auth_sessions row)
+ * @throws {RoleSwitchError} Switching disabled, session gone, or role not allowed
+ */
+async function switchRole(db, roleId, actor) {
+    if (!roleSwitchingEnabled()) {
+        throw new RoleSwitchError('Role switching is not available in this environment', 403);
+    }
+
+    if (actor.supportSessionId) {
+        throw new RoleSwitchError('Roles cannot be switched during a support session', 403);
+    }
+
+    const result = await db.query(`
+        SELECT *
+        FROM auth_sessions
+        WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+        FOR UPDATE
+    `, [actor.sessionId || null, actor.userId]);
+
+    if (result.rows.length === 0) {
+        throw new RoleSwitchError('Session has been revoked', 401);
+    }
+
+    const session = result.rows[0];
+    const account = await findAccount(db, { id: actor.userId });
+
+    if (!account || account.status !== 'active') {
+        throw new RoleSwitchError('User not found', 404);
+    }
+
+    const ownRoleId = sessionRole(account, session);
+    const previousRoleId = assumedRole(account, session) || ownRoleId;
+    const targetRoleId = roleId && roleId !== ownRoleId ? roleId : null;
+
+    if (targetRoleId) {
+        const allowed = await assumableRoles(db, ownRoleId, account.tenant_id);
+
+        if (!allowed.some(role => role.id === targetRoleId)) {
+            throw new RoleSwitchError(`Your role cannot view as ${targetRoleId}`, 403);
+        }
+    }
+
+    if ((targetRoleId || ownRoleId) === previousRoleId) {
+        return { account, session };
+    }
+
+    const updated = await db.query(`
+        UPDATE auth_sessions
+        SET assumed_role_id = $2,
+            assumed_at = CASE WHEN $2::varchar IS NULL THEN NULL ELSE NOW() END
+        WHERE id = $1
+        RETURNING *
+    `, [session.id, targetRoleId]);
+
+    await recordAudit(db, {
+        action: targetRoleId ? 'role.assumed' : 'role.restored',
+        entityType: 'user',
+        entityId: account.id,
+        tenantId: account.tenant_id,
+        actorId: account.id,
+        oldValues: { roleId: previousRoleId },
+        newValues: { roleId: targetRoleId || ownRoleId, ownRoleId, sessionId: session.id },
+        client: actor.client
+    });
+
+    return { account, session: updated.rows[0] };
+}
+
+module.exports = {
+    RoleSwitchError,
+    assumableRoles,
+    switchRole
+};
@@ -0,0 +1,161 @@
+/**
+ * SAML Service (backend)
+ * SAML 2.0 service provider: SP-initiated login over HTTP-Redirect, responses
+ * over HTTP-POST to the tenant's ACS endpoint
+ *
+ * Parsing and XML signature checks are done by @node-saml/node-saml. Every
+ * response must carry a signed assertion issued by the configured IdP, name our
+ * entity ID as audience, be inside its NotBefore/NotOnOrAfter window (with a
+ * minute of clock skew) and answer the AuthnRequest of the login request it
+ * arrives with.
+ */
+
+const crypto = require('crypto');
+const { SAML, ValidateInResponseTo } = require('@node-saml/node-saml');
+const { SsoError } = require('./sso');
+
+const CLOCK_SKEW_MS = 60 * 1000;
+const REQUEST_TTL_MS = 10 * 60 * 1000;
+
+// Attribute names read from assertions unless the connection overrides them
+const DEFAULT_ATTRIBUTES = {
+    email: 'email',
+    name: 'name',
+    groups: 'groups',
+    role: 'role',
+    domains: 'assigned_domains'
+};
+
+/**
+ * node-saml keeps AuthnRequest IDs in a cache provider; ours is the login
+ * request row, so only the ID sent with that request is accepted
+ */
+function requestCache(loginRequest) {
+    return {
+        saveAsync: async (key, value) => ({ value, createdAt: Date.now() }),
+        getAsync: async (key) => (loginRequest && key === loginRequest.request_id
+            ? new Date(loginRequest.created_at).toISOString()
+            : null),
+        removeAsync: async () => null
+    };
+}
+
+/**
+ * Service provider for a connection
+ * @param {object} connection - sso_connections row (protocol 'saml')
+ * @param {object} sp - { entityId, acsUrl }
+ * @param {object} options - { requestId } when building an AuthnRequest,
+ *                           { loginRequest } when validating a response
+ * @returns {object} node-saml SAML instance
+ */
+function serviceProvider(connection, { entityId, acsUrl }, { requestId = null, loginRequest = null } = {}) {
+    return new SAML({
+        issuer: entityId,
+        callbackUrl: acsUrl,
+        entryPoint: connection.sso_url || undefined,
+        idpCert: connection.idp_certificate || 'unset',
+        idpIssuer: connection.issuer,
+        audience: entityId,
+        identifierFormat: null,
+        disableRequestedAuthnContext: true,
+        wantAssertionsSigned: true,
+        wantAuthnResponseSigned: false,
+        acceptedClockSkewMs: CLOCK_SKEW_MS,
+        validateInResponseTo: ValidateInResponseTo.always,
+        requestIdExpirationPeriodMs: REQUEST_TTL_MS,
+        cacheProvider: requestCache(loginRequest),
+        generateUniqueId: () => requestId || `_${crypto.randomBytes(20).toString('hex')}`
+    });
+}
+
+/**
+ * New AuthnRequest ID (stored with the login request, echoed as InResponseTo)
+ */
+function newRequestId() {
+    return `_${crypto.randomBytes(20).toString('hex')}`;
+}
+
+/**
+ * IdP URL carrying a deflated AuthnRequest (HTTP-Redirect binding)
+ * @returns {Promise<string>} URL
+ */
+async function authorizationUrl(connection, sp, { requestId, state }) {
+    return serviceProvider(connection, sp, { requestId }).getAuthorizeUrlAsync(state, undefined, {});
+}
+
+/**
+ * SP metadata XML for the tenant's IdP administrators
+ */
+function metadata(connection, sp) {
+    return serviceProvider(connection, sp).generateServiceProviderMetadata(null, null);
+}
+
+function attributeValues(attributes, name) {
+    const value = attributes[name];
+
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+
+    return (Array.isArray(value) ? value : [value])
+        .filter(item => typeof item === 'string')
+        .flatMap(item => item.split(',').map(part => part.trim()))
+        .filter(Boolean);
+}
+
+/**
+ * Validate a SAMLResponse posted to the ACS
+ * @param {object} connection - sso_connections row
+ * @param {object} sp - { entityId, acsUrl }
+ * @param {object} loginRequest - Claimed sso_login_requests row
+ * @param {string} samlResponse - Base64 SAMLResponse form field
+ * @returns {Promise<object>} Profile for provisionAccount()
+ *                            { subject, email, name, groups, roles, domains }
+ * @throws {SsoError} Signature, issuer, audience, time window or InResponseTo check failed
+ */
+async function validateResponse(connection, sp, loginRequest, samlResponse) {
+    if (!samlResponse) {
+        throw new SsoError('SAMLResponse is required');
+    }
+
+    let result;
+    try {
+        result = await serviceProvider(connection, sp, { loginRequest })
+            .validatePostResponseAsync({ SAMLResponse: samlResponse });
+    } catch (error) {
+        throw new SsoError(`SAML response rejected: ${error.message}`, 401);
+    }
+
+    const assertion = result.profile;
+    if (!assertion || !assertion.nameID) {
+        throw new SsoError('SAML response has no subject', 401);
+    }
+
+    // node-saml only checks idpIssuer on logout responses
+    if (assertion.issuer !== connection.issuer) {
+        throw new SsoError('SAML response rejected: unexpected issuer', 401);
+    }
+
+    const names = { ...DEFAULT_ATTRIBUTES, ...(connection.attribute_mapping || {}) };
+    const attributes = assertion.attributes || {};
+    const first = name => (attributeValues(attributes, name) || [])[0] || null;
+
+    const email = first(names.email) || assertion.email
+        || (assertion.nameID.includes('@') ? assertion.nameID : null);
+
+    return {
+        subject: assertion.nameID,
+        email,
+        name: first(names.name),
+        groups: attributeValues(attributes, names.groups) || [],
+        roles: attributeValues(attributes, names.role) || [],
+        domains: attributeValues(attributes, names.domains)
+    };
+}
+
+module.exports = {
+    newRequestId,
+    authorizationUrl,
+    metadata,
+    validateResponse
+};
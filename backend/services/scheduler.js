@@ -0,0 +1,121 @@
+/**
+ * Job Scheduler (backend)
+ * Runs background jobs at fixed intervals
+ *
+ * Jobs get the current time from the scheduler's clock instead of reading it
+ * themselves, so a fake clock (createFakeClock) can move a job through days
+ * of due dates in one go: advance the clock, then await tick().
+ */
+
+/**
+ * A clock that only moves when told to
+ * @param {Date|string} start - Initial time
+ * @returns {function} Clock returning the current fake time, with set(date) and advance(ms)
+ */
+function createFakeClock(start = new Date()) {
+    let current = new Date(start).getTime();
+
+    const clock = () => new Date(current);
+    clock.set = (date) => { current = new Date(date).getTime(); };
+    clock.advance = (ms) => { current += ms; };
+
+    return clock;
+}
+
+/**
+ * Create a scheduler
+ * @param {object} options - { clock } (defaults to the system clock)
+ * @returns {object} { clock, add(name, intervalMs, run), tick(), run(name), start(tickMs), stop() }
+ */
+function createScheduler({ clock = () => new Date() } = {}) {
+    const jobs = new Map();
+    let timer = null;
+
+    async function runJob(job, now) {
+        job.running = true;
+        job.nextRunAt = now.getTime() + job.intervalMs;
+
+        try {
+            return await job.run(now);
+        } catch (error) {
+            console.error(`Scheduled job ${job.name} error:`, error);
+            return null;
+        } finally {
+            job.running = false;
+        }
+    }
+
+    return {
+        clock,
+
+        /**
+         * Register a job; it first runs on the next tick
+         * @param {string} name - Job name
+         * @param {number} intervalMs - Time between runs (by the scheduler's clock)
+         * @param {function} run - async (now) => result
+         */
+        add(name, intervalMs, run) {
+            jobs.set(name, { name, intervalMs, run, nextRunAt: 0, running: false });
+        },
+
+        /**
+         * Run every job that is due by the clock
+         * @returns {Promise<object>} { [name]: result } of the jobs that ran
+         */
+        async tick() {
+            const now = clock();
+            const results = {};
+
+            for (const job of jobs.values()) {
+                if (job.running || now.getTime() < job.nextRunAt) continue;
+                results[job.name] = await runJob(job, now);
+            }
+
+            return results;
+        },
+
+        /**
+         * Run one job now, whether due or not
+         * @param {string} name - Job name
+         * @returns {Promise<*>} Job result
+         */
+        async run(name) {
+            const job = jobs.get(name);
+            if (!job) {
+                throw new Error(`Unknown job: ${name}`);
+            }
+            return runJob(job, clock());
+        },
+
+        /**
+         * Tick on a timer in this process
+         * @param {number} tickMs - How often to look for due jobs
+         */
+        start(tickMs = 1000) {
+            if (timer) return;
+
+            let ticking = false;
+            timer = setInterval(async () => {
+                if (ticking) return;
+                ticking = true;
+                try {
+                    await this.tick();
+                } finally {
+                    ticking = false;
+                }
+            }, tickMs);
+
+            timer.unref();
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = {
+    createFakeClock,
+    createScheduler
+};
@@ -0,0 +1,41 @@
+/**
+ * Secrets Service (backend)
+ * Encryption for secrets the server must read back (TOTP secrets, SSO client
+ * secrets) and hashing for random tokens it only needs to recognise
+ *
+ * Encryption is AES-256-GCM with ENCRYPTION_KEY (MFA_ENCRYPTION_KEY is still
+ * honoured, then JWT_SECRET). Payloads are "iv:tag:ciphertext" in base64.
+ */
+
+const crypto = require('crypto');
+const { JWT_SECRET } = require('../middleware/auth');
+
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+    .update(process.env.ENCRYPTION_KEY || process.env.MFA_ENCRYPTION_KEY || JWT_SECRET)
+    .digest();
+
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+function decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function hashToken(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+module.exports = {
+    encryptSecret,
+    decryptSecret,
+    hashToken
+};
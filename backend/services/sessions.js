@@ -0,0 +1,343 @@
+/**
+ * Session Service (backend)
+ * Short-lived access tokens backed by rotating refresh tokens
+ *
+ * Each login opens an auth_sessions row. The client holds a 15 minute access
+ * token (JWT with sessionId) and an opaque refresh token, stored only as a
+ * SHA-256 hash. Every refresh marks the presented token used and issues a new
+ * one; presenting a used token again means it leaked, so the session (the
+ * whole refresh family) is revoked. Revoked sessions also stop their access
+ * tokens at authenticateToken.
+ *
+ * A session may act as another role (services/roleSwitching.js): the access
+ * token's roleId is then the assumed role and assumedFrom the user's own.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET } = require('../middleware/auth');
+const { withTransaction } = require('../config/transaction');
+const { findAccount, rolePermissions, formatUser } = require('./accounts');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const SESSION_TTL_DAYS = 30;
+
+class SessionError extends Error {
+    constructor(message, statusCode = 401) {
+        super(message);
+        this.name = 'SessionError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Hash a refresh token for storage and lookup
+ * Refresh tokens are 48 random bytes, so a fast hash is enough
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Store a new refresh token for a session
+ * @param {object} db - Database client
+ * @param {object} session - auth_sessions row
+ * @returns {Promise<string>} Refresh token (plain text, returned to the client once)
+ */
+async function insertRefreshToken(db, session) {
+    const token = crypto.randomBytes(48).toString('base64url');
+
+    await db.query(`
+        INSERT INTO refresh_tokens (id, session_id, token_hash, expires_at)
+        VALUES ($1, $2, $3, $4)
+    `, [crypto.randomUUID(), session.id, hashToken(token), session.expires_at]);
+
+    return token;
+}
+
+/**
+ * Whether users may act as another role
+ * Only demo deployments allow it, unless ALLOW_ROLE_SWITCHING=true
+ */
+function roleSwitchingEnabled() {
+    return process.env.DEMO_MODE === 'true' || process.env.ALLOW_ROLE_SWITCHING === 'true';
+}
+
+/**
+ * The user's own role in a session: the one it was opened with while the user still holds it
+ */
+function sessionRole(account, session) {
+    return account.roles.includes(session.role_id) ? session.role_id : (account.roles[0] || null);
+}
+
+/**
+ * Role the session was switched to, if switching is still allowed
+ * Dropped once the user no longer holds the role they switched from
+ */
+function assumedRole(account, session) {
+    if (!session.assumed_role_id || !roleSwitchingEnabled() || !account.roles.includes(session.role_id)) {
+        return null;
+    }
+
+    return session.assumed_role_id;
+}
+
+/**
+ * Sign an access token for a session
+ * @param {object} account - findAccount() result
+ * @param {object} session - auth_sessions row
+ * @returns {object} { token, expiresAt, roleId, assumedFrom } (expiresAt in epoch ms;
+ *          assumedFrom is the user's own role while acting as another, otherwise null)
+ */
+function signAccessToken(account, session) {
+    const ownRoleId = sessionRole(account, session);
+    const assumedRoleId = assumedRole(account, session);
+
+    const token = jwt.sign(
+        {
+            userId: account.id,
+            tenantId: account.tenant_id,
+            roleId: assumedRoleId || ownRoleId,
+            roles: account.roles,
+            email: account.email,
+            sessionId: session.id,
+            ...(assumedRoleId ? { assumedFrom: ownRoleId } : {})
+        },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+
+    return {
+        token,
+        expiresAt: jwt.decode(token).exp * 1000,
+        roleId: assumedRoleId || ownRoleId,
+        assumedFrom: assumedRoleId ? ownRoleId : null
+    };
+}
+
+/**
+ * Session part of the login/refresh response (AuthService stores it as-is)
+ */
+function formatSession(account, session, refreshToken) {
+    return {
+        id: session.id,
+        ...signAccessToken(account, session),
+        refreshToken,
+        refreshExpiresAt: new Date(session.expires_at).getTime()
+    };
+}
+
+/**
+ * Open a session for an account that just authenticated
+ * @param {object} db - Database client or pool
+ * @param {object} account - findAccount() result
+ * @param {object} client - { userAgent, ipAddress }
+ * @returns {Promise<object>} formatSession() payload
+ */
+async function startSession(db, account, { userAgent = null, ipAddress = null } = {}) {
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + SESSION_TTL_DAYS);
+
+    const result = await db.query(`
+        INSERT INTO auth_sessions (id, user_id, tenant_id, role_id, user_agent, ip_address, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+    `, [crypto.randomUUID(), account.id, account.tenant_id, account.roles[0] || null, userAgent, ipAddress, expiresAt]);
+
+    const session = result.rows[0];
+    const refreshToken = await insertRefreshToken(db, session);
+
+    return formatSession(account, session, refreshToken);
+}
+
+/**
+ * Device details recorded on a session
+ */
+function clientInfo(req) {
+    return {
+        userAgent: req.get('user-agent') || null,
+        ipAddress: req.ip || null
+    };
+}
+
+/**
+ * Finish a login: open a session and build the { token, user, session } payload
+ * Shared by password, MFA and SSO logins
+ * @param {object} db - Database client or pool
+ * @param {object} account - findAccount() result
+ * @param {object} client - clientInfo() of the request
+ * @returns {Promise<object>} Response body
+ */
+async function completeLogin(db, account, client) {
+    await db.query('UPDATE users SET last_login = NOW() WHERE id = $1', [account.id]);
+
+    const permissions = await rolePermissions(db, account.roles[0]);
+    const session = await startSession(db, account, client);
+
+    return {
+        success: true,
+        token: session.token,
+        user: formatUser(account, permissions),
+        session
+    };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Token presented by the client
+ * @param {object} client - { userAgent, ipAddress }
+ * @returns {Promise<object>} { account, session } (session is a formatSession() payload)
+ * @throws {SessionError} Unknown, expired, reused or revoked token
+ */
+async function refreshSession(refreshToken, { userAgent = null, ipAddress = null } = {}) {
+    if (!refreshToken) {
+        throw new SessionError('Refresh token is required', 400);
+    }
+
+    // Outcomes are returned rather than thrown so a reuse revocation still commits
+    const outcome = await withTransaction(async (client) => {
+        const result = await client.query(`
+            SELECT rt.id AS refresh_token_id, rt.used_at, s.*
+            FROM refresh_tokens rt
+            JOIN auth_sessions s ON rt.session_id = s.id
+            WHERE rt.token_hash = $1
+            FOR UPDATE OF rt, s
+        `, [hashToken(refreshToken)]);
+
+        if (result.rows.length === 0) {
+            return { status: 'invalid', message: 'Invalid refresh token' };
+        }
+
+        const session = result.rows[0];
+
+        if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+            return { status: 'invalid', message: 'Session has expired or been revoked' };
+        }
+
+        if (session.used_at) {
+            await revokeSession(client, session.id, 'token_reuse');
+            return { status: 'invalid', message: 'Refresh token was already used; session revoked' };
+        }
+
+        const account = await findAccount(client, { id: session.user_id });
+
+        if (!account || account.status !== 'active' || account.tenant_active === false) {
+            await revokeSession(client, session.id, 'account_disabled');
+            return { status: 'invalid', message: 'Account is deactivated' };
+        }
+
+        await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1', [session.refresh_token_id]);
+
+        const updated = await client.query(`
+            UPDATE auth_sessions
+            SET last_used_at = NOW(),
+                user_agent = COALESCE($2, user_agent),
+                ip_address = COALESCE($3, ip_address)
+            WHERE id = $1
+            RETURNING *
+        `, [session.id, userAgent, ipAddress]);
+
+        const nextToken = await insertRefreshToken(client, updated.rows[0]);
+
+        return {
+            status: 'ok',
+            account,
+            session: formatSession(account, updated.rows[0], nextToken)
+        };
+    });
+
+    if (outcome.status !== 'ok') {
+        throw new SessionError(outcome.message);
+    }
+
+    return { account: outcome.account, session: outcome.session };
+}
+
+/**
+ * Find the session a refresh token belongs to (used or not)
+ * @param {object} db - Database client or pool
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<object|null>} auth_sessions row
+ */
+async function findSessionByRefreshToken(db, refreshToken) {
+    const result = await db.query(`
+        SELECT s.*
+        FROM refresh_tokens rt
+        JOIN auth_sessions s ON rt.session_id = s.id
+        WHERE rt.token_hash = $1
+    `, [hashToken(refreshToken)]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Revoke one session (no-op if already revoked)
+ * @param {object} db - Database client or pool
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Stored in revoked_reason
+ * @param {string|null} userId - Only revoke if the session belongs to this user
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+async function revokeSession(db, sessionId, reason, userId = null) {
+    const result = await db.query(`
+        UPDATE auth_sessions
+        SET revoked_at = NOW(), revoked_reason = $2
+        WHERE id = $1
+          AND revoked_at IS NULL
+          AND ($3::uuid IS NULL OR user_id = $3)
+    `, [sessionId, reason, userId]);
+
+    return result.rowCount > 0;
+}
+
+/**
+ * Revoke every active session of a user
+ * @param {object} db - Database client or pool
+ * @param {string} userId - User ID
+ * @param {string} reason - Stored in revoked_reason
+ * @returns {Promise<number>} Sessions revoked
+ */
+async function revokeUserSessions(db, userId, reason) {
+    const result = await db.query(`
+        UPDATE auth_sessions
+        SET revoked_at = NOW(), revoked_reason = $2
+        WHERE user_id = $1 AND revoked_at IS NULL
+    `, [userId, reason]);
+
+    return result.rowCount;
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {object} db - Database client or pool
+ * @param {string} userId - User ID
+ * @returns {Promise<array>} Sessions
+ */
+async function listSessions(db, userId) {
+    const result = await db.query(`
+        SELECT id, role_id, user_agent, ip_address, created_at, last_used_at, expires_at
+        FROM auth_sessions
+        WHERE user_id = $1
+          AND revoked_at IS NULL
+          AND expires_at > NOW()
+        ORDER BY last_used_at DESC
+    `, [userId]);
+
+    return result.rows;
+}
+
+module.exports = {
+    SessionError,
+    roleSwitchingEnabled,
+    sessionRole,
+    assumedRole,
+    signAccessToken,
+    clientInfo,
+    startSession,
+    completeLogin,
+    refreshSession,
+    findSessionByRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    listSessions
+};
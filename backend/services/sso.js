@@ -0,0 +1,552 @@
+/**
+ * SSO Service (backend)
+ * Tenant identity provider connections, just-in-time provisioning and the
+ * login requests that span the IdP redirect
+ *
+ * Protocol details live in services/oidc.js and services/saml.js. A login
+ * request is created when the browser leaves for the IdP (state, plus nonce and
+ * PKCE verifier for OIDC or the AuthnRequest ID for SAML) and becomes a
+ * handoff when it comes back. The request is bound to the browser that started
+ * it (a random token the browser keeps in a cookie), so nobody can finish a
+ * login they started in someone else's browser (login CSRF). The callback redirects to the login page with a
+ * one-time token that POST /api/auth/sso/complete exchanges for a session, so
+ * access and refresh tokens never appear in a URL.
+ *
+ * IdP groups map onto roles through sso_connections.role_mapping (SAML can also
+ * assert role IDs directly). Only roles a tenant admin could assign count
+ * (assignableRoles() in services/team.js): others are refused when the
+ * connection is saved and dropped at login. When any role results, the user's
+ * roles in the tenant are replaced with those on every login (the IdP is
+ * authoritative); otherwise existing users keep their roles and new users get
+ * the connection's default role. Asserted domains become the roles'
+ * assigned_domains scope.
+ */
+
+const crypto = require('crypto');
+const { encryptSecret, decryptSecret, hashToken } = require('./secrets');
+const { findAccount } = require('./accounts');
+const { seatsLeft } = require('./tenants');
+const { assignableRoles } = require('./team');
+
+const PROTOCOLS = ['oidc', 'saml'];
+
+const LOGIN_REQUEST_TTL_MINUTES = 10;
+const HANDOFF_TTL_MINUTES = 2;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Plain http is only accepted for an IdP on this machine (e.g. scripts/mock-idp.js)
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+class SsoError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'SsoError';
+        this.statusCode = statusCode;
+    }
+}
+
+// ============================================================================
+// CONNECTIONS
+// ============================================================================
+
+/**
+ * Shape a connection for the admin API (the OIDC client secret is never returned)
+ */
+function formatConnection(connection) {
+    const common = {
+        id: connection.id,
+        protocol: connection.protocol,
+        roleMapping: connection.role_mapping || {},
+        defaultRoleId: connection.default_role_id,
+        enabled: connection.is_enabled,
+        updatedAt: connection.updated_at
+    };
+
+    if (connection.protocol === 'saml') {
+        return {
+            ...common,
+            entityId: connection.issuer,
+            ssoUrl: connection.sso_url,
+            certificate: connection.idp_certificate,
+            attributeMapping: connection.attribute_mapping || {}
+        };
+    }
+
+    return {
+        ...common,
+        issuer: connection.issuer,
+        clientId: connection.client_id,
+        hasClientSecret: Boolean(connection.client_secret_encrypted),
+        scopes: connection.scopes,
+        groupsClaim: connection.groups_claim
+    };
+}
+
+/**
+ * Find a tenant's connection
+ * @param {object} db - Database client or pool
+ * @param {object} where - { tenantId } or { tenant } (tenant ID or slug, as typed on the login page)
+ * @param {string|null} protocol - 'oidc', 'saml', or null for the tenant's enabled connection
+ * @returns {Promise<object|null>} sso_connections row plus tenant_active
+ */
+async function findConnection(db, { tenantId = null, tenant = null }, protocol = null) {
+    const value = tenantId || String(tenant || '').trim().toLowerCase();
+
+    if (!value) {
+        return null;
+    }
+
+    const byId = Boolean(tenantId) || UUID_PATTERN.test(value);
+
+    const result = await db.query(`
+        SELECT c.*, t.is_active AS tenant_active
+        FROM sso_connections c
+        JOIN tenants t ON c.tenant_id = t.id
+        WHERE ${byId ? 't.id = $1' : 'LOWER(t.slug) = $1'}
+          AND ($2::text IS NULL OR c.protocol = $2)
+        ORDER BY c.is_enabled DESC, c.protocol
+        LIMIT 1
+    `, [value, protocol]);
+
+    return result.rows[0] || null;
+}
+
+function clientSecret(connection) {
+    return connection.client_secret_encrypted ? decryptSecret(connection.client_secret_encrypted) : null;
+}
+
+function validateUrl(value, field) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new SsoError(`${field} must be a URL`);
+    }
+
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && LOCAL_HOSTS.includes(url.hostname))) {
+        throw new SsoError(`${field} must use https`);
+    }
+
+    return value.replace(/\/+$/, '');
+}
+
+/**
+ * Normalize an IdP signing certificate (PEM certificate or public key, or the
+ * bare base64 body of a certificate as shown in IdP metadata)
+ * @throws {SsoError} Not a usable certificate or key
+ */
+function normalizeCertificate(value) {
+    let pem = String(value).trim();
+
+    if (!pem.startsWith('-----BEGIN')) {
+        const body = pem.replace(/\s+/g, '').match(/.{1,64}/g) || [];
+        pem = `-----BEGIN CERTIFICATE-----\n${body.join('\n')}\n-----END CERTIFICATE-----`;
+    }
+
+    try {
+        if (pem.includes('CERTIFICATE')) {
+            new crypto.X509Certificate(pem);
+        } else {
+            crypto.createPublicKey(pem);
+        }
+    } catch (error) {
+        throw new SsoError('certificate must be a PEM certificate or public key');
+    }
+
+    return pem;
+}
+
+/**
+ * Pick a field from the request body, falling back to the stored connection
+ */
+function pick(input, field, existing, column) {
+    if (input[field] !== undefined) {
+        return input[field];
+    }
+    return existing ? existing[column] : undefined;
+}
+
+/**
+ * Create or update a tenant's connection
+ * @param {object} db - Database client or pool
+ * @param {string} tenantId - Tenant ID
+ * @param {string} protocol - 'oidc' or 'saml'
+ * @param {object} input - Common: roleMapping, defaultRoleId, enabled
+ *                         OIDC: issuer, clientId, clientSecret, scopes, groupsClaim
+ *                               (clientSecret: omit to keep the stored one, null or '' to remove it)
+ *                         SAML: entityId, ssoUrl, certificate, attributeMapping
+ * @returns {Promise<object>} sso_connections row
+ * @throws {SsoError} Invalid configuration
+ */
+async function saveConnection(db, tenantId, protocol, input) {
+    if (!PROTOCOLS.includes(protocol)) {
+        throw new SsoError(`Unknown SSO protocol: ${protocol}`);
+    }
+
+    const existing = await findConnection(db, { tenantId }, protocol);
+
+    const roleMapping = pick(input, 'roleMapping', existing, 'role_mapping') || {};
+
+    if (typeof roleMapping !== 'object' || Array.isArray(roleMapping)) {
+        throw new SsoError('roleMapping must map group names to role IDs');
+    }
+
+    const defaultRoleId = pick(input, 'defaultRoleId', existing, 'default_role_id') || null;
+
+    // Only roles a tenant admin could hand out themselves (services/team.js)
+    const roleIds = [...new Set([...Object.values(roleMapping), defaultRoleId].filter(Boolean))];
+    const assignable = (await assignableRoles(db, tenantId)).map(role => role.id);
+    const refused = roleIds.filter(id => !assignable.includes(id));
+
+    if (refused.length > 0) {
+        throw new SsoError(`Role(s) cannot be assigned: ${refused.join(', ')}`);
+    }
+
+    const enabled = input.enabled !== undefined ? Boolean(input.enabled) : (existing ? existing.is_enabled : true);
+
+    const values = {
+        issuer: null,
+        client_id: null,
+        client_secret_encrypted: null,
+        scopes: null,
+        groups_claim: null,
+        sso_url: null,
+        idp_certificate: null,
+        attribute_mapping: {}
+    };
+
+    if (protocol === 'oidc') {
+        const issuer = pick(input, 'issuer', existing, 'issuer');
+        const clientId = pick(input, 'clientId', existing, 'client_id');
+
+        if (!issuer || !clientId) {
+            throw new SsoError('issuer and clientId are required');
+        }
+
+        values.issuer = validateUrl(String(issuer), 'issuer');
+        values.client_id = String(clientId);
+        values.client_secret_encrypted = existing ? existing.client_secret_encrypted : null;
+        values.scopes = input.scopes || (existing && existing.scopes) || 'openid email profile';
+        values.groups_claim = input.groupsClaim || (existing && existing.groups_claim) || 'groups';
+
+        if (input.clientSecret !== undefined) {
+            values.client_secret_encrypted = input.clientSecret ? encryptSecret(String(input.clientSecret)) : null;
+        }
+    } else {
+        const entityId = pick(input, 'entityId', existing, 'issuer');
+        const ssoUrl = pick(input, 'ssoUrl', existing, 'sso_url');
+        const certificate = pick(input, 'certificate', existing, 'idp_certificate');
+        const attributeMapping = pick(input, 'attributeMapping', existing, 'attribute_mapping') || {};
+
+        if (!entityId || !ssoUrl || !certificate) {
+            throw new SsoError('entityId, ssoUrl and certificate are required');
+        }
+
+        if (typeof attributeMapping !== 'object' || Array.isArray(attributeMapping)) {
+            throw new SsoError('attributeMapping must map fields to SAML attribute names');
+        }
+
+        values.issuer = String(entityId);
+        values.sso_url = validateUrl(String(ssoUrl), 'ssoUrl');
+        values.idp_certificate = normalizeCertificate(certificate);
+        values.attribute_mapping = attributeMapping;
+    }
+
+    const result = await db.query(`
+        INSERT INTO sso_connections (
+            id, tenant_id, protocol, issuer, client_id, client_secret_encrypted, scopes, groups_claim,
+            sso_url, idp_certificate, attribute_mapping, role_mapping, default_role_id, is_enabled
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        ON CONFLICT (tenant_id, protocol) DO UPDATE
+        SET issuer = EXCLUDED.issuer,
+            client_id = EXCLUDED.client_id,
+            client_secret_encrypted = EXCLUDED.client_secret_encrypted,
+            scopes = EXCLUDED.scopes,
+            groups_claim = EXCLUDED.groups_claim,
+            sso_url = EXCLUDED.sso_url,
+            idp_certificate = EXCLUDED.idp_certificate,
+            attribute_mapping = EXCLUDED.attribute_mapping,
+            role_mapping = EXCLUDED.role_mapping,
+            default_role_id = EXCLUDED.default_role_id,
+            is_enabled = EXCLUDED.is_enabled,
+            updated_at = NOW()
+        RETURNING *
+    `, [
+        crypto.randomUUID(),
+        tenantId,
+        protocol,
+        values.issuer,
+        values.client_id,
+        values.client_secret_encrypted,
+        values.scopes,
+        values.groups_claim,
+        values.sso_url,
+        values.idp_certificate,
+        JSON.stringify(values.attribute_mapping),
+        JSON.stringify(roleMapping),
+        defaultRoleId,
+        enabled
+    ]);
+
+    return result.rows[0];
+}
+
+async function deleteConnection(db, tenantId, protocol) {
+    const result = await db.query(
+        'DELETE FROM sso_connections WHERE tenant_id = $1 AND protocol = $2',
+        [tenantId, protocol]
+    );
+
+    return result.rowCount > 0;
+}
+
+// ============================================================================
+// PROVISIONING
+// ============================================================================
+
+/**
+ * Roles granted by a login, most senior (lowest sort_order) first
+ * Groups go through the connection's role_mapping; role IDs may also be asserted
+ * directly (SAML role attribute). Either way only roles the tenant could assign
+ * itself count; anything else is dropped
+ */
+async function mappedRoles(db, connection, { groups = [], roles = [] }) {
+    const mapping = connection.role_mapping || {};
+    const roleIds = [...new Set([...groups.map(group => mapping[group]), ...roles].filter(Boolean))];
+
+    if (roleIds.length === 0) {
+        return [];
+    }
+
+    const assignable = await assignableRoles(db, connection.tenant_id);
+    return assignable.map(role => role.id).filter(id => roleIds.includes(id));
+}
+
+async function replaceTenantRoles(db, userId, tenantId, roleIds) {
+    await db.query(
+        'DELETE FROM user_roles WHERE user_id = $1 AND tenant_id = $2 AND NOT (role_id = ANY($3))',
+        [userId, tenantId, roleIds]
+    );
+
+    for (const [index, roleId] of roleIds.entries()) {
+        await db.query(`
+            INSERT INTO user_roles (user_id, role_id, tenant_id, scope, is_primary)
+            VALUES ($1, $2, $3, '{}', $4)
+            ON CONFLICT (user_id, role_id, tenant_id) DO UPDATE SET is_primary = EXCLUDED.is_primary
+        `, [userId, roleId, tenantId, index === 0]);
+    }
+}
+
+/**
+ * Find or create the user behind an IdP login and sync their roles
+ * Users are matched by linked identity, then by email within the tenant
+ * @param {object} db - Database client (run inside a transaction)
+ * @param {object} connection - sso_connections row
+ * @param {object} profile - { subject, email, emailVerified, name, groups, roles, domains }
+ *                           (domains undefined leaves assigned domains untouched)
+ * @returns {Promise<object>} findAccount() result
+ * @throws {SsoError} The identity can't be matched to a user in this tenant
+ */
+async function provisionAccount(db, connection, profile) {
+    const email = (profile.email || '').toLowerCase();
+
+    const identity = await db.query(
+        'SELECT user_id FROM user_identities WHERE connection_id = $1 AND subject = $2',
+        [connection.id, profile.subject]
+    );
+
+    let userId = identity.rows.length > 0 ? identity.rows[0].user_id : null;
+    let created = false;
+
+    // Checked like mapped roles, in case the connection predates that check
+    const [defaultRoleId = null] = connection.default_role_id
+        ? await mappedRoles(db, connection, { roles: [connection.default_role_id] })
+        : [];
+
+    if (!userId) {
+        if (!email) {
+            throw new SsoError('Your identity provider did not share an email address', 403);
+        }
+
+        if (profile.emailVerified === false) {
+            throw new SsoError('Your email address is not verified with your identity provider', 403);
+        }
+
+        const existing = await db.query('SELECT id, tenant_id FROM users WHERE email = $1', [email]);
+
+        if (existing.rows.length > 0) {
+            if (existing.rows[0].tenant_id !== connection.tenant_id) {
+                throw new SsoError('This email address belongs to another organization', 409);
+            }
+            userId = existing.rows[0].id;
+        } else {
+            const seats = await seatsLeft(db, connection.tenant_id);
+
+            if (seats.left <= 0) {
+                throw new SsoError('Your organization has no seats left; ask your administrator to free one', 403);
+            }
+
+            const user = await db.query(`
+                INSERT INTO users (id, email, name, tenant_id, default_role_id, status, email_verified)
+                VALUES ($1, $2, $3, $4, $5, 'active', true)
+                RETURNING id
+            `, [crypto.randomUUID(), email, profile.name || email, connection.tenant_id, defaultRoleId]);
+
+            userId = user.rows[0].id;
+            created = true;
+        }
+
+        await db.query(`
+            INSERT INTO user_identities (id, user_id, connection_id, subject, email)
+            VALUES ($1, $2, $3, $4, $5)
+        `, [crypto.randomUUID(), userId, connection.id, profile.subject, email]);
+    }
+
+    const user = await db.query('SELECT tenant_id FROM users WHERE id = $1', [userId]);
+    if (user.rows[0].tenant_id !== connection.tenant_id) {
+        throw new SsoError('This account belongs to another organization', 409);
+    }
+
+    let roleIds = await mappedRoles(db, connection, profile);
+
+    if (roleIds.length === 0 && created) {
+        if (!defaultRoleId) {
+            throw new SsoError('None of your groups grant access to this organization', 403);
+        }
+        roleIds = [defaultRoleId];
+    }
+
+    if (roleIds.length > 0) {
+        await replaceTenantRoles(db, userId, connection.tenant_id, roleIds);
+    }
+
+    if (profile.domains !== undefined) {
+        await db.query(`
+            UPDATE user_roles
+            SET scope = jsonb_set(COALESCE(scope, '{}'), '{domains}', $3::jsonb)
+            WHERE user_id = $1 AND tenant_id = $2
+        `, [userId, connection.tenant_id, JSON.stringify(profile.domains)]);
+    }
+
+    await db.query(`
+        UPDATE user_identities
+        SET email = COALESCE($3, email), last_login_at = NOW()
+        WHERE connection_id = $1 AND subject = $2
+    `, [connection.id, profile.subject, email || null]);
+
+    if (profile.name) {
+        await db.query(
+            "UPDATE users SET name = $2, updated_at = NOW() WHERE id = $1 AND (name IS NULL OR name = '' OR name = email)",
+            [userId, profile.name]
+        );
+    }
+
+    return findAccount(db, { id: userId });
+}
+
+// ============================================================================
+// LOGIN REQUESTS
+// ============================================================================
+
+/**
+ * Start a login: random state (plus nonce and PKCE verifier for OIDC) kept server-side
+ * browserToken goes in the starting browser's cookie; only its hash is kept
+ * @param {object} db - Database client or pool
+ * @param {object} connection - sso_connections row
+ * @param {string|null} requestId - SAML AuthnRequest ID
+ * @returns {Promise<object>} { state, nonce, codeVerifier, browserToken }
+ */
+async function createLoginRequest(db, connection, requestId = null) {
+    const oidc = connection.protocol === 'oidc';
+    const state = crypto.randomBytes(32).toString('base64url');
+    const browserToken = crypto.randomBytes(32).toString('base64url');
+    const nonce = oidc ? crypto.randomBytes(24).toString('base64url') : null;
+    const codeVerifier = oidc ? crypto.randomBytes(48).toString('base64url') : null;
+    const expiresAt = new Date(Date.now() + LOGIN_REQUEST_TTL_MINUTES * 60 * 1000);
+
+    await db.query(`
+        INSERT INTO sso_login_requests (id, connection_id, state_hash, browser_hash, nonce, code_verifier, request_id, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [crypto.randomUUID(), connection.id, hashToken(state), hashToken(browserToken), nonce, codeVerifier, requestId, expiresAt]);
+
+    return { state, nonce, codeVerifier, browserToken };
+}
+
+/**
+ * Claim the login request named by the callback's state (single use)
+ * Only from the browser that started it: browserToken must be the one it was given
+ * @returns {Promise<object|null>} sso_login_requests row
+ */
+async function claimLoginRequest(db, state, browserToken) {
+    if (!state || !browserToken) {
+        return null;
+    }
+
+    const result = await db.query(`
+        UPDATE sso_login_requests
+        SET consumed_at = NOW()
+        WHERE state_hash = $1
+          AND browser_hash = $2
+          AND handoff_hash IS NULL
+          AND consumed_at IS NULL
+          AND expires_at > NOW()
+        RETURNING *
+    `, [hashToken(state), hashToken(browserToken)]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Turn a claimed request into a short-lived handoff for the login page
+ * @returns {Promise<string>} Handoff token
+ */
+async function issueHandoff(db, requestId, userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + HANDOFF_TTL_MINUTES * 60 * 1000);
+
+    await db.query(`
+        UPDATE sso_login_requests
+        SET user_id = $2, handoff_hash = $3, expires_at = $4, consumed_at = NULL
+        WHERE id = $1
+    `, [requestId, userId, hashToken(token), expiresAt]);
+
+    return token;
+}
+
+/**
+ * Redeem a handoff token (single use)
+ * @returns {Promise<string|null>} User ID
+ */
+async function redeemHandoff(db, token) {
+    if (!token) {
+        return null;
+    }
+
+    const result = await db.query(`
+        UPDATE sso_login_requests
+        SET consumed_at = NOW()
+        WHERE handoff_hash = $1
+          AND consumed_at IS NULL
+          AND expires_at > NOW()
+        RETURNING user_id
+    `, [hashToken(token)]);
+
+    return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+module.exports = {
+    LOGIN_REQUEST_TTL_MINUTES,
+    SsoError,
+    formatConnection,
+    findConnection,
+    clientSecret,
+    saveConnection,
+    deleteConnection,
+    provisionAccount,
+    createLoginRequest,
+    claimLoginRequest,
+    issueHandoff,
+    redeemHandoff
+};
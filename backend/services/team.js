@@ -0,0 +1,601 @@
+/**
+ * Team Service (backend)
+ * Invitations into a tenant and the management of its members
+ *
+ * An invitation carries the role and assigned domains the new user gets. The
+ * emailed token is only stored as a SHA-256 hash; resending replaces it, so
+ * older links stop working. Accepting creates the user inside the inviting
+ * tenant with a verified email (the link proved the address).
+ *
+ * Only tenant roles can be handed out: roles whose data filters stay inside
+ * the tenant (see TENANT_SCOPES in middleware/dataScope.js), so platform roles
+ * cannot be granted from a customer account. Admins cannot deactivate
+ * themselves or change their own role, so a team always keeps someone who can
+ * manage it. Every change is audited.
+ *
+ * Invitations, acceptances and reactivations each take a seat, so they are
+ * refused once the tenant's seat limit is used up (seatsLeft() in services/tenants.js).
+ */
+
+const crypto = require('crypto');
+const { hashToken } = require('./secrets');
+const { recordAudit } = require('./audit');
+const { revokeUserSessions } = require('./sessions');
+const { seatsLeft } = require('./tenants');
+const { enqueueEmail } = require('./email');
+const { TENANT_SCOPES } = require('../middleware/dataScope');
+
+const INVITATION_TTL_DAYS = 7;
+
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:8000').replace(/\/+$/, '');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class TeamError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'TeamError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Refuse to add someone once the tenant's seats are used up
+ * @param {object} db - Database client (in a transaction)
+ * @param {string} tenantId - Tenant ID
+ * @param {object} options - seatsLeft() options
+ * @throws {TeamError} 409 when no seat is left
+ */
+async function requireSeat(db, tenantId, options) {
+    const seats = await seatsLeft(db, tenantId, options);
+
+    if (seats.left <= 0) {
+        throw new TeamError(`All ${seats.limit} seats of your plan are taken (pending invitations count). Remove a member or revoke an invitation first.`, 409);
+    }
+}
+
+// ============================================================================
+// ROLES AND DOMAINS
+// ============================================================================
+
+/**
+ * Roles a tenant admin may assign, most senior first
+ * @param {object} db - Database client or pool
+ * @param {string} tenantId - Tenant ID
+ * @param {string} roleId - Only this role (optional)
+ * @returns {Promise<array>} { id, name, type, description }
+ */
+async function assignableRoles(db, tenantId, roleId = null) {
+    const result = await db.query(`
+        SELECT r.id, r.name, r.type, r.description
+        FROM roles r
+        WHERE (r.tenant_id = $1 OR r.tenant_id IS NULL)
+          AND ($2::text IS NULL OR r.id = $2)
+          AND NOT EXISTS (
+              SELECT 1
+              FROM jsonb_each_text(COALESCE(r.metadata->'data_filters', '{}'::jsonb)) filter
+              WHERE filter.value <> ALL($3::text[])
+          )
+        ORDER BY r.sort_order NULLS LAST, r.id
+    `, [tenantId, roleId, TENANT_SCOPES]);
+
+    return result.rows;
+}
+
+async function requireAssignableRole(db, tenantId, roleId) {
+    if (!roleId) {
+        throw new TeamError('roleId is required');
+    }
+
+    const roles = await assignableRoles(db, tenantId, roleId);
+
+    if (roles.length === 0) {
+        throw new TeamError(`Role cannot be assigned: ${roleId}`);
+    }
+
+    return roles[0];
+}
+
+/**
+ * Validate assigned domains (dimension IDs, the assigned_domains data scope)
+ * @returns {array} Unique domain IDs
+ */
+function normalizeDomains(domains) {
+    if (domains === undefined || domains === null) {
+        return [];
+    }
+
+    if (!Array.isArray(domains) || domains.some(d => typeof d !== 'string' || !d.trim() || d.length > 100)) {
+        throw new TeamError('domains must be a list of domain IDs');
+    }
+
+    return [...new Set(domains.map(d => d.trim()))];
+}
+
+// ============================================================================
+// MEMBERS
+// ============================================================================
+
+function formatMember(row) {
+    return {
+        id: row.id,
+        email: row.email,
+        name: row.name,
+        role: row.role_id,
+        roleName: row.role_name,
+        domains: (row.scope && row.scope.domains) || [],
+        status: row.status,
+        emailVerified: row.email_verified,
+        locked: Boolean(row.locked),
+        lastLogin: row.last_login,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Members of a tenant with their primary role
+ * @param {object} db - Database client or pool
+ * @param {string} tenantId - Tenant ID
+ * @param {string} userId - Only this user (optional)
+ * @returns {Promise<array>} Members
+ */
+async function listMembers(db, tenantId, userId = null) {
+    const result = await db.query(`
+        SELECT
+            u.id, u.email, u.name, u.status, u.email_verified, u.last_login, u.created_at,
+            COALESCE(u.locked_until > NOW(), false) AS locked,
+            COALESCE(pr.role_id, u.default_role_id) AS role_id,
+            r.name AS role_name,
+            pr.scope
+        FROM users u
+        LEFT JOIN LATERAL (
+            SELECT ur.role_id, ur.scope
+            FROM user_roles ur
+            WHERE ur.user_id = u.id AND ur.tenant_id = u.tenant_id
+            ORDER BY ur.is_primary DESC, ur.assigned_at
+            LIMIT 1
+        ) pr ON true
+        LEFT JOIN roles r ON r.id = COALESCE(pr.role_id, u.default_role_id)
+        WHERE u.tenant_id = $1
+          AND ($2::uuid IS NULL OR u.id = $2)
+        ORDER BY u.name NULLS LAST, u.email
+    `, [tenantId, userId]);
+
+    return result.rows.map(formatMember);
+}
+
+/**
+ * Lock a member row of the tenant for an update
+ * @throws {TeamError} 404 when the user is not in the tenant
+ */
+async function lockMember(db, tenantId, userId) {
+    const result = await db.query(`
+        SELECT id, email, status
+        FROM users
+        WHERE id = $1 AND tenant_id = $2
+        FOR UPDATE
+    `, [userId, tenantId]);
+
+    if (result.rows.length === 0) {
+        throw new TeamError('User not found', 404);
+    }
+
+    return result.rows[0];
+}
+
+/**
+ * Give a member a new role (and assigned domains); it replaces their roles in the tenant
+ * Their sessions end too: access tokens carry the role they were issued with
+ * @param {object} db - Database client (in a transaction)
+ * @param {string} tenantId - Caller's tenant
+ * @param {string} userId - Member to change
+ * @param {object} change - { roleId, domains }
+ * @param {object} actor - { userId, client }
+ * @returns {Promise<object>} Updated member
+ */
+async function changeMemberRole(db, tenantId, userId, { roleId, domains }, actor) {
+    if (userId === actor.userId) {
+        throw new TeamError('You cannot change your own role');
+    }
+
+    await lockMember(db, tenantId, userId);
+    const role = await requireAssignableRole(db, tenantId, roleId);
+    const scope = { domains: normalizeDomains(domains) };
+    const [before] = await listMembers(db, tenantId, userId);
+
+    await db.query('DELETE FROM user_roles WHERE user_id = $1 AND tenant_id = $2', [userId, tenantId]);
+
+    await db.query(`
+        INSERT INTO user_roles (user_id, role_id, tenant_id, scope, is_primary, assigned_by)
+        VALUES ($1, $2, $3, $4, true, $5)
+    `, [userId, role.id, tenantId, JSON.stringify(scope), actor.userId]);
+
+    // The fallback role findAccount uses when no user_roles row exists
+    await db.query('UPDATE users SET default_role_id = $2, updated_at = NOW() WHERE id = $1', [userId, role.id]);
+
+    await revokeUserSessions(db, userId, 'role_changed');
+
+    await recordAudit(db, {
+        action: 'user.role_changed',
+        entityType: 'user',
+        entityId: userId,
+        tenantId,
+        actorId: actor.userId,
+        oldValues: { role: before.role, domains: before.domains },
+        newValues: { role: role.id, domains: scope.domains },
+        client: actor.client
+    });
+
+    const [member] = await listMembers(db, tenantId, userId);
+    return member;
+}
+
+/**
+ * Deactivate or reactivate a member; deactivation also ends their sessions
+ * @param {object} db - Database client (in a transaction)
+ * @param {string} tenantId - Caller's tenant
+ * @param {string} userId - Member to change
+ * @param {boolean} active - New state
+ * @param {object} actor - { userId, client }
+ * @returns {Promise<object>} Updated member
+ */
+async function setMemberActive(db, tenantId, userId, active, actor) {
+    if (userId === actor.userId) {
+        throw new TeamError(`You cannot ${active ? 'reactivate' : 'deactivate'} yourself`);
+    }
+
+    const user = await lockMember(db, tenantId, userId);
+    const status = active ? 'active' : 'inactive';
+
+    if (user.status === status) {
+        throw new TeamError(active ? 'User is already active' : 'User is already deactivated', 409);
+    }
+
+    if (active) {
+        await requireSeat(db, tenantId);
+    }
+
+    await db.query('UPDATE users SET status = $2, updated_at = NOW() WHERE id = $1', [userId, status]);
+
+    if (!active) {
+        await revokeUserSessions(db, userId, 'deactivated');
+    }
+
+    await recordAudit(db, {
+        action: active ? 'user.reactivated' : 'user.deactivated',
+        entityType: 'user',
+        entityId: userId,
+        tenantId,
+        actorId: actor.userId,
+        oldValues: { status: user.status },
+        newValues: { status },
+        client: actor.client
+    });
+
+    const [member] = await listMembers(db, tenantId, userId);
+    return member;
+}
+
+// ============================================================================
+// INVITATIONS
+// ============================================================================
+
+function newInvitationToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, tokenHash: hashToken(token) };
+}
+
+function invitationStatus(row) {
+    return row.status === 'pending' && new Date(row.expires_at) <= new Date() ? 'expired' : row.status;
+}
+
+function formatInvitation(row) {
+    return {
+        id: row.id,
+        email: row.email,
+        role: row.role_id,
+        roleName: row.role_name,
+        domains: (row.scope && row.scope.domains) || [],
+        status: invitationStatus(row),
+        invitedBy: row.invited_by ? { id: row.invited_by, name: row.inviter_name } : null,
+        sendCount: row.send_count,
+        lastSentAt: row.last_sent_at,
+        expiresAt: row.expires_at,
+        acceptedAt: row.accepted_at,
+        revokedAt: row.revoked_at,
+        createdAt: row.created_at
+    };
+}
+
+const INVITATION_SELECT = `
+    SELECT i.*, r.name AS role_name, inviter.name AS inviter_name, t.name AS tenant_name
+    FROM team_invitations i
+    JOIN roles r ON r.id = i.role_id
+    JOIN tenants t ON t.id = i.tenant_id
+    LEFT JOIN users inviter ON inviter.id = i.invited_by
+`;
+
+/**
+ * Invitations of a tenant, newest first
+ * @param {object} db - Database client or pool
+ * @param {string} tenantId - Tenant ID
+ * @param {object} filter - { status } (pending, accepted, revoked or expired)
+ * @returns {Promise<array>} Invitations
+ */
+async function listInvitations(db, tenantId, { status = null } = {}) {
+    const result = await db.query(`
+        ${INVITATION_SELECT}
+        WHERE i.tenant_id = $1
+          AND (
+              $2::text IS NULL
+              OR ($2 = 'pending' AND i.status = 'pending' AND i.expires_at > NOW())
+              OR ($2 = 'expired' AND (i.status = 'expired' OR (i.status = 'pending' AND i.expires_at <= NOW())))
+              OR ($2 IN ('accepted', 'revoked') AND i.status = $2)
+          )
+        ORDER BY i.created_at DESC
+        LIMIT 200
+    `, [tenantId, status]);
+
+    return result.rows.map(formatInvitation);
+}
+
+async function findInvitation(db, where, value, forUpdate = false) {
+    const result = await db.query(`
+        ${INVITATION_SELECT}
+        WHERE ${where}
+        ${forUpdate ? 'FOR UPDATE OF i' : ''}
+    `, value);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Invite someone into the tenant
+ * @param {object} db - Database client (in a transaction)
+ * @param {string} tenantId - Caller's tenant
+ * @param {object} input - { email, roleId, domains }
+ * @param {object} actor - { userId, client }
+ * @returns {Promise<object>} { invitation (row with role_name, inviter_name, tenant_name), token }
+ */
+async function createInvitation(db, tenantId, { email, roleId, domains }, actor) {
+    const address = String(email || '').trim().toLowerCase();
+
+    if (!EMAIL_PATTERN.test(address)) {
+        throw new TeamError('A valid email is required');
+    }
+
+    const role = await requireAssignableRole(db, tenantId, roleId);
+    const scope = { domains: normalizeDomains(domains) };
+
+    const existingUser = await db.query('SELECT tenant_id FROM users WHERE email = $1', [address]);
+
+    if (existingUser.rows.length > 0) {
+        throw new TeamError(existingUser.rows[0].tenant_id === tenantId
+            ? 'This person is already a member of the team'
+            : 'This email already belongs to a REABEL account', 409);
+    }
+
+    await requireSeat(db, tenantId);
+
+    // An expired invitation no longer blocks a new one
+    await db.query(`
+        UPDATE team_invitations
+        SET status = 'expired', updated_at = NOW()
+        WHERE tenant_id = $1 AND email = $2 AND status = 'pending' AND expires_at <= NOW()
+    `, [tenantId, address]);
+
+    const { token, tokenHash } = newInvitationToken();
+
+    const inserted = await db.query(`
+        INSERT INTO team_invitations (id, tenant_id, email, role_id, scope, token_hash, invited_by, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + ($8 * INTERVAL '1 day'))
+        ON CONFLICT (tenant_id, email) WHERE status = 'pending' DO NOTHING
+        RETURNING id
+    `, [crypto.randomUUID(), tenantId, address, role.id, JSON.stringify(scope), tokenHash, actor.userId, INVITATION_TTL_DAYS]);
+
+    if (inserted.rows.length === 0) {
+        throw new TeamError('This email already has an open invitation; resend it instead', 409);
+    }
+
+    const invitation = await findInvitation(db, 'i.id = $1', [inserted.rows[0].id]);
+
+    await recordAudit(db, {
+        action: 'team.invitation_created',
+        entityType: 'team_invitation',
+        entityId: invitation.id,
+        tenantId,
+        actorId: actor.userId,
+        newValues: { email: address, role: role.id, domains: scope.domains },
+        client: actor.client
+    });
+
+    return { invitation, token };
+}
+
+async function lockPendingInvitation(db, tenantId, invitationId) {
+    const invitation = await findInvitation(db, 'i.id = $1 AND i.tenant_id = $2', [invitationId, tenantId], true);
+
+    if (!invitation) {
+        throw new TeamError('Invitation not found', 404);
+    }
+
+    if (invitation.status !== 'pending') {
+        throw new TeamError(`Invitation is already ${invitation.status}`, 409);
+    }
+
+    return invitation;
+}
+
+/**
+ * Queue the invitation email
+ * The link opens the signup page, which looks the invitation up and accepts it
+ * @param {object} db - Database client (the caller's transaction)
+ * @param {object} invitation - Invitation row with role_name, inviter_name, tenant_name
+ * @param {string} token - Plain invitation token
+ */
+async function sendInvitationEmail(db, invitation, token) {
+    await enqueueEmail(db, {
+        templateCode: 'team_invitation',
+        to: invitation.email,
+        tenantId: invitation.tenant_id,
+        data: {
+            inviter_name: invitation.inviter_name || 'A colleague',
+            tenant_name: invitation.tenant_name,
+            role_name: invitation.role_name,
+            accept_url: `${FRONTEND_URL}/pages/02_signup.html#inviteToken=${token}`,
+            valid_days: INVITATION_TTL_DAYS
+        }
+    });
+}
+
+/**
+ * Send a pending (or expired) invitation again with a fresh link and expiry
+ * @returns {Promise<object>} { invitation, token }
+ */
+async function resendInvitation(db, tenantId, invitationId, actor) {
+    await lockPendingInvitation(db, tenantId, invitationId);
+
+    const { token, tokenHash } = newInvitationToken();
+
+    await db.query(`
+        UPDATE team_invitations
+        SET token_hash = $2,
+            expires_at = NOW() + ($3 * INTERVAL '1 day'),
+            send_count = send_count + 1,
+            last_sent_at = NOW(),
+            updated_at = NOW()
+        WHERE id = $1
+    `, [invitationId, tokenHash, INVITATION_TTL_DAYS]);
+
+    const invitation = await findInvitation(db, 'i.id = $1', [invitationId]);
+
+    await recordAudit(db, {
+        action: 'team.invitation_resent',
+        entityType: 'team_invitation',
+        entityId: invitationId,
+        tenantId,
+        actorId: actor.userId,
+        newValues: { sendCount: invitation.send_count },
+        client: actor.client
+    });
+
+    return { invitation, token };
+}
+
+/**
+ * Withdraw a pending invitation; its link stops working
+ * @returns {Promise<object>} Invitation
+ */
+async function revokeInvitation(db, tenantId, invitationId, actor) {
+    await lockPendingInvitation(db, tenantId, invitationId);
+
+    await db.query(`
+        UPDATE team_invitations
+        SET status = 'revoked', revoked_at = NOW(), revoked_by = $2, updated_at = NOW()
+        WHERE id = $1
+    `, [invitationId, actor.userId]);
+
+    await recordAudit(db, {
+        action: 'team.invitation_revoked',
+        entityType: 'team_invitation',
+        entityId: invitationId,
+        tenantId,
+        actorId: actor.userId,
+        client: actor.client
+    });
+
+    return formatInvitation(await findInvitation(db, 'i.id = $1', [invitationId]));
+}
+
+/**
+ * Open invitation behind an emailed token
+ * @returns {Promise<object|null>} Invitation row, or null if unknown, used, revoked or expired
+ */
+async function findOpenInvitation(db, token, forUpdate = false) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    const invitation = await findInvitation(db, 'i.token_hash = $1', [hashToken(token)], forUpdate);
+
+    return invitation && invitationStatus(invitation) === 'pending' ? invitation : null;
+}
+
+/**
+ * Accept an invitation: create the user in the inviting tenant
+ * @param {object} db - Database client (in a transaction)
+ * @param {string} token - Token from the invitation link
+ * @param {object} account - { name, passwordHash }
+ * @param {object} client - clientInfo() of the request
+ * @returns {Promise<object>} { user, invitation }
+ */
+async function acceptInvitation(db, token, { name, passwordHash }, client) {
+    const invitation = await findOpenInvitation(db, token, true);
+
+    if (!invitation) {
+        throw new TeamError('Invalid or expired invitation');
+    }
+
+    const tenant = await db.query('SELECT is_active FROM tenants WHERE id = $1', [invitation.tenant_id]);
+
+    if (tenant.rows[0].is_active === false) {
+        throw new TeamError('This organization is no longer active', 403);
+    }
+
+    // The invitation's seat was already counted while it was pending
+    await requireSeat(db, invitation.tenant_id, { countInvitations: false });
+
+    const existing = await db.query('SELECT 1 FROM users WHERE email = $1', [invitation.email]);
+
+    if (existing.rows.length > 0) {
+        throw new TeamError('An account with this email already exists. Sign in instead.', 409);
+    }
+
+    const userResult = await db.query(`
+        INSERT INTO users (id, email, name, password_hash, tenant_id, default_role_id, status, email_verified)
+        VALUES ($1, $2, $3, $4, $5, $6, 'active', true)
+        RETURNING id, email, name, tenant_id, created_at
+    `, [crypto.randomUUID(), invitation.email, name, passwordHash, invitation.tenant_id, invitation.role_id]);
+
+    const user = userResult.rows[0];
+
+    await db.query(`
+        INSERT INTO user_roles (user_id, role_id, tenant_id, scope, is_primary, assigned_by)
+        VALUES ($1, $2, $3, $4, true, $5)
+    `, [user.id, invitation.role_id, invitation.tenant_id, JSON.stringify(invitation.scope || {}), invitation.invited_by]);
+
+    await db.query(`
+        UPDATE team_invitations
+        SET status = 'accepted', accepted_at = NOW(), accepted_user_id = $2, updated_at = NOW()
+        WHERE id = $1
+    `, [invitation.id, user.id]);
+
+    await recordAudit(db, {
+        action: 'team.invitation_accepted',
+        entityType: 'team_invitation',
+        entityId: invitation.id,
+        tenantId: invitation.tenant_id,
+        actorId: user.id,
+        newValues: { userId: user.id, role: invitation.role_id },
+        client
+    });
+
+    return { user, invitation };
+}
+
+module.exports = {
+    INVITATION_TTL_DAYS,
+    TeamError,
+    assignableRoles,
+    listMembers,
+    changeMemberRole,
+    setMemberActive,
+    formatInvitation,
+    listInvitations,
+    createInvitation,
+    resendInvitation,
+    revokeInvitation,
+    findOpenInvitation,
+    acceptInvitation,
+    sendInvitationEmail
+};
@@ -0,0 +1,581 @@
+/**
+ * Template Version Service (backend)
+ * Immutable template snapshots, assessment pinning and version migration
+ *
+ * template_dimensions / questions hold the editable working copy of a template.
+ * Publishing a version freezes that working copy into template_versions.snapshot;
+ * assessments are pinned to a version and never see later edits until migrated.
+ */
+
+const crypto = require('crypto');
+const { VERSION_PATTERN, QUESTION_METADATA_FIELDS, formatDimension, formatQuestion } = require('./templates');
+const { validateResponse, calculateScore } = require('./responses');
+
+class TemplateVersionError extends Error {
+    constructor(message, statusCode = 409) {
+        super(message);
+        this.name = 'TemplateVersionError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Freeze a template's working copy
+ * Archived dimensions and questions are left out
+ * @param {object} db - Pool or client
+ * @param {object} template - assessment_templates row
+ * @returns {Promise<object>} { template, dimensions, questions }
+ */
+async function buildSnapshot(db, template) {
+    const dimensions = await db.query(`
+        SELECT id, name, description, weight, sort_order, color, icon, key_areas
+        FROM template_dimensions
+        WHERE template_id = $1
+          AND archived_at IS NULL
+        ORDER BY sort_order, name
+    `, [template.id]);
+
+    const questions = await db.query(`
+        SELECT
+            q.id,
+            q.dimension_id,
+            q.question_text,
+            q.help_text,
+            q.question_type,
+            q.is_required,
+            q.options,
+            q.validation_rules,
+            q.scoring_rubric,
+            q.sort_order,
+            q.tags,
+            q.metadata
+        FROM questions q
+        JOIN template_dimensions td ON q.dimension_id = td.id
+        WHERE q.template_id = $1
+          AND q.archived_at IS NULL
+        ORDER BY td.sort_order, q.sort_order
+    `, [template.id]);
+
+    return {
+        template: {
+            name: template.name,
+            description: template.description,
+            category: template.category,
+            metadata: template.metadata || {}
+        },
+        dimensions: dimensions.rows.map(formatDimension),
+        questions: questions.rows.map(formatQuestion)
+    };
+}
+
+/**
+ * Next minor version label ('1.2' -> '1.3', '2' -> '2.1')
+ * @param {string} version - Version label
+ * @returns {string} Next label
+ */
+function nextVersion(version) {
+    const parts = String(version).split('.').map(Number);
+    if (parts.length === 1) parts.push(0);
+    parts[parts.length - 1] += 1;
+    return parts.join('.');
+}
+
+/**
+ * Publish the working copy as a new immutable version
+ * The template's version label then moves on to the next minor version
+ * @param {object} client - Transaction client (template row locked)
+ * @param {object} template - assessment_templates row
+ * @param {object} options
+ * @param {string} options.version - Label (default: the template's current version)
+ * @param {string} options.notes - Change notes
+ * @param {string} options.userId - Publishing user
+ * @returns {Promise<object>} template_versions row
+ */
+async function createVersion(client, template, { version = null, notes = null, userId = null } = {}) {
+    const label = String(version || template.version || '1.0');
+
+    if (!VERSION_PATTERN.test(label)) {
+        throw new TemplateVersionError('Version must look like 1, 1.2 or 1.2.3', 400);
+    }
+
+    const existing = await client.query(
+        'SELECT 1 FROM template_versions WHERE template_id = $1 AND version = $2',
+        [template.id, label]
+    );
+
+    if (existing.rows.length > 0) {
+        throw new TemplateVersionError(`Version ${label} already exists for this template`);
+    }
+
+    const snapshot = await buildSnapshot(client, template);
+
+    if (snapshot.dimensions.length === 0) {
+        throw new TemplateVersionError('A template needs at least one dimension before it can be versioned', 400);
+    }
+
+    const result = await client.query(`
+        INSERT INTO template_versions (id, template_id, version, snapshot, notes, created_by, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NOW())
+        RETURNING *
+    `, [crypto.randomUUID(), template.id, label, JSON.stringify(snapshot), notes, userId]);
+
+    await client.query(
+        'UPDATE assessment_templates SET version = $1, updated_at = NOW() WHERE id = $2',
+        [nextVersion(label), template.id]
+    );
+
+    return result.rows[0];
+}
+
+/**
+ * Load one version of a template
+ * @param {object} db - Pool or client
+ * @param {string} templateId - Template ID
+ * @param {string} versionId - Version ID
+ * @returns {Promise<object|null>} template_versions row
+ */
+async function findVersion(db, templateId, versionId) {
+    const result = await db.query(
+        'SELECT * FROM template_versions WHERE id = $1 AND template_id = $2',
+        [versionId, templateId]
+    );
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Load a version by id alone (for assessments pinned to it)
+ * @param {object} db - Pool or client
+ * @param {string} versionId - Version ID
+ * @returns {Promise<object|null>} template_versions row
+ */
+async function loadVersion(db, versionId) {
+    if (!versionId) return null;
+
+    const result = await db.query('SELECT * FROM template_versions WHERE id = $1', [versionId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Question as the assessment sees it: from its pinned template version,
+ * or from the template's working copy for assessments created before versioning
+ * @param {object} client - Database client
+ * @param {object} assessment - { template_id, template_version_id }
+ * @param {string} questionId - Question ID
+ * @returns {Promise<object|null>} Formatted question
+ */
+async function findAssessmentQuestion(client, assessment, questionId) {
+    const version = await loadVersion(client, assessment.template_version_id);
+
+    if (version) {
+        return version.snapshot.questions.find(q => q.id === questionId) || null;
+    }
+
+    const result = await client.query(
+        'SELECT * FROM questions WHERE id = $1 AND template_id = $2 AND archived_at IS NULL',
+        [questionId, assessment.template_id]
+    );
+
+    return result.rows.length > 0 ? formatQuestion(result.rows[0]) : null;
+}
+
+/**
+ * Latest version of a template, publishing the working copy if none exists yet
+ * @param {object} client - Transaction client
+ * @param {object} template - assessment_templates row
+ * @param {string|null} userId - User triggering the publish
+ * @returns {Promise<object>} template_versions row
+ */
+async function ensureVersion(client, template, userId = null) {
+    const result = await client.query(`
+        SELECT *
+        FROM template_versions
+        WHERE template_id = $1
+        ORDER BY created_at DESC
+        LIMIT 1
+    `, [template.id]);
+
+    if (result.rows.length > 0) {
+        return result.rows[0];
+    }
+
+    // Serialise concurrent first publishes of the same template
+    await client.query('SELECT id FROM assessment_templates WHERE id = $1 FOR UPDATE', [template.id]);
+    const retry = await client.query(
+        'SELECT * FROM template_versions WHERE template_id = $1 ORDER BY created_at DESC LIMIT 1',
+        [template.id]
+    );
+
+    return retry.rows[0] || createVersion(client, template, { notes: 'Published automatically on first use', userId });
+}
+
+/**
+ * Whether a dimension or question is part of any published version
+ * Such rows are archived instead of deleted so pinned assessments keep working
+ * @param {object} db - Pool or client
+ * @param {string} templateId - Template ID
+ * @param {string} collection - 'dimensions' or 'questions'
+ * @param {string} id - Row ID
+ * @returns {Promise<boolean>}
+ */
+async function isPublished(db, templateId, collection, id) {
+    const result = await db.query(`
+        SELECT 1
+        FROM template_versions
+        WHERE template_id = $1
+          AND snapshot->$2 @> jsonb_build_array(jsonb_build_object('id', $3::text))
+        LIMIT 1
+    `, [templateId, collection, id]);
+
+    return result.rows.length > 0;
+}
+
+/**
+ * Question text used for matching across versions
+ */
+function normalizeText(text) {
+    return String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Map each question of one snapshot onto another
+ * Order of preference: explicit mapping, same id, identical text (each target used once)
+ * @param {object} fromSnapshot - Older snapshot
+ * @param {object} toSnapshot - Newer snapshot
+ * @param {object} overrides - { <from_question_id>: <to_question_id> }
+ * @returns {Map} from_question_id -> { id, method } (unmapped questions are absent)
+ */
+function mapQuestions(fromSnapshot, toSnapshot, overrides = {}) {
+    const targets = new Map(toSnapshot.questions.map(q => [q.id, q]));
+    const claimed = new Set();
+    const mapping = new Map();
+
+    const claim = (fromId, toId, method) => {
+        mapping.set(fromId, { id: toId, method });
+        claimed.add(toId);
+    };
+
+    fromSnapshot.questions.forEach(q => {
+        const override = overrides[q.id];
+        if (override && targets.has(override) && !claimed.has(override)) {
+            claim(q.id, override, 'explicit');
+        }
+    });
+
+    fromSnapshot.questions.forEach(q => {
+        if (!mapping.has(q.id) && targets.has(q.id) && !claimed.has(q.id)) {
+            claim(q.id, q.id, 'id');
+        }
+    });
+
+    fromSnapshot.questions.forEach(q => {
+        if (mapping.has(q.id)) return;
+
+        const text = normalizeText(q.question_text);
+        const match = toSnapshot.questions.find(t => !claimed.has(t.id) && normalizeText(t.question_text) === text);
+        if (match) claim(q.id, match.id, 'text');
+    });
+
+    return mapping;
+}
+
+/**
+ * Diff two snapshots
+ * @param {object} fromSnapshot - Older snapshot
+ * @param {object} toSnapshot - Newer snapshot
+ * @param {object} overrides - Explicit question mapping
+ * @returns {object} { dimensions: { added, removed, renamed, changed }, questions: { added, removed, renamed, moved, changed } }
+ */
+function diffSnapshots(fromSnapshot, toSnapshot, overrides = {}) {
+    const fromDims = new Map(fromSnapshot.dimensions.map(d => [d.id, d]));
+    const toDims = new Map(toSnapshot.dimensions.map(d => [d.id, d]));
+    const dimensionName = id => (toDims.get(id) || fromDims.get(id) || {}).name || null;
+
+    const dimensions = { added: [], removed: [], renamed: [], changed: [] };
+
+    toSnapshot.dimensions.forEach(d => {
+        if (!fromDims.has(d.id)) dimensions.added.push({ id: d.id, name: d.name });
+    });
+
+    fromSnapshot.dimensions.forEach(d => {
+        const next = toDims.get(d.id);
+        if (!next) {
+            dimensions.removed.push({ id: d.id, name: d.name });
+            return;
+        }
+        if (next.name !== d.name) {
+            dimensions.renamed.push({ id: d.id, from: d.name, to: next.name });
+        }
+        const fields = ['weight', 'key_areas', 'sort_order'].filter(f => JSON.stringify(d[f]) !== JSON.stringify(next[f]));
+        if (fields.length > 0) {
+            dimensions.changed.push({ id: d.id, name: next.name, fields });
+        }
+    });
+
+    const mapping = mapQuestions(fromSnapshot, toSnapshot, overrides);
+    const toQuestions = new Map(toSnapshot.questions.map(q => [q.id, q]));
+    const mappedTargets = new Set([...mapping.values()].map(m => m.id));
+    const questions = { added: [], removed: [], renamed: [], moved: [], changed: [] };
+
+    fromSnapshot.questions.forEach(q => {
+        const target = mapping.get(q.id);
+        if (!target) {
+            questions.removed.push({ id: q.id, question_text: q.question_text, dimension: dimensionName(q.dimension_id) });
+            return;
+        }
+
+        const next = toQuestions.get(target.id);
+        const entry = { from_id: q.id, to_id: next.id, method: target.method };
+
+        if (normalizeText(next.question_text) !== normalizeText(q.question_text)) {
+            questions.renamed.push({ ...entry, from: q.question_text, to: next.question_text });
+        }
+        if (next.dimension_id !== q.dimension_id) {
+            questions.moved.push({ ...entry, from: dimensionName(q.dimension_id), to: dimensionName(next.dimension_id) });
+        }
+        const fields = ['question_type', 'options', 'scoring_rubric', 'validation_rules', 'is_required', ...QUESTION_METADATA_FIELDS]
+            .filter(f => JSON.stringify(q[f] ?? null) !== JSON.stringify(next[f] ?? null));
+        if (fields.length > 0) {
+            questions.changed.push({ ...entry, fields });
+        }
+    });
+
+    toSnapshot.questions.forEach(q => {
+        if (!mappedTargets.has(q.id)) {
+            questions.added.push({ id: q.id, question_text: q.question_text, dimension: dimensionName(q.dimension_id) });
+        }
+    });
+
+    return { dimensions, questions };
+}
+
+/**
+ * Build an assessment's dimension state from a snapshot
+ * Dimensions that already exist on the assessment keep their progress and assignee
+ * @param {object} snapshot - Version snapshot
+ * @param {array} current - Existing assessment dimensions (optional)
+ * @returns {array} Dimension objects
+ */
+function snapshotDimensions(snapshot, current = []) {
+    const existing = new Map(current.map(d => [d.id, d]));
+
+    return snapshot.dimensions.map(dim => {
+        const questionsTotal = snapshot.questions.filter(q => q.dimension_id === dim.id).length;
+        const previous = existing.get(dim.id);
+
+        return {
+            id: dim.id,
+            name: dim.name,
+            description: dim.description,
+            weight: dim.weight !== null && dim.weight !== undefined ? Number(dim.weight) : 1.0,
+            score: previous ? previous.score : null,
+            max_score: previous ? previous.max_score || 5 : 5,
+            percentage: previous ? previous.percentage : null,
+            status: previous ? previous.status : 'not_started',
+            questions_total: questionsTotal,
+            questions_answered: previous ? Math.min(previous.questions_answered || 0, questionsTotal) : 0,
+            assigned_to: previous ? previous.assigned_to : null,
+            color: dim.color || '#48A9A6',
+            icon: dim.icon || 'target'
+        };
+    });
+}
+
+/**
+ * Move an assessment to another version of its template
+ * Responses follow mapped questions; answers that no longer validate drop back
+ * to draft; responses without a target question, or whose target the same user
+ * has already answered, are reported as orphans and left untouched
+ * @param {object} client - Transaction client (assessment row locked)
+ * @param {object} assessment - assessments row
+ * @param {object} fromSnapshot - Snapshot the assessment is on
+ * @param {object} toVersion - Target template_versions row
+ * @param {object} options
+ * @param {object} options.mapping - Explicit { from_question_id: to_question_id }
+ * @param {boolean} options.dryRun - Report without writing
+ * @param {string} options.userId - Migrating user
+ * @returns {Promise<object>} Migration report
+ */
+async function migrateAssessment(client, assessment, fromSnapshot, toVersion, { mapping = {}, dryRun = false, userId = null } = {}) {
+    const toSnapshot = toVersion.snapshot;
+    const questionMap = mapQuestions(fromSnapshot, toSnapshot, mapping);
+    const toQuestions = new Map(toSnapshot.questions.map(q => [q.id, q]));
+
+    const report = {
+        from_version_id: assessment.template_version_id || null,
+        to_version_id: toVersion.id,
+        to_version: toVersion.version,
+        dry_run: dryRun,
+        carried: [],
+        remapped: [],
+        rescored: [],
+        needs_resubmission: [],
+        orphans: [],
+        dimensions: diffSnapshots(fromSnapshot, toSnapshot, mapping).dimensions
+    };
+
+    const responses = await client.query(
+        'SELECT * FROM assessment_responses WHERE assessment_id = $1 ORDER BY updated_at DESC',
+        [assessment.id]
+    );
+
+    const targetOf = response => questionMap.get(response.question_id)
+        || (toQuestions.has(response.question_id) ? { id: response.question_id, method: 'id' } : null);
+    const slot = (userId, questionId) => `${userId}:${questionId}`;
+
+    // One response per question and user: the one already on the target
+    // question wins, otherwise the most recent
+    const winners = new Map();
+    for (const response of responses.rows) {
+        const target = targetOf(response);
+        if (!target) continue;
+
+        const key = slot(response.user_id, target.id);
+        const current = winners.get(key);
+        if (!current || (response.question_id === target.id && current.response.question_id !== target.id)) {
+            winners.set(key, { response, target });
+        }
+    }
+
+    // Responses left behind keep their question, so nothing may move onto it;
+    // a winner blocked that way stays behind too, which can block another
+    const placed = new Map([...winners.values()].map(plan => [plan.response.id, plan]));
+    const blocked = new Set();
+    let settled = false;
+
+    while (!settled) {
+        settled = true;
+        const occupied = new Set(responses.rows
+            .filter(response => !placed.has(response.id))
+            .map(response => slot(response.user_id, response.question_id)));
+
+        for (const [id, plan] of placed) {
+            if (occupied.has(slot(plan.response.user_id, plan.target.id))) {
+                placed.delete(id);
+                blocked.add(id);
+                settled = false;
+            }
+        }
+    }
+
+    const updates = [];
+
+    for (const response of responses.rows) {
+        const plan = placed.get(response.id);
+
+        if (!plan) {
+            const target = targetOf(response);
+            const winner = target && winners.get(slot(response.user_id, target.id));
+
+            let reason = 'question_removed';
+            if (blocked.has(response.id) || (winner && winner.response.question_id === target.id)) reason = 'target_answered';
+            else if (target) reason = 'duplicate_target';
+
+            report.orphans.push({
+                response_id: response.id,
+                question_id: response.question_id,
+                user_id: response.user_id,
+                reason
+            });
+            continue;
+        }
+
+        const { target } = plan;
+        const question = toQuestions.get(target.id);
+        let status = response.status;
+        let score = response.score !== null ? Number(response.score) : null;
+
+        if (status === 'submitted' || status === 'approved') {
+            const responseData = { text: response.response_text, data: response.response_data };
+
+            try {
+                validateResponse(question, responseData);
+
+                // Reviewer-approved scores stand; pending submissions follow the new rubric
+                if (status === 'submitted') {
+                    const newScore = calculateScore(question, responseData);
+                    if (newScore !== score) {
+                        report.rescored.push({ response_id: response.id, from: score, to: newScore });
+                        score = newScore;
+                    }
+                }
+            } catch (error) {
+                report.needs_resubmission.push({ response_id: response.id, question_id: target.id, reason: error.message });
+                status = 'draft';
+                score = null;
+            }
+        }
+
+        if (target.id !== response.question_id) {
+            report.remapped.push({
+                response_id: response.id,
+                from_question_id: response.question_id,
+                to_question_id: target.id,
+                method: target.method
+            });
+        } else {
+            report.carried.push(response.id);
+        }
+
+        updates.push({ id: response.id, questionId: target.id, status, score });
+    }
+
+    if (!dryRun) {
+        // Park moving responses first so swapped questions never share a row
+        // under UNIQUE (assessment_id, question_id, user_id)
+        await client.query(
+            'UPDATE assessment_responses SET question_id = NULL WHERE id = ANY($1)',
+            [report.remapped.map(entry => entry.response_id)]
+        );
+
+        for (const update of updates) {
+            await client.query(`
+                UPDATE assessment_responses
+                SET question_id = $1, status = $2, score = $3, version = version + 1, updated_at = NOW()
+                WHERE id = $4
+            `, [update.questionId, update.status, update.score, update.id]);
+        }
+    }
+
+    if (!dryRun) {
+        const metadata = assessment.metadata || {};
+        const history = metadata.template_migrations || [];
+
+        await client.query(`
+            UPDATE assessments
+            SET template_version_id = $1, dimensions = $2, metadata = $3, updated_at = NOW()
+            WHERE id = $4
+        `, [
+            toVersion.id,
+            JSON.stringify(snapshotDimensions(toSnapshot, assessment.dimensions || [])),
+            JSON.stringify({
+                ...metadata,
+                template_migrations: [...history, {
+                    from_version_id: report.from_version_id,
+                    to_version_id: toVersion.id,
+                    migrated_at: new Date().toISOString(),
+                    migrated_by: userId,
+                    orphans: report.orphans.length
+                }]
+            }),
+            assessment.id
+        ]);
+    }
+
+    return report;
+}
+
+module.exports = {
+    TemplateVersionError,
+    buildSnapshot,
+    createVersion,
+    findVersion,
+    loadVersion,
+    findAssessmentQuestion,
+    ensureVersion,
+    isPublished,
+    mapQuestions,
+    diffSnapshots,
+    snapshotDimensions,
+    migrateAssessment
+};
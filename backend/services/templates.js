@@ -0,0 +1,183 @@
+/**
+ * Template Service (backend)
+ * Shared lookups for assessment templates, dimensions and questions
+ *
+ * Visibility: public templates plus the caller's own (tenant templates for
+ * tenant users, platform templates with no tenant for platform staff).
+ * Only the owning tenant (or platform staff, for platform templates) may edit.
+ */
+
+const VERSION_PATTERN = /^\d+(\.\d+){0,2}$/;
+const QUESTION_TYPES = ['text', 'multiple_choice', 'scale', 'matrix'];
+
+// Question settings kept in questions.metadata but exposed at the top level,
+// where QuestionService reads them
+const QUESTION_METADATA_FIELDS = ['scale_min', 'scale_max', 'matrix_rows', 'key_area'];
+
+/**
+ * SQL condition for templates the caller may read: their own and published platform templates
+ * @param {object} partner - req.partner
+ * @param {array} params - Query params (the tenant is appended)
+ * @param {string} alias - Template table alias
+ * @returns {string} SQL condition
+ */
+function visibleTemplateCondition(partner, params, alias = 't') {
+    params.push(partner.tenantId || null);
+    return `((${alias}.is_public = true AND ${alias}.tenant_id IS NULL) OR ${alias}.tenant_id IS NOT DISTINCT FROM $${params.length})`;
+}
+
+/**
+ * Load a template the caller may read
+ * @param {object} db - Pool or client
+ * @param {string} id - Template ID
+ * @param {object} partner - req.partner
+ * @returns {Promise<object|null>} Template row
+ */
+async function findTemplate(db, id, partner) {
+    const params = [id];
+    const visible = visibleTemplateCondition(partner, params);
+    const result = await db.query(
+        `SELECT t.* FROM assessment_templates t WHERE t.id = $1 AND ${visible}`,
+        params
+    );
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Load a template the caller may edit, locking it for the transaction
+ * @param {object} client - Transaction client
+ * @param {string} id - Template ID
+ * @param {object} partner - req.partner
+ * @returns {Promise<object|null>} Template row
+ */
+async function findEditableTemplate(client, id, partner) {
+    const result = await client.query(`
+        SELECT *
+        FROM assessment_templates
+        WHERE id = $1
+          AND tenant_id IS NOT DISTINCT FROM $2
+        FOR UPDATE
+    `, [id, partner.tenantId || null]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Load a template's dimensions in display order
+ * @param {object} db - Pool or client
+ * @param {string} templateId - Template ID
+ * @returns {Promise<array>} Formatted dimensions
+ */
+async function loadDimensions(db, templateId) {
+    const result = await db.query(`
+        SELECT
+            td.*,
+            (SELECT COUNT(*) FROM questions q WHERE q.dimension_id = td.id AND q.archived_at IS NULL) AS questions_count
+        FROM template_dimensions td
+        WHERE td.template_id = $1
+          AND td.archived_at IS NULL
+        ORDER BY td.sort_order, td.name
+    `, [templateId]);
+
+    return result.rows.map(formatDimension);
+}
+
+/**
+ * Renumber sort_order to match an ordered list of ids
+ * Every id must belong to the scope; rows not listed keep their relative order after them
+ * Archived rows are not part of the order
+ * @param {object} client - Transaction client
+ * @param {string} table - 'template_dimensions' or 'questions'
+ * @param {string} scopeColumn - Column the ids must share ('template_id' or 'dimension_id')
+ * @param {string} scopeId - Value of scopeColumn
+ * @param {array} order - Ordered ids
+ * @returns {Promise<boolean>} False if an id is outside the scope
+ */
+async function applySortOrder(client, table, scopeColumn, scopeId, order) {
+    const result = await client.query(
+        `SELECT id FROM ${table} WHERE ${scopeColumn} = $1 AND archived_at IS NULL ORDER BY sort_order, id`,
+        [scopeId]
+    );
+
+    const existing = result.rows.map(row => row.id);
+    if (!order.every(id => existing.includes(id))) {
+        return false;
+    }
+
+    const ordered = [...new Set(order), ...existing.filter(id => !order.includes(id))];
+
+    for (let i = 0; i < ordered.length; i++) {
+        await client.query(`UPDATE ${table} SET sort_order = $1 WHERE id = $2`, [i + 1, ordered[i]]);
+    }
+
+    return true;
+}
+
+/**
+ * Shape a template row the way templates.json describes templates
+ * Display metadata (icon, color, framework...) is lifted to the top level
+ * @param {object} row - Database row
+ * @param {array} dimensions - Optional formatted dimensions
+ * @returns {object} Template
+ */
+function formatTemplate(row, dimensions) {
+    const template = {
+        ...(row.metadata || {}),
+        ...row,
+        metadata: row.metadata || {}
+    };
+
+    if (row.dimensions_count !== undefined) template.dimensions_count = parseInt(row.dimensions_count, 10);
+    if (row.questions_count !== undefined) template.questions_count = parseInt(row.questions_count, 10);
+    if (dimensions) template.dimensions = dimensions;
+
+    return template;
+}
+
+/**
+ * Shape a dimension row
+ * @param {object} row - Database row
+ * @returns {object} Dimension
+ */
+function formatDimension(row) {
+    const dimension = {
+        ...row,
+        weight: row.weight !== null ? Number(row.weight) : 1.0,
+        key_areas: row.key_areas || []
+    };
+
+    if (row.questions_count !== undefined) dimension.questions_count = parseInt(row.questions_count, 10);
+
+    return dimension;
+}
+
+/**
+ * Shape a question row the way questions.json describes questions
+ * @param {object} row - Database row
+ * @returns {object} Question
+ */
+function formatQuestion(row) {
+    const metadata = row.metadata || {};
+    const question = { ...row, metadata };
+
+    QUESTION_METADATA_FIELDS.forEach(field => {
+        if (metadata[field] !== undefined) question[field] = metadata[field];
+    });
+
+    return question;
+}
+
+module.exports = {
+    VERSION_PATTERN,
+    QUESTION_TYPES,
+    QUESTION_METADATA_FIELDS,
+    visibleTemplateCondition,
+    findTemplate,
+    findEditableTemplate,
+    loadDimensions,
+    applySortOrder,
+    formatTemplate,
+    formatDimension,
+    formatQuestion
+};
@@ -0,0 +1,590 @@
+/**
+ * Tenant Service (backend)
+ * Provisioning, suspension, plan limits and support sessions for REABEL staff
+ *
+ * Plan limits are optional caps on a tenant (NULL means unlimited):
+ *   max_seats               active users plus pending invitations
+ *   max_active_assessments  assessments not yet in a final workflow state
+ * They are checked when something would add to the count (seatsLeft() and
+ * activeAssessmentsLeft(), under a lock on the tenant row); lowering a limit
+ * below current usage blocks new additions but removes nothing.
+ *
+ * Suspending a tenant stops its users from signing in and ends their sessions.
+ *
+ * A support session lets a CSM view one tenant through a separate access token
+ * carrying supportSessionId. It is read-only, confined to that tenant and ends
+ * at expires_at, when the CSM ends it or when their own session ends
+ * (authenticateToken checks all three). Starting and ending are audited
+ * against the viewed tenant, so its admins can see who looked and why.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET } = require('../middleware/auth');
+const { recordAudit } = require('./audit');
+
+const SUPPORT_SESSION_DEFAULT_MINUTES = 30;
+const SUPPORT_SESSION_MAX_MINUTES = 120;
+
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,98}[a-z0-9])?$/;
+const MIN_REASON_LENGTH = 10;
+
+class TenantError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'TenantError';
+        this.statusCode = statusCode;
+    }
+}
+
+// ============================================================================
+// TENANTS AND USAGE
+// ============================================================================
+
+const TENANT_SELECT = `
+    SELECT
+        t.*,
+        su.name AS suspended_by_name,
+        (SELECT COUNT(*)::int FROM users u WHERE u.tenant_id = t.id AND u.status = 'active') AS active_users,
+        (SELECT COUNT(*)::int FROM users u WHERE u.tenant_id = t.id) AS total_users,
+        (SELECT COUNT(*)::int FROM team_invitations i
+         WHERE i.tenant_id = t.id AND i.status = 'pending' AND i.expires_at > NOW()) AS pending_invitations,
+        (SELECT MAX(u.last_login) FROM users u WHERE u.tenant_id = t.id) AS last_login_at,
+        usage.total_assessments,
+        usage.active_assessments
+    FROM tenants t
+    LEFT JOIN users su ON su.id = t.suspended_by
+    CROSS JOIN LATERAL tenant_assessment_usage(t.id) usage
+`;
+
+function formatTenant(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        slug: row.slug,
+        plan: row.subscription_tier,
+        isActive: row.is_active !== false,
+        suspendedAt: row.suspended_at,
+        suspendedReason: row.suspended_reason,
+        suspendedBy: row.suspended_by_name || null,
+        limits: {
+            maxSeats: row.max_seats,
+            maxActiveAssessments: row.max_active_assessments
+        },
+        usage: {
+            seats: row.active_users + row.pending_invitations,
+            activeUsers: row.active_users,
+            totalUsers: row.total_users,
+            pendingInvitations: row.pending_invitations,
+            activeAssessments: row.active_assessments,
+            totalAssessments: row.total_assessments,
+            lastLoginAt: row.last_login_at
+        },
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Tenants with usage, by name
+ * @param {object} db - Database client or pool
+ * @param {object} filter - { search (name or slug), status ('active' or 'suspended') }
+ * @returns {Promise<array>} Tenants
+ */
+async function listTenants(db, { search = null, status = null } = {}) {
+    const result = await db.query(`
+        ${TENANT_SELECT}
+        WHERE ($1::text IS NULL OR t.name ILIKE $1 OR t.slug ILIKE $1)
+          AND ($2::text IS NULL OR ($2 = 'active') = COALESCE(t.is_active, true))
+        ORDER BY t.name, t.created_at
+        LIMIT 500
+    `, [search ? `%${search}%` : null, status]);
+
+    return result.rows.map(formatTenant);
+}
+
+/**
+ * One tenant with usage
+ * @returns {Promise<object|null>} Tenant
+ */
+async function findTenant(db, tenantId) {
+    const result = await db.query(`${TENANT_SELECT} WHERE t.id = $1`, [tenantId]);
+    return result.rows.length > 0 ? formatTenant(result.rows[0]) : null;
+}
+
+/**
+ * Lock a tenant row for an update
+ * Limit checks take the same lock, so concurrent additions can't overshoot a limit
+ * @throws {TenantError} 404 when the tenant does not exist
+ */
+async function lockTenant(db, tenantId) {
+    const result = await db.query('SELECT * FROM tenants WHERE id = $1 FOR UPDATE', [tenantId]);
+
+    if (result.rows.length === 0) {
+        throw new TenantError('Tenant not found', 404);
+    }
+
+    return result.rows[0];
+}
+
+/**
+ * Validate a plan limit: a non-negative integer, or null for unlimited
+ */
+function normalizeLimit(value, field) {
+    if (value === null || value === '') {
+        return null;
+    }
+
+    const limit = Number(value);
+
+    if (!Number.isInteger(limit) || limit < 0) {
+        throw new TenantError(`${field} must be a whole number of 0 or more, or null for unlimited`);
+    }
+
+    return limit;
+}
+
+function normalizePlan(plan) {
+    if (plan === undefined || plan === null || plan === '') {
+        return null;
+    }
+
+    const value = String(plan).trim();
+
+    if (value.length > 50) {
+        throw new TenantError('plan must be at most 50 characters');
+    }
+
+    return value || null;
+}
+
+/**
+ * Create a tenant
+ * @param {object} db - Database client (in a transaction)
+ * @param {object} input - { name, slug, plan, maxSeats, maxActiveAssessments }
+ * @param {object} actor - { userId, client }
+ * @returns {Promise<object>} Tenant
+ */
+async function createTenant(db, { name, slug, plan, maxSeats = null, maxActiveAssessments = null }, actor) {
+    const tenantName = String(name || '').trim();
+
+    if (tenantName.length < 2) {
+        throw new TenantError('name must be at least 2 characters');
+    }
+
+    const tenantSlug = slug ? String(slug).trim().toLowerCase() : null;
+
+    if (tenantSlug && !SLUG_PATTERN.test(tenantSlug)) {
+        throw new TenantError('slug may only contain lowercase letters, digits and hyphens');
+    }
+
+    const values = {
+        plan: normalizePlan(plan),
+        maxSeats: normalizeLimit(maxSeats, 'maxSeats'),
+        maxActiveAssessments: normalizeLimit(maxActiveAssessments, 'maxActiveAssessments')
+    };
+
+    const inserted = await db.query(`
+        INSERT INTO tenants (id, name, slug, subscription_tier, max_seats, max_active_assessments, settings, is_active)
+        VALUES ($1, $2, $3, $4, $5, $6, '{}', true)
+        ON CONFLICT (slug) DO NOTHING
+        RETURNING id
+    `, [crypto.randomUUID(), tenantName, tenantSlug, values.plan, values.maxSeats, values.maxActiveAssessments]);
+
+    if (inserted.rows.length === 0) {
+        throw new TenantError(`The slug "${tenantSlug}" is already taken`, 409);
+    }
+
+    const tenantId = inserted.rows[0].id;
+
+    await recordAudit(db, {
+        action: 'tenant.created',
+        entityType: 'tenant',
+        entityId: tenantId,
+        tenantId,
+        actorId: actor.userId,
+        newValues: { name: tenantName, slug: tenantSlug, ...values },
+        client: actor.client
+    });
+
+    return findTenant(db, tenantId);
+}
+
+/**
+ * Change a tenant's plan and limits
+ * Fields left out of the input keep their value; null removes a limit
+ * @param {object} db - Database client (in a transaction)
+ * @param {string} tenantId - Tenant ID
+ * @param {object} input - { plan, maxSeats, maxActiveAssessments }
+ * @param {object} actor - { userId, client }
+ * @returns {Promise<object>} Tenant
+ */
+async function updateTenantLimits(db, tenantId, input, actor) {
+    const tenant = await lockTenant(db, tenantId);
+
+    const before = {
+        plan: tenant.subscription_tier,
+        maxSeats: tenant.max_seats,
+        maxActiveAssessments: tenant.max_active_assessments
+    };
+
+    const after = {
+        plan: input.plan !== undefined ? normalizePlan(input.plan) : before.plan,
+        maxSeats: input.maxSeats !== undefined ? normalizeLimit(input.maxSeats, 'maxSeats') : before.maxSeats,
+        maxActiveAssessments: input.maxActiveAssessments !== undefined
+            ? normalizeLimit(input.maxActiveAssessments, 'maxActiveAssessments')
+            : before.maxActiveAssessments
+    };
+
+    await db.query(`
+        UPDATE tenants
+        SET subscription_tier = $2, max_seats = $3, max_active_assessments = $4, updated_at = NOW()
+        WHERE id = $1
+    `, [tenantId, after.plan, after.maxSeats, after.maxActiveAssessments]);
+
+    await recordAudit(db, {
+        action: 'tenant.limits_changed',
+        entityType: 'tenant',
+        entityId: tenantId,
+        tenantId,
+        actorId: actor.userId,
+        oldValues: before,
+        newValues: after,
+        client: actor.client
+    });
+
+    return findTenant(db, tenantId);
+}
+
+/**
+ * Suspend or reactivate a tenant
+ * Suspension ends every session of the tenant's users; they can't sign in until reactivated
+ * @param {object} db - Database client (in a transaction)
+ * @param {string} tenantId - Tenant ID
+ * @param {object} change - { active, reason } (a reason is required to suspend)
+ * @param {object} actor - { userId, tenantId, client }
+ * @returns {Promise<object>} Tenant
+ */
+async function setTenantActive(db, tenantId, { active, reason }, actor) {
+    if (!active && tenantId === actor.tenantId) {
+        throw new TenantError('You cannot suspend your own organization');
+    }
+
+    const tenant = await lockTenant(db, tenantId);
+
+    if ((tenant.is_active !== false) === active) {
+        throw new TenantError(active ? 'Tenant is already active' : 'Tenant is already suspended', 409);
+    }
+
+    const suspendedReason = String(reason || '').trim();
+
+    if (!active && !suspendedReason) {
+        throw new TenantError('A reason is required to suspend a tenant');
+    }
+
+    if (active) {
+        await db.query(`
+            UPDATE tenants
+            SET is_active = true, suspended_at = NULL, suspended_reason = NULL, suspended_by = NULL, updated_at = NOW()
+            WHERE id = $1
+        `, [tenantId]);
+    } else {
+        await db.query(`
+            UPDATE tenants
+            SET is_active = false, suspended_at = NOW(), suspended_reason = $2, suspended_by = $3, updated_at = NOW()
+            WHERE id = $1
+        `, [tenantId, suspendedReason, actor.userId]);
+
+        await db.query(`
+            UPDATE auth_sessions
+            SET revoked_at = NOW(), revoked_reason = 'tenant_suspended'
+            WHERE revoked_at IS NULL
+              AND user_id IN (SELECT id FROM users WHERE tenant_id = $1)
+        `, [tenantId]);
+    }
+
+    await recordAudit(db, {
+        action: active ? 'tenant.reactivated' : 'tenant.suspended',
+        entityType: 'tenant',
+        entityId: tenantId,
+        tenantId,
+        actorId: actor.userId,
+        oldValues: { isActive: !active, suspendedReason: tenant.suspended_reason },
+        newValues: active ? { isActive: true } : { isActive: false, suspendedReason },
+        client: actor.client
+    });
+
+    return findTenant(db, tenantId);
+}
+
+// ============================================================================
+// PLAN LIMITS
+// ============================================================================
+
+/**
+ * Seats a tenant has left
+ * Takes a lock on the tenant row, so call it in the transaction that adds the seat
+ * @param {object} db - Database client (in a transaction)
+ * @param {string} tenantId - Tenant ID
+ * @param {object} options - { countInvitations } (false when accepting an invitation,
+ *                           whose seat is already counted as pending)
+ * @returns {Promise<object>} { limit, used, left } (left is Infinity without a limit)
+ */
+async function seatsLeft(db, tenantId, { countInvitations = true } = {}) {
+    const tenant = await lockTenant(db, tenantId);
+
+    if (tenant.max_seats === null) {
+        return { limit: null, used: null, left: Infinity };
+    }
+
+    const result = await db.query(`
+        SELECT
+            (SELECT COUNT(*)::int FROM users WHERE tenant_id = $1 AND status = 'active')
+            + CASE WHEN $2 THEN (
+                SELECT COUNT(*)::int FROM team_invitations
+                WHERE tenant_id = $1 AND status = 'pending' AND expires_at > NOW()
+            ) ELSE 0 END AS used
+    `, [tenantId, countInvitations]);
+
+    const used = result.rows[0].used;
+
+    return { limit: tenant.max_seats, used, left: Math.max(tenant.max_seats - used, 0) };
+}
+
+/**
+ * Active assessments a tenant may still start
+ * Takes a lock on the tenant row, so call it in the transaction that creates the assessment
+ * @returns {Promise<object>} { limit, used, left } (left is Infinity without a limit)
+ */
+async function activeAssessmentsLeft(db, tenantId) {
+    const tenant = await lockTenant(db, tenantId);
+
+    if (tenant.max_active_assessments === null) {
+        return { limit: null, used: null, left: Infinity };
+    }
+
+    const result = await db.query('SELECT active_assessments FROM tenant_assessment_usage($1)', [tenantId]);
+    const used = result.rows[0].active_assessments;
+
+    return {
+        limit: tenant.max_active_assessments,
+        used,
+        left: Math.max(tenant.max_active_assessments - used, 0)
+    };
+}
+
+// ============================================================================
+// SUPPORT SESSIONS
+// ============================================================================
+
+const SUPPORT_SESSION_SELECT = `
+    SELECT s.*, t.name AS tenant_name, u.name AS user_name, u.email AS user_email, r.name AS role_name
+    FROM support_sessions s
+    JOIN tenants t ON t.id = s.tenant_id
+    JOIN users u ON u.id = s.user_id
+    LEFT JOIN roles r ON r.id = s.role_id
+`;
+
+function supportSessionStatus(row) {
+    if (row.ended_at) {
+        return 'ended';
+    }
+    return new Date(row.expires_at) <= new Date() ? 'expired' : 'active';
+}
+
+function formatSupportSession(row) {
+    return {
+        id: row.id,
+        tenantId: row.tenant_id,
+        tenantName: row.tenant_name,
+        userId: row.user_id,
+        userName: row.user_name,
+        userEmail: row.user_email,
+        role: row.role_id,
+        roleName: row.role_name,
+        reason: row.reason,
+        status: supportSessionStatus(row),
+        startedAt: row.started_at,
+        expiresAt: row.expires_at,
+        lastUsedAt: row.last_used_at,
+        endedAt: row.ended_at
+    };
+}
+
+/**
+ * Support sessions, newest first
+ * @param {object} db - Database client or pool
+ * @param {object} filter - { tenantId, userId, activeOnly }
+ * @returns {Promise<array>} Support sessions
+ */
+async function listSupportSessions(db, { tenantId = null, userId = null, activeOnly = false } = {}) {
+    const result = await db.query(`
+        ${SUPPORT_SESSION_SELECT}
+        WHERE ($1::uuid IS NULL OR s.tenant_id = $1)
+          AND ($2::uuid IS NULL OR s.user_id = $2)
+          AND (NOT $3 OR (s.ended_at IS NULL AND s.expires_at > NOW()))
+        ORDER BY s.started_at DESC
+        LIMIT 100
+    `, [tenantId, userId, activeOnly]);
+
+    return result.rows.map(formatSupportSession);
+}
+
+/**
+ * Start viewing a tenant
+ * Any support session the caller still has open is ended first: one tenant at a time
+ * @param {object} db - Database client (in a transaction)
+ * @param {string} tenantId - Tenant to view
+ * @param {object} input - { reason, durationMinutes }
+ * @param {object} actor - { userId, roleId, email, sessionId, client }
+ * @returns {Promise<object>} { supportSession, token, expiresAt } (token is the support access token)
+ */
+async function startSupportSession(db, tenantId, { reason, durationMinutes }, actor) {
+    const supportReason = String(reason || '').trim();
+
+    if (supportReason.length < MIN_REASON_LENGTH) {
+        throw new TenantError(`Describe why you need access (at least ${MIN_REASON_LENGTH} characters); the customer can see it`);
+    }
+
+    const minutes = durationMinutes === undefined || durationMinutes === null || durationMinutes === ''
+        ? SUPPORT_SESSION_DEFAULT_MINUTES
+        : Number(durationMinutes);
+
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > SUPPORT_SESSION_MAX_MINUTES) {
+        throw new TenantError(`durationMinutes must be between 1 and ${SUPPORT_SESSION_MAX_MINUTES}`);
+    }
+
+    if (!actor.sessionId) {
+        throw new TenantError('Sign in again to start a support session', 401);
+    }
+
+    const tenant = await db.query('SELECT id FROM tenants WHERE id = $1', [tenantId]);
+
+    if (tenant.rows.length === 0) {
+        throw new TenantError('Tenant not found', 404);
+    }
+
+    const previous = await db.query(`
+        UPDATE support_sessions
+        SET ended_at = NOW(), ended_by = $1
+        WHERE user_id = $1 AND ended_at IS NULL AND expires_at > NOW()
+        RETURNING id, tenant_id
+    `, [actor.userId]);
+
+    for (const session of previous.rows) {
+        await recordAudit(db, {
+            action: 'support_session.ended',
+            entityType: 'support_session',
+            entityId: session.id,
+            tenantId: session.tenant_id,
+            actorId: actor.userId,
+            newValues: { endedBecause: 'replaced' },
+            client: actor.client
+        });
+    }
+
+    const inserted = await db.query(`
+        INSERT INTO support_sessions (
+            id, tenant_id, user_id, auth_session_id, role_id, reason, expires_at, ip_address, user_agent
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, NOW() + ($7 * INTERVAL '1 minute'), $8, $9)
+        RETURNING id
+    `, [
+        crypto.randomUUID(),
+        tenantId,
+        actor.userId,
+        actor.sessionId,
+        actor.roleId,
+        supportReason,
+        minutes,
+        actor.client.ipAddress || null,
+        actor.client.userAgent || null
+    ]);
+
+    const result = await db.query(`${SUPPORT_SESSION_SELECT} WHERE s.id = $1`, [inserted.rows[0].id]);
+    const supportSession = formatSupportSession(result.rows[0]);
+
+    await recordAudit(db, {
+        action: 'support_session.started',
+        entityType: 'support_session',
+        entityId: supportSession.id,
+        tenantId,
+        actorId: actor.userId,
+        newValues: { reason: supportReason, role: actor.roleId, expiresAt: supportSession.expiresAt },
+        client: actor.client
+    });
+
+    const expiresAt = new Date(supportSession.expiresAt);
+
+    const token = jwt.sign(
+        {
+            userId: actor.userId,
+            tenantId,
+            roleId: actor.roleId,
+            roles: [actor.roleId],
+            email: actor.email,
+            sessionId: actor.sessionId,
+            supportSessionId: supportSession.id
+        },
+        JWT_SECRET,
+        { expiresIn: Math.max(Math.floor((expiresAt.getTime() - Date.now()) / 1000), 1) }
+    );
+
+    return { supportSession, token, expiresAt: expiresAt.getTime() };
+}
+
+/**
+ * End a support session; its access token stops working
+ * @param {object} db - Database client (in a transaction)
+ * @param {string} supportSessionId - Support session ID
+ * @param {object} actor - { userId, client }
+ * @param {boolean} any - Whether the actor may end other staff members' sessions
+ * @returns {Promise<object>} Support session
+ */
+async function endSupportSession(db, supportSessionId, actor, any = false) {
+    const result = await db.query(`
+        UPDATE support_sessions
+        SET ended_at = NOW(), ended_by = $2
+        WHERE id = $1
+          AND ended_at IS NULL
+          AND ($3 OR user_id = $2)
+        RETURNING id, tenant_id
+    `, [supportSessionId, actor.userId, any]);
+
+    if (result.rows.length === 0) {
+        const existing = await db.query('SELECT user_id FROM support_sessions WHERE id = $1', [supportSessionId]);
+
+        if (existing.rows.length === 0 || (!any && existing.rows[0].user_id !== actor.userId)) {
+            throw new TenantError('Support session not found', 404);
+        }
+
+        throw new TenantError('Support session has already ended', 409);
+    }
+
+    await recordAudit(db, {
+        action: 'support_session.ended',
+        entityType: 'support_session',
+        entityId: supportSessionId,
+        tenantId: result.rows[0].tenant_id,
+        actorId: actor.userId,
+        client: actor.client
+    });
+
+    const session = await db.query(`${SUPPORT_SESSION_SELECT} WHERE s.id = $1`, [supportSessionId]);
+    return formatSupportSession(session.rows[0]);
+}
+
+module.exports = {
+    SUPPORT_SESSION_DEFAULT_MINUTES,
+    SUPPORT_SESSION_MAX_MINUTES,
+    TenantError,
+    listTenants,
+    findTenant,
+    createTenant,
+    updateTenantLimits,
+    setTenantActive,
+    seatsLeft,
+    activeAssessmentsLeft,
+    listSupportSessions,
+    startSupportSession,
+    endSupportSession
+};
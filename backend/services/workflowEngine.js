@@ -0,0 +1,207 @@
+/**
+ * Workflow Engine
+ * Authoritative state machine for assessment transitions
+ * Definitions come from workflows, workflow_states and workflow_transitions
+ */
+
+const { hasPermission } = require('../middleware/permissions');
+const { scopeCondition, withDataScope, allowTransition } = require('../middleware/dataScope');
+const { executePostActions } = require('./postActions');
+
+/**
+ * Error carrying the HTTP status the route should answer with
+ */
+class WorkflowError extends Error {
+    constructor(message, statusCode = 409) {
+        super(message);
+        this.name = 'WorkflowError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Load the active workflow for an entity type
+ * A tenant-specific workflow wins over the platform default (tenant_id NULL)
+ * @param {object} db - Pool or client
+ * @param {string} entityType - e.g. 'assessment'
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<object|null>} Workflow definition
+ */
+async function loadWorkflow(db, entityType, tenantId) {
+    const workflowResult = await db.query(`
+        SELECT id, name, initial_state
+        FROM workflows
+        WHERE entity_type = $1
+          AND is_active = true
+          AND (tenant_id = $2 OR tenant_id IS NULL)
+        ORDER BY tenant_id NULLS LAST
+        LIMIT 1
+    `, [entityType, tenantId || null]);
+
+    if (workflowResult.rows.length === 0) {
+        return null;
+    }
+
+    const workflow = workflowResult.rows[0];
+
+    const [statesResult, transitionsResult] = await Promise.all([
+        db.query(`
+            SELECT state_code, label, is_initial, is_final
+            FROM workflow_states
+            WHERE workflow_id = $1
+            ORDER BY sort_order
+        `, [workflow.id]),
+        db.query(`
+            SELECT
+                id,
+                from_state,
+                to_state,
+                action_label,
+                required_permission,
+                allowed_roles,
+                post_transition_actions
+            FROM workflow_transitions
+            WHERE workflow_id = $1
+        `, [workflow.id])
+    ]);
+
+    const initialState = statesResult.rows.find(s => s.is_initial);
+
+    return {
+        id: workflow.id,
+        name: workflow.name,
+        initialState: workflow.initial_state || (initialState && initialState.state_code),
+        states: statesResult.rows.map(s => ({
+            code: s.state_code,
+            label: s.label,
+            isInitial: s.is_initial,
+            isFinal: s.is_final
+        })),
+        transitions: transitionsResult.rows.map(t => ({
+            id: t.id,
+            from: t.from_state,
+            to: t.to_state,
+            label: t.action_label,
+            requiredPermission: t.required_permission,
+            roles: t.allowed_roles,
+            postActions: t.post_transition_actions || []
+        }))
+    };
+}
+
+/**
+ * Get transitions available to a role from a state
+ * A from_state of '*' matches every state except the target itself
+ * @param {object} workflow - Workflow definition
+ * @param {string} fromState - Current state
+ * @param {string} roleId - Caller's role
+ * @returns {array} Transitions
+ */
+function getAllowedTransitions(workflow, fromState, roleId) {
+    return workflow.transitions.filter(t => {
+        const fromMatches = t.from === fromState || (t.from === '*' && t.to !== fromState);
+        const roleMatches = !t.roles || t.roles.includes(roleId);
+        return fromMatches && roleMatches;
+    });
+}
+
+/**
+ * Transition an assessment to a new state
+ * The state change and its <state>_at / <state>_by stamps are written in one
+ * transaction; post-actions run afterwards and never undo the transition
+ * @param {object} options
+ * @param {string} options.assessmentId - Assessment ID
+ * @param {string} options.toState - Target state
+ * @param {object} options.dataScope - Caller's req.dataScope
+ * @returns {Promise<object>} { assessmentId, assessment (the updated row), fromState, toState, postActions }
+ */
+async function transitionAssessment({ assessmentId, toState, dataScope }) {
+    const { roleId, userId } = dataScope;
+
+    const outcome = await withDataScope(dataScope, async (client) => {
+        const params = [assessmentId];
+        const scope = scopeCondition(dataScope, params);
+
+        const assessmentResult = await client.query(
+            `SELECT a.* FROM assessments a WHERE a.id = $1 AND ${scope} FOR UPDATE`,
+            params
+        );
+
+        if (assessmentResult.rows.length === 0) {
+            throw new WorkflowError('Assessment not found', 404);
+        }
+
+        const assessment = assessmentResult.rows[0];
+        const fromState = assessment.status;
+
+        const workflow = await loadWorkflow(client, 'assessment', assessment.tenant_id);
+        if (!workflow) {
+            throw new WorkflowError('No active assessment workflow is configured', 409);
+        }
+
+        const candidates = workflow.transitions.filter(t =>
+            t.to === toState && (t.from === fromState || t.from === '*')
+        );
+
+        if (candidates.length === 0) {
+            throw new WorkflowError(`Cannot transition from ${fromState} to ${toState}`, 409);
+        }
+
+        const transition = getAllowedTransitions(workflow, fromState, roleId)
+            .find(t => t.to === toState);
+
+        if (!transition) {
+            throw new WorkflowError(`Your role cannot move this assessment to ${toState}`, 403);
+        }
+
+        if (transition.requiredPermission && !(await hasPermission(roleId, transition.requiredPermission, client))) {
+            throw new WorkflowError(`Permission denied: ${transition.requiredPermission} required`, 403);
+        }
+
+        // The new state may be outside the caller's scope (a reviewer approving)
+        await allowTransition(client, assessment.id);
+
+        const targetState = workflow.states.find(s => s.code === toState);
+
+        const updated = await client.query(`
+            UPDATE assessments
+            SET status = $1,
+                state_timestamps = COALESCE(state_timestamps, '{}'::jsonb)
+                    || jsonb_build_object($2::text, NOW(), $3::text, $4::text),
+                completed_at = CASE WHEN $5 THEN NOW() ELSE completed_at END,
+                updated_at = NOW()
+            WHERE id = $6
+            RETURNING *
+        `, [
+            toState,
+            `${toState}_at`,
+            `${toState}_by`,
+            userId || null,
+            Boolean(targetState && targetState.isFinal),
+            assessmentId
+        ]);
+
+        return { assessment: updated.rows[0], fromState, transition };
+    });
+
+    const postActions = await executePostActions(outcome.assessment, outcome.transition.postActions, {
+        dataScope,
+        fromState: outcome.fromState,
+        toState
+    });
+
+    return {
+        assessmentId,
+        assessment: outcome.assessment,
+        fromState: outcome.fromState,
+        toState,
+        postActions
+    };
+}
+
+module.exports = {
+    WorkflowError,
+    loadWorkflow,
+    getAllowedTransitions,
+    transitionAssessment
+};
@@ -0,0 +1,43 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const pool = require('../config/database');
+const assessmentRoutes = require('../routes/assessments');
+const { startApp, accessToken } = require('./helpers/http');
+const { skipWithoutDatabase } = require('./helpers/db');
+
+describe('POST /api/v1/assessments', { skip: skipWithoutDatabase }, () => {
+    let app;
+
+    before(async () => {
+        app = await startApp({ '/api/v1/assessments': assessmentRoutes });
+    });
+
+    after(async () => {
+        if (app) await app.close();
+        await pool.end();
+    });
+
+    // No title: past the permission check, refused by validation
+    const create = roleId => fetch(`${app.url}/api/v1/assessments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken({ roleId })}` },
+        body: JSON.stringify({})
+    });
+
+    it('refuses roles without create:assessments', async () => {
+        for (const roleId of ['contributor', 'reviewer', 'observer']) {
+            const response = await create(roleId);
+            const body = await response.json();
+
+            assert.equal(response.status, 403, roleId);
+            assert.match(body.message, /create:assessments required/);
+        }
+    });
+
+    it('lets customer admins and domain managers through', async () => {
+        for (const roleId of ['customer_admin', 'domain_manager']) {
+            const response = await create(roleId);
+            assert.equal(response.status, 400, roleId);
+        }
+    });
+});
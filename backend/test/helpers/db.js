@@ -0,0 +1,210 @@
+/**
+ * Test database helpers
+ * Tests that need PostgreSQL run against DATABASE_URL, a migrated and seeded
+ * database (npm run migrate && npm run seed), and are skipped without it.
+ * Each test works inside a transaction that is rolled back, so the fixtures
+ * below never outlive it.
+ */
+
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const { createVersion, snapshotDimensions } = require('../../services/templateVersions');
+
+// Reason to skip database tests, for node:test's { skip }
+const skipWithoutDatabase = process.env.DATABASE_URL ? false : 'DATABASE_URL is not set';
+
+let pool = null;
+
+function getPool() {
+    if (!pool) {
+        pool = new Pool({ connectionString: process.env.DATABASE_URL });
+    }
+    return pool;
+}
+
+async function closePool() {
+    if (pool) {
+        await pool.end();
+        pool = null;
+    }
+}
+
+/**
+ * Run callback(client) in a transaction that is always rolled back
+ * @param {function} callback - async (client) => result
+ * @returns {Promise<*>} What the callback returned
+ */
+async function withRollback(callback) {
+    const client = await getPool().connect();
+    try {
+        await client.query('BEGIN');
+        return await callback(client);
+    } finally {
+        await client.query('ROLLBACK');
+        client.release();
+    }
+}
+
+/**
+ * A stand-in pool for code that takes one and runs its own transactions (jobs),
+ * so it works inside the test's transaction: those become savepoints
+ * @param {object} client - Client inside withRollback
+ * @returns {object} { query, connect }
+ */
+function poolFor(client) {
+    const statements = { BEGIN: 'SAVEPOINT job', COMMIT: 'RELEASE SAVEPOINT job', ROLLBACK: 'ROLLBACK TO SAVEPOINT job' };
+    const jobClient = {
+        query: (text, params) => client.query(statements[text] || text, params),
+        release: () => {}
+    };
+
+    return {
+        query: (text, params) => client.query(text, params),
+        connect: async () => jobClient
+    };
+}
+
+/**
+ * Subject the rest of the transaction to row-level security, as the API's own
+ * login role is (superusers bypass it); the role is rolled back with the rest
+ * @param {object} client - Client inside withRollback
+ */
+async function actAsAppRole(client) {
+    const role = `reabel_test_${crypto.randomUUID().slice(0, 8)}`;
+    await client.query(`CREATE ROLE ${role} NOLOGIN`);
+    await client.query(`GRANT SELECT, INSERT, UPDATE, DELETE ON ALL TABLES IN SCHEMA public TO ${role}`);
+    await client.query(`SET LOCAL ROLE ${role}`);
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const uniqueName = prefix => `${prefix}-${crypto.randomUUID().slice(0, 8)}`;
+
+/**
+ * @returns {Promise<object>} tenants row
+ */
+async function createTenant(client, { settings = {} } = {}) {
+    const slug = uniqueName('test');
+    const result = await client.query(
+        'INSERT INTO tenants (name, slug, settings) VALUES ($1, $2, $3) RETURNING *',
+        [`Tenant ${slug}`, slug, JSON.stringify(settings)]
+    );
+    return result.rows[0];
+}
+
+/**
+ * A user holding one role in a tenant
+ * @param {object} options - { tenantId, roleId, scope (user_roles.scope) }
+ * @returns {Promise<object>} users row
+ */
+async function createUser(client, { tenantId, roleId = 'contributor', scope = null }) {
+    const email = `${uniqueName('user')}@test.example.com`;
+    const result = await client.query(`
+        INSERT INTO users (email, name, tenant_id, default_role_id, status, email_verified)
+        VALUES ($1, $2, $3, $4, 'active', true)
+        RETURNING *
+    `, [email, email.split('@')[0], tenantId, roleId]);
+
+    await client.query(
+        'INSERT INTO user_roles (user_id, role_id, tenant_id, scope, is_primary) VALUES ($1, $2, $3, $4, true)',
+        [result.rows[0].id, roleId, tenantId, scope ? JSON.stringify(scope) : null]
+    );
+
+    return result.rows[0];
+}
+
+/**
+ * A tenant template with a published version
+ * @param {object} options - { tenantId, dimensions: [{ name, weight, key_areas, questions: [{ key_area }] }] }
+ * @returns {Promise<object>} { template, version, dimensions, questions } (rows; questions in order)
+ */
+async function createTemplate(client, { tenantId, dimensions }) {
+    const template = (await client.query(`
+        INSERT INTO assessment_templates (id, name, version, tenant_id, is_public, is_active, metadata)
+        VALUES ($1, $2, '1.0', $3, false, true, '{}')
+        RETURNING *
+    `, [crypto.randomUUID(), uniqueName('Template'), tenantId])).rows[0];
+
+    const dimensionRows = [];
+    const questionRows = [];
+
+    for (const [index, dim] of dimensions.entries()) {
+        const dimension = (await client.query(`
+            INSERT INTO template_dimensions (id, template_id, name, weight, sort_order, key_areas)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [crypto.randomUUID(), template.id, dim.name, dim.weight || 1.0, index, JSON.stringify(dim.key_areas || [])])).rows[0];
+        dimensionRows.push(dimension);
+
+        for (const [position, question] of (dim.questions || []).entries()) {
+            questionRows.push((await client.query(`
+                INSERT INTO questions (id, template_id, dimension_id, question_text, question_type, is_required, sort_order, metadata)
+                VALUES ($1, $2, $3, $4, 'scale', true, $5, $6)
+                RETURNING *
+            `, [
+                crypto.randomUUID(),
+                template.id,
+                dimension.id,
+                `${dim.name} question ${position + 1}`,
+                position,
+                JSON.stringify(question.key_area ? { key_area: question.key_area } : {})
+            ])).rows[0]);
+        }
+    }
+
+    const version = await createVersion(client, template, { version: '1.0' });
+
+    return { template, version, dimensions: dimensionRows, questions: questionRows };
+}
+
+/**
+ * An assessment pinned to a template version
+ * @param {object} options - { tenantId, version (template_versions row), status, createdBy }
+ * @returns {Promise<object>} assessments row
+ */
+async function createAssessment(client, { tenantId, version, status = 'draft', createdBy = null }) {
+    const result = await client.query(`
+        INSERT INTO assessments (id, title, template_id, template_version_id, tenant_id, created_by, status, dimensions)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+    `, [
+        crypto.randomUUID(),
+        uniqueName('Assessment'),
+        version.template_id,
+        version.id,
+        tenantId,
+        createdBy,
+        status,
+        JSON.stringify(snapshotDimensions(version.snapshot))
+    ]);
+    return result.rows[0];
+}
+
+/**
+ * @param {object} options - { assessmentId, questionId, userId, score, status }
+ * @returns {Promise<object>} assessment_responses row
+ */
+async function createResponse(client, { assessmentId, questionId, userId, score, status = 'submitted' }) {
+    const result = await client.query(`
+        INSERT INTO assessment_responses (assessment_id, question_id, user_id, response_data, status, score)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+    `, [assessmentId, questionId, userId, JSON.stringify({ value: score }), status, score]);
+    return result.rows[0];
+}
+
+module.exports = {
+    skipWithoutDatabase,
+    getPool,
+    closePool,
+    withRollback,
+    poolFor,
+    actAsAppRole,
+    createTenant,
+    createUser,
+    createTemplate,
+    createAssessment,
+    createResponse
+};
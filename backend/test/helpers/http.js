@@ -0,0 +1,48 @@
+/**
+ * Test HTTP helpers
+ * Routers are mounted on their own app (server.js listens as soon as it is
+ * loaded) on a free port; they use the API's pool, config/database.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET } = require('../../middleware/auth');
+
+/**
+ * Serve routers as server.js mounts them
+ * @param {object} routes - { mountPath: router }
+ * @returns {Promise<object>} { url, close }
+ */
+async function startApp(routes) {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+
+    for (const [path, router] of Object.entries(routes)) {
+        app.use(path, router);
+    }
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * An access token without a session behind it, as authenticateToken reads one
+ * @param {object} claims - { userId, tenantId, roleId }
+ * @returns {string} Bearer token
+ */
+function accessToken({ userId = crypto.randomUUID(), tenantId = crypto.randomUUID(), roleId }) {
+    return jwt.sign({ userId, tenantId, roleId, roles: [roleId] }, JWT_SECRET, { expiresIn: '5m' });
+}
+
+module.exports = {
+    startApp,
+    accessToken
+};
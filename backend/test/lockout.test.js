@@ -0,0 +1,100 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    MAX_FAILED_ATTEMPTS,
+    isLocked,
+    recordFailedLogin,
+    clearFailedLogins,
+    unlockAccount
+} = require('../services/lockout');
+const { skipWithoutDatabase, closePool, withRollback, createTenant, createUser } = require('./helpers/db');
+
+async function reload(client, user) {
+    return (await client.query('SELECT * FROM users WHERE id = $1', [user.id])).rows[0];
+}
+
+async function failLogins(client, user, times) {
+    let result;
+    for (let i = 0; i < times; i++) {
+        result = await recordFailedLogin(client, user, {});
+    }
+    return result;
+}
+
+// NOW() stands still inside the test's transaction, so expiry moves the lock into the past instead
+async function expireLock(client, user) {
+    await client.query("UPDATE users SET locked_until = NOW() - INTERVAL '1 second' WHERE id = $1", [user.id]);
+}
+
+// Lock length in minutes, measured against the transaction's NOW()
+async function lockLength(client, user) {
+    const result = await client.query('SELECT locked_until - NOW() AS length FROM users WHERE id = $1', [user.id]);
+    return result.rows[0].length.minutes + 60 * (result.rows[0].length.hours || 0);
+}
+
+describe('account lockout', { skip: skipWithoutDatabase }, () => {
+    after(closePool);
+
+    it('locks the account on the fifth failure in a row', () => withRollback(async (client) => {
+        const tenant = await createTenant(client);
+        const user = await createUser(client, { tenantId: tenant.id });
+
+        const before = await failLogins(client, user, MAX_FAILED_ATTEMPTS - 1);
+        assert.deepEqual(before, { locked: false, failedAttempts: 4, remainingAttempts: 1 });
+        assert.equal(isLocked(await reload(client, user)), false);
+
+        const locked = await recordFailedLogin(client, user, {});
+        assert.equal(locked.locked, true);
+        assert.equal(await lockLength(client, user), 15);
+        assert.equal(isLocked(await reload(client, user)), true);
+
+        const audit = await client.query("SELECT 1 FROM audit_logs WHERE entity_id = $1 AND action = 'account.locked'", [user.id]);
+        assert.equal(audit.rows.length, 1);
+    }));
+
+    it('counts from zero again once the lock expires, doubling the next lock', () => withRollback(async (client) => {
+        const tenant = await createTenant(client);
+        const user = await createUser(client, { tenantId: tenant.id });
+
+        await failLogins(client, user, MAX_FAILED_ATTEMPTS);
+        await expireLock(client, user);
+        assert.equal(isLocked(await reload(client, user)), false);
+
+        const first = await recordFailedLogin(client, user, {});
+        assert.deepEqual(first, { locked: false, failedAttempts: 1, remainingAttempts: 4 });
+
+        const second = await failLogins(client, user, MAX_FAILED_ATTEMPTS - 1);
+        assert.equal(second.locked, true);
+        assert.equal(await lockLength(client, user), 30);
+    }));
+
+    it('forgets failures and past lockouts after a correct password', () => withRollback(async (client) => {
+        const tenant = await createTenant(client);
+        const user = await createUser(client, { tenantId: tenant.id });
+
+        await failLogins(client, user, MAX_FAILED_ATTEMPTS);
+        await expireLock(client, user);
+        await failLogins(client, user, 2);
+
+        await clearFailedLogins(client, await reload(client, user));
+
+        const cleared = await reload(client, user);
+        assert.equal(cleared.failed_login_count, 0);
+        assert.equal(cleared.lockout_count, 0);
+        assert.equal(cleared.locked_until, null);
+
+        await failLogins(client, user, MAX_FAILED_ATTEMPTS);
+        assert.equal(await lockLength(client, user), 15);
+    }));
+
+    it('releases a locked account on unlock', () => withRollback(async (client) => {
+        const tenant = await createTenant(client);
+        const user = await createUser(client, { tenantId: tenant.id });
+
+        assert.equal(await unlockAccount(client, user.id, { method: 'admin' }), false);
+
+        await failLogins(client, user, MAX_FAILED_ATTEMPTS);
+        assert.equal(await unlockAccount(client, user.id, { method: 'admin' }), true);
+        assert.equal(isLocked(await reload(client, user)), false);
+    }));
+});
@@ -0,0 +1,103 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockIdp } = require('../scripts/mock-idp');
+const oidc = require('../services/oidc');
+const { SsoError, saveConnection, clientSecret, provisionAccount, createLoginRequest } = require('../services/sso');
+const { skipWithoutDatabase, closePool, withRollback, createTenant } = require('./helpers/db');
+
+const IDP_PORT = 4021;
+const REDIRECT_URI = 'http://localhost:3000/api/v1/auth/sso/oidc/callback';
+
+const USERS = [
+    { sub: 'oidc-admin', email: 'oidc.admin@sso-test.example.com', name: 'OIDC Admin', groups: ['reabel-admins', 'platform-staff'] },
+    { sub: 'oidc-staff', email: 'oidc.staff@sso-test.example.com', name: 'OIDC Staff', groups: ['platform-staff'] }
+];
+
+/**
+ * The authorization-code flow as routes/sso.js runs it, signing in at the mock as email
+ * @returns {Promise<object>} provisionAccount() result
+ */
+async function signIn(client, connection, email) {
+    const request = await createLoginRequest(client, connection);
+    const metadata = await oidc.discover(connection.issuer);
+
+    const authorize = await fetch(
+        `${oidc.authorizationUrl(connection, metadata, { ...request, redirectUri: REDIRECT_URI })}&login_hint=${encodeURIComponent(email)}`,
+        { redirect: 'manual' }
+    );
+    const callback = new URL(authorize.headers.get('location'));
+    assert.equal(callback.searchParams.get('state'), request.state);
+
+    const tokens = await oidc.exchangeCode(connection, clientSecret(connection), metadata, {
+        code: callback.searchParams.get('code'),
+        redirectUri: REDIRECT_URI,
+        codeVerifier: request.codeVerifier
+    });
+    const claims = await oidc.verifyIdToken(connection, metadata, tokens.id_token, request.nonce);
+
+    return provisionAccount(client, connection, await oidc.fetchProfile(connection, metadata, tokens, claims));
+}
+
+describe('OIDC single sign-on', { skip: skipWithoutDatabase }, () => {
+    let idp;
+
+    before(async () => {
+        idp = await startMockIdp({ port: IDP_PORT, users: USERS });
+    });
+
+    after(async () => {
+        if (idp) await idp.close();
+        await closePool();
+    });
+
+    const settings = () => ({
+        issuer: idp.issuer,
+        clientId: 'reabel-local',
+        clientSecret: 'reabel-local-secret',
+        roleMapping: { 'reabel-admins': 'customer_admin' }
+    });
+
+    it('refuses connections that map onto platform roles', () => withRollback(async (client) => {
+        const tenant = await createTenant(client);
+
+        await assert.rejects(
+            saveConnection(client, tenant.id, 'oidc', { ...settings(), roleMapping: { 'platform-staff': 'reabel_superadmin' } }),
+            error => error instanceof SsoError && /cannot be assigned: reabel_superadmin/.test(error.message)
+        );
+        await assert.rejects(
+            saveConnection(client, tenant.id, 'oidc', { ...settings(), defaultRoleId: 'reabel_csm' }),
+            error => error instanceof SsoError && /cannot be assigned: reabel_csm/.test(error.message)
+        );
+    }));
+
+    it('provisions users with their mapped roles', () => withRollback(async (client) => {
+        const tenant = await createTenant(client);
+        const connection = await saveConnection(client, tenant.id, 'oidc', settings());
+
+        const account = await signIn(client, connection, 'oidc.admin@sso-test.example.com');
+
+        assert.equal(account.tenant_id, tenant.id);
+        assert.deepEqual(account.roles, ['customer_admin']);
+    }));
+
+    it('drops platform roles from connections saved before the check', () => withRollback(async (client) => {
+        const tenant = await createTenant(client);
+        await saveConnection(client, tenant.id, 'oidc', settings());
+
+        const connection = (await client.query(`
+            UPDATE sso_connections
+            SET role_mapping = role_mapping || '{"platform-staff": "reabel_superadmin"}', default_role_id = 'reabel_superadmin'
+            WHERE tenant_id = $1
+            RETURNING *
+        `, [tenant.id])).rows[0];
+
+        const admin = await signIn(client, connection, 'oidc.admin@sso-test.example.com');
+        assert.deepEqual(admin.roles, ['customer_admin']);
+
+        // Nothing assignable left, not even the default role
+        await assert.rejects(
+            signIn(client, connection, 'oidc.staff@sso-test.example.com'),
+            error => error instanceof SsoError && error.statusCode === 403
+        );
+    }));
+});
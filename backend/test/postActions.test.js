@@ -0,0 +1,105 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreDimensions, calculateScores } = require('../services/postActions');
+const { generateActionItems } = require('../services/actionItems');
+const {
+    skipWithoutDatabase,
+    closePool,
+    withRollback,
+    createTenant,
+    createUser,
+    createTemplate,
+    createAssessment,
+    createResponse
+} = require('./helpers/db');
+
+/**
+ * Governance: both questions answered (3 and 1 on average), weak on Training
+ * Security: one of two questions answered with 5, the other only drafted
+ * Resilience: nothing answered
+ */
+async function scoredAssessment(client) {
+    const tenant = await createTenant(client);
+    const alice = await createUser(client, { tenantId: tenant.id });
+    const bob = await createUser(client, { tenantId: tenant.id });
+
+    const { version, questions } = await createTemplate(client, {
+        tenantId: tenant.id,
+        dimensions: [
+            { name: 'Governance', key_areas: ['Policy', 'Training'], questions: [{ key_area: 'Policy' }, { key_area: 'Training' }] },
+            { name: 'Security', weight: 2, questions: [{}, {}] },
+            { name: 'Resilience', questions: [{}] }
+        ]
+    });
+    const [policy, training, firewall, backups] = questions;
+
+    const assessment = await createAssessment(client, { tenantId: tenant.id, version, status: 'submitted' });
+
+    await createResponse(client, { assessmentId: assessment.id, questionId: policy.id, userId: alice.id, score: 2 });
+    await createResponse(client, { assessmentId: assessment.id, questionId: policy.id, userId: bob.id, score: 4 });
+    await createResponse(client, { assessmentId: assessment.id, questionId: training.id, userId: alice.id, score: 1, status: 'approved' });
+    await createResponse(client, { assessmentId: assessment.id, questionId: firewall.id, userId: alice.id, score: 5 });
+    await createResponse(client, { assessmentId: assessment.id, questionId: backups.id, userId: bob.id, score: 1, status: 'draft' });
+
+    return assessment;
+}
+
+describe('post-actions', { skip: skipWithoutDatabase }, () => {
+    after(closePool);
+
+    it('scores dimensions from submitted and approved responses', () => withRollback(async (client) => {
+        const assessment = await scoredAssessment(client);
+
+        const scored = await scoreDimensions(client, assessment);
+        const byName = Object.fromEntries(scored.dimensions.map(dim => [dim.name, dim]));
+
+        assert.deepEqual(
+            { score: byName.Governance.score, percentage: byName.Governance.percentage, status: byName.Governance.status },
+            { score: 2, percentage: 40, status: 'completed' }
+        );
+        assert.equal(byName.Governance.questions_answered, 2);
+
+        // The draft on the second Security question does not count
+        assert.equal(byName.Security.score, 5);
+        assert.equal(byName.Security.status, 'in_progress');
+        assert.equal(byName.Security.questions_answered, 1);
+        assert.equal(byName.Security.questions_total, 2);
+
+        assert.equal(byName.Resilience.score, null);
+        assert.equal(byName.Resilience.status, 'not_started');
+
+        const stored = await client.query('SELECT dimensions FROM assessments WHERE id = $1', [assessment.id]);
+        assert.deepEqual(stored.rows[0].dimensions, scored.dimensions);
+    }));
+
+    it('calculates the weighted overall score from the scored dimensions', () => withRollback(async (client) => {
+        const assessment = await scoredAssessment(client);
+
+        const result = await calculateScores(client, await scoreDimensions(client, assessment));
+
+        // (40% x 1 + 100% x 2) / 3; two of three dimensions scored
+        assert.equal(result.overall_score, 80);
+        assert.equal(result.dimension_scores.length, 2);
+
+        const stored = await client.query('SELECT progress, overall_score FROM assessments WHERE id = $1', [assessment.id]);
+        assert.equal(Number(stored.rows[0].progress), 67);
+        assert.equal(Number(stored.rows[0].overall_score), 80);
+
+        const scores = await client.query('SELECT COUNT(*)::int AS count FROM assessment_scores WHERE assessment_id = $1', [assessment.id]);
+        assert.equal(scores.rows[0].count, 2);
+    }));
+
+    it('creates action items for dimensions below target, weakest key area first', () => withRollback(async (client) => {
+        const assessment = await scoredAssessment(client);
+
+        const created = await generateActionItems(client, await scoreDimensions(client, assessment), {}, {});
+
+        assert.equal(created.length, 1);
+        assert.equal(created[0].title, 'Strengthen Governance: Training');
+        assert.equal(created[0].metadata.score, 2);
+
+        // Already open: not created twice
+        const again = await generateActionItems(client, await scoreDimensions(client, assessment), {}, {});
+        assert.equal(again.length, 0);
+    }));
+});
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore, rateLimit } = require('../middleware/rateLimit');
+
+const WINDOW_MS = 60 * 1000;
+
+// Just enough of an Express response for the middleware
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+/**
+ * Run the limiter for one request
+ * @returns {Promise<object>} { passed, res }
+ */
+async function hit(limiter, req) {
+    const res = fakeResponse();
+    let passed = false;
+    await limiter(req, res, () => { passed = true; });
+    return { passed, res };
+}
+
+describe('rate limit middleware', () => {
+    let now;
+    let store;
+
+    beforeEach(() => {
+        now = Date.parse('2030-01-01T00:00:00Z');
+        mock.method(Date, 'now', () => now);
+        store = new MemoryStore();
+        clearInterval(store.sweeper);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('answers 429 once a client goes over the limit', async () => {
+        const limiter = rateLimit({ name: 'login', windowMs: WINDOW_MS, max: 3, store });
+        const req = { ip: '203.0.113.7' };
+
+        for (let i = 1; i <= 3; i++) {
+            const { passed, res } = await hit(limiter, req);
+            assert.ok(passed, `request ${i}`);
+            assert.equal(res.headers['RateLimit-Remaining'], String(3 - i));
+        }
+
+        now += 15 * 1000;
+        const { passed, res } = await hit(limiter, req);
+
+        assert.equal(passed, false);
+        assert.equal(res.statusCode, 429);
+        assert.equal(res.headers['Retry-After'], '45');
+        assert.equal(res.body.retryAfter, 45);
+    });
+
+    it('counts clients separately', async () => {
+        const limiter = rateLimit({ name: 'login', windowMs: WINDOW_MS, max: 1, store });
+
+        assert.ok((await hit(limiter, { ip: '203.0.113.7' })).passed);
+        assert.equal((await hit(limiter, { ip: '203.0.113.7' })).res.statusCode, 429);
+        assert.ok((await hit(limiter, { ip: '203.0.113.8' })).passed);
+    });
+
+    it('starts counting again once the window expires', async () => {
+        const limiter = rateLimit({ name: 'login', windowMs: WINDOW_MS, max: 2, store });
+        const req = { ip: '203.0.113.7' };
+
+        await hit(limiter, req);
+        await hit(limiter, req);
+        assert.equal((await hit(limiter, req)).res.statusCode, 429);
+
+        now += WINDOW_MS - 1;
+        assert.equal((await hit(limiter, req)).res.statusCode, 429);
+
+        now += 1;
+        const { passed, res } = await hit(limiter, req);
+        assert.ok(passed);
+        assert.equal(res.headers['RateLimit-Remaining'], '1');
+    });
+
+    it('lets requests without a key through uncounted', async () => {
+        const limiter = rateLimit({ name: 'user', windowMs: WINDOW_MS, max: 1, store, key: () => null });
+
+        assert.ok((await hit(limiter, {})).passed);
+        assert.ok((await hit(limiter, {})).passed);
+        assert.equal(store.hits.size, 0);
+    });
+});
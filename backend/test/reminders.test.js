@@ -0,0 +1,156 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { runReminders } = require('../services/reminders');
+const { createFakeClock, createScheduler } = require('../services/scheduler');
+const {
+    skipWithoutDatabase,
+    closePool,
+    withRollback,
+    poolFor,
+    createTenant,
+    createUser,
+    createTemplate,
+    createAssessment
+} = require('./helpers/db');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DUE = new Date('2030-03-10T09:00:00Z');
+
+/**
+ * An in-progress assessment whose Governance assignment and one action item are due on DUE
+ * Default reminder settings: 3 and 1 days before, escalate after 1 day to
+ * domain managers, after 3 to customer admins
+ */
+async function dueAssessment(client) {
+    const tenant = await createTenant(client);
+    const { version, dimensions } = await createTemplate(client, {
+        tenantId: tenant.id,
+        dimensions: [{ name: 'Governance', questions: [{}] }, { name: 'Security', questions: [{}] }]
+    });
+    const [governance, security] = dimensions;
+
+    const users = {
+        assignee: await createUser(client, { tenantId: tenant.id, roleId: 'contributor' }),
+        owner: await createUser(client, { tenantId: tenant.id, roleId: 'domain_manager', scope: { domains: [governance.id] } }),
+        otherManager: await createUser(client, { tenantId: tenant.id, roleId: 'domain_manager', scope: { domains: [security.id] } }),
+        admin: await createUser(client, { tenantId: tenant.id, roleId: 'customer_admin' })
+    };
+
+    const assessment = await createAssessment(client, { tenantId: tenant.id, version, status: 'in_progress' });
+
+    const assignment = (await client.query(`
+        INSERT INTO assessment_assignments (assessment_id, user_id, dimension_id, due_date, status)
+        VALUES ($1, $2, $3, $4, 'pending')
+        RETURNING *
+    `, [assessment.id, users.assignee.id, governance.id, DUE])).rows[0];
+
+    const actionItem = (await client.query(`
+        INSERT INTO action_items (assessment_id, dimension_id, title, priority, status, assigned_to, due_date)
+        VALUES ($1, $2, 'Write the policy', 'high', 'pending', $3, $4)
+        RETURNING *
+    `, [assessment.id, governance.id, users.assignee.id, DUE])).rows[0];
+
+    return { tenant, users, assignment, actionItem };
+}
+
+/**
+ * Walk a fake clock from `from` to `until`, running the reminders job every 12 hours
+ * @returns {Promise<array>} Job results
+ */
+async function walk(client, tenantId, from, until) {
+    const clock = createFakeClock(from);
+    const scheduler = createScheduler({ clock });
+    const db = poolFor(client);
+    const results = [];
+
+    scheduler.add('reminders', 12 * HOUR_MS, now => runReminders(db, now, { tenantId }));
+
+    while (clock() <= until) {
+        const ran = await scheduler.tick();
+        if (ran.reminders) results.push(ran.reminders);
+        clock.advance(12 * HOUR_MS);
+    }
+
+    return results;
+}
+
+// Template codes of a user's notifications (all created at the transaction's NOW(), so by code)
+async function notificationsFor(client, userId) {
+    const result = await client.query(`
+        SELECT t.template_code
+        FROM notifications n
+        JOIN notification_templates t ON n.template_id = t.id
+        WHERE n.user_id = $1
+        ORDER BY t.template_code
+    `, [userId]);
+
+    return result.rows.map(row => row.template_code);
+}
+
+describe('due date reminders', { skip: skipWithoutDatabase }, () => {
+    after(closePool);
+
+    it('reminds once per step before the due date and escalates once per step after it', () => withRollback(async (client) => {
+        const { tenant, users, assignment } = await dueAssessment(client);
+
+        const results = await walk(client, tenant.id, new Date(DUE.getTime() - 5 * DAY_MS), new Date(DUE.getTime() + 4 * DAY_MS));
+
+        assert.equal(results.reduce((sum, r) => sum + r.reminders, 0), 2);
+        assert.equal(results.reduce((sum, r) => sum + r.escalations, 0), 2);
+
+        const deliveries = await client.query(`
+            SELECT kind, step, sent_at
+            FROM reminder_deliveries
+            WHERE entity_id = $1
+            ORDER BY sent_at
+        `, [assignment.id]);
+
+        assert.deepEqual(deliveries.rows.map(row => [row.kind, row.step]), [
+            ['reminder', 3],
+            ['reminder', 1],
+            ['escalation', 1],
+            ['escalation', 2]
+        ]);
+        assert.deepEqual(deliveries.rows.map(row => row.sent_at.getTime()), [
+            DUE.getTime() - 3 * DAY_MS,
+            DUE.getTime() - DAY_MS,
+            DUE.getTime() + DAY_MS,
+            DUE.getTime() + 3 * DAY_MS
+        ]);
+
+        assert.deepEqual(await notificationsFor(client, users.assignee.id), [
+            'action_item_overdue',
+            'due_date_reminder',
+            'due_date_reminder'
+        ]);
+        // The domain manager owning Governance, not the one owning Security
+        assert.deepEqual(await notificationsFor(client, users.owner.id), ['assignment_overdue']);
+        assert.deepEqual(await notificationsFor(client, users.otherManager.id), []);
+        assert.deepEqual(await notificationsFor(client, users.admin.id), ['assignment_overdue']);
+    }));
+
+    it('flags overdue action items and clears the flag once completed', () => withRollback(async (client) => {
+        const { tenant, actionItem } = await dueAssessment(client);
+        const db = poolFor(client);
+        const overdueAt = async () => (await client.query(
+            'SELECT overdue_at FROM action_items WHERE id = $1', [actionItem.id]
+        )).rows[0].overdue_at;
+
+        const before = await runReminders(db, new Date(DUE.getTime() - HOUR_MS), { tenantId: tenant.id });
+        assert.equal(before.overdueActions, 0);
+        assert.equal(await overdueAt(), null);
+
+        const late = new Date(DUE.getTime() + HOUR_MS);
+        const first = await runReminders(db, late, { tenantId: tenant.id });
+        const again = await runReminders(db, late, { tenantId: tenant.id });
+        assert.equal(first.overdueActions, 1);
+        assert.equal(again.overdueActions, 0);
+        assert.equal((await overdueAt()).getTime(), late.getTime());
+
+        await client.query("UPDATE action_items SET status = 'completed', completed_at = $2 WHERE id = $1", [actionItem.id, late]);
+        await runReminders(db, new Date(DUE.getTime() + 2 * HOUR_MS), { tenantId: tenant.id });
+        assert.equal(await overdueAt(), null);
+    }));
+});
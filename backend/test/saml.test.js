@@ -0,0 +1,96 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createSamlResponse } = require('../scripts/mock-idp');
+const saml = require('../services/saml');
+const { SsoError, saveConnection, provisionAccount, createLoginRequest, claimLoginRequest } = require('../services/sso');
+const { skipWithoutDatabase, closePool, withRollback, createTenant } = require('./helpers/db');
+
+const IDP_ENTITY_ID = 'https://idp.sso-test.example.com/saml';
+
+// The IdP's signing key, standing in for a real IdP's
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+async function samlConnection(client) {
+    const tenant = await createTenant(client);
+    const connection = await saveConnection(client, tenant.id, 'saml', {
+        entityId: IDP_ENTITY_ID,
+        ssoUrl: 'https://idp.sso-test.example.com/saml/sso',
+        certificate: publicKey.export({ type: 'spki', format: 'pem' }),
+        roleMapping: { 'reabel-admins': 'customer_admin' }
+    });
+
+    const base = `http://localhost:3000/api/v1/auth/sso/saml/${tenant.id}`;
+    return { connection, sp: { entityId: `${base}/metadata`, acsUrl: `${base}/acs` } };
+}
+
+/**
+ * What the ACS does with a response to a fresh login request
+ * @param {object} options - createSamlResponse() options to override
+ * @returns {Promise<object>} provisionAccount() result
+ */
+async function postAssertion(client, { connection, sp }, options) {
+    const requestId = saml.newRequestId();
+    const { state, browserToken } = await createLoginRequest(client, connection, requestId);
+    const request = await claimLoginRequest(client, state, browserToken);
+
+    const samlResponse = createSamlResponse({
+        privateKey,
+        issuer: IDP_ENTITY_ID,
+        audience: sp.entityId,
+        recipient: sp.acsUrl,
+        inResponseTo: requestId,
+        ...options
+    });
+
+    const profile = await saml.validateResponse(connection, sp, request, samlResponse);
+    return provisionAccount(client, connection, profile);
+}
+
+describe('SAML single sign-on', { skip: skipWithoutDatabase }, () => {
+    after(closePool);
+
+    it('keeps asserted roles the tenant can assign and drops platform roles', () => withRollback(async (client) => {
+        const setup = await samlConnection(client);
+
+        const account = await postAssertion(client, setup, {
+            nameId: 'saml.admin@sso-test.example.com',
+            attributes: {
+                email: 'saml.admin@sso-test.example.com',
+                groups: ['reabel-admins'],
+                role: ['reabel_superadmin', 'reviewer']
+            }
+        });
+
+        assert.deepEqual([...account.roles].sort(), ['customer_admin', 'reviewer']);
+    }));
+
+    it('refuses a new user whose only asserted role is a platform role', () => withRollback(async (client) => {
+        const setup = await samlConnection(client);
+
+        await assert.rejects(
+            postAssertion(client, setup, {
+                nameId: 'saml.staff@sso-test.example.com',
+                attributes: { email: 'saml.staff@sso-test.example.com', role: 'reabel_superadmin' }
+            }),
+            error => error instanceof SsoError && error.statusCode === 403
+        );
+    }));
+
+    it('rejects assertions not signed by the configured IdP', () => withRollback(async (client) => {
+        const setup = await samlConnection(client);
+        const attributes = { email: 'saml.admin@sso-test.example.com', groups: ['reabel-admins'] };
+        const rejected = error => error instanceof SsoError && error.statusCode === 401;
+
+        await assert.rejects(
+            postAssertion(client, setup, { nameId: attributes.email, attributes, sign: false }),
+            rejected
+        );
+
+        const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        await assert.rejects(
+            postAssertion(client, setup, { nameId: attributes.email, attributes, privateKey: otherKey }),
+            rejected
+        );
+    }));
+});
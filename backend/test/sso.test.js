@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const pool = require('../config/database');
+const ssoRoutes = require('../routes/sso');
+const { saveConnection } = require('../services/sso');
+const { startMockIdp } = require('../scripts/mock-idp');
+const { startApp } = require('./helpers/http');
+const { skipWithoutDatabase, createTenant } = require('./helpers/db');
+
+const IDP_PORT = 4022;
+const EMAIL = 'oidc.browser@sso-test.example.com';
+
+// The routes use the API's pool, so this tenant is committed and removed in after()
+describe('SSO login bound to the browser', { skip: skipWithoutDatabase }, () => {
+    let idp;
+    let app;
+    let tenant;
+
+    before(async () => {
+        idp = await startMockIdp({ port: IDP_PORT, users: [{ sub: 'oidc-browser', email: EMAIL, name: 'OIDC Browser' }] });
+        app = await startApp({ '/api/v1/auth/sso': ssoRoutes });
+        tenant = await createTenant(pool);
+        await saveConnection(pool, tenant.id, 'oidc', {
+            issuer: idp.issuer,
+            clientId: 'reabel-local',
+            clientSecret: 'reabel-local-secret',
+            defaultRoleId: 'contributor'
+        });
+    });
+
+    after(async () => {
+        if (tenant) {
+            await pool.query('DELETE FROM user_roles WHERE tenant_id = $1', [tenant.id]);
+            await pool.query('DELETE FROM users WHERE tenant_id = $1', [tenant.id]);
+            await pool.query('DELETE FROM tenants WHERE id = $1', [tenant.id]);
+        }
+        if (app) await app.close();
+        if (idp) await idp.close();
+        await pool.end();
+    });
+
+    /**
+     * Start a login and sign in at the mock IdP
+     * @returns {Promise<object>} { setCookie, cookie (name=value), callbackUrl }
+     */
+    async function signInAtIdp() {
+        const start = await fetch(`${app.url}/api/v1/auth/sso/authorize?tenant=${tenant.slug}`, { redirect: 'manual' });
+        const setCookie = start.headers.get('set-cookie');
+        const authorize = await fetch(`${start.headers.get('location')}&login_hint=${encodeURIComponent(EMAIL)}`, { redirect: 'manual' });
+
+        return { setCookie, cookie: setCookie.split(';')[0], callbackUrl: authorize.headers.get('location') };
+    }
+
+    // The login page fragment the callback redirects to
+    async function callback(callbackUrl, cookie) {
+        const response = await fetch(callbackUrl, { redirect: 'manual', headers: cookie ? { Cookie: cookie } : {} });
+        return new URLSearchParams(new URL(response.headers.get('location')).hash.slice(1));
+    }
+
+    it('sets a short-lived HttpOnly SameSite=Lax cookie when the login starts', async () => {
+        const { setCookie } = await signInAtIdp();
+
+        assert.match(setCookie, /^reabel_sso=[\w-]{43};/);
+        assert.match(setCookie, /Max-Age=600/);
+        assert.match(setCookie, /Path=\/api\/v1\/auth\/sso/);
+        assert.match(setCookie, /HttpOnly/);
+        assert.match(setCookie, /SameSite=Lax/);
+    });
+
+    it('rejects a callback without the cookie and finishes it in the browser holding it', async () => {
+        const { cookie, callbackUrl } = await signInAtIdp();
+
+        const withoutCookie = await callback(callbackUrl);
+        assert.equal(withoutCookie.get('ssoToken'), null);
+        assert.match(withoutCookie.get('ssoError'), /started in another browser/);
+
+        const withCookie = await callback(callbackUrl, cookie);
+        assert.equal(withCookie.get('ssoError'), null);
+        assert.ok(withCookie.get('ssoToken'));
+    });
+
+    it("rejects a callback carrying another login's cookie", async () => {
+        const victim = await signInAtIdp();
+        const attacker = await signInAtIdp();
+
+        const result = await callback(attacker.callbackUrl, victim.cookie);
+        assert.equal(result.get('ssoToken'), null);
+        assert.ok(result.get('ssoError'));
+    });
+});
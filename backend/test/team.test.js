@@ -0,0 +1,29 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { findAccount } = require('../services/accounts');
+const { startSession, listSessions } = require('../services/sessions');
+const { changeMemberRole } = require('../services/team');
+const { skipWithoutDatabase, closePool, withRollback, createTenant, createUser } = require('./helpers/db');
+
+describe('team member role changes', { skip: skipWithoutDatabase }, () => {
+    after(closePool);
+
+    it("ends the member's sessions, whose access tokens carry the old role", () => withRollback(async (client) => {
+        const tenant = await createTenant(client);
+        const admin = await createUser(client, { tenantId: tenant.id, roleId: 'customer_admin' });
+        const member = await createUser(client, { tenantId: tenant.id, roleId: 'domain_manager' });
+
+        await startSession(client, await findAccount(client, { id: member.id }));
+        await startSession(client, await findAccount(client, { id: member.id }));
+        await startSession(client, await findAccount(client, { id: admin.id }));
+
+        const changed = await changeMemberRole(client, tenant.id, member.id, { roleId: 'contributor' }, { userId: admin.id });
+        assert.equal(changed.role, 'contributor');
+
+        assert.deepEqual(await listSessions(client, member.id), []);
+        assert.equal((await listSessions(client, admin.id)).length, 1);
+
+        const revoked = await client.query('SELECT revoked_reason FROM auth_sessions WHERE user_id = $1', [member.id]);
+        assert.deepEqual(revoked.rows.map(row => row.revoked_reason), ['role_changed', 'role_changed']);
+    }));
+});
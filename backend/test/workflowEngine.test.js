@@ -0,0 +1,85 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyDataScope, allowTransition } = require('../middleware/dataScope');
+const {
+    skipWithoutDatabase,
+    closePool,
+    withRollback,
+    actAsAppRole,
+    createTenant,
+    createUser,
+    createTemplate,
+    createAssessment
+} = require('./helpers/db');
+
+const APPROVE = "UPDATE assessments SET status = 'approved', updated_at = NOW() WHERE id = $1 RETURNING id, status";
+
+/**
+ * Two in_review assessments and a reviewer, the rest of the transaction under RLS
+ * @returns {Promise<object>} { assessment, other, reviewer }
+ */
+async function reviewerSetup(client) {
+    const tenant = await createTenant(client);
+    const reviewer = await createUser(client, { tenantId: tenant.id, roleId: 'reviewer' });
+    const { version } = await createTemplate(client, {
+        tenantId: tenant.id,
+        dimensions: [{ name: 'Governance', questions: [{}] }]
+    });
+
+    const assessment = await createAssessment(client, { tenantId: tenant.id, version, status: 'in_review' });
+    const other = await createAssessment(client, { tenantId: tenant.id, version, status: 'approved' });
+
+    await actAsAppRole(client);
+    await applyDataScope(client, { tenantId: tenant.id, userId: reviewer.id, roleId: 'reviewer' });
+
+    return { assessment, other, reviewer };
+}
+
+describe('workflow transitions under row-level security', { skip: skipWithoutDatabase }, () => {
+    after(closePool);
+
+    it('refuses a reviewer moving an assessment out of their scope on their own', () => withRollback(async (client) => {
+        const { assessment } = await reviewerSetup(client);
+
+        await client.query('SAVEPOINT approve');
+        await assert.rejects(client.query(APPROVE, [assessment.id]), { code: '42501' });
+        await client.query('ROLLBACK TO SAVEPOINT approve');
+    }));
+
+    it('lets a reviewer approve the assessment being transitioned', () => withRollback(async (client) => {
+        const { assessment } = await reviewerSetup(client);
+
+        await allowTransition(client, assessment.id);
+        const updated = await client.query(APPROVE, [assessment.id]);
+
+        assert.deepEqual(updated.rows, [{ id: assessment.id, status: 'approved' }]);
+
+        // Post-actions in the same transaction still see it
+        const visible = await client.query('SELECT id FROM assessments WHERE id = $1', [assessment.id]);
+        assert.equal(visible.rows.length, 1);
+    }));
+
+    it('keeps other assessments out of scope during a transition', () => withRollback(async (client) => {
+        const { assessment, other } = await reviewerSetup(client);
+
+        await allowTransition(client, assessment.id);
+
+        const hidden = await client.query('SELECT id FROM assessments WHERE id = $1', [other.id]);
+        assert.equal(hidden.rows.length, 0);
+    }));
+
+    it('does not reach into another tenant', () => withRollback(async (client) => {
+        const foreignTenant = await createTenant(client);
+        const { version } = await createTemplate(client, {
+            tenantId: foreignTenant.id,
+            dimensions: [{ name: 'Governance', questions: [{}] }]
+        });
+        const foreign = await createAssessment(client, { tenantId: foreignTenant.id, version, status: 'approved' });
+
+        await reviewerSetup(client);
+        await allowTransition(client, foreign.id);
+
+        const updated = await client.query(APPROVE, [foreign.id]);
+        assert.equal(updated.rows.length, 0);
+    }));
+});
@@ -29,7 +29,7 @@ class ApiService {
                 signal: controller.signal,
                 headers: {
                     'Content-Type': 'application/json',
-                    ...this.getAuthHeaders(),
+                    ...this.getAuthHeaders(url),
                     ...options.headers
                 }
             });
@@ -37,7 +37,12 @@ class ApiService {
             clearTimeout(timeoutId);
 
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                // Prefer the API's own message ({ success: false, message })
+                const body = await response.json().catch(() => ({}));
+                const error = new Error(body.message || `HTTP ${response.status}: ${response.statusText}`);
+                error.status = response.status;
+                error.body = body;
+                throw error;
             }
 
             const data = await response.json();
@@ -48,19 +53,31 @@ class ApiService {
 
             console.error(`[API] Error fetching ${url}:`, error);
 
+            // body: the API's error response, for callers that need more than the message
             return {
                 success: false,
                 error: error.message,
-                status: error.status || 500
+                status: error.status || 500,
+                body: error.body || null
             };
         }
     }
 
     /**
      * Get authentication headers
+     * During a support session tenant data is read with the support token; the
+     * auth and platform endpoints keep acting as the signed-in user
+     * @param {string} url - Request URL
      * @returns {object} Headers with auth token
      */
-    getAuthHeaders() {
+    getAuthHeaders(url = '') {
+        const supportSession = store.get('supportSession');
+        const ownEndpoint = /\/(auth|platform)(\/|$)/.test(url.replace(this.baseUrl, ''));
+
+        if (supportSession && !ownEndpoint && Date.now() < supportSession.expiresAt) {
+            return { 'Authorization': `Bearer ${supportSession.token}` };
+        }
+
         const token = store.get('session.token');
         return token ? { 'Authorization': `Bearer ${token}` } : {};
     }
@@ -171,8 +188,7 @@ class ApiService {
             return { success: true, data };
         }
 
-        const endpoint = APP_CONFIG.api.endpoints[resource];
-        const url = `${this.baseUrl}${endpoint}`;
+        const url = `${this.baseUrl}${this.resolveEndpoint(resource)}`;
 
         const response = await this.fetch(url, {
             method,
@@ -201,8 +217,7 @@ class ApiService {
             return { success: true };
         }
 
-        const endpoint = APP_CONFIG.api.endpoints[resource];
-        const url = `${this.baseUrl}${endpoint}/${id}`;
+        const url = `${this.baseUrl}${this.resolveEndpoint(resource)}/${id}`;
 
         const response = await this.fetch(url, { method: 'DELETE' });
 
@@ -214,6 +229,16 @@ class ApiService {
         return response;
     }
 
+    /**
+     * Resolve API path for a resource
+     * Falls back to the resource path itself (e.g. 'assessments/123')
+     * @param {string} resource - Resource name or path
+     * @returns {string} Endpoint path
+     */
+    resolveEndpoint(resource) {
+        return APP_CONFIG.api.endpoints[resource] || `/${resource}`;
+    }
+
     /**
      * Clear cache
      * @param {string} resource - Optional specific resource to clear
@@ -84,8 +84,8 @@ class DataTable extends Component {
      * Handle search
      */
     handleSearch(query) {
+        this.setState({ searchQuery: query });
         this.setState({
-            searchQuery: query,
             filteredData: this.applyFilters(this.state.data),
             currentPage: 1
         });
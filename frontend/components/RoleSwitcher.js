@@ -2,6 +2,8 @@
  * Role Switcher Component
  * Dropdown menu for switching between different roles
  * Displays available roles grouped by category
+ * Outside demo mode it only offers the user's own role and the roles the
+ * server lets it view as (see RoleService.switchRole)
  */
 
 class RoleSwitcher extends Component {
@@ -12,7 +14,8 @@ class RoleSwitcher extends Component {
             isOpen: false,
             roles: null,
             currentRole: null,
-            categorizedRoles: {}
+            categorizedRoles: {},
+            ownRoleId: null
         };
     }
 
@@ -26,6 +29,10 @@ class RoleSwitcher extends Component {
         this.state.currentRole = roleService.getCurrentRole();
         this.state.categorizedRoles = roleService.getRolesByCategory();
 
+        if (APP_CONFIG.app.environment !== 'demo') {
+            await this.loadAssumableRoles();
+        }
+
         // Subscribe to role changes
         this.subscribe(EVENTS.ROLE_CHANGED, this.onRoleChanged);
 
@@ -33,6 +40,21 @@ class RoleSwitcher extends Component {
         document.addEventListener('click', this.handleOutsideClick.bind(this));
     }
 
+    /**
+     * Keep only the roles the server allows: the user's own and those it may view as
+     */
+    async loadAssumableRoles() {
+        const { enabled, ownRoleId, roles } = await authService.getAssumableRoles();
+        const allowed = enabled ? [ownRoleId, ...roles.map(role => role.id)] : [];
+
+        this.state.ownRoleId = ownRoleId || null;
+
+        Object.keys(this.state.categorizedRoles).forEach(category => {
+            this.state.categorizedRoles[category] = this.state.categorizedRoles[category]
+                .filter(role => allowed.includes(role.id));
+        });
+    }
+
     /**
      * Handle role change event
      */
@@ -78,6 +100,13 @@ class RoleSwitcher extends Component {
                 
                 // Show notification
                 notificationService.success(`Switched to ${roleService.getRoleDisplayName(roleId)}`);
+
+                // Data on the page was loaded with the previous role's token
+                if (APP_CONFIG.app.environment !== 'demo') {
+                    window.location.reload();
+                }
+            } else {
+                notificationService.error('Failed to switch role');
             }
         } catch (error) {
             notificationService.error('Failed to switch role: ' + error.message);
@@ -105,7 +134,7 @@ class RoleSwitcher extends Component {
     renderHeader() {
         return `
             <div class="role-switcher-header">
-                <span>Switch Role (Demo)</span>
+                <span>${APP_CONFIG.app.environment === 'demo' ? 'Switch Role (Demo)' : 'View As'}</span>
                 <button onclick="roleSwitcherComponent.toggle(event)" class="close-switcher">×</button>
             </div>
         `;
@@ -118,6 +147,10 @@ class RoleSwitcher extends Component {
         const platformRoles = categorizedRoles.platform || [];
         const customerRoles = categorizedRoles.customer || [];
 
+        if (platformRoles.length + customerRoles.length === 0) {
+            return '<div class="role-switcher-body"><div class="role-group-label">Role switching is not available</div></div>';
+        }
+
         return `
             <div class="role-switcher-body">
                 ${this.renderRoleGroup('REABEL Partners', 'building-2', platformRoles)}
@@ -157,7 +190,7 @@ class RoleSwitcher extends Component {
                 <div class="role-icon">${role.icon}</div>
                 <div class="role-info">
                     <div class="role-name">${role.name}</div>
-                    <div class="role-desc">${role.type}</div>
+                    <div class="role-desc">${role.id === this.state.ownRoleId ? 'Your role' : role.type}</div>
                 </div>
             </div>
         `;
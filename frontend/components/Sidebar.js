@@ -30,6 +30,19 @@ class Sidebar extends Component {
 
         // Subscribe to role changes
         this.subscribe(EVENTS.ROLE_CHANGED, this.onRoleChanged);
+        this.subscribe(EVENTS.SUPPORT_SESSION_CHANGED, this.renderSupportBanner);
+    }
+
+    /**
+     * Show the support session banner and the unread count once the sidebar is on the page
+     */
+    afterMount() {
+        this.renderSupportBanner();
+
+        if (typeof notificationService !== 'undefined' && notificationService) {
+            notificationService.refreshUnreadCount();
+            notificationService.loadPreferences();
+        }
     }
 
     /**
@@ -116,12 +129,16 @@ class Sidebar extends Component {
     renderRoleSwitcher(currentRole) {
         if (!currentRole) return '';
 
+        // While viewing as another role, name the user's own
+        const assumedFrom = store.get('user.assumedFrom');
+        const roleType = assumedFrom ? `Viewing as · you are ${roleService.getRoleDisplayName(assumedFrom)}` : currentRole.type;
+
         return `
             <div class="role-switcher-container">
                 <div class="current-role-badge" onclick="roleSwitcherComponent.toggle(event)">
                     <div class="role-badge-info">
                         <div id="currentRoleName">${currentRole.name}</div>
-                        <div id="currentRoleType">${currentRole.type}</div>
+                        <div id="currentRoleType">${roleType}</div>
                     </div>
                     <div class="dropdown-arrow">▼</div>
                 </div>
@@ -156,6 +173,77 @@ class Sidebar extends Component {
         }
     }
 
+    /**
+     * Support session banner at the top of the page
+     * Shows the staff role's banner from roles.json, the tenant being viewed and
+     * the time left; the session is dropped locally when it runs out
+     */
+    renderSupportBanner() {
+        const main = document.querySelector('.main-content');
+        let banner = document.getElementById('support-banner');
+
+        clearInterval(this.supportTimer);
+
+        const supportSession = authService.getSupportSession();
+
+        if (!supportSession || !main) {
+            if (banner) banner.remove();
+            return;
+        }
+
+        const role = (roleService.roles && roleService.roles[supportSession.role]) || null;
+        const roleBanner = (role && role.banner) || { title: 'Support Session', text: '' };
+        const escape = value => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'support-banner';
+            banner.className = 'role-banner support-banner';
+            main.prepend(banner);
+        }
+
+        banner.innerHTML = `
+            <div class="role-banner-icon">${role ? role.icon : ''}</div>
+            <div class="role-banner-content">
+                <div class="role-banner-title">${escape(roleBanner.title)}: viewing ${escape(supportSession.tenantName)}</div>
+                <div class="role-banner-text">${escape(roleBanner.text)} · read-only · ends in <span id="support-countdown"></span></div>
+            </div>
+            <button class="btn btn-secondary" onclick="sidebar.endSupportSession()">End support session</button>
+        `;
+
+        const tick = () => {
+            const left = supportSession.expiresAt - Date.now();
+
+            if (left <= 0) {
+                clearInterval(this.supportTimer);
+                authService.clearSupportSession();
+                eventBus.emit(EVENTS.NOTIFICATION_SHOW, { message: 'Support session expired', type: 'info' });
+                return;
+            }
+
+            const minutes = Math.floor(left / 60000);
+            const seconds = Math.floor((left % 60000) / 1000);
+            document.getElementById('support-countdown').textContent = `${minutes}:${String(seconds).padStart(2, '0')}`;
+        };
+
+        tick();
+        this.supportTimer = setInterval(tick, 1000);
+    }
+
+    /**
+     * End the support session and return to the platform console
+     */
+    async endSupportSession() {
+        const response = await authService.endSupportSession();
+
+        if (!response.success && authService.getSupportSession()) {
+            eventBus.emit(EVENTS.NOTIFICATION_SHOW, { message: response.error || 'Failed to end support session', type: 'error' });
+            return;
+        }
+
+        window.location.href = '12_platform.html';
+    }
+
     /**
      * Update navigation badges
      */
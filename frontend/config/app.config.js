@@ -27,18 +27,24 @@ const APP_CONFIG = {
             reviews: '/reviews',
             actions: '/actions',
             progress: '/progress',
-            team: '/team'
+            team: '/team',
+            platform: '/platform',
+            audit: '/audit',
+            notifications: '/notifications',
+            reminders: '/reminders',
+            realtime: '/realtime',
+            collaboration: '/collaboration'
         }
     },
 
     // Data sources (currently JSON, ready for API)
-    avascriptdataSources: {
-    mode: 'api',
-    api: {
-        baseUrl: 'https://reabel-platform.onrender.com/api/v1'
-    },
-    local: {
-        basePath: '../data',
+    dataSources: {
+        mode: 'api',
+        api: {
+            baseUrl: 'https://reabel-platform.onrender.com/api/v1'
+        },
+        local: {
+            basePath: '../data',
             files: {
                 roles: 'roles.json',
                 permissions: 'permissions.json',
@@ -58,8 +64,8 @@ const APP_CONFIG = {
         notifications: true,
         darkMode: false,
         analytics: true,
-        realTimeUpdates: false,
-        collaborativeEditing: false
+        realTimeUpdates: true,
+        collaborativeEditing: true
     },
 
     // UI configuration
@@ -67,6 +73,7 @@ const APP_CONFIG = {
         theme: 'default',
         defaultRole: 'customer_admin',
         notificationDuration: 3000,
+        inboxPollInterval: 60000,
         autoSaveInterval: 30000,
         pageSize: 20,
         maxUploadSize: 10485760 // 10MB
@@ -79,10 +86,16 @@ const APP_CONFIG = {
             role: 'demoRole',
             user: 'currentUser',
             theme: 'theme',
-            session: 'sessionData'
+            session: 'sessionData',
+            supportSession: 'supportSession'
         }
     },
 
+    // Authentication configuration
+    auth: {
+        refreshLeeway: 30000 // Refresh the access token 30s before it expires
+    },
+
     // Event bus configuration
     events: {
         debounceDelay: 300,
@@ -57,12 +57,13 @@ class AssessmentService {
 
             // Load assessments from database/API
             const assessmentsData = await apiService.load('assessments');
-            
-            // Apply client-side filtering (in production, this is server-side)
-            this.assessments = this.filterAssessmentsByPermissions(
-                assessmentsData.assessments || assessmentsData,
-                filter
-            );
+            const assessments = assessmentsData.assessments || assessmentsData;
+
+            // The API already applies the role's data filter server-side;
+            // local JSON data still needs client-side filtering
+            this.assessments = apiService.mode === 'api'
+                ? assessments
+                : this.filterAssessmentsByPermissions(assessments, filter);
 
             console.log('[AssessmentService] Loaded', this.assessments.length, 'assessments');
             return this.assessments;
@@ -210,6 +211,9 @@ class AssessmentService {
                 throw new Error(response.error || 'Failed to create assessment');
             }
 
+            // Prefer the server copy (server-generated ID and dimensions)
+            Object.assign(assessment, response.data?.assessment || {});
+
             // Add to local cache
             if (!this.assessments) this.assessments = [];
             this.assessments.push(assessment);
@@ -328,6 +332,11 @@ class AssessmentService {
      */
     async transitionState(assessmentId, newState) {
         try {
+            // The backend workflow engine is authoritative in API mode
+            if (apiService.mode === 'api') {
+                return await this.transitionStateRemote(assessmentId, newState);
+            }
+
             const assessment = await this.getAssessment(assessmentId);
             const currentState = assessment.status;
             const roleId = roleService.currentRole;
@@ -367,6 +376,43 @@ class AssessmentService {
         }
     }
 
+    /**
+     * Transition assessment through the backend workflow engine
+     * Role checks, state stamps and post-actions all run server-side
+     * @param {string} assessmentId - Assessment ID
+     * @param {string} newState - Target state
+     * @returns {Promise<object>} Updated assessment
+     */
+    async transitionStateRemote(assessmentId, newState) {
+        const response = await apiService.save(
+            `assessments/${assessmentId}/transitions`,
+            { to: newState },
+            'POST'
+        );
+
+        if (!response.success) {
+            throw new Error(response.error || `Cannot transition to ${newState}`);
+        }
+
+        const updated = response.data.assessment;
+
+        // Update cache
+        const index = this.assessments?.findIndex(a => a.id === assessmentId) ?? -1;
+        if (index !== -1) {
+            this.assessments[index] = updated;
+        }
+        this.cache.set(assessmentId, updated);
+
+        eventBus.emit(EVENTS.ASSESSMENT_UPDATED, updated);
+
+        eventBus.emit(EVENTS.NOTIFICATION_SHOW, {
+            type: 'success',
+            message: `Assessment moved to ${newState}`
+        });
+
+        return updated;
+    }
+
     /**
      * Execute post-transition actions
      * @param {object} assessment - Assessment object
@@ -493,10 +539,12 @@ class AssessmentService {
                     status: 'pending'
                 };
 
-                await apiService.save('assessment_assignments', assignmentRecord, 'POST');
+                // In API mode the backend also notifies the assignee
+                await apiService.save(`assessments/${assessmentId}/assignments`, assignmentRecord, 'POST');
 
-                // Send notification
-                await this.sendAssignmentNotification(assessment, assignment);
+                if (apiService.mode !== 'api') {
+                    await this.sendAssignmentNotification(assessment, assignment);
+                }
             }
 
             eventBus.emit(EVENTS.NOTIFICATION_SHOW, {
@@ -510,6 +558,43 @@ class AssessmentService {
         }
     }
 
+    /**
+     * Move an assessment to another version of its template (API mode only)
+     * @param {string} assessmentId - Assessment ID
+     * @param {string} versionId - Target template version ID
+     * @param {object} options - { mapping: { oldQuestionId: newQuestionId }, dryRun }
+     * @returns {Promise<object>} Migration report
+     */
+    async migrateAssessment(assessmentId, versionId, options = {}) {
+        const response = await apiService.save(
+            `assessments/${assessmentId}/migrate`,
+            {
+                template_version_id: versionId,
+                mapping: options.mapping || {},
+                dry_run: options.dryRun === true
+            },
+            'POST'
+        );
+
+        if (!response.success) {
+            throw new Error(response.error || 'Migration failed');
+        }
+
+        const { report, assessment } = response.data;
+
+        if (assessment) {
+            const index = this.assessments?.findIndex(a => a.id === assessmentId) ?? -1;
+            if (index !== -1) {
+                this.assessments[index] = assessment;
+            }
+            this.cache.set(assessmentId, assessment);
+
+            eventBus.emit(EVENTS.ASSESSMENT_UPDATED, assessment);
+        }
+
+        return report;
+    }
+
     /**
      * Get assessment by ID
      * @param {string} assessmentId - Assessment ID
@@ -536,8 +621,9 @@ class AssessmentService {
         );
 
         if (response.success) {
-            this.cache.set(assessmentId, response.data);
-            return response.data;
+            const assessment = response.data.assessment || response.data;
+            this.cache.set(assessmentId, assessment);
+            return assessment;
         }
 
         return null;
@@ -748,35 +834,41 @@ class AssessmentService {
     }
 
     /**
-     * Send notification (placeholder for notification service)
+     * Send notification (local mode)
+     * In API mode the backend 'notify' post-action creates notification records
      */
     async sendNotification(assessment, config) {
-        console.log('[AssessmentService] Sending notification for assessment:', assessment.id);
-        // Will be implemented in NotificationService
+        eventBus.emit(EVENTS.NOTIFICATION_SHOW, {
+            type: 'info',
+            message: `Notification sent for "${assessment.title}"`
+        });
     }
 
     /**
-     * Send assignment notification
+     * Send assignment notification (local mode)
+     * In API mode the backend notifies assignees when the assignment is created
      */
     async sendAssignmentNotification(assessment, assignment) {
-        console.log('[AssessmentService] Sending assignment notification');
-        // Will be implemented in NotificationService
+        eventBus.emit(EVENTS.NOTIFICATION_SHOW, {
+            type: 'info',
+            message: `Assignment notification sent for "${assessment.title}"`
+        });
     }
 
     /**
      * Auto-assign based on rules
+     * Rules need the team roster, so they only run server-side ('assign' post-action)
      */
     async autoAssign(assessment, config) {
-        console.log('[AssessmentService] Auto-assigning based on rules');
-        // Implement auto-assignment logic
+        console.log('[AssessmentService] Auto-assignment runs on the backend; skipped in local mode');
     }
 
     /**
      * Generate action items from assessment results
+     * Runs server-side as the 'create_action_items' post-action
      */
     async generateActionItems(assessment) {
-        console.log('[AssessmentService] Generating action items for assessment:', assessment.id);
-        // Will be implemented in future
+        console.log('[AssessmentService] Action item generation runs on the backend; skipped in local mode');
     }
 }
 
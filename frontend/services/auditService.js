@@ -0,0 +1,91 @@
+/**
+ * Audit Service
+ * Search and export the audit log (needs view:audit; customer admins see
+ * their own organization, REABEL admins every tenant)
+ */
+
+class AuditService {
+    constructor() {
+        this.baseUrl = `${APP_CONFIG.api.baseUrl}${APP_CONFIG.api.endpoints.audit}`;
+    }
+
+    /**
+     * Query string for the log filters (empty values are left out)
+     * @param {object} filter - { search, action, entityType, userId, tenantId, outcome, from, to, limit }
+     * @returns {string} '?…' or ''
+     */
+    buildQuery(filter = {}) {
+        const params = new URLSearchParams();
+
+        Object.entries(filter).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.set(key, value);
+            }
+        });
+
+        return params.toString() ? `?${params}` : '';
+    }
+
+    /**
+     * Audit entries, newest first
+     * @param {object} filter - See buildQuery
+     * @returns {Promise} Result with data.logs and data.truncated
+     */
+    async getLogs(filter = {}) {
+        return apiService.fetch(`${this.baseUrl}/logs${this.buildQuery(filter)}`);
+    }
+
+    /**
+     * Actions and entity types present in the log, for the filter lists
+     * @returns {Promise<object>} { actions, entityTypes }
+     */
+    async getFacets() {
+        const response = await apiService.fetch(`${this.baseUrl}/facets`);
+        return response.success
+            ? { actions: response.data.actions, entityTypes: response.data.entityTypes }
+            : { actions: [], entityTypes: [] };
+    }
+
+    /**
+     * Download the matching entries as CSV
+     * @param {object} filter - See buildQuery (limit is ignored)
+     * @returns {Promise} Result
+     */
+    async exportCsv({ limit, ...filter } = {}) {
+        const url = `${this.baseUrl}/logs/export${this.buildQuery(filter)}`;
+
+        try {
+            const response = await fetch(url, { headers: apiService.getAuthHeaders(url) });
+
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                return { success: false, error: body.message || `HTTP ${response.status}: ${response.statusText}` };
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const blob = await response.blob();
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = match ? match[1] : 'audit-log.csv';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(link.href);
+
+            return { success: true };
+
+        } catch (error) {
+            console.error('[Audit] Export failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+const auditService = new AuditService();
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AuditService, auditService };
+}
@@ -7,10 +7,14 @@ class AuthService {
     constructor() {
         this.storageKey = APP_CONFIG.storage.prefix + APP_CONFIG.storage.keys.user;
         this.sessionKey = APP_CONFIG.storage.prefix + APP_CONFIG.storage.keys.session;
+        this.pendingRefresh = null;
     }
 
     /**
      * Login user
+     * When a second factor is needed the result is a challenge instead of a session:
+     * { success: false, mfaRequired: true, enrollmentRequired, mfaToken, methods }
+     * Finish with verifyMfa(), or enrollMfa() + activateMfa() when enrollmentRequired
      * @param {string} email - User email
      * @param {string} password - User password
      * @returns {Promise} Login result
@@ -28,6 +32,82 @@ class AuthService {
                 body: JSON.stringify({ email, password })
             });
 
+            return this.handleLoginResponse(response);
+
+        } catch (error) {
+            console.error('[Auth] Login error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Finish a first login step (password or SSO)
+     * A second factor may still be needed; that comes back as { mfaRequired, mfaToken }
+     * @param {object} response - apiService.fetch() result
+     * @returns {Promise} Login result
+     */
+    async handleLoginResponse(response) {
+        if (response.success && (response.data.mfaRequired || response.data.mfaEnrollmentRequired)) {
+            return {
+                success: false,
+                mfaRequired: true,
+                enrollmentRequired: Boolean(response.data.mfaEnrollmentRequired),
+                mfaToken: response.data.mfaToken,
+                expiresAt: response.data.mfaExpiresAt,
+                methods: response.data.methods
+            };
+        }
+
+        if (response.success) {
+            await this.handleLoginSuccess(response.data);
+        }
+
+        return response;
+    }
+
+    /**
+     * Where to send the browser for single sign-on
+     * The IdP returns it to the login page with #ssoToken=... (see completeSsoLogin)
+     * @param {string} tenant - Organization slug or ID
+     * @returns {string} URL
+     */
+    ssoLoginUrl(tenant) {
+        return `${APP_CONFIG.api.baseUrl}/auth/sso/authorize?tenant=${encodeURIComponent(tenant)}`;
+    }
+
+    /**
+     * Exchange the one-time token from the SSO redirect for a session
+     * @param {string} ssoToken - Token from the login page URL fragment
+     * @returns {Promise} Login result (may ask for a second factor, like login())
+     */
+    async completeSsoLogin(ssoToken) {
+        try {
+            const response = await apiService.fetch(`${APP_CONFIG.api.baseUrl}/auth/sso/complete`, {
+                method: 'POST',
+                body: JSON.stringify({ ssoToken })
+            });
+
+            return this.handleLoginResponse(response);
+
+        } catch (error) {
+            console.error('[Auth] SSO login error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Second login step
+     * @param {string} mfaToken - Interim token from login()
+     * @param {object} factor - { code } or { recoveryCode }
+     * @returns {Promise} Login result
+     */
+    async verifyMfa(mfaToken, factor) {
+        try {
+            const response = await apiService.fetch(`${APP_CONFIG.api.baseUrl}/auth/mfa/verify`, {
+                method: 'POST',
+                body: JSON.stringify({ mfaToken, ...factor })
+            });
+
             if (response.success) {
                 await this.handleLoginSuccess(response.data);
             }
@@ -35,11 +115,76 @@ class AuthService {
             return response;
 
         } catch (error) {
-            console.error('[Auth] Login error:', error);
+            console.error('[Auth] MFA verification error:', error);
             return { success: false, error: error.message };
         }
     }
 
+    /**
+     * Start TOTP enrollment
+     * @param {string|null} mfaToken - Interim token when the tenant forces enrollment at login
+     * @returns {Promise} Result with data.secret and data.otpauthUrl (for the QR code)
+     */
+    async enrollMfa(mfaToken = null) {
+        return apiService.fetch(`${APP_CONFIG.api.baseUrl}/auth/mfa/enroll`, {
+            method: 'POST',
+            body: JSON.stringify(mfaToken ? { mfaToken } : {})
+        });
+    }
+
+    /**
+     * Confirm enrollment with a code from the authenticator app
+     * With an interim token this also completes the login
+     * @param {string} code - TOTP code
+     * @param {string|null} mfaToken - Interim token from login()
+     * @returns {Promise} Result with data.recoveryCodes
+     */
+    async activateMfa(code, mfaToken = null) {
+        const response = await apiService.fetch(`${APP_CONFIG.api.baseUrl}/auth/mfa/activate`, {
+            method: 'POST',
+            body: JSON.stringify(mfaToken ? { mfaToken, code } : { code })
+        });
+
+        if (response.success && response.data.session) {
+            await this.handleLoginSuccess(response.data);
+        }
+
+        return response;
+    }
+
+    /**
+     * MFA status of the current user
+     * @returns {Promise<object|null>} { enabled, pending, enabledAt, recoveryCodesRemaining, required }
+     */
+    async getMfaStatus() {
+        const response = await apiService.fetch(`${APP_CONFIG.api.baseUrl}/auth/mfa`);
+        return response.success ? response.data.mfa : null;
+    }
+
+    /**
+     * Turn MFA off
+     * @param {object} factor - { code } or { recoveryCode }
+     * @returns {Promise} Result
+     */
+    async disableMfa(factor) {
+        return apiService.fetch(`${APP_CONFIG.api.baseUrl}/auth/mfa/disable`, {
+            method: 'POST',
+            body: JSON.stringify(factor)
+        });
+    }
+
+    /**
+     * Replace recovery codes
+     * @param {object} factor - { code } or { recoveryCode }
+     * @returns {Promise} Result with data.recoveryCodes
+     */
+    async regenerateRecoveryCodes(factor) {
+        return apiService.fetch(`${APP_CONFIG.api.baseUrl}/auth/mfa/recovery-codes`, {
+            method: 'POST',
+            body: JSON.stringify(factor)
+        });
+    }
+
     /**
      * Demo login (accepts any credentials)
      * @param {string} email - User email
@@ -76,12 +221,11 @@ class AuthService {
         store.setState({
             user: {
                 ...user,
-                permissions: this.getRolePermissions(user.role)
+                permissions: this.resolvePermissions(user)
             },
             session: {
                 isAuthenticated: true,
-                token: session.token,
-                expiresAt: session.expiresAt
+                ...session
             }
         });
 
@@ -89,6 +233,11 @@ class AuthService {
         this.saveToStorage('user', user);
         this.saveToStorage('session', session);
 
+        // RoleService starts from the stored role, so the session's role wins
+        if (user.role) {
+            localStorage.setItem(APP_CONFIG.storage.prefix + APP_CONFIG.storage.keys.role, user.role);
+        }
+
         // Emit login event
         eventBus.emit(EVENTS.USER_LOGGED_IN, user);
 
@@ -97,30 +246,21 @@ class AuthService {
 
     /**
      * Logout user
+     * Revokes the session on the backend (its refresh token stops working)
      */
     async logout() {
         try {
             // Call logout API if not in demo mode
             if (APP_CONFIG.app.environment !== 'demo') {
+                const refreshToken = store.get('session.refreshToken');
+
                 await apiService.fetch(`${APP_CONFIG.api.baseUrl}/auth/logout`, {
-                    method: 'POST'
+                    method: 'POST',
+                    body: JSON.stringify(refreshToken ? { refreshToken } : {})
                 });
             }
 
-            // Clear state
-            store.setState({
-                user: { id: null, email: null, name: null, role: null, permissions: [] },
-                session: { isAuthenticated: false, token: null, expiresAt: null }
-            });
-
-            // Clear storage
-            this.clearStorage();
-
-            // Clear API cache
-            apiService.clearCache();
-
-            // Emit logout event
-            eventBus.emit(EVENTS.USER_LOGGED_OUT);
+            this.clearSession();
 
             console.log('[Auth] User logged out');
 
@@ -132,27 +272,298 @@ class AuthService {
         }
     }
 
+    /**
+     * Log out of every device, including this one
+     * @returns {Promise} Result with the number of sessions revoked
+     */
+    async logoutAllDevices() {
+        try {
+            const response = await apiService.fetch(`${APP_CONFIG.api.baseUrl}/auth/logout-all`, {
+                method: 'POST'
+            });
+
+            if (!response.success) {
+                return response;
+            }
+
+            this.clearSession();
+
+            console.log('[Auth] Logged out of all devices');
+
+            return { success: true, revoked: response.data.revoked };
+
+        } catch (error) {
+            console.error('[Auth] Logout all error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Clear local session state without calling the backend
+     */
+    clearSession() {
+        // Clear state
+        store.setState({
+            user: { id: null, email: null, name: null, role: null, permissions: [] },
+            session: { isAuthenticated: false, token: null, expiresAt: null },
+            supportSession: null
+        });
+
+        // Clear storage
+        this.clearStorage();
+
+        // Clear API cache
+        apiService.clearCache();
+
+        // Emit logout event
+        eventBus.emit(EVENTS.USER_LOGGED_OUT);
+    }
+
     /**
      * Check if user is authenticated
-     * @returns {boolean}
+     * An expired access token is refreshed transparently; the user is only
+     * logged out when the refresh token is missing, expired or revoked
+     * @returns {Promise<boolean>}
      */
-    isAuthenticated() {
+    async isAuthenticated() {
         const session = store.get('session');
         
         if (!session.isAuthenticated) {
             return false;
         }
 
-        // Check if token is expired
-        if (session.expiresAt && Date.now() > session.expiresAt) {
+        // Refresh slightly early so requests don't race the expiry
+        if (session.expiresAt && Date.now() > session.expiresAt - APP_CONFIG.auth.refreshLeeway) {
+            if (session.refreshToken && await this.refreshSession()) {
+                return true;
+            }
+
             console.log('[Auth] Session expired');
-            this.logout();
+            this.clearSession();
             return false;
         }
 
         return true;
     }
 
+    /**
+     * Exchange the refresh token for a new access token
+     * Concurrent callers share one request, since each refresh token works only once
+     * @returns {Promise<boolean>} Success status
+     */
+    async refreshSession() {
+        if (!this.pendingRefresh) {
+            this.pendingRefresh = this.requestRefresh().finally(() => {
+                this.pendingRefresh = null;
+            });
+        }
+
+        return this.pendingRefresh;
+    }
+
+    /**
+     * POST /auth/refresh and store the rotated session
+     * @returns {Promise<boolean>} Success status
+     */
+    async requestRefresh() {
+        try {
+            const refreshToken = store.get('session.refreshToken');
+
+            if (!refreshToken) {
+                return false;
+            }
+
+            const response = await apiService.fetch(`${APP_CONFIG.api.baseUrl}/auth/refresh`, {
+                method: 'POST',
+                body: JSON.stringify({ refreshToken })
+            });
+
+            if (!response.success) {
+                return false;
+            }
+
+            const { user, session } = response.data;
+
+            store.setState({
+                user: {
+                    ...user,
+                    permissions: this.resolvePermissions(user)
+                },
+                session: {
+                    isAuthenticated: true,
+                    ...session
+                }
+            });
+
+            this.saveToStorage('user', user);
+            this.saveToStorage('session', session);
+
+            eventBus.emit(EVENTS.SESSION_REFRESHED, session);
+
+            console.log('[Auth] Session refreshed');
+            return true;
+
+        } catch (error) {
+            console.error('[Auth] Refresh error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Active sessions of the current user (for the profile page)
+     * @returns {Promise<array>} Sessions, the current one flagged with current: true
+     */
+    async getSessions() {
+        const response = await apiService.fetch(`${APP_CONFIG.api.baseUrl}/auth/sessions`);
+        return response.success ? response.data.sessions : [];
+    }
+
+    /**
+     * Revoke one of the current user's sessions
+     * @param {string} sessionId - Session ID
+     * @returns {Promise} Result
+     */
+    async revokeSession(sessionId) {
+        return apiService.fetch(`${APP_CONFIG.api.baseUrl}/auth/sessions/${sessionId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    /**
+     * Roles the user may view the app as
+     * @returns {Promise<object>} { enabled, roleId, ownRoleId, assumedRoleId, roles }
+     */
+    async getAssumableRoles() {
+        const response = await apiService.fetch(`${APP_CONFIG.api.baseUrl}/auth/roles/assumable`);
+        return response.success ? response.data : { enabled: false, roles: [] };
+    }
+
+    /**
+     * View the app as another role
+     * The server checks the user's own role allows it and audits the switch
+     * @param {string} roleId - Role to act as (the user's own role switches back)
+     * @returns {Promise} Result
+     */
+    async assumeRole(roleId) {
+        const response = await apiService.fetch(`${APP_CONFIG.api.baseUrl}/auth/roles/assume`, {
+            method: 'POST',
+            body: JSON.stringify({ roleId })
+        });
+
+        if (response.success) {
+            this.applyRoleSwitch(response.data);
+        }
+
+        return response;
+    }
+
+    /**
+     * Return to the user's own role
+     * @returns {Promise} Result
+     */
+    async restoreRole() {
+        const response = await apiService.fetch(`${APP_CONFIG.api.baseUrl}/auth/roles/assume`, {
+            method: 'DELETE'
+        });
+
+        if (response.success) {
+            this.applyRoleSwitch(response.data);
+        }
+
+        return response;
+    }
+
+    /**
+     * Store the access token and user of a role switch (the refresh token is unchanged)
+     * @param {object} data - { user, session } from the switch response
+     */
+    applyRoleSwitch({ user, session }) {
+        const nextSession = { ...this.loadFromStorage('session'), ...session };
+
+        store.setState({
+            user: {
+                ...user,
+                permissions: this.resolvePermissions(user)
+            },
+            session: {
+                isAuthenticated: true,
+                ...nextSession
+            }
+        });
+
+        this.saveToStorage('user', user);
+        this.saveToStorage('session', nextSession);
+        localStorage.setItem(APP_CONFIG.storage.prefix + APP_CONFIG.storage.keys.role, user.role);
+    }
+
+    /**
+     * Support session the current user has open, if it has not expired
+     * While one is open, apiService sends its token instead of the session token
+     * (except to the auth and platform endpoints)
+     * @returns {object|null} { id, token, expiresAt, tenantId, tenantName, role, reason }
+     */
+    getSupportSession() {
+        const supportSession = store.get('supportSession');
+
+        if (!supportSession) {
+            return null;
+        }
+
+        if (Date.now() >= supportSession.expiresAt) {
+            this.clearSupportSession();
+            return null;
+        }
+
+        return supportSession;
+    }
+
+    /**
+     * Store a support session started from the platform console
+     * @param {object} supportSession - { id, token, expiresAt, tenantId, tenantName, role, reason }
+     */
+    setSupportSession(supportSession) {
+        store.setState({ supportSession });
+        this.saveToStorage('supportSession', supportSession);
+        apiService.clearCache();
+
+        eventBus.emit(EVENTS.SUPPORT_SESSION_CHANGED, supportSession);
+    }
+
+    /**
+     * End the current support session on the backend and forget it
+     * @returns {Promise} Result
+     */
+    async endSupportSession() {
+        const supportSession = store.get('supportSession');
+
+        if (!supportSession) {
+            return { success: true };
+        }
+
+        const response = await apiService.fetch(
+            `${APP_CONFIG.api.baseUrl}${APP_CONFIG.api.endpoints.platform}/support-sessions/${supportSession.id}`,
+            { method: 'DELETE' }
+        );
+
+        // Already ended or expired on the backend: gone either way
+        if (response.success || response.status === 404 || response.status === 409) {
+            this.clearSupportSession();
+        }
+
+        return response;
+    }
+
+    /**
+     * Forget the support session (its token is no longer sent)
+     */
+    clearSupportSession() {
+        store.setState({ supportSession: null });
+        localStorage.removeItem(APP_CONFIG.storage.prefix + APP_CONFIG.storage.keys.supportSession);
+        apiService.clearCache();
+
+        eventBus.emit(EVENTS.SUPPORT_SESSION_CHANGED, null);
+    }
+
     /**
      * Get current user
      * @returns {object|null} Current user
@@ -163,12 +574,25 @@ class AuthService {
 
     /**
      * Check if user has permission
+     * '*' and 'admin:*' grant everything; '<action>:*' grants the action on any
+     * resource (as the backend's hasPermission)
      * @param {string} permission - Permission to check
      * @returns {boolean}
      */
     hasPermission(permission) {
         const permissions = store.get('user.permissions') || [];
-        return permissions.includes(permission);
+        const action = permission.split(':')[0];
+        return [permission, '*', 'admin:*', `${action}:*`].some(code => permissions.includes(code));
+    }
+
+    /**
+     * Permissions for a logged-in user
+     * The backend sends the role's permission codes; demo users fall back to the built-in map
+     * @param {object} user - User from the login response
+     * @returns {array} Array of permissions
+     */
+    resolvePermissions(user) {
+        return Array.isArray(user.permissions) ? user.permissions : this.getRolePermissions(user.role);
     }
 
     /**
@@ -199,19 +623,24 @@ class AuthService {
         try {
             const user = this.loadFromStorage('user');
             const session = this.loadFromStorage('session');
+            const supportSession = this.loadFromStorage('supportSession');
 
             if (user && session) {
-                // Check if session is still valid
-                if (session.expiresAt && Date.now() < session.expiresAt) {
+                // Still valid, or renewable with the refresh token
+                const renewable = session.refreshToken &&
+                    (!session.refreshExpiresAt || Date.now() < session.refreshExpiresAt);
+
+                if ((session.expiresAt && Date.now() < session.expiresAt) || renewable) {
                     store.setState({
                         user: {
                             ...user,
-                            permissions: this.getRolePermissions(user.role)
+                            permissions: this.resolvePermissions(user)
                         },
                         session: {
                             isAuthenticated: true,
                             ...session
-                        }
+                        },
+                        supportSession: supportSession && Date.now() < supportSession.expiresAt ? supportSession : null
                     });
 
                     console.log('[Auth] Session restored for:', user.email);
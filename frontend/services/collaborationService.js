@@ -0,0 +1,201 @@
+/**
+ * Collaboration Service
+ * Who else is answering an assessment, on which question, and who is editing what
+ *
+ * While a page has an assessment open it sends a presence heartbeat with the
+ * question in view, and holds a soft lock on the question being edited,
+ * renewing it until released. Both expire on the server when the page goes
+ * away without saying so. Every heartbeat emits EVENTS.PRESENCE_CHANGED with
+ * the current state; teammates' changes arrive through realtimeService.
+ * Off unless APP_CONFIG.features.collaborativeEditing; never in demo mode.
+ */
+
+class CollaborationService {
+    constructor() {
+        this.baseUrl = `${APP_CONFIG.api.baseUrl}${APP_CONFIG.api.endpoints.collaboration}`;
+        this.assessmentId = null;
+        this.questionId = null;
+        this.heldLocks = new Set();
+        this.state = { viewers: [], locks: [] };
+        this.heartbeatTimer = null;
+        this.renewTimer = null;
+        this.onPageHide = () => this.leave();
+        this.heartbeatInterval = 20000;
+        this.renewInterval = 30000;
+    }
+
+    /**
+     * Whether presence and locks are available here
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return Boolean(APP_CONFIG.features.collaborativeEditing)
+            && APP_CONFIG.app.environment !== 'demo';
+    }
+
+    /**
+     * Open an assessment: announce the caller and keep announcing them
+     * @param {string} assessmentId - Assessment ID
+     * @returns {Promise<object>} State { viewers, locks }
+     */
+    async join(assessmentId) {
+        if (!this.isEnabled()) return this.state;
+
+        this.stop();
+        this.assessmentId = assessmentId;
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatInterval);
+        this.renewTimer = setInterval(() => this.renewLocks(), this.renewInterval);
+
+        // Leaving the page releases the caller's locks straight away
+        window.addEventListener('pagehide', this.onPageHide);
+
+        await this.heartbeat();
+        return this.state;
+    }
+
+    /**
+     * Tell teammates which question the caller is looking at
+     * @param {string|null} questionId - Question ID
+     */
+    async focus(questionId) {
+        if (!this.assessmentId || this.questionId === questionId) return;
+
+        this.questionId = questionId;
+        await this.heartbeat();
+    }
+
+    /**
+     * Reload who is where, e.g. after a teammate's presence or lock event
+     * @returns {Promise<object>} State { viewers, locks }
+     */
+    async refresh() {
+        if (!this.assessmentId) return this.state;
+
+        const response = await apiService.fetch(this.presenceUrl());
+        if (response.success) this.setState(response.data);
+        return this.state;
+    }
+
+    async heartbeat() {
+        if (!this.assessmentId) return;
+
+        const response = await apiService.fetch(this.presenceUrl(), {
+            method: 'PUT',
+            body: JSON.stringify({ question_id: this.questionId })
+        });
+
+        if (response.success) {
+            this.setState(response.data);
+        } else if (response.status === 403) {
+            // Read-only (support) sessions can look, not be seen
+            this.stopTimers();
+            await this.refresh();
+        }
+    }
+
+    setState(data) {
+        this.state = { viewers: data.viewers || [], locks: data.locks || [] };
+        eventBus.emit(EVENTS.PRESENCE_CHANGED, { assessmentId: this.assessmentId, state: this.state });
+    }
+
+    /**
+     * Take the lock on a question before editing it (renewed until unlock())
+     * @param {string} questionId - Question ID
+     * @param {object} options - { force } to take over a teammate's lock
+     * @returns {Promise<object>} { success, lock } or { success: false, lock (the teammate's), error }
+     */
+    async lock(questionId, { force = false } = {}) {
+        if (!this.assessmentId) return { success: true, lock: null };
+
+        const response = await apiService.fetch(this.lockUrl(questionId), {
+            method: 'POST',
+            body: JSON.stringify({ force })
+        });
+
+        if (!response.success) {
+            this.heldLocks.delete(questionId);
+            return { success: false, lock: response.body?.lock || null, error: response.error };
+        }
+
+        this.heldLocks.add(questionId);
+        return { success: true, lock: response.data.lock };
+    }
+
+    /**
+     * Release the caller's lock on a question
+     * @param {string} questionId - Question ID
+     */
+    async unlock(questionId) {
+        if (!this.assessmentId || !this.heldLocks.has(questionId)) return;
+
+        this.heldLocks.delete(questionId);
+        await apiService.fetch(this.lockUrl(questionId), { method: 'DELETE' });
+    }
+
+    /**
+     * Whether the caller holds the lock on a question
+     * @param {string} questionId - Question ID
+     * @returns {boolean}
+     */
+    holdsLock(questionId) {
+        return this.heldLocks.has(questionId);
+    }
+
+    async renewLocks() {
+        for (const questionId of [...this.heldLocks]) {
+            const result = await this.lock(questionId);
+
+            // Taken over by a teammate meanwhile
+            if (!result.success && result.lock) {
+                eventBus.emit(EVENTS.QUESTION_LOCK_CHANGED, {
+                    assessmentId: this.assessmentId,
+                    questionId,
+                    userId: result.lock.user_id,
+                    takenOverFrom: authService.getCurrentUser()?.id || null
+                });
+            }
+        }
+    }
+
+    /**
+     * Close the assessment: forget the caller's presence and release their locks
+     */
+    leave() {
+        if (!this.assessmentId) return;
+
+        // keepalive lets the request finish while the page unloads
+        apiService.fetch(this.presenceUrl(), { method: 'DELETE', keepalive: true });
+        this.stop();
+    }
+
+    stop() {
+        this.stopTimers();
+        window.removeEventListener('pagehide', this.onPageHide);
+        this.assessmentId = null;
+        this.questionId = null;
+        this.heldLocks.clear();
+        this.state = { viewers: [], locks: [] };
+    }
+
+    stopTimers() {
+        clearInterval(this.heartbeatTimer);
+        clearInterval(this.renewTimer);
+        this.heartbeatTimer = null;
+        this.renewTimer = null;
+    }
+
+    presenceUrl() {
+        return `${this.baseUrl}/assessments/${encodeURIComponent(this.assessmentId)}/presence`;
+    }
+
+    lockUrl(questionId) {
+        return `${this.baseUrl}/assessments/${encodeURIComponent(this.assessmentId)}/locks/${encodeURIComponent(questionId)}`;
+    }
+}
+
+const collaborationService = new CollaborationService();
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CollaborationService, collaborationService };
+}
@@ -11,6 +11,7 @@ class NavigationService {
         this.compiledMenus = {};
         this.initialized = false;
         this.currentPage = null;
+        this.badges = {};
     }
 
     /**
@@ -58,21 +59,26 @@ class NavigationService {
         // Get allowed navigation from role configuration
         const allowedNav = role.navigation;
 
+        // Items with a roles list (e.g. the platform console) exist only for those roles
+        const items = this.navigationData.filter(item => !item.roles || item.roles.includes(role.id));
+
         // If role has 'all' access, return all items
         if (allowedNav === 'all') {
-            return this.navigationData.map(item => ({
+            return items.map(item => ({
                 ...item,
+                badge: this.badges[item.id] || item.badge,
                 isAllowed: true,
                 isActive: this.isCurrentPage(item.id)
             }));
         }
 
         // Filter navigation based on allowed items
-        const filtered = this.navigationData.map(item => {
+        const filtered = items.map(item => {
             const isAllowed = this.isItemAllowedForRole(item, allowedNav);
             
             return {
                 ...item,
+                badge: this.badges[item.id] || item.badge,
                 isAllowed,
                 isDisabled: !isAllowed,
                 isActive: this.isCurrentPage(item.id)
@@ -221,9 +227,12 @@ class NavigationService {
 
     /**
      * Update navigation badges (notifications, counts)
+     * Counts are kept, so menus built later show them too
      * @param {object} badges - Badge data { itemId: count }
      */
     updateBadges(badges) {
+        Object.assign(this.badges, badges);
+
         Object.entries(badges).forEach(([itemId, count]) => {
             const link = document.querySelector(`[data-nav-id="${itemId}"]`);
             if (!link) return;
@@ -2,6 +2,11 @@
  * Notification Service
  * Manages in-app notifications, toasts, and alerts
  * Supports multiple notification types and templates
+ *
+ * Toasts are transient; the inbox (the notifications the server keeps for the
+ * user until read) is loaded from the API, and its unread count is shown as the
+ * badge of the Notifications navigation item. The user's notification
+ * preferences (channel per event) also decide which event toasts are shown.
  */
 
 class NotificationService {
@@ -12,6 +17,10 @@ class NotificationService {
         this.defaultDuration = APP_CONFIG.ui.notificationDuration || 3000;
         this.maxVisible = 3;
         this.initialized = false;
+        this.inboxUrl = `${APP_CONFIG.api.baseUrl}${APP_CONFIG.api.endpoints.notifications}`;
+        this.unreadCount = 0;
+        this.inboxTimer = null;
+        this.preferences = null;
     }
 
     /**
@@ -36,6 +45,9 @@ class NotificationService {
             // Subscribe to notification events
             this.subscribeToEvents();
 
+            // Keep the unread badge current while the page is open
+            this.startInboxPolling();
+
             this.initialized = true;
             console.log('[NotificationService] Initialized');
             return true;
@@ -70,6 +82,9 @@ class NotificationService {
 
     /**
      * Subscribe to application events
+     * Assessment and review toasts follow the user's channel for the matching
+     * server event (none turns them off). Teammates' changes relayed by
+     * realtimeService (remote) refresh pages without a toast; the inbox has them.
      */
     subscribeToEvents() {
         // Show notification event
@@ -79,29 +94,39 @@ class NotificationService {
 
         // Assessment events
         eventBus.on(EVENTS.ASSESSMENT_CREATED, (assessment) => {
-            this.show(`Assessment "${assessment.title}" created successfully`, 'success');
+            if (this.wantsEvent('assessment.update')) {
+                this.show(`Assessment "${assessment.title}" created successfully`, 'success');
+            }
         });
 
         eventBus.on(EVENTS.ASSESSMENT_UPDATED, (assessment) => {
-            this.show(`Assessment updated`, 'success');
+            if (!assessment.remote && this.wantsEvent('assessment.update')) {
+                this.show(`Assessment updated`, 'success');
+            }
         });
 
         // Question events
         eventBus.on(EVENTS.QUESTION_ANSWERED, (data) => {
-            this.show('Response saved successfully', 'success');
+            if (!data.remote) {
+                this.show('Response saved successfully', 'success');
+            }
         });
 
-        eventBus.on(EVENTS.QUESTION_SAVED, () => {
-            this.show('Draft saved', 'info');
+        eventBus.on(EVENTS.QUESTION_SAVED, (data) => {
+            if (!data?.remote) this.show('Draft saved', 'info');
         });
 
         // Review events
-        eventBus.on(EVENTS.REVIEW_APPROVED, () => {
-            this.show('Response approved', 'success');
+        eventBus.on(EVENTS.REVIEW_APPROVED, (data) => {
+            if (!data.remote && this.wantsEvent('response.review')) {
+                this.show('Response approved', 'success');
+            }
         });
 
-        eventBus.on(EVENTS.REVIEW_REJECTED, () => {
-            this.show('Response rejected', 'warning');
+        eventBus.on(EVENTS.REVIEW_REJECTED, (data) => {
+            if (!data.remote && this.wantsEvent('response.review')) {
+                this.show('Response rejected', 'warning');
+            }
         });
 
         // Role events
@@ -460,6 +485,211 @@ class NotificationService {
     clearAll() {
         this.dismissAll();
     }
+
+    // ========================================================================
+    // INBOX
+    // ========================================================================
+
+    /**
+     * Whether there is a server inbox to talk to
+     * @returns {boolean}
+     */
+    hasInbox() {
+        return APP_CONFIG.features.notifications
+            && APP_CONFIG.app.environment !== 'demo'
+            && store.get('session.isAuthenticated') === true;
+    }
+
+    /**
+     * The user's notifications, newest first
+     * @param {object} filter - { type, unread, before, limit } (before: ID of the last one loaded)
+     * @returns {Promise} Result with data.notifications and data.hasMore
+     */
+    async getInbox({ type = '', unread = false, before = '', limit = '' } = {}) {
+        const params = new URLSearchParams();
+        if (type) params.set('type', type);
+        if (unread) params.set('unread', 'true');
+        if (before) params.set('before', before);
+        if (limit) params.set('limit', limit);
+
+        const query = params.toString() ? `?${params}` : '';
+        return apiService.fetch(`${this.inboxUrl}${query}`);
+    }
+
+    /**
+     * Unread count, in total and per type
+     * @returns {Promise<object>} { unread, types: [{ type, name, total, unread }] }
+     */
+    async getInboxSummary() {
+        const response = await apiService.fetch(`${this.inboxUrl}/summary`);
+
+        if (!response.success) {
+            return { unread: this.unreadCount, types: [] };
+        }
+
+        this.setUnreadCount(response.data.unread);
+        return { unread: response.data.unread, types: response.data.types };
+    }
+
+    /**
+     * Mark a notification read or unread
+     * @param {string} notificationId - Notification ID
+     * @param {boolean} read - New state
+     * @returns {Promise} Result with data.notification
+     */
+    async markRead(notificationId, read = true) {
+        const response = await apiService.fetch(`${this.inboxUrl}/${notificationId}/${read ? 'read' : 'unread'}`, {
+            method: 'POST'
+        });
+
+        if (response.success) {
+            this.setUnreadCount(response.data.unread);
+        }
+
+        return response;
+    }
+
+    /**
+     * Mark every unread notification read
+     * @param {string} type - Only this type (optional)
+     * @returns {Promise} Result
+     */
+    async markAllRead(type = '') {
+        const response = await apiService.fetch(`${this.inboxUrl}/read-all`, {
+            method: 'POST',
+            body: JSON.stringify(type ? { type } : {})
+        });
+
+        if (response.success) {
+            this.setUnreadCount(response.data.unread);
+        }
+
+        return response;
+    }
+
+    /**
+     * Reload the unread count from the server
+     */
+    async refreshUnreadCount() {
+        if (!this.hasInbox()) return;
+
+        const response = await apiService.fetch(`${this.inboxUrl}/summary`);
+        if (response.success) {
+            this.setUnreadCount(response.data.unread);
+        }
+    }
+
+    /**
+     * Show the unread count on the navigation badge
+     * @param {number} count - Unread notifications
+     */
+    setUnreadCount(count) {
+        const changed = count !== this.unreadCount;
+        this.unreadCount = count;
+
+        navigationService.updateBadges({ notifications: count });
+
+        if (changed) {
+            eventBus.emit(EVENTS.NOTIFICATIONS_UPDATED, { unread: count });
+        }
+    }
+
+    /**
+     * Poll the unread count (only while the tab is visible)
+     */
+    startInboxPolling() {
+        const interval = APP_CONFIG.ui.inboxPollInterval;
+        if (this.inboxTimer || !interval) return;
+
+        this.inboxTimer = setInterval(() => {
+            if (document.visibilityState === 'visible') {
+                this.refreshUnreadCount();
+            }
+        }, interval);
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.refreshUnreadCount();
+            }
+        });
+    }
+
+    // ========================================================================
+    // PREFERENCES
+    // ========================================================================
+
+    /**
+     * Load the user's notification preferences (kept for wantsEvent)
+     * @returns {Promise<object|null>} { options, events, settings }, or null without an inbox
+     */
+    async loadPreferences() {
+        if (!this.hasInbox()) return null;
+
+        const response = await apiService.fetch(`${this.inboxUrl}/preferences`);
+        if (response.success) {
+            this.preferences = response.data;
+        }
+
+        return this.preferences;
+    }
+
+    /**
+     * Save notification preferences; events and settings left out keep their value
+     * @param {object} changes - { channels: { [event]: channel }, settings }
+     * @returns {Promise} Result with the saved preferences
+     */
+    async savePreferences(changes) {
+        const response = await apiService.fetch(`${this.inboxUrl}/preferences`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+
+        if (response.success) {
+            this.preferences = response.data;
+        }
+
+        return response;
+    }
+
+    /**
+     * Whether the user wants to hear about an event at all
+     * (everything is on until preferences are loaded)
+     * @param {string} triggerEvent - Server event, e.g. 'assessment.update'
+     * @returns {boolean}
+     */
+    wantsEvent(triggerEvent) {
+        const event = this.preferences && this.preferences.events.find(e => e.event === triggerEvent);
+        return !event || event.channel !== 'none';
+    }
+
+    /**
+     * Page a notification links to: the answer, action item or assignment it is about, or its assessment
+     * @param {object} notification - Inbox notification
+     * @returns {string|null} URL relative to pages/
+     */
+    linkFor(notification) {
+        const target = notification.target;
+        if (!target || !target.assessmentId) return null;
+
+        const params = new URLSearchParams({ assessment: target.assessmentId });
+
+        if (target.type === 'response') {
+            if (target.questionId) params.set('question', target.questionId);
+            return `06_answer_questions.html?${params}`;
+        }
+
+        if (target.type === 'action') {
+            params.set('action', target.actionItemId);
+            return `08_actions.html?${params}`;
+        }
+
+        if (target.type === 'assignment') {
+            if (target.dimensionId) params.set('dimension', target.dimensionId);
+            return `06_answer_questions.html?${params}`;
+        }
+
+        return `09_progress.html?${params}`;
+    }
 }
 
 // Create singleton instance (let allows pages to reinitialize)
@@ -0,0 +1,144 @@
+/**
+ * Platform Service
+ * Tenant administration and support sessions for REABEL staff
+ * Reading needs read:tenants, changes manage:tenants and support sessions
+ * support:tenants; the API enforces them
+ */
+
+class PlatformService {
+    constructor() {
+        this.baseUrl = `${APP_CONFIG.api.baseUrl}${APP_CONFIG.api.endpoints.platform}`;
+    }
+
+    /**
+     * Tenants with plan, limits and usage
+     * @param {object} filter - { search, status } (status: active or suspended)
+     * @returns {Promise<array>} Tenants
+     */
+    async getTenants({ search = '', status = '' } = {}) {
+        const params = new URLSearchParams();
+        if (search) params.set('search', search);
+        if (status) params.set('status', status);
+
+        const query = params.toString() ? `?${params}` : '';
+        const response = await apiService.fetch(`${this.baseUrl}/tenants${query}`);
+        return response.success ? response.data.tenants : [];
+    }
+
+    /**
+     * One tenant with its recent support sessions
+     * @param {string} tenantId - Tenant ID
+     * @returns {Promise} Result with data.tenant and data.supportSessions
+     */
+    async getTenant(tenantId) {
+        return apiService.fetch(`${this.baseUrl}/tenants/${tenantId}`);
+    }
+
+    /**
+     * Create a tenant
+     * @param {object} tenant - { name, slug, plan, maxSeats, maxActiveAssessments, adminEmail }
+     * @returns {Promise} Result
+     */
+    async createTenant(tenant) {
+        return apiService.fetch(`${this.baseUrl}/tenants`, {
+            method: 'POST',
+            body: JSON.stringify(tenant)
+        });
+    }
+
+    /**
+     * Change a tenant's plan and limits (null removes a limit)
+     * @param {string} tenantId - Tenant ID
+     * @param {object} limits - { plan, maxSeats, maxActiveAssessments }
+     * @returns {Promise} Result
+     */
+    async updateLimits(tenantId, limits) {
+        return apiService.fetch(`${this.baseUrl}/tenants/${tenantId}/limits`, {
+            method: 'PUT',
+            body: JSON.stringify(limits)
+        });
+    }
+
+    /**
+     * Suspend a tenant (its users are signed out) or reactivate it
+     * @param {string} tenantId - Tenant ID
+     * @param {boolean} active - New state
+     * @param {string} reason - Required to suspend
+     * @returns {Promise} Result
+     */
+    async setActive(tenantId, active, reason = '') {
+        return apiService.fetch(`${this.baseUrl}/tenants/${tenantId}/${active ? 'reactivate' : 'suspend'}`, {
+            method: 'POST',
+            body: JSON.stringify(active ? {} : { reason })
+        });
+    }
+
+    /**
+     * Support sessions, newest first
+     * @param {object} filter - { tenantId, active }
+     * @returns {Promise<array>} Support sessions
+     */
+    async getSupportSessions({ tenantId = '', active = false } = {}) {
+        const params = new URLSearchParams();
+        if (tenantId) params.set('tenantId', tenantId);
+        if (active) params.set('active', 'true');
+
+        const query = params.toString() ? `?${params}` : '';
+        const response = await apiService.fetch(`${this.baseUrl}/support-sessions${query}`);
+        return response.success ? response.data.supportSessions : [];
+    }
+
+    /**
+     * Start viewing a tenant read-only; from now on tenant data comes from that tenant
+     * @param {string} tenantId - Tenant ID
+     * @param {string} reason - Why access is needed (the tenant can see it)
+     * @param {number} durationMinutes - Length of the session
+     * @returns {Promise} Result
+     */
+    async startSupportSession(tenantId, reason, durationMinutes) {
+        const response = await apiService.fetch(`${this.baseUrl}/tenants/${tenantId}/support-sessions`, {
+            method: 'POST',
+            body: JSON.stringify({ reason, durationMinutes })
+        });
+
+        if (response.success) {
+            const { supportSession, token, expiresAt } = response.data;
+
+            authService.setSupportSession({
+                id: supportSession.id,
+                token,
+                expiresAt,
+                tenantId: supportSession.tenantId,
+                tenantName: supportSession.tenantName,
+                role: supportSession.role,
+                reason: supportSession.reason
+            });
+        }
+
+        return response;
+    }
+
+    /**
+     * End a support session (authService.endSupportSession() ends the current user's own)
+     * @param {string} supportSessionId - Support session ID
+     * @returns {Promise} Result
+     */
+    async endSupportSession(supportSessionId) {
+        const current = authService.getSupportSession();
+
+        if (current && current.id === supportSessionId) {
+            return authService.endSupportSession();
+        }
+
+        return apiService.fetch(`${this.baseUrl}/support-sessions/${supportSessionId}`, {
+            method: 'DELETE'
+        });
+    }
+}
+
+const platformService = new PlatformService();
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PlatformService, platformService };
+}
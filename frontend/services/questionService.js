@@ -79,8 +79,8 @@ class QuestionService {
             const score = this.calculateScore(question, responseData);
 
             // Build response object
+            // The server re-validates, recomputes the score and rejects mismatches
             const response = {
-                id: this.generateId(),
                 assessment_id: assessmentId,
                 question_id: questionId,
                 user_id: store.get('user.id'),
@@ -90,27 +90,31 @@ class QuestionService {
                 status: 'submitted',
                 submitted_at: new Date().toISOString(),
                 created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
+                updated_at: new Date().toISOString(),
+                ...this.versionOf(questionId)
             };
 
             // Save to database
             const result = await apiService.save('responses', response, 'POST');
 
             if (!result.success) {
-                throw new Error(result.error || 'Failed to save response');
+                throw this.saveError(questionId, result, 'Failed to save response');
             }
 
+            // Prefer the server copy (id and authoritative score)
+            const saved = result.data?.response || { id: this.generateId(), ...response };
+
             // Cache response
-            this.responses.set(questionId, response);
+            this.responses.set(questionId, saved);
 
             // Emit event
             eventBus.emit(EVENTS.QUESTION_ANSWERED, {
                 assessmentId,
                 questionId,
-                response
+                response: saved
             });
 
-            return response;
+            return saved;
 
         } catch (error) {
             console.error('[QuestionService] Submit failed:', error);
@@ -120,14 +124,15 @@ class QuestionService {
 
     /**
      * Save draft response
+     * Failures are logged, except a conflict with a teammate's change (error.conflict)
      * @param {string} assessmentId - Assessment ID
      * @param {string} questionId - Question ID
      * @param {object} responseData - Response data
+     * @returns {Promise<object|undefined>} Saved draft, nothing when saving failed
      */
     async saveDraft(assessmentId, questionId, responseData) {
         try {
             const response = {
-                id: this.generateId(),
                 assessment_id: assessmentId,
                 question_id: questionId,
                 user_id: store.get('user.id'),
@@ -135,21 +140,76 @@ class QuestionService {
                 response_data: responseData.data || null,
                 status: 'draft',
                 created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
+                updated_at: new Date().toISOString(),
+                ...this.versionOf(questionId)
             };
 
-            await apiService.save('responses', response, 'POST');
+            // The server keeps one row per question and user, so repeated drafts update it
+            const result = await apiService.save('responses', response, 'POST');
+
+            if (!result.success) {
+                throw this.saveError(questionId, result, 'Failed to save draft');
+            }
 
             // Cache draft
-            this.responses.set(questionId, response);
+            const saved = result.data?.response || { id: this.generateId(), ...response };
+            this.responses.set(questionId, saved);
 
             console.log('[QuestionService] Draft saved');
+            return saved;
 
         } catch (error) {
+            if (error.conflict) throw error;
             console.error('[QuestionService] Save draft failed:', error);
         }
     }
 
+    /**
+     * Remember the answer a page shows for a question (null: none yet), so saves
+     * are checked against it: a teammate's change in between is a conflict
+     * instead of being overwritten
+     * @param {string} questionId - Question ID
+     * @param {object|null} response - Response as loaded
+     */
+    trackResponse(questionId, response) {
+        this.responses.set(questionId, response || null);
+    }
+
+    /**
+     * Version fields for saving over the answer known for a question
+     * Nothing when the answer was never loaded: the server then saves as before
+     * @param {string} questionId - Question ID
+     * @returns {object} { response_id?, base_version? }
+     */
+    versionOf(questionId) {
+        if (!this.responses.has(questionId)) return {};
+
+        const known = this.responses.get(questionId);
+        if (!known || !known.version) return { base_version: 0 };
+
+        return { response_id: known.id, base_version: known.version };
+    }
+
+    /**
+     * Error for a failed save; on a conflict the teammate's answer becomes the
+     * known one, so saving again keeps the caller's answer
+     * @param {string} questionId - Question ID
+     * @param {object} result - apiService result
+     * @param {string} fallbackMessage - Message without one from the server
+     * @returns {Error} With conflict: true and response (the current answer) on a conflict
+     */
+    saveError(questionId, result, fallbackMessage) {
+        const error = new Error(result.error || fallbackMessage);
+
+        if (result.status === 409 && result.body?.conflict) {
+            error.conflict = true;
+            error.response = result.body.response;
+            this.trackResponse(questionId, result.body.response);
+        }
+
+        return error;
+    }
+
     /**
      * Get response for question
      * @param {string} assessmentId - Assessment ID
@@ -168,8 +228,10 @@ class QuestionService {
                 `${APP_CONFIG.api.baseUrl}/responses?assessment_id=${assessmentId}&question_id=${questionId}`
             );
 
-            if (result.success && result.data.length > 0) {
-                const response = result.data[0];
+            const responses = result.success ? result.data.responses || result.data : [];
+
+            if (responses.length > 0) {
+                const response = responses[0];
                 this.responses.set(questionId, response);
                 return response;
             }
@@ -218,7 +280,7 @@ class QuestionService {
                 reviewData
             });
 
-            return result.data;
+            return result.data?.response || result.data;
 
         } catch (error) {
             console.error('[QuestionService] Review failed:', error);
@@ -476,23 +538,15 @@ class QuestionService {
      */
     async importQuestions(templateId, questions) {
         try {
-            // Check permission
-            if (!roleService.hasPermission('create', 'questions')) {
-                throw new Error('Permission denied: Cannot create questions');
-            }
-
             const imported = [];
 
             for (const questionData of questions) {
-                const question = {
-                    id: this.generateId(),
-                    template_id: templateId,
+                const question = await this.createQuestion({
                     ...questionData,
-                    created_at: new Date().toISOString()
-                };
+                    template_id: templateId
+                });
 
-                const result = await apiService.save('questions', question, 'POST');
-                if (result.success) {
+                if (question) {
                     imported.push(question);
                 }
             }
@@ -506,6 +560,112 @@ class QuestionService {
         }
     }
 
+    /**
+     * Create a question
+     * The server assigns the id and appends it to the dimension's order
+     * @param {object} questionData - Question definition
+     * @returns {Promise<object|null>} Created question
+     */
+    async createQuestion(questionData) {
+        if (!this.canEditQuestions()) {
+            throw new Error('Permission denied: Cannot create questions');
+        }
+
+        const question = {
+            id: this.generateId(),
+            ...questionData,
+            created_at: new Date().toISOString()
+        };
+
+        const result = await apiService.save('questions', question, 'POST');
+
+        if (!result.success) {
+            console.error('[QuestionService] Create failed:', result.error);
+            return null;
+        }
+
+        const saved = result.data?.question || question;
+        this.questions?.push(saved);
+        apiService.clearCache('questions');
+        return saved;
+    }
+
+    /**
+     * Update a question
+     * @param {string} questionId - Question ID
+     * @param {object} updates - Changed fields
+     * @returns {Promise<object>} Updated question
+     */
+    async updateQuestion(questionId, updates) {
+        if (!this.canEditQuestions()) {
+            throw new Error('Permission denied: Cannot edit questions');
+        }
+
+        const result = await apiService.save(`questions/${questionId}`, updates, 'PUT');
+
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to update question');
+        }
+
+        const saved = result.data?.question || { ...this.getQuestion(questionId), ...updates };
+        this.questions = (this.questions || []).map(q => q.id === questionId ? saved : q);
+        apiService.clearCache('questions');
+        return saved;
+    }
+
+    /**
+     * Delete a question (the server refuses once it has responses)
+     * @param {string} questionId - Question ID
+     */
+    async deleteQuestion(questionId) {
+        if (!this.canEditQuestions()) {
+            throw new Error('Permission denied: Cannot delete questions');
+        }
+
+        const result = await apiService.delete('questions', questionId);
+
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to delete question');
+        }
+
+        this.questions = (this.questions || []).filter(q => q.id !== questionId);
+        apiService.clearCache('questions');
+    }
+
+    /**
+     * Reorder the questions of a dimension
+     * @param {string} dimensionId - Dimension ID
+     * @param {array} questionIds - Question IDs in their new order
+     */
+    async reorderQuestions(dimensionId, questionIds) {
+        if (!this.canEditQuestions()) {
+            throw new Error('Permission denied: Cannot reorder questions');
+        }
+
+        const result = await apiService.save('questions/order', {
+            dimension_id: dimensionId,
+            order: questionIds
+        }, 'PUT');
+
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to reorder questions');
+        }
+
+        questionIds.forEach((id, index) => {
+            const question = this.getQuestion(id);
+            if (question) question.sort_order = index + 1;
+        });
+    }
+
+    /**
+     * Whether the current role may edit the question bank
+     * Mirrors the server's manage:questions / manage:templates check
+     * @returns {boolean}
+     */
+    canEditQuestions() {
+        return roleService.hasPermission('manage', 'questions') || roleService.hasPermission('manage', 'templates');
+    }
+
     /**
      * Generate unique ID
      */
@@ -0,0 +1,157 @@
+/**
+ * Realtime Service
+ * Brings teammates' changes into the open page as they happen
+ *
+ * Listens to the server's event stream (server-sent events) and re-emits each
+ * domain event on the eventBus as the matching EVENTS.* with remote: true, so
+ * pages refresh the same way they do after their own changes. The caller's
+ * own changes are skipped: the page that made them has already emitted them.
+ * Off unless APP_CONFIG.features.realTimeUpdates; never in demo mode.
+ */
+
+// Server event type -> [EVENTS.* name, payload]
+const RELAYED_EVENTS = {
+    'response.submitted': message => [EVENTS.QUESTION_ANSWERED, {
+        assessmentId: message.assessmentId,
+        questionId: message.data.questionId,
+        response: { id: message.data.responseId, status: message.data.status, version: message.data.version }
+    }],
+    'response.saved': message => [EVENTS.QUESTION_SAVED, {
+        assessmentId: message.assessmentId,
+        questionId: message.data.questionId,
+        response: { id: message.data.responseId, status: message.data.status, version: message.data.version }
+    }],
+    'response.reviewed': message => [message.data.status === 'approved' ? EVENTS.REVIEW_APPROVED : EVENTS.REVIEW_REJECTED, {
+        assessmentId: message.assessmentId,
+        responseId: message.data.responseId,
+        reviewData: { approved: message.data.status === 'approved' }
+    }],
+    'assessment.transitioned': message => [EVENTS.ASSESSMENT_UPDATED, {
+        id: message.assessmentId,
+        status: message.data.to,
+        previousStatus: message.data.from
+    }],
+    'assessment.updated': message => [EVENTS.ASSESSMENT_UPDATED, {
+        id: message.assessmentId,
+        status: message.data.status,
+        progress: message.data.progress
+    }],
+    'action_item.updated': message => [EVENTS.DATA_UPDATED, {
+        resource: 'actions',
+        data: { id: message.data.actionItemId, assessmentId: message.assessmentId, status: message.data.status }
+    }],
+    'presence.updated': message => [EVENTS.PRESENCE_CHANGED, {
+        assessmentId: message.assessmentId,
+        userId: message.data.userId,
+        questionId: message.data.questionId,
+        present: message.data.present
+    }],
+    'lock.updated': message => [EVENTS.QUESTION_LOCK_CHANGED, {
+        assessmentId: message.assessmentId,
+        questionId: message.data.questionId,
+        userId: message.data.userId,
+        takenOverFrom: message.data.takenOverFrom || null
+    }]
+};
+
+class RealtimeService {
+    constructor() {
+        this.baseUrl = `${APP_CONFIG.api.baseUrl}${APP_CONFIG.api.endpoints.realtime}`;
+        this.source = null;
+        this.assessmentId = null;
+        this.reconnectTimer = null;
+        this.reconnectDelay = 5000;
+    }
+
+    /**
+     * Whether live updates are available here
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return Boolean(APP_CONFIG.features.realTimeUpdates)
+            && APP_CONFIG.app.environment !== 'demo'
+            && typeof EventSource !== 'undefined';
+    }
+
+    /**
+     * Start listening (again); one stream per page
+     * @param {object} options - { assessmentId } to hear about one assessment only
+     * @returns {Promise<boolean>} Whether the stream was opened
+     */
+    async connect({ assessmentId = null } = {}) {
+        if (!this.isEnabled()) return false;
+
+        this.disconnect();
+        this.assessmentId = assessmentId;
+
+        // The stream ends with the access token, so renew one that is about to expire
+        if (!(await authService.isAuthenticated())) return false;
+
+        const response = await apiService.fetch(`${this.baseUrl}/ticket`);
+        if (!response.success) {
+            this.scheduleReconnect();
+            return false;
+        }
+
+        const params = new URLSearchParams({ ticket: response.data.ticket });
+        if (assessmentId) params.set('assessment_id', assessmentId);
+
+        const source = new EventSource(`${this.baseUrl}/stream?${params}`);
+        this.source = source;
+
+        source.onmessage = (event) => this.relay(JSON.parse(event.data));
+
+        // The stream ends with the access token; carry on with a new ticket
+        source.addEventListener('expired', () => this.connect({ assessmentId }));
+
+        // EventSource retries dropped connections itself, but gives up on a
+        // refused ticket; then start over with a new one
+        source.onerror = () => {
+            if (source.readyState === EventSource.CLOSED && this.source === source) {
+                this.scheduleReconnect();
+            }
+        };
+
+        return true;
+    }
+
+    /**
+     * Stop listening
+     */
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.connect({ assessmentId: this.assessmentId }), this.reconnectDelay);
+    }
+
+    /**
+     * Re-emit a server event on the eventBus
+     * @param {object} message - { type, assessmentId, actorId, data, at }
+     */
+    relay(message) {
+        const relayed = RELAYED_EVENTS[message.type];
+        if (!relayed) return;
+
+        const user = authService.getCurrentUser();
+        if (user && message.actorId && user.id === message.actorId) return;
+
+        const [event, payload] = relayed(message);
+        eventBus.emit(event, { ...payload, remote: true, actorId: message.actorId, at: message.at });
+    }
+}
+
+const realtimeService = new RealtimeService();
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RealtimeService, realtimeService };
+}
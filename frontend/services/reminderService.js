@@ -0,0 +1,50 @@
+/**
+ * Reminder Service
+ * Due dates of open assignments, and the organization's reminder schedule
+ * Reminders and escalations are sent by a scheduled job on the server; changing
+ * the schedule needs the manage:assessments permission
+ */
+
+class ReminderService {
+    constructor() {
+        this.baseUrl = `${APP_CONFIG.api.baseUrl}${APP_CONFIG.api.endpoints.reminders}`;
+    }
+
+    /**
+     * Open assignments with a due date, soonest first
+     * @param {string} assessmentId - Only this assessment (optional)
+     * @returns {Promise<array>} Assignments ({ id, assessmentTitle, assigneeName, dimensionName, dueDate, daysLeft, state, lastReminderAt, escalationLevel, escalatedTo })
+     */
+    async getDueAssignments(assessmentId = null) {
+        const query = assessmentId ? `?assessment_id=${encodeURIComponent(assessmentId)}` : '';
+        const response = await apiService.fetch(`${this.baseUrl}/due${query}`);
+        return response.success ? response.data.assignments : [];
+    }
+
+    /**
+     * The reminder schedule and the roles overdue work can be escalated to
+     * @returns {Promise} Result with data.settings ({ enabled, remindDaysBefore, escalation, flagOverdueActions }) and data.roles
+     */
+    async getSettings() {
+        return apiService.fetch(`${this.baseUrl}/settings`);
+    }
+
+    /**
+     * Change the reminder schedule
+     * @param {object} settings - { enabled, remindDaysBefore: [days], escalation: [{ afterDays, role }], flagOverdueActions }
+     * @returns {Promise} Result
+     */
+    async saveSettings(settings) {
+        return apiService.fetch(`${this.baseUrl}/settings`, {
+            method: 'PUT',
+            body: JSON.stringify(settings)
+        });
+    }
+}
+
+const reminderService = new ReminderService();
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReminderService, reminderService };
+}
@@ -50,6 +50,8 @@ class RoleService {
 
     /**
      * Switch to a different role
+     * Outside demo mode this is "view as": the server checks the user's own role
+     * may assume roleId, audits the switch and issues a token for the new role
      * @param {string} roleId - Role ID to switch to
      * @returns {Promise<boolean>} Success status
      */
@@ -63,11 +65,14 @@ class RoleService {
 
             console.log('[RoleService] Switching to role:', roleId);
 
-            // In production, this would call backend to validate role switch
-            if (APP_CONFIG.dataSources.mode === 'api') {
-                const response = await apiService.save('user/role', { roleId }, 'PUT');
+            if (APP_CONFIG.app.environment !== 'demo') {
+                const user = authService.getCurrentUser();
+                const response = roleId === (user.assumedFrom || user.role)
+                    ? await authService.restoreRole()
+                    : await authService.assumeRole(roleId);
+
                 if (!response.success) {
-                    throw new Error('Failed to switch role on backend');
+                    throw new Error(response.error || 'Failed to switch role on backend');
                 }
             }
 
@@ -250,7 +255,8 @@ class RoleService {
 
     /**
      * Validate role switch is allowed
-     * In production, this checks backend for allowed role transitions
+     * Outside demo mode the backend decides from the user's own role
+     * (roles.json canAssume) and whether this deployment allows switching
      * @param {string} fromRole - Current role
      * @param {string} toRole - Target role
      * @returns {Promise<boolean>}
@@ -261,17 +267,10 @@ class RoleService {
             return true;
         }
 
-        // In production, call backend to validate
         try {
-            const response = await apiService.fetch(
-                `${APP_CONFIG.api.baseUrl}/roles/can-switch`,
-                {
-                    method: 'POST',
-                    body: JSON.stringify({ fromRole, toRole })
-                }
-            );
+            const { enabled, ownRoleId, roles } = await authService.getAssumableRoles();
 
-            return response.success && response.data.allowed;
+            return enabled && (toRole === ownRoleId || roles.some(role => role.id === toRole));
 
         } catch (error) {
             console.error('[RoleService] Error checking role switch permission:', error);
@@ -0,0 +1,107 @@
+/**
+ * Team Service
+ * Members of the current organization, their roles and email invitations
+ * Changes need the manage:team permission; the API enforces it
+ */
+
+class TeamService {
+    constructor() {
+        this.baseUrl = `${APP_CONFIG.api.baseUrl}${APP_CONFIG.api.endpoints.team}`;
+    }
+
+    /**
+     * Members of the current organization
+     * @returns {Promise<array>} Members ({ id, email, name, role, roleName, domains, status, locked, lastLogin, isCurrentUser })
+     */
+    async getMembers() {
+        const response = await apiService.fetch(`${this.baseUrl}/members`);
+        return response.success ? response.data.members : [];
+    }
+
+    /**
+     * Roles that can be given to members and invitees
+     * @returns {Promise<array>} Roles ({ id, name, type, description })
+     */
+    async getAssignableRoles() {
+        const response = await apiService.fetch(`${this.baseUrl}/roles`);
+        return response.success ? response.data.roles : [];
+    }
+
+    /**
+     * Replace a member's role
+     * @param {string} userId - Member ID
+     * @param {string} roleId - New role
+     * @param {array} domains - Assigned domain IDs
+     * @returns {Promise} Result
+     */
+    async changeRole(userId, roleId, domains = []) {
+        return apiService.fetch(`${this.baseUrl}/members/${userId}/role`, {
+            method: 'PUT',
+            body: JSON.stringify({ roleId, domains })
+        });
+    }
+
+    /**
+     * Deactivate or reactivate a member
+     * @param {string} userId - Member ID
+     * @param {boolean} active - New state
+     * @returns {Promise} Result
+     */
+    async setActive(userId, active) {
+        return apiService.fetch(`${this.baseUrl}/members/${userId}/${active ? 'reactivate' : 'deactivate'}`, {
+            method: 'POST'
+        });
+    }
+
+    /**
+     * Invitations of the current organization
+     * @param {string} status - pending, accepted, revoked or expired (optional)
+     * @returns {Promise<array>} Invitations
+     */
+    async getInvitations(status = null) {
+        const query = status ? `?status=${encodeURIComponent(status)}` : '';
+        const response = await apiService.fetch(`${this.baseUrl}/invitations${query}`);
+        return response.success ? response.data.invitations : [];
+    }
+
+    /**
+     * Invite someone by email
+     * @param {object} invitation - { email, roleId, domains }
+     * @returns {Promise} Result
+     */
+    async invite({ email, roleId, domains = [] }) {
+        return apiService.fetch(`${this.baseUrl}/invitations`, {
+            method: 'POST',
+            body: JSON.stringify({ email, roleId, domains })
+        });
+    }
+
+    /**
+     * Email an invitation again (the previous link stops working)
+     * @param {string} invitationId - Invitation ID
+     * @returns {Promise} Result
+     */
+    async resendInvitation(invitationId) {
+        return apiService.fetch(`${this.baseUrl}/invitations/${invitationId}/resend`, {
+            method: 'POST'
+        });
+    }
+
+    /**
+     * Revoke a pending invitation
+     * @param {string} invitationId - Invitation ID
+     * @returns {Promise} Result
+     */
+    async revokeInvitation(invitationId) {
+        return apiService.fetch(`${this.baseUrl}/invitations/${invitationId}`, {
+            method: 'DELETE'
+        });
+    }
+}
+
+const teamService = new TeamService();
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TeamService, teamService };
+}
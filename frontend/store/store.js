@@ -134,6 +134,9 @@ const store = new Store({
         expiresAt: null
     },
 
+    // Open support session (REABEL staff viewing a tenant, see AuthService.getSupportSession)
+    supportSession: null,
+
     // Current role
     currentRole: {
         id: APP_CONFIG.ui.defaultRole,
@@ -107,6 +107,8 @@ const EVENTS = {
     // Auth events
     USER_LOGGED_IN: 'user:logged-in',
     USER_LOGGED_OUT: 'user:logged-out',
+    SESSION_REFRESHED: 'session:refreshed',
+    SUPPORT_SESSION_CHANGED: 'session:support-changed',
     
     // Role events
     ROLE_CHANGED: 'role:changed',
@@ -124,6 +126,7 @@ const EVENTS = {
     
     // UI events
     NOTIFICATION_SHOW: 'ui:notification-show',
+    NOTIFICATIONS_UPDATED: 'ui:notifications-updated',
     MODAL_OPEN: 'ui:modal-open',
     MODAL_CLOSE: 'ui:modal-close',
     LOADER_SHOW: 'ui:loader-show',
@@ -138,6 +141,10 @@ const EVENTS = {
     QUESTION_ANSWERED: 'question:answered',
     QUESTION_SAVED: 'question:saved',
     
+    // Collaboration events
+    PRESENCE_CHANGED: 'collaboration:presence-changed',
+    QUESTION_LOCK_CHANGED: 'collaboration:lock-changed',
+    
     // Review events
     REVIEW_APPROVED: 'review:approved',
     REVIEW_REJECTED: 'review:rejected',